@@ -1,7 +1,98 @@
-import { useState, useRef, useEffect } from 'react';
-import Papa from 'papaparse';
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { isExcelFile, readWorkbook, downloadWorkbook } from '../utils/spreadsheet';
+import {
+  loadProviderSettings,
+  saveProviderSettings,
+  clearProviderSettings,
+  DEFAULT_PROVIDER_SETTINGS,
+  createGeocoder,
+  createRouter,
+  subscribeToProvider,
+  resolveProfile
+} from '../providers';
+import { loadGazetteer, searchGazetteer, isAirportCode, lookupAirportCode } from '../utils/gazetteer';
+import { loadPreferences, savePreferences, DEFAULT_PREFERENCES } from '../utils/preferences';
+import { calculateDistance, DISTANCE_MODELS } from '../utils/geodesy';
+import { hasCoords, normalizeRows, airResultRow, validateRow } from '../utils/bulkRows';
+import { parseCoordinates, parseCoordinateValue, describeFormat } from '../utils/coordinates';
+import { previewCsv, streamCsv } from '../utils/csvStream';
+import { suggestMapping, needsMapping, applyMapping, loadMappingPresets, findMatchingPreset } from '../utils/columnMapping';
+import { DEFAULT_RESULTS_VIEW, applyResultsView, columnTotals, outdatedDistanceModel } from '../utils/resultsView';
+import { assessCandidates, assessAirportCode } from '../utils/ambiguity';
+import { getPlaceChoice, savePlaceChoices } from '../utils/placeChoices';
+import { downloadCsv } from '../utils/csv';
+import { flightModelFrom, estimateFlightTime, flightTimeColumns, describeFlightModel } from '../utils/flightTime';
+import { emissionSettingsFrom, emissionColumns, airEmissions, tripEmissions } from '../utils/emissions';
+import {
+  TRAVEL_MODES,
+  ROUTED_MODES,
+  ROUTE_CONSTRAINTS,
+  isRoutedMode,
+  durationKeys,
+  describeMode,
+  routeExcludes,
+  describeConstraints,
+  routeCacheKey
+} from '../utils/travelModes';
+import { costProfileFrom, tripCostColumns, roadCost, airfare, formatMoney, roundMoney, COST_EXPORT_HEADERS } from '../utils/tripCost';
+import { DISTANCE_UNITS, formatDistance, formatHours, formatNumber, unitColumns, UNIT_EXPORT_HEADERS } from '../utils/units';
+import { caches, daysToMs, EMPTY_CACHE_STATS, countCacheLookup } from '../utils/cacheStore';
+import {
+  createJob, updateJob, deleteJob, listResumableJobs, loadJobRows, saveJobRows, pendingJobRows, createCheckpointWriter
+} from '../utils/jobStore';
+import { routeLine, bulkRowRoute } from '../utils/map';
+import { GEO_FORMATS, downloadRoutes, bulkRowToRoute } from '../utils/geoExport';
+import SettingsPanel from './SettingsPanel';
+import ItineraryPlanner from './ItineraryPlanner';
+import DistanceMatrix from './DistanceMatrix';
+import RouteMap from './RouteMap';
+import BulkResultsTable from './BulkResultsTable';
+import PlaceReview from './PlaceReview';
+import ColumnMapper from './ColumnMapper';
+import ValidationReport from './ValidationReport';
 import './AirDistanceCalculator.css';
 
+const RESULTS_REFRESH_MS = 500;
+// Geocoder candidates fetched per bulk location, to spot ambiguous names
+const CANDIDATE_LIMIT = 5;
+// Rows shown in the column mapping step (and used to read the headers)
+const MAPPING_PREVIEW_ROWS = 20;
+// Row errors worth another attempt: the geocoder or router may do better the second time
+const RETRYABLE_ERRORS = ['Geocoding failed', ...ROUTED_MODES.map(mode => TRAVEL_MODES[mode].rowError)];
+
+// Finished rows of a job in input order; finished: Map of `${sheetIndex}:${rowIndex}` -> result
+const collectJobResults = (job, finished) => job.sheets.flatMap((sheet, sheetIndex) =>
+  sheet.rows.map((_, rowIndex) => finished.get(`${sheetIndex}:${rowIndex}`)).filter(Boolean)
+);
+
+// One line of the pre-flight validation report
+const rowIssue = (sheet, sheetIndex, row, rowIndex, problems) => ({
+  sheetIndex,
+  rowIndex,
+  sheet: sheet.name || '',
+  row: rowIndex + 1,
+  from: row.from || row.iata_from || row.icao_from || '',
+  to: row.to || row.iata_to || row.icao_to || '',
+  problems
+});
+
+// Drops the reported rows; results already finished for the rows that stay move to their new index
+const dropInvalidRows = (sheets, issues, finished) => {
+  const invalid = new Set(issues.map(issue => `${issue.sheetIndex}:${issue.rowIndex}`));
+  const kept = new Map();
+  const keptSheets = sheets.map((sheet, sheetIndex) => {
+    const rows = [];
+    sheet.rows.forEach((row, rowIndex) => {
+      const key = `${sheetIndex}:${rowIndex}`;
+      if (invalid.has(key)) return;
+      if (finished.has(key)) kept.set(`${sheetIndex}:${rows.length}`, finished.get(key));
+      rows.push(row);
+    });
+    return { ...sheet, rows };
+  });
+  return { sheets: keptSheets, finished: kept };
+};
+
 export default function AirDistanceCalculator() {
   const [fromCity, setFromCity] = useState({ name: 'Delhi, India', lat: 28.6139, lon: 77.2090 });
   const [toCity, setToCity] = useState({ name: 'Goa, India', lat: 15.2993, lon: 74.1240 });
@@ -11,89 +102,243 @@ export default function AirDistanceCalculator() {
   const [suggestions, setSuggestions] = useState({ from: [], to: [] });
   const [loading, setLoading] = useState({ from: false, to: false });
   const [bulkMode, setBulkMode] = useState(false);
-  const [bulkData, setBulkData] = useState([]);
   const [bulkResults, setBulkResults] = useState([]);
   const [processing, setProcessing] = useState(false);
   const [travelMode, setTravelMode] = useState('air');
   const [bulkTravelMode, setBulkTravelMode] = useState('air');
   const [roadDistance, setRoadDistance] = useState(null);
   const [roadDuration, setRoadDuration] = useState(null);
+  const [roadGeometry, setRoadGeometry] = useState(null);
+  const [roadAlternatives, setRoadAlternatives] = useState([]);
+  // Roads to avoid (ROUTE_CONSTRAINTS keys) for motor modes, and how many alternatives to ask for
+  const [avoid, setAvoid] = useState([]);
+  const [bulkAvoid, setBulkAvoid] = useState([]);
+  const [alternativeCount, setAlternativeCount] = useState(0);
+  const [showBulkMap, setShowBulkMap] = useState(false);
+  const [cacheStats, setCacheStats] = useState(EMPTY_CACHE_STATS);
+  const [requestQueue, setRequestQueue] = useState({ geocoder: null, router: null });
+  const [resumableJobs, setResumableJobs] = useState([]);
+  const [resultsView, setResultsView] = useState(DEFAULT_RESULTS_VIEW);
+  const [exportCurrentView, setExportCurrentView] = useState(false);
+  const [placeReview, setPlaceReview] = useState(null);
+  const [validationReport, setValidationReport] = useState(null);
+  const [retrySummary, setRetrySummary] = useState(null);
+  const [mappingDraft, setMappingDraft] = useState(null);
+  // Raw text of the custom coordinate fields, kept until a place is picked from search
+  const [coordText, setCoordText] = useState({ from: {}, to: {} });
   const [calculatingRoad, setCalculatingRoad] = useState(false);
   const [roadError, setRoadError] = useState(null);
   const [processProgress, setProcessProgress] = useState({ current: 0, total: 0, phase: 'parsing', percentage: 0 });
+  const [workbook, setWorkbook] = useState(null);
+  const [selectedSheets, setSelectedSheets] = useState([]);
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [preferences, setPreferences] = useState(loadPreferences);
+
+  const geocoder = useMemo(() => createGeocoder(providerSettings.geocoder), [providerSettings.geocoder]);
+  const router = useMemo(() => createRouter(providerSettings.router), [providerSettings.router]);
+  const flightModel = useMemo(() => flightModelFrom(preferences), [preferences]);
+  const emissionSettings = useMemo(() => emissionSettingsFrom(preferences), [preferences]);
+  const costProfile = useMemo(() => costProfileFrom(preferences), [preferences]);
   
-  // Performance optimization: Use ref for cache (faster than state)
-  const geocodeCacheRef = useRef({});
-  const roadCacheRef = useRef({});
   const abortControllerRef = useRef(null);
+  const activeJobIdRef = useRef(null);
+  const searchAbortRef = useRef({});
+  // The single-route request, kept apart from the bulk job's controller
+  const routeAbortRef = useRef(null);
+  const placeReviewResolveRef = useRef(null);
+  const validationResolveRef = useRef(null);
+  // The last job run in this tab and its finished rows (kept after it completes, for retries)
+  const lastJobRef = useRef(null);
 
   useEffect(() => {
     return () => {
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
+      routeAbortRef.current?.abort();
     };
   }, []);
 
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371;
-    const toRad = (deg) => (deg * Math.PI) / 180;
-    
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    
-    const a = 
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+  // Jobs left unfinished by a cancel or a reload (the one running in this tab is excluded)
+  const refreshResumableJobs = () => {
+    listResumableJobs().then(jobs => setResumableJobs(jobs.filter(job => job.key !== activeJobIdRef.current)));
+  };
+
+  useEffect(() => {
+    listResumableJobs().then(setResumableJobs);
+  }, []);
+
+  // Queue / rate-limit state of the active endpoints, for the progress indicator
+  useEffect(() => {
+    const unsubscribeGeocoder = subscribeToProvider(providerSettings.geocoder, state => setRequestQueue(prev => ({ ...prev, geocoder: state })));
+    const unsubscribeRouter = subscribeToProvider(providerSettings.router, state => setRequestQueue(prev => ({ ...prev, router: state })));
+    return () => {
+      unsubscribeGeocoder();
+      unsubscribeRouter();
+    };
+  }, [providerSettings]);
+
+  // Persistent caches (IndexedDB). Keys are scoped to the provider endpoint, so switching
+  // servers never serves another server's results and switching back reuses the old ones.
+  const geocodeScope = `${providerSettings.geocoder.provider}:${providerSettings.geocoder.baseUrl}`;
+  // Routes are scoped to the server a travel mode uses, and keyed by its routing profile
+  const routeScope = (mode) => {
+    const { provider, baseUrl, profileUrls = {} } = providerSettings.router;
+    return `${provider}:${profileUrls[mode] || baseUrl}`;
   };
+  const routeProfile = (mode) => resolveProfile(providerSettings.router, mode);
 
-  const getCachedCoords = (name) => geocodeCacheRef.current[name];
+  const recordCacheLookup = (store, hit) => {
+    setCacheStats(prev => countCacheLookup(prev, store, hit));
+  };
+
+  const getCachedCoords = async (name) => {
+    const coords = await caches.geocode.get(`${geocodeScope}|${name}`, daysToMs(preferences.geocodeCacheDays));
+    recordCacheLookup('geocode', Boolean(coords));
+    return coords;
+  };
   const setCachedCoords = (name, coords) => {
-    geocodeCacheRef.current[name] = coords;
+    caches.geocode.set(`${geocodeScope}|${name}`, coords);
   };
 
-  const getCachedRoad = (key) => roadCacheRef.current[key];
-  const setCachedRoad = (key, data) => {
-    roadCacheRef.current[key] = data;
+  const getCachedRoad = async (mode, key) => {
+    const data = await caches.road.get(`${routeScope(mode)}|${key}`, daysToMs(preferences.roadCacheDays));
+    recordCacheLookup('road', Boolean(data));
+    return data;
+  };
+  const setCachedRoad = (mode, key, data) => {
+    caches.road.set(`${routeScope(mode)}|${key}`, data);
   };
 
-  const fetchCities = async (query, type) => {
-    if (query.length < 2) {
-      setSuggestions(prev => ({ ...prev, [type]: [] }));
-      return;
-    }
+  const applyProviderSettings = (settings) => {
+    setProviderSettings(settings);
+    setShowSettings(false);
+  };
 
-    setLoading(prev => ({ ...prev, [type]: true }));
+  const handleSaveSettings = (settings, prefs) => {
+    saveProviderSettings(settings);
+    savePreferences(prefs);
+    setPreferences(prefs);
+    applyProviderSettings(settings);
+  };
+
+  // Instant preferences (selectors outside the settings panel) are saved straight away
+  const updatePreference = (key, value) => {
+    setPreferences(prev => {
+      const next = { ...prev, [key]: value };
+      savePreferences(next);
+      return next;
+    });
+  };
 
+  const handleDistanceModelChange = (model) => {
+    updatePreference('distanceModel', model);
+    setDistance(null);
+    setRoadDistance(null);
+    setRoadDuration(null);
+    setRoadError(null);
+  };
+
+  const renderDistanceModelSelect = () => (
+    <div className="distance-model">
+      <label htmlFor="distance-model" className="distance-model-label">📐 Distance model:</label>
+      <select
+        id="distance-model"
+        value={preferences.distanceModel}
+        onChange={(e) => handleDistanceModelChange(e.target.value)}
+        className="distance-model-select"
+        disabled={processing}
+      >
+        {Object.entries(DISTANCE_MODELS).map(([id, model]) => (
+          <option key={id} value={id}>{model.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  // Avoid toggles for motor modes; single mode also picks how many alternative routes to show
+  const renderRouteOptions = (mode, selected, onChange, withAlternatives) => (
+    <div className="distance-model route-options">
+      {TRAVEL_MODES[mode].avoidable && Object.entries(ROUTE_CONSTRAINTS).map(([key, label]) => (
+        <label key={key} className="route-option">
+          <input
+            type="checkbox"
+            checked={selected.includes(key)}
+            onChange={(e) => onChange(e.target.checked ? [...selected, key] : selected.filter(k => k !== key))}
+            disabled={processing}
+          />
+          🚫 Avoid {label}
+        </label>
+      ))}
+      {withAlternatives && (
+        <>
+          <label htmlFor="route-alternatives" className="distance-model-label">🔀 Alternatives:</label>
+          <select
+            id="route-alternatives"
+            value={alternativeCount}
+            onChange={(e) => setAlternativeCount(Number(e.target.value))}
+            className="distance-model-select"
+          >
+            {[0, 1, 2, 3].map(count => (
+              <option key={count} value={count}>{count ? `Up to ${count}` : 'None'}</option>
+            ))}
+          </select>
+        </>
+      )}
+    </div>
+  );
+
+  const handleResetSettings = () => {
+    clearProviderSettings();
+    savePreferences(DEFAULT_PREFERENCES);
+    setPreferences(DEFAULT_PREFERENCES);
+    applyProviderSettings(DEFAULT_PROVIDER_SETTINGS);
+  };
+
+  // Gazetteer + network suggestions for one query; shared by the from/to boxes and itinerary stops
+  const searchPlaces = async (query, signal) => {
+    // Built-in gazetteer matches go first and still show up when the network is down
+    let localCities = [];
     try {
-      const res = await fetch(
-        `https://nominatim.openstreetmap.org/search?format=json&limit=6&q=${encodeURIComponent(query)}&addressdetails=1`
-      );
-      const data = await res.json();
-
-      if (data && data.length > 0) {
-        const cities = data.map(place => ({
-          name: place.display_name.split(',')[0],
-          country: place.address?.country || '',
-          state: place.address?.state || place.address?.city || place.address?.suburb || '',
-          lat: parseFloat(place.lat),
-          lon: parseFloat(place.lon),
-          display: place.display_name
-        }));
-        setSuggestions(prev => ({ ...prev, [type]: cities }));
-      } else {
-        setSuggestions(prev => ({ ...prev, [type]: [] }));
+      const gazetteer = await loadGazetteer();
+      localCities = searchGazetteer(gazetteer, query, { limit: preferences.offlineMode ? 6 : 3 });
+
+      // "DEL" / "vabb" typed as-is: offer the airport itself first
+      const airport = isAirportCode(query, { caseSensitive: false }) && lookupAirportCode(gazetteer, query);
+      if (airport) {
+        localCities = [airport, ...localCities.filter(c => c.display !== airport.display)];
       }
     } catch (err) {
-      console.error('Failed to fetch cities:', err);
+      console.error('Failed to load offline gazetteer:', err);
+    }
+
+    try {
+      const cities = preferences.offlineMode ? [] : await geocoder.search(query, { limit: 6, signal });
+      return [...localCities, ...cities];
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error('Failed to fetch cities:', err);
+      return localCities;
+    }
+  };
+
+  const fetchCities = async (query, type) => {
+    // Requests are rate limited, so a keystroke cancels the previous search instead of queueing behind it
+    searchAbortRef.current[type]?.abort();
+    const controller = new AbortController();
+    searchAbortRef.current[type] = controller;
+
+    if (query.length < 2) {
       setSuggestions(prev => ({ ...prev, [type]: [] }));
-    } finally {
       setLoading(prev => ({ ...prev, [type]: false }));
+      return;
     }
+
+    setLoading(prev => ({ ...prev, [type]: true }));
+    const cities = await searchPlaces(query, controller.signal);
+    if (controller.signal.aborted) return;
+    setSuggestions(prev => ({ ...prev, [type]: cities }));
+    setLoading(prev => ({ ...prev, [type]: false }));
   };
 
   const selectCity = (city, type) => {
@@ -107,18 +352,27 @@ export default function AirDistanceCalculator() {
       setSearchQuery(prev => ({ ...prev, to: '' }));
       setSuggestions(prev => ({ ...prev, to: [] }));
     }
+    setCoordText(prev => ({ ...prev, [type]: {} }));
     setDistance(null);
     setRoadDistance(null);
     setRoadDuration(null);
     setRoadError(null);
   };
 
+  // field: 'name', 'lat', 'lon' or 'position' (a whole position in any format utils/coordinates reads)
   const handleCustomInput = (type, field, value) => {
-    const parsedValue = field === 'name' ? value : parseFloat(value) || 0;
-    if (type === 'from') {
-      setFromCity(prev => ({ ...prev, [field]: parsedValue }));
+    const setCity = type === 'from' ? setFromCity : setToCity;
+    if (field === 'name') {
+      setCity(prev => ({ ...prev, name: value }));
+    } else if (field === 'position') {
+      const parsed = parseCoordinates(value);
+      // A readable position replaces whatever was typed into the separate fields
+      setCoordText(prev => ({ ...prev, [type]: parsed.ok ? { position: value } : { ...prev[type], position: value } }));
+      if (parsed.ok) setCity(prev => ({ ...prev, lat: parsed.lat, lon: parsed.lon }));
     } else {
-      setToCity(prev => ({ ...prev, [field]: parsedValue }));
+      const parsed = parseCoordinateValue(value, field);
+      setCoordText(prev => ({ ...prev, [type]: { ...prev[type], position: '', [field]: value } }));
+      if (parsed.ok) setCity(prev => ({ ...prev, [field]: parsed.value }));
     }
     setDistance(null);
     setRoadDistance(null);
@@ -126,553 +380,1233 @@ export default function AirDistanceCalculator() {
     setRoadError(null);
   };
 
-  const fetchRoadDistance = async (fromLat, fromLon, toLat, toLon) => {
-    const cacheKey = `${fromLat.toFixed(4)},${fromLon.toFixed(4)}-${toLat.toFixed(4)},${toLon.toFixed(4)}`;
-    const cached = getCachedRoad(cacheKey);
+  // null when the field hasn't been typed into; lat/lon only change when their text parses
+  const parseCustomField = (type, field) => {
+    const text = coordText[type][field];
+    if (text === undefined || (field === 'position' && !text)) return null;
+    return field === 'position' ? parseCoordinates(text) : parseCoordinateValue(text, field);
+  };
+
+  // Invalid custom fields block the calculation rather than silently using the last good value
+  const customErrors = mode === 'custom'
+    ? ['from', 'to'].flatMap(type => ['position', 'lat', 'lon'].map(field => parseCustomField(type, field)))
+      .filter(parsed => parsed && !parsed.ok)
+    : [];
+
+  // Detected format or parse error under a custom coordinate field
+  const coordinateHint = (type, field) => {
+    const parsed = parseCustomField(type, field);
+    if (!parsed) return null;
+    return parsed.ok
+      ? <span className="coordinate-hint">✓ {describeFormat(parsed.format)}</span>
+      : <span className="coordinate-hint invalid">⚠️ {parsed.error}</span>;
+  };
+
+  // mode: a routed travel mode (utils/travelModes)
+  // geometry: 'simplified' keeps bulk responses small, the single route asks for 'full'
+  // exclude: routeExcludes() for the mode; alternatives: how many other routes to ask for
+  // signal: the caller's AbortSignal; an aborted request returns null
+  // A router that can't honour exclude throws (err.constraints) rather than returning null
+  const fetchCachedRoute = async (points, mode, { geometry, exclude = [], alternatives = 0, signal } = {}) => {
+    const cacheKey = routeCacheKey(routeProfile(mode), points, { geometry, exclude, alternatives });
+    const cached = await getCachedRoad(mode, cacheKey);
     if (cached) return cached;
 
     try {
-      const response = await fetch(
-        `https://router.project-osrm.org/route/v1/driving/${fromLon},${fromLat};${toLon},${toLat}?overview=false`,
-        { signal: abortControllerRef.current?.signal }
-      );
-      
-      if (!response.ok) {
-        throw new Error('Routing service unavailable');
-      }
-      
-      const data = await response.json();
-      
-      if (data.code === 'Ok' && data.routes && data.routes[0]) {
-        const route = data.routes[0];
-        const result = {
-          distance: route.distance / 1000,
-          duration: route.duration / 60
-        };
-        setCachedRoad(cacheKey, result);
-        return result;
-      } else {
-        return null;
-      }
+      const result = await router.route(points, { signal, geometry, mode, exclude, alternatives });
+      if (result) setCachedRoad(mode, cacheKey, result);
+      return result;
     } catch (err) {
       if (err.name === 'AbortError') return null;
+      if (err.constraints) throw err;
       console.error('Road routing error:', err);
       return null;
     }
   };
 
+  const fetchRoadDistance = (fromLat, fromLon, toLat, toLon, mode, { geometry = 'simplified', ...options } = {}) =>
+    fetchCachedRoute([{ lat: fromLat, lon: fromLon }, { lat: toLat, lon: toLon }], mode, { geometry, ...options });
+
+  // Multi-stop route for the itinerary planner; null when the router can't connect every stop
+  const fetchRoute = (points, { signal } = {}) =>
+    fetchCachedRoute(points.map(({ lat, lon }) => ({ lat, lon })), travelMode, { exclude: routeExcludes(travelMode, avoid), signal });
+
+  // Many-to-many routed distances for the matrix; routers without a table service can't do it
+  const fetchTable = async (sources, destinations, signal) => {
+    if (!router.table) throw new Error(`Router "${router.id}" does not support distance matrices`);
+    return router.table(sources, destinations, { signal, mode: travelMode, exclude: routeExcludes(travelMode, avoid) });
+  };
+
+  // A result from one mode says nothing about another, so switching clears the routed result
+  const selectTravelMode = (mode) => {
+    setTravelMode(mode);
+    setRoadDistance(null);
+    setRoadDuration(null);
+    setRoadError(null);
+  };
+
+  // Likewise for a different set of roads to avoid
+  const selectAvoid = (next) => {
+    setAvoid(next);
+    setRoadDistance(null);
+    setRoadDuration(null);
+    setRoadError(null);
+  };
+
   const handleCalculate = async () => {
-    const dist = calculateDistance(fromCity.lat, fromCity.lon, toCity.lat, toCity.lon);
+    if (customErrors.length > 0) return;
+    const dist = calculateDistance(fromCity.lat, fromCity.lon, toCity.lat, toCity.lon, preferences.distanceModel);
     setDistance(dist);
 
-    if (travelMode === 'road') {
+    if (isRoutedMode(travelMode)) {
       setCalculatingRoad(true);
       setRoadDistance(null);
       setRoadDuration(null);
       setRoadError(null);
 
-      const roadData = await fetchRoadDistance(fromCity.lat, fromCity.lon, toCity.lat, toCity.lon);
-      
-      if (roadData) {
-        setRoadDistance(roadData.distance);
-        setRoadDuration(roadData.duration);
-      } else {
-        setRoadError('Unable to calculate road distance. The locations may be too far apart, not connected by road, or separated by water.');
+      // A newer Calculate supersedes one still waiting on the router
+      routeAbortRef.current?.abort();
+      const controller = new AbortController();
+      routeAbortRef.current = controller;
+
+      try {
+        const roadData = await fetchRoadDistance(fromCity.lat, fromCity.lon, toCity.lat, toCity.lon, travelMode, {
+          geometry: 'full',
+          exclude: routeExcludes(travelMode, avoid),
+          alternatives: alternativeCount,
+          signal: controller.signal
+        });
+        // The newer request owns the result and the spinner
+        if (controller.signal.aborted) return;
+
+        if (roadData) {
+          setRoadDistance(roadData.distance);
+          setRoadDuration(roadData.duration);
+          setRoadGeometry(roadData.geometry || null);
+          setRoadAlternatives(roadData.alternatives || []);
+        } else {
+          setRoadError(TRAVEL_MODES[travelMode].routeError);
+        }
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setRoadError(`${err.message}. Clear the avoid options or pick another routing profile in ⚙️ Settings.`);
       }
       
       setCalculatingRoad(false);
     }
   };
 
-  // OPTIMIZED: Bulk geocoding with retry and signal
-  const geocodeBulk = async (locationName, signal, retries = 2) => {
+  // OPTIMIZED: Bulk geocoding - cache, then gazetteer, then the rate-limited geocoder
+  // Unambiguous places are cached as before; ambiguous ones are not, and carry their
+  // candidates on to the review step
+  const settlePlace = (name, candidates, { ambiguous, reason } = assessCandidates(candidates)) => {
+    const coords = { lat: candidates[0].lat, lon: candidates[0].lon };
+    if (!ambiguous) {
+      setCachedCoords(name, coords);
+      return coords;
+    }
+    return { ...coords, ambiguous, reason, candidates };
+  };
+
+  // airport: the airport a bare code-shaped name stands for, if any. It wins unless the name
+  // also matches a place somewhere else, which goes to review.
+  const settleMatches = (name, candidates, airport) => {
+    if (!airport) return settlePlace(name, candidates);
+    const { candidates: withAirport, ...assessment } = assessAirportCode(name, airport, candidates);
+    return settlePlace(name, withAirport, assessment);
+  };
+
+  const geocodeBulk = async (locationName, signal) => {
     if (!locationName) return null;
-    const cached = getCachedCoords(locationName);
+    const chosen = await getPlaceChoice(locationName);
+    if (chosen) return chosen;
+    const cached = await getCachedCoords(locationName);
     if (cached) return cached;
 
-    for (let attempt = 0; attempt <= retries; attempt++) {
+    // Embedded gazetteer first - common cities need no network at all
+    let airport = null;
+    try {
+      const gazetteer = await loadGazetteer();
+      const airportPlace = isAirportCode(locationName) && lookupAirportCode(gazetteer, locationName);
+      if (airportPlace) {
+        airport = { display: airportPlace.display, lat: airportPlace.lat, lon: airportPlace.lon, confidence: 1 };
+        if (preferences.bareAirportCodes) return settlePlace(locationName, [airport]);
+      }
+      const minScore = preferences.offlineMode ? 0.75 : 0.9;
+      const matches = searchGazetteer(gazetteer, locationName, { limit: CANDIDATE_LIMIT })
+        .filter(place => place.score >= minScore);
+      if (matches.length > 0) {
+        return settleMatches(locationName, matches.map(place => ({
+          display: place.display,
+          lat: place.lat,
+          lon: place.lon,
+          confidence: place.score,
+          unmatched: place.unmatched
+        })), airport);
+      }
+    } catch (err) {
+      console.error('Offline gazetteer unavailable:', err);
+    }
+    const airportOnly = () => (airport ? settlePlace(locationName, [airport]) : null);
+    if (preferences.offlineMode) return airportOnly();
+
+    // Pacing, 429 handling and retries happen in the provider's request scheduler
+    try {
+      const places = await geocoder.search(locationName, { limit: CANDIDATE_LIMIT, signal });
+      if (places.length > 0) {
+        return settleMatches(locationName, places.map(place => ({
+          display: place.display,
+          lat: place.lat,
+          lon: place.lon,
+          confidence: place.confidence
+        })), airport);
+      }
+      return airportOnly();
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error('Bulk geocoding failed after retries:', err);
+      return signal?.aborted ? null : airportOnly();
+    }
+  };
+
+  // Shows the review screen and waits for the user's picks.
+  // Resolves with Map name -> coords, or an empty Map if the job is cancelled meanwhile.
+  const requestPlaceReview = (items, signal) => new Promise(resolve => {
+    const finish = (choices) => {
+      signal.removeEventListener('abort', onAbort);
+      placeReviewResolveRef.current = null;
+      setPlaceReview(null);
+      resolve(choices);
+    };
+    const onAbort = () => finish(new Map());
+    signal.addEventListener('abort', onAbort, { once: true });
+    placeReviewResolveRef.current = finish;
+    setPlaceReview(items);
+  });
+
+  // remember = false for "use the top match everywhere": that isn't a decision worth keeping
+  const completePlaceReview = async (choices, remember) => {
+    if (remember) await savePlaceChoices(choices);
+    placeReviewResolveRef.current?.(choices);
+  };
+
+  // Shared by bulk mode and the matrix
+  const renderPlaceReview = () => placeReview && (
+    <PlaceReview
+      items={placeReview}
+      onSubmit={(choices) => completePlaceReview(choices, true)}
+      onUseTopMatches={(choices) => completePlaceReview(choices, false)}
+    />
+  );
+
+  // Shows the pre-flight report; resolves with 'skip', 'all' or 'cancel'
+  const requestValidation = (report) => new Promise(resolve => {
+    validationResolveRef.current = (decision) => {
+      validationResolveRef.current = null;
+      setValidationReport(null);
+      resolve(decision);
+    };
+    setValidationReport(report);
+  });
+
+  // Validates every row before a job is created. Resolves with the rows (and any results the
+  // CSV worker already finished) to process, or null when the user cancels.
+  const preflightRows = async (fileName, sheets, issues, finished = new Map()) => {
+    if (issues.length === 0) return { sheets, finished };
+
+    console.log(`🩺 ${issues.length} rows failed validation`);
+    setProcessing(false);
+    const totalRows = sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0);
+    const decision = await requestValidation({ fileName, totalRows, issues });
+
+    if (decision === 'cancel') {
+      setBulkResults([]);
+      setProcessProgress({ current: 0, total: 0, phase: 'parsing', percentage: 0 });
+      return null;
+    }
+    return decision === 'skip' ? dropInvalidRows(sheets, issues, finished) : { sheets, finished };
+  };
+
+  const runScheduledTasks = async (tasks, signal, onProgress) => {
+    let completed = 0;
+    const settled = await Promise.allSettled(tasks.map(async task => {
       try {
-        const res = await fetch(
-          `https://nominatim.openstreetmap.org/search?format=json&limit=1&q=${encodeURIComponent(locationName)}&addressdetails=1`,
-          { signal }
+        return await task(signal);
+      } finally {
+        completed++;
+        if (onProgress && (completed % 3 === 0 || completed === tasks.length)) onProgress(completed);
+      }
+    }));
+    return settled.map(r => r.status === 'fulfilled' ? r.value : null);
+  };
+
+  // Airport codes (iata_/icao_ columns, or bare UPPERCASE "DEL" / "VABB" values when Settings says
+  // from/to hold codes) become coordinates. Other bare codes are geocoded like names, so one that
+  // is also a place name goes to review instead of silently becoming the airport.
+  const resolveAirportCode = (row, end, gazetteer) => {
+    if (hasCoords(row, end)) return row;
+
+    const explicitCode = row[`iata_${end}`] || row[`icao_${end}`];
+    const code = explicitCode || (preferences.bareAirportCodes && isAirportCode(row[end]) ? row[end] : null);
+    if (!code) return row;
+
+    const airport = lookupAirportCode(gazetteer, code);
+    if (!airport) {
+      // Not in the local table - let the geocoder have a go at the code
+      return row[end] ? row : { ...row, [end]: code.toUpperCase() };
+    }
+
+    return {
+      ...row,
+      [end]: row[end] || airport.iata,
+      [`${end}_lat`]: String(airport.lat),
+      [`${end}_lon`]: String(airport.lon),
+      [`${end}_airport`]: `${airport.name} (${airport.iata})`
+    };
+  };
+
+  // Runs every phase for one set of normalised rows and returns the result rows
+  // onRowDone(index, resultRow) fires as soon as a row is final, so the job can checkpoint it
+  // avoid: roads to avoid for motor modes, applied to every row and recorded as route_constraints
+  const processRows = async (rows, signal, { travelMode: mode, distanceModel, flightModel, emissionSettings, costProfile, avoid = [], onRowDone = () => {} }) => {
+    console.log(`📊 Processing ${rows.length} rows...`);
+    // Routed modes only
+    const [hoursKey, minutesKey] = durationKeys(mode);
+    const exclude = routeExcludes(mode, avoid);
+    const routeConstraints = describeConstraints(exclude);
+
+    let jsonData = rows;
+    try {
+      const gazetteer = await loadGazetteer();
+      jsonData = rows.map(row => resolveAirportCode(resolveAirportCode(row, 'from', gazetteer), 'to', gazetteer));
+    } catch (err) {
+      console.error('Airport table unavailable:', err);
+    }
+
+    // Quick check: If all rows have coordinates, skip geocoding entirely
+    const allHaveCoords = jsonData.every(row => hasCoords(row, 'from') && hasCoords(row, 'to'));
+
+    if (allHaveCoords && mode === 'air') {
+      // SUPER FAST PATH: All coordinates + air mode = instant!
+      console.log('🚀 FAST PATH: All coordinates detected! Processing instantly...');
+      setProcessProgress({ 
+        current: 0, 
+        total: jsonData.length, 
+        phase: 'calculating',
+        percentage: 0
+      });
+
+      const results = jsonData.map(row => airResultRow(row, distanceModel, flightModel, emissionSettings, costProfile));
+
+      results.forEach((row, idx) => onRowDone(idx, row));
+      console.log(`✅ INSTANT processing complete! ${results.length} rows in <1 second`);
+      return results;
+    }
+
+    // PHASE 1: Separate coordinate vs geocoding rows
+    const coordinateRows = [];
+    const geocodingRows = [];
+    const uniqueLocations = new Set();
+    const locationMap = new Map();
+
+    jsonData.forEach((row, idx) => {
+      const hasFromCoords = hasCoords(row, 'from');
+      const hasToCoords = hasCoords(row, 'to');
+
+      if (hasFromCoords && hasToCoords) {
+        coordinateRows.push({ row, idx });
+      } else {
+        geocodingRows.push({ row, idx, hasFromCoords, hasToCoords });
+
+        // Collect unique locations for geocoding
+        if (!hasFromCoords && row.from) {
+          uniqueLocations.add(row.from);
+        }
+        if (!hasToCoords && row.to) {
+          uniqueLocations.add(row.to);
+        }
+      }
+    });
+
+    console.log(`⚡ ${coordinateRows.length} rows with coords (instant), ${geocodingRows.length} need geocoding`);
+    console.log(`🌍 ${uniqueLocations.size} unique locations to geocode`);
+
+    const results = new Array(jsonData.length);
+
+    // PHASE 2: Instant processing for coordinate rows
+    if (coordinateRows.length > 0) {
+      setProcessProgress({ 
+        current: 0, 
+        total: jsonData.length, 
+        phase: 'calculating',
+        percentage: 0
+      });
+
+      for (const { row, idx } of coordinateRows) {
+        if (signal.aborted) break;
+
+        if (mode === 'air') {
+          results[idx] = airResultRow(row, distanceModel, flightModel, emissionSettings, costProfile);
+          onRowDone(idx, results[idx]);
+          continue;
+        }
+
+        // Road distances come in phase 5
+        results[idx] = {
+          ...row,
+          from: row.from || 'Coordinates',
+          to: row.to || 'Coordinates',
+          from_lat: parseFloat(row.from_lat).toFixed(4),
+          from_lon: parseFloat(row.from_lon).toFixed(4),
+          to_lat: parseFloat(row.to_lat).toFixed(4),
+          to_lon: parseFloat(row.to_lon).toFixed(4),
+          route_constraints: routeConstraints
+        };
+      }
+
+      setProcessProgress(prev => ({ 
+        ...prev, 
+        current: coordinateRows.length,
+        percentage: Math.round((coordinateRows.length / jsonData.length) * 100)
+      }));
+    }
+
+    // PHASE 3: Batch geocode unique locations
+    if (uniqueLocations.size > 0) {
+      setProcessProgress(prev => ({ 
+        ...prev, 
+        phase: 'geocoding',
+        total: jsonData.length
+      }));
+
+      console.log(`🌍 Starting geocoding for ${uniqueLocations.size} locations...`);
+
+      const geocodeTasks = Array.from(uniqueLocations).map(location => 
+        (sig) => geocodeBulk(location, sig)
+      );
+
+      const geocodeResults = await runScheduledTasks(
+        geocodeTasks,
+        signal,
+        (processed) => {
+          const totalProgress = coordinateRows.length + Math.floor((processed / uniqueLocations.size) * geocodingRows.length);
+          setProcessProgress(prev => ({
+            ...prev,
+            current: totalProgress,
+            percentage: Math.round((totalProgress / jsonData.length) * 100)
+          }));
+        }
+      );
+
+      console.log(`✅ Geocoding complete!`);
+
+      // Map results to location names
+      Array.from(uniqueLocations).forEach((location, i) => {
+        if (geocodeResults[i]) {
+          locationMap.set(location, geocodeResults[i]);
+        }
+      });
+
+      // PHASE 3b: Ambiguous names wait for the user before any distance uses them
+      const ambiguous = Array.from(locationMap).filter(([, place]) => place.ambiguous);
+      if (ambiguous.length > 0 && !signal.aborted) {
+        console.log(`🧐 ${ambiguous.length} ambiguous locations need review`);
+        setProcessProgress(prev => ({ ...prev, phase: 'review', reviewCount: ambiguous.length }));
+        const choices = await requestPlaceReview(
+          ambiguous.map(([name, place]) => ({ name, reason: place.reason, candidates: place.candidates })),
+          signal
         );
-        
-        if (!res.ok) throw new Error('Geocoding failed');
-        
-        const data = await res.json();
-        if (data && data.length > 0) {
-          const result = data[0];
-          const coords = {
-            lat: parseFloat(result.lat),
-            lon: parseFloat(result.lon)
-          };
-          setCachedCoords(locationName, coords);
-          return coords;
+        choices.forEach((coords, name) => locationMap.set(name, coords));
+      }
+    }
+
+    // PHASE 4: Process geocoded rows
+    setProcessProgress(prev => ({ 
+      ...prev, 
+      phase: mode === 'air' ? 'calculating' : 'routing'
+    }));
+
+    let processed = coordinateRows.length;
+
+    for (const { row, idx, hasFromCoords, hasToCoords } of geocodingRows) {
+      if (signal.aborted) break;
+
+      let fromLat, fromLon, fromName;
+      let toLat, toLon, toName;
+
+      // From coordinates
+      if (hasFromCoords) {
+        fromLat = parseFloat(row.from_lat);
+        fromLon = parseFloat(row.from_lon);
+        fromName = row.from || 'Coordinates';
+      } else if (row.from && locationMap.has(row.from)) {
+        const coords = locationMap.get(row.from);
+        fromLat = coords.lat;
+        fromLon = coords.lon;
+        fromName = row.from;
+      } else {
+        fromName = row.from || 'Unknown';
+      }
+
+      // To coordinates
+      if (hasToCoords) {
+        toLat = parseFloat(row.to_lat);
+        toLon = parseFloat(row.to_lon);
+        toName = row.to || 'Coordinates';
+      } else if (row.to && locationMap.has(row.to)) {
+        const coords = locationMap.get(row.to);
+        toLat = coords.lat;
+        toLon = coords.lon;
+        toName = row.to;
+      } else {
+        toName = row.to || 'Unknown';
+      }
+
+      const resultRow = {
+        ...row,
+        from: fromName,
+        to: toName,
+        from_lat: Number.isFinite(fromLat) ? fromLat.toFixed(4) : '-',
+        from_lon: Number.isFinite(fromLon) ? fromLon.toFixed(4) : '-',
+        to_lat: Number.isFinite(toLat) ? toLat.toFixed(4) : '-',
+        to_lon: Number.isFinite(toLon) ? toLon.toFixed(4) : '-'
+      };
+      if (isRoutedMode(mode)) resultRow.route_constraints = routeConstraints;
+
+      // 0 is a real latitude/longitude, so only a missing value counts as missing
+      if ([fromLat, fromLon, toLat, toLon].every(Number.isFinite)) {
+        if (mode === 'air') {
+          const airDist = calculateDistance(fromLat, fromLon, toLat, toLon, distanceModel);
+          resultRow.distance_km = airDist;
+          Object.assign(
+            resultRow,
+            flightTimeColumns(airDist, flightModel),
+            emissionColumns(airDist, 'air', emissionSettings),
+            tripCostColumns(airDist, 'air', costProfile)
+          );
+          resultRow.distance_model = DISTANCE_MODELS[distanceModel].short;
+        } else {
+          const roadData = await fetchRoadDistance(fromLat, fromLon, toLat, toLon, mode, { exclude, signal });
+          // A cancelled request isn't a missing route - leave the row unfinished
+          if (signal.aborted) break;
+          if (roadData) {
+            resultRow.distance_km = roadData.distance;
+            resultRow[hoursKey] = roadData.duration / 60;
+            resultRow[minutesKey] = roadData.duration;
+            Object.assign(
+              resultRow,
+              emissionColumns(roadData.distance, mode, emissionSettings),
+              tripCostColumns(roadData.distance, mode, costProfile)
+            );
+            resultRow.geometry = roadData.geometry;
+          } else {
+            resultRow.distance_km = 'N/A';
+            resultRow[hoursKey] = 'N/A';
+            resultRow[minutesKey] = 'N/A';
+            resultRow.co2_kg = 'N/A';
+            resultRow.error = TRAVEL_MODES[mode].rowError;
+          }
         }
-        return null;
-      } catch (err) {
-        if (err.name === 'AbortError') return null;
-        if (attempt === retries) {
-          console.error('Bulk geocoding failed after retries:', err);
-          return null;
+      } else {
+        resultRow.distance_km = '-';
+        resultRow.error = 'Geocoding failed';
+        if (mode === 'air') {
+          resultRow.flight_time_hours = '-';
+          resultRow.block_time_hours = '-';
+        } else {
+          resultRow[hoursKey] = '-';
+          resultRow[minutesKey] = '-';
+        }
+        resultRow.co2_kg = '-';
+      }
+
+      results[idx] = resultRow;
+      onRowDone(idx, resultRow);
+      processed++;
+
+      // Update progress every 3 rows (faster UI updates)
+      if (processed % 3 === 0 || processed === jsonData.length) {
+        setProcessProgress(prev => ({
+          ...prev,
+          current: processed,
+          percentage: Math.round((processed / jsonData.length) * 100)
+        }));
+      }
+    }
+
+    // PHASE 5: Routing for coordinate rows if needed
+    if (isRoutedMode(mode) && coordinateRows.length > 0) {
+      setProcessProgress(prev => ({ ...prev, phase: 'routing-coords' }));
+
+      for (const { row, idx } of coordinateRows) {
+        if (signal.aborted) break;
+
+        const fromLat = parseFloat(row.from_lat);
+        const fromLon = parseFloat(row.from_lon);
+        const toLat = parseFloat(row.to_lat);
+        const toLon = parseFloat(row.to_lon);
+
+        const roadData = await fetchRoadDistance(fromLat, fromLon, toLat, toLon, mode, { exclude, signal });
+        if (signal.aborted) break;
+        if (roadData) {
+          results[idx].distance_km = roadData.distance;
+          results[idx][hoursKey] = roadData.duration / 60;
+          results[idx][minutesKey] = roadData.duration;
+          Object.assign(
+            results[idx],
+            emissionColumns(roadData.distance, mode, emissionSettings),
+            tripCostColumns(roadData.distance, mode, costProfile)
+          );
+          results[idx].geometry = roadData.geometry;
+        } else {
+          results[idx].error = TRAVEL_MODES[mode].rowError;
         }
-        await new Promise(resolve => setTimeout(resolve, 300 * (attempt + 1)));
+        onRowDone(idx, results[idx]);
       }
     }
-    return null;
+
+    console.log(`✅ Processing complete! ${results.length} rows processed`);
+    return results.filter(r => r !== undefined);
   };
 
-  // SUPER OPTIMIZED: Parallel batch processor with dynamic batching
-  const processInBatches = async (tasks, batchSize = 25, delayMs = 250, signal, onProgress) => {
-    const results = [];
-    const totalBatches = Math.ceil(tasks.length / batchSize);
-    
-    for (let i = 0; i < tasks.length; i += batchSize) {
-      if (signal?.aborted) break;
-      
-      const batch = tasks.slice(i, i + batchSize);
-      const batchResults = await Promise.allSettled(batch.map(task => task(signal)));
-      results.push(...batchResults.map(r => r.status === 'fulfilled' ? r.value : null));
-      
-      // Batch progress updates (every 3 items or on batch complete)
-      if (onProgress && (results.length % 3 === 0 || i + batchSize >= tasks.length)) {
-        onProgress(results.length);
+  // Runs (or resumes) a checkpointed job. Finished rows go to IndexedDB as they complete,
+  // so cancelling keeps them and a reload can resume from the last checkpoint.
+  const executeJob = async (job, finished = new Map()) => {
+    abortControllerRef.current = new AbortController();
+    const signal = abortControllerRef.current.signal;
+    const checkpoint = createCheckpointWriter(job, finished.size);
+    activeJobIdRef.current = job.key;
+    lastJobRef.current = { job, finished, resumable: true };
+
+    setProcessing(true);
+    setCacheStats(EMPTY_CACHE_STATS);
+    setRetrySummary(null);
+    setBulkTravelMode(job.travelMode);
+    setBulkAvoid(job.avoid || []);
+
+    const collectResults = () => collectJobResults(job, finished);
+
+    // Stream finished rows into the table, at most a few times a second
+    let publishTimer = null;
+    const publishResults = () => {
+      if (publishTimer) return;
+      publishTimer = setTimeout(() => {
+        publishTimer = null;
+        setBulkResults(collectResults());
+      }, RESULTS_REFRESH_MS);
+    };
+    setBulkResults(collectResults());
+
+    try {
+      for (const [sheetIndex, sheet] of job.sheets.entries()) {
+        if (signal.aborted) break;
+
+        const pending = pendingJobRows(sheet, sheetIndex, finished);
+        if (pending.length === 0) continue;
+
+        await processRows(pending.map(({ row }) => row), signal, {
+          travelMode: job.travelMode,
+          distanceModel: job.distanceModel,
+          // Jobs saved before flight models, emission factors or cost profiles existed use the current settings
+          flightModel: job.flightModel || flightModel,
+          emissionSettings: job.emissionSettings || emissionSettings,
+          costProfile: job.costProfile || costProfile,
+          // Jobs saved before route constraints existed avoided nothing
+          avoid: job.avoid || [],
+          onRowDone: (index, result) => {
+            const { rowIndex } = pending[index];
+            const value = sheet.name ? { ...result, sheet: sheet.name } : result;
+            finished.set(`${sheetIndex}:${rowIndex}`, value);
+            checkpoint.add(sheetIndex, rowIndex, value);
+            publishResults();
+          }
+        });
       }
-      
-      // Shorter delay for speed
-      if (i + batchSize < tasks.length) {
-        await new Promise(resolve => setTimeout(resolve, delayMs));
+
+      await checkpoint.flush();
+      setBulkResults(collectResults());
+
+      if (signal.aborted) {
+        // Keep what finished: it can be downloaded now and the rest resumed later
+        lastJobRef.current.job = await updateJob(job, { status: 'cancelled', completedRows: finished.size });
+        setProcessProgress({
+          current: finished.size,
+          total: job.totalRows,
+          phase: 'cancelled',
+          percentage: Math.round((finished.size / job.totalRows) * 100)
+        });
+      } else {
+        await deleteJob(job.key);
+        lastJobRef.current.resumable = false;
+        setProcessProgress({ current: job.totalRows, total: job.totalRows, phase: 'done', percentage: 100 });
+      }
+    } catch (err) {
+      console.error('File processing error:', err);
+      await checkpoint.flush();
+      lastJobRef.current.job = await updateJob(job, { status: 'failed', completedRows: finished.size });
+      setBulkResults(collectResults());
+      alert('Error processing file: ' + err.message);
+    } finally {
+      clearTimeout(publishTimer);
+      activeJobIdRef.current = null;
+      setProcessing(false);
+      refreshResumableJobs();
+    }
+  };
+
+  // Re-runs only the rows that failed to geocode or route. Failures are never cached, so the
+  // geocoder and router are asked again; places and routes that worked come from the cache.
+  const retryFailedRows = async () => {
+    const lastJob = lastJobRef.current;
+    if (!lastJob) return;
+    const { job, finished } = lastJob;
+    const failed = Array.from(finished)
+      .filter(([, value]) => RETRYABLE_ERRORS.includes(value.error))
+      .map(([key]) => {
+        const [sheetIndex, rowIndex] = key.split(':').map(Number);
+        return { key, sheet: job.sheets[sheetIndex], row: job.sheets[sheetIndex].rows[rowIndex] };
+      });
+    if (failed.length === 0) return;
+
+    abortControllerRef.current = new AbortController();
+    const signal = abortControllerRef.current.signal;
+    const previousProgress = processProgress;
+    const recovered = new Map();
+
+    setProcessing(true);
+    setRetrySummary(null);
+    setCacheStats(EMPTY_CACHE_STATS);
+
+    try {
+      await processRows(failed.map(({ row }) => row), signal, {
+        travelMode: job.travelMode,
+        distanceModel: job.distanceModel,
+        flightModel: job.flightModel || flightModel,
+        emissionSettings: job.emissionSettings || emissionSettings,
+        costProfile: job.costProfile || costProfile,
+        avoid: job.avoid || [],
+        onRowDone: (index, result) => {
+          if (result.error) return;
+          const { key, sheet } = failed[index];
+          recovered.set(key, sheet.name ? { ...result, sheet: sheet.name } : result);
+        }
+      });
+    } catch (err) {
+      console.error('Retry error:', err);
+    }
+
+    recovered.forEach((value, key) => finished.set(key, value));
+    // A cancelled job can still be resumed, so its checkpoint has to see the fixed rows
+    if (lastJob.resumable && recovered.size > 0) {
+      lastJob.job = await saveJobRows(job, recovered, finished.size);
+    }
+    setBulkResults(collectJobResults(job, finished));
+    setProcessProgress(previousProgress);
+    setRetrySummary({ recovered: recovered.size, attempted: failed.length, cancelled: signal.aborted });
+    setProcessing(false);
+  };
+
+  // sheets: [{ name, rows }] - name is null for plain CSV input
+  // mapping: column mapping from the wizard (utils/columnMapping), null when not needed
+  const runBulkJob = async (sheets, fileName, mapping = null) => {
+    const normalized = [];
+    for (const sheet of sheets) {
+      const rows = normalizeRows(mapping ? sheet.rows.map(row => applyMapping(row, mapping)) : sheet.rows);
+      if (rows.length === 0) {
+        console.warn(`No valid data found${sheet.name ? ` in sheet "${sheet.name}"` : ''}`);
+        continue;
       }
+      normalized.push({ name: sheet.name, rows });
     }
-    return results;
+
+    if (normalized.length === 0) {
+      alert('No valid data found in file');
+      setProcessing(false);
+      return;
+    }
+
+    const issues = normalized.flatMap((sheet, sheetIndex) => sheet.rows.flatMap((row, rowIndex) => {
+      const problems = validateRow(row);
+      return problems.length > 0 ? [rowIssue(sheet, sheetIndex, row, rowIndex, problems)] : [];
+    }));
+    const checked = await preflightRows(fileName, normalized, issues);
+    if (!checked) return;
+
+    const job = await createJob({
+      fileName,
+      travelMode: bulkTravelMode,
+      distanceModel: preferences.distanceModel,
+      flightModel,
+      emissionSettings,
+      costProfile,
+      avoid: bulkAvoid,
+      sheets: checked.sheets
+    });
+    await executeJob(job);
   };
 
-  const isNumericCoord = (val) => {
-    if (!val) return false;
-    const num = parseFloat(val);
-    return !isNaN(num) && val.toString().trim() !== '';
+  const resumeJob = async (job) => {
+    setWorkbook(null);
+    try {
+      const finished = await loadJobRows(job.key);
+      await executeJob(job, finished);
+    } catch (err) {
+      console.error('Could not resume job:', err);
+      alert('This job could not be resumed. Please upload the file again.');
+    }
   };
 
-  // MAIN OPTIMIZED FILE UPLOAD HANDLER
-  const handleFileUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  const discardJob = async (job) => {
+    await deleteJob(job.key);
+    refreshResumableJobs();
+  };
 
-    // Create abort controller
+  // CSV files are parsed in a worker and streamed in; air rows with coordinates arrive
+  // already calculated, so they show up in the table while the rest of the file is read.
+  const streamCsvJob = async (file, mapping) => {
     abortControllerRef.current = new AbortController();
     const signal = abortControllerRef.current.signal;
+    const rows = [];
+    const finished = new Map();
+    const problemsByRow = [];
+    const travelModeForJob = bulkTravelMode;
+    const distanceModel = preferences.distanceModel;
+    const jobFlightModel = flightModel;
+    const jobEmissionSettings = emissionSettings;
+    const jobCostProfile = costProfile;
+    const jobAvoid = bulkAvoid;
 
     setProcessing(true);
     setProcessProgress({ current: 0, total: 0, phase: 'parsing', percentage: 0 });
     setBulkResults([]);
 
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      dynamicTyping: false,
-      worker: false, // Disable worker for faster small file parsing
-      transformHeader: (header) => header.trim().toLowerCase(),
-      transform: (value) => value?.trim() || '',
-      complete: async (parseResult) => {
-        try {
-          let jsonData = parseResult.data;
-          
-          // Quick data cleaning
-          jsonData = jsonData.map(row => {
-            const keys = Object.keys(row);
-            if (keys.length === 1) {
-              const value = row[keys[0]];
-              if (value && typeof value === 'string' && value.includes(',')) {
-                const cleanValue = value.replace(/"/g, '').trim();
-                const parts = cleanValue.split(',').map(p => p.trim());
-                if (parts.length === 2) {
-                  return { from: parts[0], to: parts[1] };
-                } else if (parts.length === 4 && parts.every(p => isNumericCoord(p))) {
-                  return { 
-                    from_lat: parts[0], from_lon: parts[1], 
-                    to_lat: parts[2], to_lon: parts[3],
-                    from: 'Coordinates', to: 'Coordinates'
-                  };
-                }
-              }
-            }
-            return row;
-          });
-          
-          // Filter invalid rows
-          jsonData = jsonData.filter(row => 
-            (row.from || row.from_lat || row.to || row.to_lat) && 
-            Object.values(row).some(v => v && v.toString().trim() !== '')
-          );
-
-          if (jsonData.length === 0) {
-            alert('No valid data found in CSV file');
-            setProcessing(false);
-            return;
+    try {
+      await streamCsv(file, {
+        travelMode: travelModeForJob,
+        distanceModel,
+        flightModel: jobFlightModel,
+        emissionSettings: jobEmissionSettings,
+        costProfile: jobCostProfile,
+        mapping,
+        signal,
+        onChunk: ({ rows: chunkRows, results, issues, progress }) => {
+          chunkRows.forEach(row => rows.push(row));
+          issues.forEach(issue => problemsByRow.push(issue));
+          results.forEach(([rowIndex, result]) => finished.set(`0:${rowIndex}`, result));
+          setProcessProgress({ current: rows.length, total: 0, phase: 'parsing', percentage: Math.round(progress * 100) });
+          if (results.length > 0) {
+            setBulkResults(prev => prev.concat(results.map(([, result]) => result)));
           }
+        }
+      });
+    } catch (err) {
+      setBulkResults([]);
+      setProcessing(false);
+      if (err.name === 'AbortError') {
+        setProcessProgress({ current: 0, total: 0, phase: 'parsing', percentage: 0 });
+        return;
+      }
+      console.error('Parse error:', err);
+      alert('Error reading file. Please ensure it is a valid CSV file.');
+      return;
+    }
 
-          console.log(`📊 Processing ${jsonData.length} rows...`);
-          setBulkData(jsonData);
+    if (rows.length === 0) {
+      alert('No valid data found in file');
+      setProcessing(false);
+      return;
+    }
 
-          // Quick check: If all rows have coordinates, skip geocoding entirely
-          const allHaveCoords = jsonData.every(row => 
-            row.from_lat && row.from_lon && row.to_lat && row.to_lon &&
-            isNumericCoord(row.from_lat) && isNumericCoord(row.from_lon) &&
-            isNumericCoord(row.to_lat) && isNumericCoord(row.to_lon)
-          );
+    const sheet = { name: null, rows };
+    const issues = problemsByRow.map(([rowIndex, problems]) => rowIssue(sheet, 0, rows[rowIndex], rowIndex, problems));
+    const checked = await preflightRows(file.name, [sheet], issues, finished);
+    if (!checked) return;
+
+    let job = await createJob({
+      fileName: file.name,
+      travelMode: travelModeForJob,
+      distanceModel,
+      flightModel: jobFlightModel,
+      emissionSettings: jobEmissionSettings,
+      costProfile: jobCostProfile,
+      avoid: jobAvoid,
+      sheets: checked.sheets
+    });
+    if (checked.finished.size > 0) job = await saveJobRows(job, checked.finished);
+    await executeJob(job, checked.finished);
+  };
 
-          if (allHaveCoords && bulkTravelMode === 'air') {
-            // SUPER FAST PATH: All coordinates + air mode = instant!
-            console.log('🚀 FAST PATH: All coordinates detected! Processing instantly...');
-            setProcessProgress({ 
-              current: 0, 
-              total: jsonData.length, 
-              phase: 'calculating',
-              percentage: 0
-            });
-
-            const results = jsonData.map((row, idx) => {
-              const fromLat = parseFloat(row.from_lat);
-              const fromLon = parseFloat(row.from_lon);
-              const toLat = parseFloat(row.to_lat);
-              const toLon = parseFloat(row.to_lon);
-
-              const airDist = calculateDistance(fromLat, fromLon, toLat, toLon);
-
-              return {
-                ...row,
-                from: row.from || 'Coordinates',
-                to: row.to || 'Coordinates',
-                from_lat: fromLat.toFixed(4),
-                from_lon: fromLon.toFixed(4),
-                to_lat: toLat.toFixed(4),
-                to_lon: toLon.toFixed(4),
-                distance_km: airDist.toFixed(2),
-                distance_miles: (airDist * 0.621371).toFixed(2),
-                flight_time_hours: (airDist / 800).toFixed(1)
-              };
-            });
-
-            setBulkResults(results);
-            setProcessProgress({ current: jsonData.length, total: jsonData.length, phase: 'done', percentage: 100 });
-            setProcessing(false);
-            console.log(`✅ INSTANT processing complete! ${results.length} rows in <1 second`);
-            return;
-          }
+  // Files whose headers aren't the ones the pipeline reads directly go through the column
+  // mapping step first; start(mapping) runs the job (mapping is null when none is needed)
+  const prepareMapping = (fileName, preview, start) => {
+    const headers = [...new Set(preview.flatMap(row => Object.keys(row)))];
+    const presets = loadMappingPresets();
+    const presetName = findMatchingPreset(presets, headers);
+    const mapping = presetName ? presets[presetName] : suggestMapping(headers);
 
-          // PHASE 1: Separate coordinate vs geocoding rows
-          const coordinateRows = [];
-          const geocodingRows = [];
-          const uniqueLocations = new Set();
-          const locationMap = new Map();
-
-          jsonData.forEach((row, idx) => {
-            const hasFromCoords = row.from_lat && row.from_lon && 
-                                 isNumericCoord(row.from_lat) && isNumericCoord(row.from_lon);
-            const hasToCoords = row.to_lat && row.to_lon && 
-                               isNumericCoord(row.to_lat) && isNumericCoord(row.to_lon);
-            
-            if (hasFromCoords && hasToCoords) {
-              coordinateRows.push({ row, idx });
-            } else {
-              geocodingRows.push({ row, idx, hasFromCoords, hasToCoords });
-              
-              // Collect unique locations for geocoding
-              if (!hasFromCoords && row.from) {
-                uniqueLocations.add(row.from);
-              }
-              if (!hasToCoords && row.to) {
-                uniqueLocations.add(row.to);
-              }
-            }
-          });
-
-          console.log(`⚡ ${coordinateRows.length} rows with coords (instant), ${geocodingRows.length} need geocoding`);
-          console.log(`🌍 ${uniqueLocations.size} unique locations to geocode`);
-
-          const results = new Array(jsonData.length);
-
-          // PHASE 2: Instant processing for coordinate rows
-          if (coordinateRows.length > 0) {
-            setProcessProgress({ 
-              current: 0, 
-              total: jsonData.length, 
-              phase: 'calculating',
-              percentage: 0
-            });
-
-            for (const { row, idx } of coordinateRows) {
-              if (signal.aborted) break;
-
-              const fromLat = parseFloat(row.from_lat);
-              const fromLon = parseFloat(row.from_lon);
-              const toLat = parseFloat(row.to_lat);
-              const toLon = parseFloat(row.to_lon);
-
-              const resultRow = {
-                ...row,
-                from: row.from || 'Coordinates',
-                to: row.to || 'Coordinates',
-                from_lat: fromLat.toFixed(4),
-                from_lon: fromLon.toFixed(4),
-                to_lat: toLat.toFixed(4),
-                to_lon: toLon.toFixed(4)
-              };
-
-              if (bulkTravelMode === 'air') {
-                const airDist = calculateDistance(fromLat, fromLon, toLat, toLon);
-                resultRow.distance_km = airDist.toFixed(2);
-                resultRow.distance_miles = (airDist * 0.621371).toFixed(2);
-                resultRow.flight_time_hours = (airDist / 800).toFixed(1);
-              }
-
-              results[idx] = resultRow;
-            }
-
-            setProcessProgress(prev => ({ 
-              ...prev, 
-              current: coordinateRows.length,
-              percentage: Math.round((coordinateRows.length / jsonData.length) * 100)
-            }));
-          }
+    if (!needsMapping(headers, mapping)) {
+      start(null);
+      return;
+    }
+    setProcessing(false);
+    setMappingDraft({ fileName, headers, preview, mapping, presetName, start });
+  };
 
-          // PHASE 3: Batch geocode unique locations
-          if (uniqueLocations.size > 0) {
-            setProcessProgress(prev => ({ 
-              ...prev, 
-              phase: 'geocoding',
-              total: jsonData.length
-            }));
+  const confirmMapping = (mapping) => {
+    const { start } = mappingDraft;
+    setMappingDraft(null);
+    start(mapping);
+  };
 
-            console.log(`🌍 Starting geocoding for ${uniqueLocations.size} locations...`);
+  const loadWorkbook = async (file) => {
+    setProcessing(true);
+    setProcessProgress({ current: 0, total: 0, phase: 'parsing', percentage: 0 });
+    setBulkResults([]);
 
-            const geocodeTasks = Array.from(uniqueLocations).map(location => 
-              (sig) => geocodeBulk(location, sig)
-            );
+    try {
+      const book = await readWorkbook(file);
+      const nonEmpty = book.sheetNames.filter(name => book.sheets[name].length > 0);
 
-            // Parallel geocoding: 25 concurrent requests (increased!), 250ms delay (reduced!)
-            const geocodeResults = await processInBatches(
-              geocodeTasks,
-              25,
-              250,
-              signal,
-              (processed) => {
-                const totalProgress = coordinateRows.length + Math.floor((processed / uniqueLocations.size) * geocodingRows.length);
-                setProcessProgress(prev => ({
-                  ...prev,
-                  current: totalProgress,
-                  percentage: Math.round((totalProgress / jsonData.length) * 100)
-                }));
-              }
-            );
+      if (nonEmpty.length === 0) {
+        alert('No valid data found in Excel file');
+        setProcessing(false);
+        return;
+      }
 
-            console.log(`✅ Geocoding complete!`);
+      if (nonEmpty.length === 1) {
+        setWorkbook(null);
+        const sheets = [{ name: nonEmpty[0], rows: book.sheets[nonEmpty[0]] }];
+        prepareMapping(book.fileName, sheets[0].rows.slice(0, MAPPING_PREVIEW_ROWS), mapping => runBulkJob(sheets, book.fileName, mapping));
+        return;
+      }
 
-            // Map results to location names
-            Array.from(uniqueLocations).forEach((location, i) => {
-              if (geocodeResults[i]) {
-                locationMap.set(location, geocodeResults[i]);
-              }
-            });
-          }
+      // Multi-sheet workbook: let the user pick which sheets to process
+      setWorkbook(book);
+      setSelectedSheets(nonEmpty);
+      setProcessing(false);
+    } catch (err) {
+      console.error('Excel read error:', err);
+      alert('Error reading file. Please ensure it is a valid Excel workbook.');
+      setProcessing(false);
+    }
+  };
 
-          // PHASE 4: Process geocoded rows
-          setProcessProgress(prev => ({ 
-            ...prev, 
-            phase: bulkTravelMode === 'air' ? 'calculating' : 'routing'
-          }));
+  const processSelectedSheets = () => {
+    if (!workbook || selectedSheets.length === 0) return;
+    const sheets = workbook.sheetNames
+      .filter(name => selectedSheets.includes(name))
+      .map(name => ({ name, rows: workbook.sheets[name] }));
+    const preview = sheets.flatMap(sheet => sheet.rows.slice(0, MAPPING_PREVIEW_ROWS));
+    prepareMapping(workbook.fileName, preview, mapping => runBulkJob(sheets, workbook.fileName, mapping));
+  };
 
-          let processed = coordinateRows.length;
-
-          for (const { row, idx, hasFromCoords, hasToCoords } of geocodingRows) {
-            if (signal.aborted) break;
-
-            let fromLat, fromLon, fromName;
-            let toLat, toLon, toName;
-
-            // From coordinates
-            if (hasFromCoords) {
-              fromLat = parseFloat(row.from_lat);
-              fromLon = parseFloat(row.from_lon);
-              fromName = row.from || 'Coordinates';
-            } else if (row.from && locationMap.has(row.from)) {
-              const coords = locationMap.get(row.from);
-              fromLat = coords.lat;
-              fromLon = coords.lon;
-              fromName = row.from;
-            } else {
-              fromName = row.from || 'Unknown';
-            }
-
-            // To coordinates
-            if (hasToCoords) {
-              toLat = parseFloat(row.to_lat);
-              toLon = parseFloat(row.to_lon);
-              toName = row.to || 'Coordinates';
-            } else if (row.to && locationMap.has(row.to)) {
-              const coords = locationMap.get(row.to);
-              toLat = coords.lat;
-              toLon = coords.lon;
-              toName = row.to;
-            } else {
-              toName = row.to || 'Unknown';
-            }
-
-            const resultRow = {
-              ...row,
-              from: fromName,
-              to: toName,
-              from_lat: fromLat ? fromLat.toFixed(4) : '-',
-              from_lon: fromLon ? fromLon.toFixed(4) : '-',
-              to_lat: toLat ? toLat.toFixed(4) : '-',
-              to_lon: toLon ? toLon.toFixed(4) : '-'
-            };
-
-            if (fromLat && fromLon && toLat && toLon) {
-              if (bulkTravelMode === 'air') {
-                const airDist = calculateDistance(fromLat, fromLon, toLat, toLon);
-                resultRow.distance_km = airDist.toFixed(2);
-                resultRow.distance_miles = (airDist * 0.621371).toFixed(2);
-                resultRow.flight_time_hours = (airDist / 800).toFixed(1);
-              } else {
-                const roadData = await fetchRoadDistance(fromLat, fromLon, toLat, toLon);
-                if (roadData) {
-                  resultRow.distance_km = roadData.distance.toFixed(2);
-                  resultRow.distance_miles = (roadData.distance * 0.621371).toFixed(2);
-                  resultRow.drive_time_hours = (roadData.duration / 60).toFixed(1);
-                  resultRow.drive_time_minutes = Math.floor(roadData.duration);
-                } else {
-                  resultRow.distance_km = 'N/A';
-                  resultRow.distance_miles = 'N/A';
-                  resultRow.drive_time_hours = 'N/A';
-                  resultRow.drive_time_minutes = 'N/A';
-                  resultRow.error = 'Road route not available';
-                }
-                // Shorter delay for road routing (100ms instead of 150ms)
-                await new Promise(resolve => setTimeout(resolve, 100));
-              }
-            } else {
-              resultRow.distance_km = '-';
-              resultRow.distance_miles = '-';
-              resultRow.error = 'Geocoding failed';
-              if (bulkTravelMode === 'air') {
-                resultRow.flight_time_hours = '-';
-              } else {
-                resultRow.drive_time_hours = '-';
-                resultRow.drive_time_minutes = '-';
-              }
-            }
-
-            results[idx] = resultRow;
-            processed++;
-
-            // Update progress every 3 rows (faster UI updates)
-            if (processed % 3 === 0 || processed === jsonData.length) {
-              setProcessProgress(prev => ({
-                ...prev,
-                current: processed,
-                percentage: Math.round((processed / jsonData.length) * 100)
-              }));
-            }
-          }
+  const toggleSheet = (name) => {
+    setSelectedSheets(prev => prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]);
+  };
 
-          // PHASE 5: Road routing for coordinate rows if needed
-          if (bulkTravelMode === 'road' && coordinateRows.length > 0) {
-            setProcessProgress(prev => ({ ...prev, phase: 'routing-coords' }));
-
-            for (const { row, idx } of coordinateRows) {
-              if (signal.aborted) break;
-
-              const fromLat = parseFloat(row.from_lat);
-              const fromLon = parseFloat(row.from_lon);
-              const toLat = parseFloat(row.to_lat);
-              const toLon = parseFloat(row.to_lon);
-
-              const roadData = await fetchRoadDistance(fromLat, fromLon, toLat, toLon);
-              if (roadData) {
-                results[idx].distance_km = roadData.distance.toFixed(2);
-                results[idx].distance_miles = (roadData.distance * 0.621371).toFixed(2);
-                results[idx].drive_time_hours = (roadData.duration / 60).toFixed(1);
-                results[idx].drive_time_minutes = Math.floor(roadData.duration);
-              } else {
-                results[idx].error = 'Road route not available';
-              }
-              await new Promise(resolve => setTimeout(resolve, 100));
-            }
-          }
+  // MAIN OPTIMIZED FILE UPLOAD HANDLER
+  const handleFileUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    // Allow picking the same file again after a run
+    e.target.value = '';
+    setMappingDraft(null);
 
-          setBulkResults(results.filter(r => r !== undefined));
-          setProcessProgress({ current: jsonData.length, total: jsonData.length, phase: 'done', percentage: 100 });
-          setProcessing(false);
-          
-          console.log(`✅ Processing complete! ${results.length} rows processed`);
-        } catch (err) {
-          console.error('File processing error:', err);
-          alert('Error processing file: ' + err.message);
-          setProcessing(false);
-        }
-      },
-      error: (error) => {
-        console.error('Parse error:', error);
-        alert('Error reading file. Please ensure it is a valid CSV file.');
-        setProcessing(false);
-      }
-    });
+    if (isExcelFile(file)) {
+      loadWorkbook(file);
+      return;
+    }
+
+    setWorkbook(null);
+    try {
+      const preview = await previewCsv(file, MAPPING_PREVIEW_ROWS);
+      prepareMapping(file.name, preview, mapping => streamCsvJob(file, mapping));
+    } catch (err) {
+      console.error('Parse error:', err);
+      alert('Error reading file. Please ensure it is a valid CSV file.');
+    }
+  };
+
+  // Raw km and hours first, then the distance in the unit chosen in Settings
+  const getExportHeaders = () => {
+    const headers = bulkTravelMode === 'air'
+      ? ['from', 'to', 'from_lat', 'from_lon', 'to_lat', 'to_lon', 'distance_km', 'flight_time_hours', 'block_time_hours', 'aircraft', 'distance_model', 'co2_kg', 'co2_basis', ...COST_EXPORT_HEADERS.air, ...UNIT_EXPORT_HEADERS]
+      : ['from', 'to', 'from_lat', 'from_lon', 'to_lat', 'to_lon', 'distance_km', ...durationKeys(bulkTravelMode), 'co2_kg', 'co2_basis', ...COST_EXPORT_HEADERS.road, 'route_constraints', ...UNIT_EXPORT_HEADERS];
+    if (bulkResults.some(r => r.from_airport || r.to_airport)) {
+      headers.splice(2, 0, 'from_airport', 'to_airport');
+    }
+    return bulkResults.some(r => r.sheet) ? [...headers, 'sheet'] : headers;
+  };
+
+  const withUnitColumns = (rows) => rows.map(row => ({ ...row, ...unitColumns(row.distance_km, preferences) }));
+
+  // Table downloads either take every row or follow the table's current filter and sort
+  const tableExportRows = () => withUnitColumns(exportCurrentView ? visibleResults : bulkResults);
+
+  // Spreadsheet downloads end with a TOTAL row, as travel claims need the sums
+  const withTotalsRow = (rows) => {
+    if (rows.length === 0) return rows;
+    const totals = columnTotals(rows);
+    const currency = rows.find(r => r.cost_currency)?.cost_currency;
+    if (currency) {
+      Object.keys(totals).filter(key => key.startsWith('cost_')).forEach(key => {
+        totals[key] = roundMoney(totals[key], currency);
+      });
+    }
+    return [...rows, { from: 'TOTAL', ...totals, cost_currency: currency, ...unitColumns(totals.distance_km, preferences) }];
   };
 
   const downloadResults = () => {
-    let headers;
-    
-    if (bulkTravelMode === 'air') {
-      headers = ['from', 'to', 'from_lat', 'from_lon', 'to_lat', 'to_lon', 'distance_km', 'distance_miles', 'flight_time_hours'];
+    downloadCsv(getExportHeaders(), withTotalsRow(tableExportRows()), `distance_results_${bulkTravelMode}_${Date.now()}.csv`);
+  };
+
+  // One output sheet per processed input sheet (plain CSV input becomes a single "Results" sheet)
+  const downloadExcel = () => {
+    const headers = getExportHeaders().filter(h => h !== 'sheet');
+    const groups = new Map();
+    tableExportRows().forEach(row => {
+      const name = row.sheet || 'Results';
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(row);
+    });
+    const sheets = Array.from(groups, ([name, rows]) => ({ name, rows: withTotalsRow(rows) }));
+    downloadWorkbook(sheets, headers, `distance_results_${bulkTravelMode}_${Date.now()}.xlsx`);
+  };
+
+  // GIS exports: densified great circles for air rows, router geometry for road rows
+  const downloadBulkRoutes = (format) => {
+    const headers = getExportHeaders();
+    const routes = withUnitColumns(bulkResults)
+      .map(row => bulkRowToRoute(row, headers, { travel_mode: bulkTravelMode }))
+      .filter(Boolean);
+    downloadRoutes(routes, format, `distance_results_${bulkTravelMode}_${Date.now()}`);
+  };
+
+  const downloadSingleRoute = (format) => {
+    const hasRoad = isRoutedMode(travelMode) && roadDistance !== null;
+    const properties = {
+      from: fromCity.name,
+      to: toCity.name,
+      from_lat: fromCity.lat.toFixed(4),
+      from_lon: fromCity.lon.toFixed(4),
+      to_lat: toCity.lat.toFixed(4),
+      to_lon: toCity.lon.toFixed(4),
+      travel_mode: hasRoad ? travelMode : 'air',
+      air_distance_km: distance,
+      ...flightTimeColumns(distance, flightModel),
+      distance_model: DISTANCE_MODELS[preferences.distanceModel].short
+    };
+    if (hasRoad) {
+      const [hoursKey, minutesKey] = durationKeys(travelMode);
+      properties.distance_km = roadDistance;
+      properties[hoursKey] = roadDuration / 60;
+      properties[minutesKey] = roadDuration;
+      properties.route_constraints = describeConstraints(routeExcludes(travelMode, avoid));
     } else {
-      headers = ['from', 'to', 'from_lat', 'from_lon', 'to_lat', 'to_lon', 'distance_km', 'distance_miles', 'drive_time_hours', 'drive_time_minutes'];
+      properties.distance_km = distance;
     }
-    
-    const csvContent = [
-      headers.join(','),
-      ...bulkResults.map(row => 
-        headers.map(header => {
-          let value = row[header] || '-';
-          return typeof value === 'string' && (value.includes(',') || value.includes('"')) 
-            ? `"${value.replace(/"/g, '""')}"` 
-            : value;
-        }).join(',')
-      )
-    ].join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    
-    link.setAttribute('href', url);
-    link.setAttribute('download', `distance_results_${bulkTravelMode}_${Date.now()}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    Object.assign(
+      properties,
+      emissionColumns(properties.distance_km, properties.travel_mode, emissionSettings),
+      tripCostColumns(properties.distance_km, properties.travel_mode, costProfile)
+    );
+    Object.assign(properties, unitColumns(properties.distance_km, preferences));
+    const route = {
+      name: `${fromCity.name} → ${toCity.name}`,
+      line: routeLine(fromCity, toCity, hasRoad ? roadGeometry : null, 128),
+      properties
+    };
+    downloadRoutes([route], format, `route_${properties.travel_mode}_${Date.now()}`);
   };
 
+  const renderGeoExportButtons = (onDownload) => Object.entries(GEO_FORMATS).map(([format, { label }]) => (
+    <button key={format} onClick={() => onDownload(format)} className="download-btn">
+      🌐 {label}
+    </button>
+  ));
+
+  // The running job notices the abort, checkpoints and shows the rows finished so far
   const cancelProcessing = () => {
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
-      setProcessing(false);
-      setProcessProgress({ current: 0, total: 0, phase: 'cancelled', percentage: 0 });
+      setProcessProgress(prev => ({ ...prev, phase: 'cancelling' }));
+    }
+  };
+
+  // Map routes: road geometry when we have it, otherwise the great-circle arc
+  const singleRoutes = useMemo(() => {
+    if (distance === null) return [];
+    const hasRoad = isRoutedMode(travelMode) && roadDistance !== null;
+    const alternatives = hasRoad
+      ? roadAlternatives.filter(alt => alt.geometry).map((alt, i) => ({
+        id: `alternative-${i}`,
+        from: fromCity,
+        to: toCity,
+        line: routeLine(fromCity, toCity, alt.geometry, 128),
+        label: `Alternative ${i + 1}: ${formatDistance(alt.distance, preferences)}`,
+        alternative: true
+      }))
+      : [];
+    return [...alternatives, {
+      id: 'single',
+      from: fromCity,
+      to: toCity,
+      line: routeLine(fromCity, toCity, hasRoad ? roadGeometry : null, 128),
+      label: hasRoad
+        ? `${formatDistance(roadDistance, preferences)} by ${TRAVEL_MODES[travelMode].label.toLowerCase()}`
+        : `${formatDistance(distance, preferences)} by air`,
+      error: isRoutedMode(travelMode) && roadError ? TRAVEL_MODES[travelMode].rowError : null
+    }];
+  }, [distance, travelMode, roadDistance, roadGeometry, roadAlternatives, roadError, fromCity, toCity, preferences]);
+
+  const retryableCount = useMemo(
+    () => bulkResults.filter(row => RETRYABLE_ERRORS.includes(row.error)).length,
+    [bulkResults]
+  );
+
+  // Finished bulk results survive a model change; they say which model they were calculated with
+  const bulkResultsModel = useMemo(
+    () => outdatedDistanceModel(bulkResults, preferences.distanceModel),
+    [bulkResults, preferences.distanceModel]
+  );
+
+  const visibleResults = useMemo(
+    () => applyResultsView(bulkResults, resultsView, preferences),
+    [bulkResults, resultsView, preferences]
+  );
+
+  const flightTime = distance === null ? null : estimateFlightTime(distance, flightModel);
+  const modeInfo = TRAVEL_MODES[travelMode];
+  const motorised = travelMode === 'road' || travelMode === 'truck';
+
+  const formatCo2 = ({ co2Kg, basis }) => `${formatNumber(co2Kg, preferences, 1)} kg CO2e (${basis})`;
+
+  const formatDuration = (hours) =>
+    `${formatNumber(Math.floor(hours * 60), preferences, 0)} minutes (${formatHours(hours, preferences)} hours)`;
+
+  // The returned route and its alternatives, each against the quickest of them
+  const renderRouteComparison = () => {
+    const routes = [{ distance: roadDistance, duration: roadDuration }, ...roadAlternatives];
+    const fastest = routes.reduce((best, route) => (route.duration < best.duration ? route : best));
+    const minutes = (value) => `${formatNumber(value, preferences, 0)} min`;
+    return (
+      <table className="route-comparison">
+        <thead>
+          <tr>
+            <th>Route</th>
+            <th>Distance</th>
+            <th>{modeInfo.durationLabel}</th>
+            <th>vs Fastest</th>
+          </tr>
+        </thead>
+        <tbody>
+          {routes.map((route, i) => {
+            const extraKm = route.distance - fastest.distance;
+            return (
+              <tr key={i} className={route === fastest ? 'fastest' : ''}>
+                <td>{i === 0 ? 'Main' : `Alternative ${i}`}</td>
+                <td>{formatDistance(route.distance, preferences)}</td>
+                <td>{minutes(route.duration)}</td>
+                <td>
+                  {route === fastest
+                    ? '⚡ Fastest'
+                    : `+${minutes(route.duration - fastest.duration)}, ${extraKm < 0 ? '−' : '+'}${formatDistance(Math.abs(extraKm), preferences)}`}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    );
+  };
+
+  // The same distance in every unit except the one chosen in Settings
+  const otherUnits = (km) => Object.keys(DISTANCE_UNITS)
+    .filter(unit => unit !== preferences.distanceUnit)
+    .map(unit => formatDistance(km, { ...preferences, distanceUnit: unit }))
+    .join(' · ');
+
+  const bulkRoutes = useMemo(
+    () => (showBulkMap ? bulkResults.map((row, index) => bulkRowRoute(row, index, preferences)).filter(Boolean) : []),
+    [showBulkMap, bulkResults, preferences]
+  );
+
+  const renderCacheStats = () => {
+    const lookups = (store) => cacheStats[store].hits + cacheStats[store].misses;
+    if (lookups('geocode') + lookups('road') === 0) return null;
+    const describe = (store, label) => {
+      const total = lookups(store);
+      return total > 0 ? `${label} ${cacheStats[store].hits}/${total} (${Math.round((cacheStats[store].hits / total) * 100)}%)` : null;
+    };
+    return (
+      <p className="cache-stats">
+        💾 Cache hits: {[describe('geocode', 'places'), describe('road', 'routes')].filter(Boolean).join(' · ')}
+      </p>
+    );
+  };
+
+  const renderRequestQueue = () => {
+    const endpoints = [['geocoder', 'Geocoder'], ['router', 'Router']].filter(([key]) => requestQueue[key]);
+    const waiting = endpoints.filter(([key]) => requestQueue[key].waitingUntil);
+    if (waiting.length > 0) {
+      const until = Math.max(...waiting.map(([key]) => requestQueue[key].waitingUntil));
+      return (
+        <p className="rate-limit-waiting">
+          ⏳ Waiting for rate limit - {waiting.map(([, label]) => label).join(' & ')} asked us to slow down, resuming at {new Date(until).toLocaleTimeString()}
+        </p>
+      );
     }
+    const busy = endpoints.filter(([key]) => requestQueue[key].queued + requestQueue[key].retrying > 0);
+    if (busy.length === 0) return null;
+    return (
+      <p className="cache-stats">
+        🚦 {busy.map(([key, label]) => {
+          const { queued, retrying } = requestQueue[key];
+          return `${label}: ${queued} queued (max ${providerSettings[key].rateLimit}/s)${retrying ? `, ${retrying} retrying` : ''}`;
+        }).join(' · ')}
+      </p>
+    );
   };
 
+  const renderMap = (routes) => (
+    <RouteMap
+      routes={routes}
+      tileUrl={preferences.mapTileUrl}
+      attribution={preferences.mapAttribution}
+      offline={preferences.offlineMode}
+    />
+  );
+
   return (
     <div className="app-container">
       <div className="calculator-wrapper">
         <div className="header">
+          <button
+            onClick={() => setShowSettings(prev => !prev)}
+            className={`settings-toggle ${showSettings ? 'active' : ''}`}
+            disabled={processing}
+          >
+            ⚙️ Settings
+          </button>
           <h1>
             <span className="plane-icon">✈️</span>
             Global Distance Calculator
           </h1>
           <p>ULTRA-FAST processing - 200+ rows supported! ⚡</p>
+          {preferences.offlineMode && (
+            <span className="offline-badge">📴 Offline mode - built-in cities &amp; airports only</span>
+          )}
         </div>
 
+        {showSettings && (
+          <SettingsPanel
+            providerSettings={providerSettings}
+            preferences={preferences}
+            onSave={handleSaveSettings}
+            onReset={handleResetSettings}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
+
         <div className="mode-toggle">
           <div className="toggle-buttons">
             <button
@@ -687,11 +1621,23 @@ export default function AirDistanceCalculator() {
             >
               📍 Custom Coordinates
             </button>
+            <button
+              className={`toggle-btn ${!bulkMode && mode === 'itinerary' ? 'active' : ''}`}
+              onClick={() => { setBulkMode(false); setMode('itinerary'); }}
+            >
+              🧭 Itinerary
+            </button>
+            <button
+              className={`toggle-btn ${!bulkMode && mode === 'matrix' ? 'active' : ''}`}
+              onClick={() => { setBulkMode(false); setMode('matrix'); }}
+            >
+              🔢 Matrix
+            </button>
             <button
               className={`toggle-btn ${bulkMode ? 'active' : ''}`}
               onClick={() => setBulkMode(true)}
             >
-              📊 Bulk Upload (CSV)
+              📊 Bulk Upload (CSV / Excel)
             </button>
           </div>
         </div>
@@ -701,18 +1647,23 @@ export default function AirDistanceCalculator() {
             <label className="mode-label">Travel Mode:</label>
             <div className="mode-buttons">
               <button
-                onClick={() => { setTravelMode('air'); setRoadDistance(null); setRoadDuration(null); setRoadError(null); }}
+                onClick={() => selectTravelMode('air')}
                 className={`mode-btn ${travelMode === 'air' ? 'active' : ''}`}
               >
                 ✈️ By Air
               </button>
-              <button
-                onClick={() => setTravelMode('road')}
-                className={`mode-btn ${travelMode === 'road' ? 'active' : ''}`}
-              >
-                🚗 By Road
-              </button>
+              {ROUTED_MODES.map(mode => (
+                <button
+                  key={mode}
+                  onClick={() => selectTravelMode(mode)}
+                  className={`mode-btn ${travelMode === mode ? 'active' : ''}`}
+                >
+                  {TRAVEL_MODES[mode].icon} By {TRAVEL_MODES[mode].label}
+                </button>
+              ))}
             </div>
+            {isRoutedMode(travelMode) && renderRouteOptions(travelMode, avoid, selectAvoid, true)}
+            {renderDistanceModelSelect()}
           </div>
         ) : (
           <div className="travel-mode-selector">
@@ -725,14 +1676,24 @@ export default function AirDistanceCalculator() {
               >
                 ✈️ By Air (Lightning Fast ⚡)
               </button>
-              <button
-                onClick={() => { setBulkTravelMode('road'); setBulkResults([]); }}
-                className={`mode-btn ${bulkTravelMode === 'road' ? 'active' : ''}`}
-                disabled={processing}
-              >
-                🚗 By Road (Optimized)
-              </button>
+              {ROUTED_MODES.map(mode => (
+                <button
+                  key={mode}
+                  onClick={() => { setBulkTravelMode(mode); setBulkResults([]); }}
+                  className={`mode-btn ${bulkTravelMode === mode ? 'active' : ''}`}
+                  disabled={processing}
+                >
+                  {TRAVEL_MODES[mode].icon} By {TRAVEL_MODES[mode].label}
+                </button>
+              ))}
             </div>
+            {TRAVEL_MODES[bulkTravelMode].avoidable && renderRouteOptions(
+              bulkTravelMode,
+              bulkAvoid,
+              (next) => { setBulkAvoid(next); setBulkResults([]); },
+              false
+            )}
+            {bulkTravelMode === 'air' && renderDistanceModelSelect()}
             <div style={{ 
               textAlign: 'center', 
               color: '#64748b', 
@@ -744,7 +1705,7 @@ export default function AirDistanceCalculator() {
               border: '2px solid #86efac'
             }}>
               <strong>🚀 ULTRA-FAST ENGINE ACTIVE:</strong><br/>
-              • 25 parallel requests (super fast!)<br/>
+              • Rate-limit aware requests (no more throttling mid-file)<br/>
               • Smart duplicate detection<br/>
               • Instant processing for coordinates<br/>
               • Supports 500+ rows easily!<br/>
@@ -771,6 +1732,8 @@ export default function AirDistanceCalculator() {
                 <li>City names: <strong>from, to</strong> (e.g., "Delhi", "Mumbai")</li>
                 <li>Addresses: "Mayur Vihar Phase 1, Delhi"</li>
                 <li>Mix coordinates and names in same file</li>
+                <li>Airport codes: <strong>DEL</strong>, <strong>VABB</strong> in from/to (a code that is also a place name is reviewed), or <strong>iata_from, iata_to</strong> / <strong>icao_from, icao_to</strong> columns</li>
+                <li>Excel workbooks (.xlsx / .xls) use the same columns - pick which sheets to process</li>
               </ul>
               
               <div style={{ backgroundColor: '#fef3c7', padding: '12px', borderRadius: '8px', marginTop: '12px' }}>
@@ -782,17 +1745,38 @@ export default function AirDistanceCalculator() {
               </div>
             </div>
 
+            {!processing && resumableJobs.length > 0 && (
+              <div className="resume-jobs">
+                <h4>⏸️ Unfinished jobs</h4>
+                {resumableJobs.map(job => (
+                  <div key={job.key} className="resume-job">
+                    <div className="resume-job-info">
+                      <strong>{job.fileName || 'Uploaded file'}</strong>
+                      <span>
+                        {describeMode(job.travelMode)}{job.avoid?.length > 0 && ` · ${describeConstraints(job.avoid)}`} · {job.completedRows}/{job.totalRows} rows done
+                        · {job.status === 'running' ? 'interrupted' : job.status} {new Date(job.updatedAt).toLocaleString()}
+                      </span>
+                    </div>
+                    <div className="resume-job-actions">
+                      <button onClick={() => resumeJob(job)} className="download-btn">▶️ Resume</button>
+                      <button onClick={() => discardJob(job)} className="settings-secondary">🗑️ Discard</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div className="file-upload-area">
               <input
                 type="file"
-                accept=".csv"
+                accept=".csv,.xlsx,.xls"
                 onChange={handleFileUpload}
                 id="file-input"
                 style={{ display: 'none' }}
                 disabled={processing}
               />
               <label htmlFor="file-input" className={`upload-button ${processing ? 'disabled' : ''}`}>
-                📁 Choose CSV File
+                📁 Choose CSV or Excel File
               </label>
               {processing && (
                 <button 
@@ -813,16 +1797,69 @@ export default function AirDistanceCalculator() {
               )}
             </div>
 
+            {mappingDraft && !processing && (
+              <ColumnMapper
+                fileName={mappingDraft.fileName}
+                headers={mappingDraft.headers}
+                preview={mappingDraft.preview}
+                initialMapping={mappingDraft.mapping}
+                initialPreset={mappingDraft.presetName}
+                onConfirm={confirmMapping}
+                onCancel={() => setMappingDraft(null)}
+              />
+            )}
+
+            {workbook && !processing && !mappingDraft && (
+              <div className="sheet-picker">
+                <h4>📑 {workbook.fileName} - select sheets to process</h4>
+                <div className="sheet-list">
+                  {workbook.sheetNames.map(name => (
+                    <label key={name} className="sheet-option">
+                      <input
+                        type="checkbox"
+                        checked={selectedSheets.includes(name)}
+                        onChange={() => toggleSheet(name)}
+                        disabled={workbook.sheets[name].length === 0}
+                      />
+                      {name} <span className="sheet-rows">({workbook.sheets[name].length} rows)</span>
+                    </label>
+                  ))}
+                </div>
+                <button
+                  onClick={processSelectedSheets}
+                  className="download-btn"
+                  disabled={selectedSheets.length === 0}
+                >
+                  ▶️ Process {selectedSheets.length} sheet{selectedSheets.length === 1 ? '' : 's'}
+                </button>
+              </div>
+            )}
+
+            {validationReport && (
+              <ValidationReport
+                report={validationReport}
+                onSkipInvalid={() => validationResolveRef.current?.('skip')}
+                onProcessAll={() => validationResolveRef.current?.('all')}
+                onCancel={() => validationResolveRef.current?.('cancel')}
+              />
+            )}
+
+            {renderPlaceReview()}
+
             {processing && (
               <div className="processing-indicator">
                 <div className="spinner"></div>
                 <div style={{ width: '100%' }}>
                   <p style={{ marginBottom: '8px', fontWeight: '600', fontSize: '16px' }}>
-                    {processProgress.phase === 'parsing' && '⚡ Parsing CSV...'}
-                    {processProgress.phase === 'geocoding' && `🌍 Geocoding (25 parallel) - ${processProgress.current}/${processProgress.total} (${processProgress.percentage}%)`}
+                    {processProgress.phase === 'parsing' && (processProgress.current > 0
+                      ? `⚡ Reading file - ${processProgress.current} rows (${processProgress.percentage}%)`
+                      : '⚡ Parsing file...')}
+                    {processProgress.phase === 'geocoding' && `🌍 Geocoding - ${processProgress.current}/${processProgress.total} (${processProgress.percentage}%)`}
                     {processProgress.phase === 'calculating' && `⚡ Calculating distances - ${processProgress.current}/${processProgress.total} (${processProgress.percentage}%)`}
                     {processProgress.phase === 'routing' && `🚗 Road routing - ${processProgress.current}/${processProgress.total} (${processProgress.percentage}%)`}
                     {processProgress.phase === 'routing-coords' && `🚗 Processing coordinates - ${processProgress.current}/${processProgress.total}`}
+                    {processProgress.phase === 'cancelling' && '⏹️ Cancelling - saving finished rows...'}
+                    {processProgress.phase === 'review' && `🧐 Waiting for review - ${processProgress.reviewCount} ambiguous places`}
                   </p>
                   <div style={{ 
                     width: '100%', 
@@ -847,6 +1884,8 @@ export default function AirDistanceCalculator() {
                     {processProgress.phase === 'calculating' && '⏱️ Almost done! Air distance is super fast'}
                     {processProgress.phase === 'routing' && '⏱️ Road routing takes longer due to API limits'}
                   </p>
+                  {renderCacheStats()}
+                  {renderRequestQueue()}
                 </div>
               </div>
             )}
@@ -854,57 +1893,72 @@ export default function AirDistanceCalculator() {
             {bulkResults.length > 0 && (
               <div className="bulk-results">
                 <div className="results-header">
-                  <h3>✅ Results ({bulkResults.length} routes) - Processed with ULTRA-FAST Engine!</h3>
-                  <button onClick={downloadResults} className="download-btn">
-                    ⬇️ Download CSV
-                  </button>
-                </div>
-                <div className="results-table">
-                  <table>
-                    <thead>
-                      <tr>
-                        <th>From</th>
-                        <th>To</th>
-                        <th>From Lat</th>
-                        <th>From Lon</th>
-                        <th>To Lat</th>
-                        <th>To Lon</th>
-                        <th>Distance (km)</th>
-                        <th>Distance (mi)</th>
-                        {bulkTravelMode === 'air' ? (
-                          <th>Flight Time (hrs)</th>
-                        ) : (
-                          <>
-                            <th>Drive Time (hrs)</th>
-                            <th>Drive Time (min)</th>
-                          </>
-                        )}
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {bulkResults.map((result, idx) => (
-                        <tr key={idx} style={result.error ? { backgroundColor: '#fee2e2' } : {}}>
-                          <td>{result.from}</td>
-                          <td>{result.to}</td>
-                          <td>{result.from_lat}</td>
-                          <td>{result.from_lon}</td>
-                          <td>{result.to_lat}</td>
-                          <td>{result.to_lon}</td>
-                          <td>{result.distance_km}</td>
-                          <td>{result.distance_miles}</td>
-                          {bulkTravelMode === 'air' ? (
-                            <td>{result.flight_time_hours || '-'}</td>
-                          ) : (
-                            <>
-                              <td>{result.drive_time_hours || '-'}</td>
-                              <td>{result.drive_time_minutes || '-'}</td>
-                            </>
-                          )}
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
+                  <h3>
+                    {processing
+                      ? `⏳ Results so far (${bulkResults.length} routes)`
+                      : processProgress.phase === 'cancelled'
+                      ? `⏹️ Partial results (${bulkResults.length} of ${processProgress.total} routes) - cancelled, resume from the list above`
+                      : `✅ Results (${bulkResults.length} routes) - Processed with ULTRA-FAST Engine!`}
+                  </h3>
+                  <div className="download-actions">
+                    <button onClick={downloadResults} className="download-btn">
+                      ⬇️ Download CSV
+                    </button>
+                    <button onClick={downloadExcel} className="download-btn">
+                      ⬇️ Download Excel
+                    </button>
+                    <label className="export-view-toggle" title="CSV and Excel downloads keep the table's filter and sort order">
+                      <input
+                        type="checkbox"
+                        checked={exportCurrentView}
+                        onChange={(e) => setExportCurrentView(e.target.checked)}
+                      />
+                      Only filtered rows, in table order
+                    </label>
+                    {renderGeoExportButtons(downloadBulkRoutes)}
+                    {retryableCount > 0 && !processing && lastJobRef.current && (
+                      <button onClick={retryFailedRows} className="download-btn retry-btn">
+                        🔁 Retry {retryableCount} failed row{retryableCount === 1 ? '' : 's'}
+                      </button>
+                    )}
+                    <button onClick={() => setShowBulkMap(prev => !prev)} className="download-btn">
+                      {showBulkMap ? '🗺️ Hide Map' : '🗺️ Show Map'}
+                    </button>
+                  </div>
                 </div>
+                {renderCacheStats()}
+                {bulkResultsModel && !processing && (
+                  <p className="model-notice">
+                    📐 These distances use {DISTANCE_MODELS[bulkResultsModel].label}, not the selected
+                    {' '}{DISTANCE_MODELS[preferences.distanceModel].label}. Process the file again to recalculate them.
+                  </p>
+                )}
+                {retrySummary && (
+                  <p className="retry-summary">
+                    🔁 {retrySummary.cancelled ? 'Retry cancelled - ' : ''}
+                    Recovered {retrySummary.recovered} of {retrySummary.attempted} failed rows
+                    {retrySummary.attempted - retrySummary.recovered > 0 &&
+                      ` · ${retrySummary.attempted - retrySummary.recovered} still failing`}
+                  </p>
+                )}
+                {showBulkMap && (
+                  <div className="bulk-map">
+                    {renderMap(bulkRoutes)}
+                    <p className="route-map-note">
+                      {bulkRoutes.length} routes plotted
+                      {bulkRoutes.some(r => r.error) && ` · ${bulkRoutes.filter(r => r.error).length} with errors (red, dashed)`}
+                      {bulkRoutes.length < bulkResults.length && ` · ${bulkResults.length - bulkRoutes.length} without coordinates`}
+                    </p>
+                  </div>
+                )}
+                <BulkResultsTable
+                  results={visibleResults}
+                  totalCount={bulkResults.length}
+                  travelMode={bulkTravelMode}
+                  units={preferences}
+                  view={resultsView}
+                  onViewChange={setResultsView}
+                />
                 {bulkResults.some(r => r.error) && (
                   <div style={{ 
                     marginTop: '15px', 
@@ -921,6 +1975,25 @@ export default function AirDistanceCalculator() {
               </div>
             )}
           </div>
+        ) : mode === 'itinerary' ? (
+          <ItineraryPlanner
+            travelMode={travelMode}
+            distanceModel={preferences.distanceModel}
+            flightModel={flightModel}
+            units={preferences}
+            searchPlaces={searchPlaces}
+            fetchRoute={fetchRoute}
+          />
+        ) : mode === 'matrix' ? (
+          <DistanceMatrix
+            travelMode={travelMode}
+            distanceModel={preferences.distanceModel}
+            units={preferences}
+            resolvePlace={geocodeBulk}
+            reviewPlaces={requestPlaceReview}
+            placeReview={renderPlaceReview()}
+            fetchTable={fetchTable}
+          />
         ) : (
           <>
             <div className="locations-grid">
@@ -952,6 +2025,7 @@ export default function AirDistanceCalculator() {
                             onClick={() => selectCity(city, 'from')}
                           >
                             {city.display}
+                            {city.source === 'offline' && <span className="suggestion-badge">📦 offline</span>}
                           </div>
                         ))}
                       </div>
@@ -970,21 +2044,29 @@ export default function AirDistanceCalculator() {
                       className="input-field"
                     />
                     <input
-                      type="number"
-                      placeholder="Latitude"
-                      value={fromCity.lat}
+                      type="text"
+                      placeholder="Coordinates - DMS, UTM, MGRS, Plus Code, geohash…"
+                      value={coordText.from.position || ''}
+                      onChange={(e) => handleCustomInput('from', 'position', e.target.value)}
+                      className="input-field"
+                    />
+                    {coordinateHint('from', 'position')}
+                    <input
+                      type="text"
+                      placeholder="Latitude (28.6139 or 28°36'50&quot;N)"
+                      value={coordText.from.lat ?? fromCity.lat}
                       onChange={(e) => handleCustomInput('from', 'lat', e.target.value)}
                       className="input-field"
-                      step="0.0001"
                     />
+                    {coordinateHint('from', 'lat')}
                     <input
-                      type="number"
-                      placeholder="Longitude"
-                      value={fromCity.lon}
+                      type="text"
+                      placeholder="Longitude (77.2090 or 77°12'32&quot;E)"
+                      value={coordText.from.lon ?? fromCity.lon}
                       onChange={(e) => handleCustomInput('from', 'lon', e.target.value)}
                       className="input-field"
-                      step="0.0001"
                     />
+                    {coordinateHint('from', 'lon')}
                   </div>
                 )}
                 
@@ -1022,6 +2104,7 @@ export default function AirDistanceCalculator() {
                             onClick={() => selectCity(city, 'to')}
                           >
                             {city.display}
+                            {city.source === 'offline' && <span className="suggestion-badge">📦 offline</span>}
                           </div>
                         ))}
                       </div>
@@ -1040,21 +2123,29 @@ export default function AirDistanceCalculator() {
                       className="input-field"
                     />
                     <input
-                      type="number"
-                      placeholder="Latitude"
-                      value={toCity.lat}
+                      type="text"
+                      placeholder="Coordinates - DMS, UTM, MGRS, Plus Code, geohash…"
+                      value={coordText.to.position || ''}
+                      onChange={(e) => handleCustomInput('to', 'position', e.target.value)}
+                      className="input-field"
+                    />
+                    {coordinateHint('to', 'position')}
+                    <input
+                      type="text"
+                      placeholder="Latitude (28.6139 or 28°36'50&quot;N)"
+                      value={coordText.to.lat ?? toCity.lat}
                       onChange={(e) => handleCustomInput('to', 'lat', e.target.value)}
                       className="input-field"
-                      step="0.0001"
                     />
+                    {coordinateHint('to', 'lat')}
                     <input
-                      type="number"
-                      placeholder="Longitude"
-                      value={toCity.lon}
+                      type="text"
+                      placeholder="Longitude (77.2090 or 77°12'32&quot;E)"
+                      value={coordText.to.lon ?? toCity.lon}
                       onChange={(e) => handleCustomInput('to', 'lon', e.target.value)}
                       className="input-field"
-                      step="0.0001"
                     />
+                    {coordinateHint('to', 'lon')}
                   </div>
                 )}
                 
@@ -1065,13 +2156,16 @@ export default function AirDistanceCalculator() {
               </div>
             </div>
 
-            <button onClick={handleCalculate} className="calculate-btn">
-              {travelMode === 'air' ? '✈️ Calculate Air Distance' : '🚗 Calculate Road Distance'}
+            <button onClick={handleCalculate} className="calculate-btn" disabled={customErrors.length > 0}>
+              {modeInfo.icon} Calculate {travelMode === 'air' ? 'Air' : modeInfo.routeLabel} Distance
             </button>
+            {customErrors.length > 0 && (
+              <p className="coordinate-errors">⚠️ Fix the coordinates marked above before calculating.</p>
+            )}
 
             {distance !== null && (
               <div className="results">
-                <h3>{travelMode === 'air' ? '✈️ Air Distance Results' : '🚗 Road Distance Results'}</h3>
+                <h3>{modeInfo.icon} {travelMode === 'air' ? 'Air' : modeInfo.routeLabel} Distance Results</h3>
                 <div className="result-item">
                   <span className="result-label">Route:</span>
                   <span className="result-value">{fromCity.name} → {toCity.name}</span>
@@ -1080,16 +2174,36 @@ export default function AirDistanceCalculator() {
                 {travelMode === 'air' ? (
                   <>
                     <div className="result-item">
-                      <span className="result-label">Air Distance (km):</span>
-                      <span className="result-value large">{distance.toFixed(2)} km</span>
+                      <span className="result-label">Air Distance:</span>
+                      <span className="result-value large">{formatDistance(distance, preferences)}</span>
                     </div>
                     <div className="result-item">
-                      <span className="result-label">Air Distance (miles):</span>
-                      <span className="result-value large">{(distance * 0.621371).toFixed(2)} mi</span>
+                      <span className="result-label">Other units:</span>
+                      <span className="result-value">{otherUnits(distance)}</span>
                     </div>
                     <div className="result-item">
-                      <span className="result-label">Approx Flight Time:</span>
-                      <span className="result-value">{Math.floor((distance / 800) * 60)} minutes ({(distance / 800).toFixed(1)} hours)</span>
+                      <span className="result-label">Flight Time (airborne):</span>
+                      <span className="result-value">{formatDuration(flightTime.flightHours)}</span>
+                    </div>
+                    <div className="result-item">
+                      <span className="result-label">Block Time (gate to gate):</span>
+                      <span className="result-value">{formatDuration(flightTime.blockHours)}</span>
+                    </div>
+                    <div className="result-item">
+                      <span className="result-label">Aircraft:</span>
+                      <span className="result-value">
+                        {describeFlightModel(flightModel)}, +{Math.round((flightModel.routingFactor - 1) * 100)}% routing
+                      </span>
+                    </div>
+                    <div className="result-item">
+                      <span className="result-label">CO2 per passenger:</span>
+                      <span className="result-value">{formatCo2(airEmissions(distance, emissionSettings))}</span>
+                    </div>
+                    <div className="result-item">
+                      <span className="result-label">Estimated Airfare:</span>
+                      <span className="result-value">
+                        {formatMoney(airfare(distance, costProfile), costProfile.currency, preferences)} ({costProfile.name})
+                      </span>
                     </div>
                   </>
                 ) : (
@@ -1097,53 +2211,92 @@ export default function AirDistanceCalculator() {
                     {calculatingRoad ? (
                       <div className="calculating-road">
                         <div className="spinner-small"></div>
-                        <p>Calculating road route...</p>
+                        <p>Calculating {modeInfo.routeLabel.toLowerCase()} route...</p>
                       </div>
                     ) : roadError ? (
                       <div className="road-error">
                         <p>⚠️ {roadError}</p>
                         <div className="result-item">
-                          <span className="result-label">Air Distance (km):</span>
-                          <span className="result-value">{distance.toFixed(2)} km</span>
+                          <span className="result-label">Air Distance:</span>
+                          <span className="result-value">{formatDistance(distance, preferences)}</span>
                         </div>
                       </div>
                     ) : roadDistance ? (
                       <>
                         <div className="result-item">
-                          <span className="result-label">Road Distance (km):</span>
-                          <span className="result-value large">{roadDistance.toFixed(2)} km</span>
+                          <span className="result-label">{modeInfo.routeLabel} Distance:</span>
+                          <span className="result-value large">{formatDistance(roadDistance, preferences)}</span>
                         </div>
                         <div className="result-item">
-                          <span className="result-label">Road Distance (miles):</span>
-                          <span className="result-value large">{(roadDistance * 0.621371).toFixed(2)} mi</span>
+                          <span className="result-label">Other units:</span>
+                          <span className="result-value">{otherUnits(roadDistance)}</span>
                         </div>
                         <div className="result-item">
-                          <span className="result-label">Estimated Drive Time:</span>
-                          <span className="result-value">
-                            {Math.floor(roadDuration)} minutes ({(roadDuration / 60).toFixed(1)} hours)
-                          </span>
+                          <span className="result-label">Estimated {modeInfo.durationLabel}:</span>
+                          <span className="result-value">{formatDuration(roadDuration / 60)}</span>
                         </div>
                         <div className="result-item">
-                          <span className="result-label">Air Distance (km):</span>
-                          <span className="result-value">{distance.toFixed(2)} km</span>
+                          <span className="result-label">Air Distance:</span>
+                          <span className="result-value">{formatDistance(distance, preferences)}</span>
                         </div>
                         <div className="result-item">
-                          <span className="result-label">Extra Distance by Road:</span>
+                          <span className="result-label">Extra Distance by {modeInfo.routeLabel}:</span>
                           <span className="result-value">
-                            {(roadDistance - distance).toFixed(2)} km ({((roadDistance / distance - 1) * 100).toFixed(1)}% more)
+                            {formatDistance(roadDistance - distance, preferences)} ({formatNumber((roadDistance / distance - 1) * 100, preferences, 1)}% more)
                           </span>
                         </div>
+                        <div className="result-item">
+                          <span className="result-label">CO2 per {motorised ? 'vehicle' : 'person'}:</span>
+                          <span className="result-value">{formatCo2(tripEmissions(roadDistance, travelMode, emissionSettings))}</span>
+                        </div>
+                        {motorised && (
+                          <>
+                            <div className="result-item">
+                              <span className="result-label">Mileage Reimbursement:</span>
+                              <span className="result-value">
+                                {formatMoney(roadCost(roadDistance, costProfile).reimbursement, costProfile.currency, preferences)} ({costProfile.name})
+                              </span>
+                            </div>
+                            <div className="result-item">
+                              <span className="result-label">Fuel Cost:</span>
+                              <span className="result-value">
+                                {formatMoney(roadCost(roadDistance, costProfile).fuel, costProfile.currency, preferences)}
+                                {' '}({costProfile.fuelConsumption} L/100 km at {formatMoney(costProfile.fuelPrice, costProfile.currency, preferences)}/L)
+                              </span>
+                            </div>
+                          </>
+                        )}
+                        {routeExcludes(travelMode, avoid).length > 0 && (
+                          <div className="result-item">
+                            <span className="result-label">Route Constraints:</span>
+                            <span className="result-value">{describeConstraints(routeExcludes(travelMode, avoid))}</span>
+                          </div>
+                        )}
+                        {roadAlternatives.length > 0 && renderRouteComparison()}
                       </>
                     ) : null}
                   </>
                 )}
+                <div className="result-item">
+                  <span className="result-label">Air Distance Model:</span>
+                  <span className="result-value">{DISTANCE_MODELS[preferences.distanceModel].label}</span>
+                </div>
               </div>
             )}
 
+            {distance !== null && !calculatingRoad && (
+              <>
+                {renderMap(singleRoutes)}
+                <div className="download-actions route-export">
+                  {renderGeoExportButtons(downloadSingleRoute)}
+                </div>
+              </>
+            )}
+
             <div className="info">
               <p>💡 {travelMode === 'air' 
                 ? 'Air distance calculates the great circle distance (as the crow flies)' 
-                : 'Road distance shows actual driving route via roads'}</p>
+                : modeInfo.info}</p>
               <p>⚡ <strong>Bulk Processing:</strong> Upload CSV with coordinates for ultra-fast processing of 200+ rows!</p>
             </div>
           </>
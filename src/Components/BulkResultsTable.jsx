@@ -0,0 +1,262 @@
+import { useState, useMemo, useRef } from 'react';
+import { DEFAULT_RESULTS_VIEW, isFilteredView, toggleSort, columnTotals } from '../utils/resultsView';
+import { formatDistance, formatHours, formatNumber, unitLabel } from '../utils/units';
+import { formatMoney } from '../utils/tripCost';
+import { TRAVEL_MODES, durationKeys } from '../utils/travelModes';
+
+// Windowed rendering: only the rows in (or near) the viewport are in the DOM, with spacer
+// rows above and below so the scrollbar still reflects the full page.
+// Rows have a fixed height (taller when airport names are shown) to keep the maths exact.
+const VIEWPORT_HEIGHT = 600;
+const ROW_HEIGHT = 44;
+const AIRPORT_ROW_HEIGHT = 64;
+const OVERSCAN = 10;
+
+// 0 = everything on one page (still virtualised)
+const PAGE_SIZES = [100, 500, 1000, 0];
+
+// results arrive already filtered and sorted (utils/resultsView); this component owns the
+// controls for that view plus pagination, which only affects what is on screen.
+// units: display unit, precision and locale (utils/units); rows keep raw km and hours
+export default function BulkResultsTable({ results, totalCount, travelMode, units, view, onViewChange }) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(500);
+  const scrollRef = useRef(null);
+
+  const { showSheet, showAirports, currency } = useMemo(() => ({
+    showSheet: results.some(r => r.sheet),
+    showAirports: results.some(r => r.from_airport || r.to_airport),
+    currency: results.find(r => r.cost_currency)?.cost_currency
+  }), [results]);
+
+  // Totals cover every row in the current view, not just the page on screen
+  const totals = useMemo(() => columnTotals(results), [results]);
+  const money = (amount) => (currency ? formatMoney(amount, currency, units) : '-');
+
+  const pageCount = pageSize ? Math.max(1, Math.ceil(results.length / pageSize)) : 1;
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = pageSize ? results.slice(currentPage * pageSize, (currentPage + 1) * pageSize) : results;
+
+  const goToPage = (next) => {
+    setPage(next);
+    setScrollTop(0);
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+  };
+
+  const updateView = (changes) => {
+    onViewChange(typeof changes === 'function' ? changes(view) : { ...view, ...changes });
+    goToPage(0);
+  };
+
+  const rowHeight = showAirports ? AIRPORT_ROW_HEIGHT : ROW_HEIGHT;
+  // Air rows show flight and block time plus airfare, routed rows the mode's duration in hours
+  // and minutes plus reimbursement and fuel
+  const [hoursKey, minutesKey] = durationKeys(travelMode);
+  const durationLabel = TRAVEL_MODES[travelMode]?.durationLabel;
+  const columnCount = (travelMode === 'air' ? 11 : 12) + (showSheet ? 1 : 0);
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN);
+  const last = Math.min(pageRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / rowHeight) + OVERSCAN);
+
+  const spacer = (height) => height > 0 && (
+    <tr className="virtual-spacer" style={{ height }}>
+      <td colSpan={columnCount} />
+    </tr>
+  );
+
+  const header = (key, label) => (
+    <th
+      className="sortable"
+      onClick={() => updateView(current => toggleSort(current, key))}
+      aria-sort={view.sortKey === key ? (view.sortDir === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      {label}
+      <span className="sort-indicator">{view.sortKey === key ? (view.sortDir === 'asc' ? ' ▲' : ' ▼') : ' ↕'}</span>
+    </th>
+  );
+
+  return (
+    <>
+      <div className="results-controls">
+        <input
+          type="search"
+          value={view.query}
+          onChange={(e) => updateView({ query: e.target.value })}
+          className="results-search"
+          placeholder="🔎 Filter by from / to..."
+        />
+        <label className="results-toggle">
+          <input
+            type="checkbox"
+            checked={view.errorsOnly}
+            onChange={(e) => updateView({ errorsOnly: e.target.checked })}
+          />
+          ⚠️ Errors only
+        </label>
+        <label className="results-range">
+          {unitLabel(units)}
+          <input
+            type="number"
+            min="0"
+            value={view.minDistance}
+            onChange={(e) => updateView({ minDistance: e.target.value })}
+            placeholder="min"
+          />
+          –
+          <input
+            type="number"
+            min="0"
+            value={view.maxDistance}
+            onChange={(e) => updateView({ maxDistance: e.target.value })}
+            placeholder="max"
+          />
+        </label>
+        {(isFilteredView(view) || view.sortKey) && (
+          <button onClick={() => updateView(DEFAULT_RESULTS_VIEW)} className="results-reset">
+            ✖ Clear
+          </button>
+        )}
+        <span className="results-count">
+          {results.length === totalCount ? `${totalCount} rows` : `${results.length} of ${totalCount} rows`}
+        </span>
+      </div>
+
+      <div
+        ref={scrollRef}
+        className="results-table virtual"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table>
+          <thead>
+            <tr>
+              {header('from', 'From')}
+              {header('to', 'To')}
+              {header('from_lat', 'From Lat')}
+              {header('from_lon', 'From Lon')}
+              {header('to_lat', 'To Lat')}
+              {header('to_lon', 'To Lon')}
+              {header('distance_km', `Distance (${unitLabel(units)})`)}
+              {travelMode === 'air' ? (
+                <>
+                  {header('flight_time_hours', 'Flight Time (hrs)')}
+                  {header('block_time_hours', 'Block Time (hrs)')}
+                </>
+              ) : (
+                <>
+                  {header(hoursKey, `${durationLabel} (hrs)`)}
+                  {header(minutesKey, `${durationLabel} (min)`)}
+                </>
+              )}
+              {header('co2_kg', 'CO2 (kg)')}
+              {travelMode === 'air' ? (
+                header('cost_airfare', `Airfare${currency ? ` (${currency})` : ''}`)
+              ) : (
+                <>
+                  {header('cost_reimbursement', `Reimbursement${currency ? ` (${currency})` : ''}`)}
+                  {header('cost_fuel', `Fuel${currency ? ` (${currency})` : ''}`)}
+                </>
+              )}
+              {showSheet && header('sheet', 'Sheet')}
+            </tr>
+          </thead>
+          <tbody>
+            {spacer(first * rowHeight)}
+            {pageRows.slice(first, last).map((result, i) => (
+              <tr key={first + i} style={{ height: rowHeight, ...(result.error ? { backgroundColor: '#fee2e2' } : {}) }}>
+                <td>
+                  {result.from}
+                  {result.from_airport && <div className="airport-name">✈️ {result.from_airport}</div>}
+                </td>
+                <td>
+                  {result.to}
+                  {result.to_airport && <div className="airport-name">✈️ {result.to_airport}</div>}
+                </td>
+                <td>{result.from_lat}</td>
+                <td>{result.from_lon}</td>
+                <td>{result.to_lat}</td>
+                <td>{result.to_lon}</td>
+                <td>{formatDistance(result.distance_km, units, { withUnit: false })}</td>
+                {travelMode === 'air' ? (
+                  <>
+                    <td>{formatHours(result.flight_time_hours, units)}</td>
+                    <td>{formatHours(result.block_time_hours, units)}</td>
+                  </>
+                ) : (
+                  <>
+                    <td>{formatHours(result[hoursKey], units)}</td>
+                    <td>{formatNumber(result[minutesKey], units, 0)}</td>
+                  </>
+                )}
+                <td>{formatNumber(result.co2_kg, units, 1)}</td>
+                {travelMode === 'air' ? (
+                  <td>{money(result.cost_airfare)}</td>
+                ) : (
+                  <>
+                    <td>{money(result.cost_reimbursement)}</td>
+                    <td>{money(result.cost_fuel)}</td>
+                  </>
+                )}
+                {showSheet && <td>{result.sheet || '-'}</td>}
+              </tr>
+            ))}
+            {spacer((pageRows.length - last) * rowHeight)}
+            {results.length === 0 && (
+              <tr>
+                <td colSpan={columnCount} className="results-empty">No rows match the current filter.</td>
+              </tr>
+            )}
+          </tbody>
+          {results.length > 0 && (
+            <tfoot>
+              <tr className="results-totals">
+                <td colSpan={6}>Total ({results.length} rows)</td>
+                <td>{formatDistance(totals.distance_km, units, { withUnit: false })}</td>
+                {travelMode === 'air' ? (
+                  <>
+                    <td>{formatHours(totals.flight_time_hours, units)}</td>
+                    <td>{formatHours(totals.block_time_hours, units)}</td>
+                  </>
+                ) : (
+                  <>
+                    <td>{formatHours(totals[hoursKey], units)}</td>
+                    <td>{formatNumber(totals[minutesKey], units, 0)}</td>
+                  </>
+                )}
+                <td>{formatNumber(totals.co2_kg, units, 1)}</td>
+                {travelMode === 'air' ? (
+                  <td>{money(totals.cost_airfare)}</td>
+                ) : (
+                  <>
+                    <td>{money(totals.cost_reimbursement)}</td>
+                    <td>{money(totals.cost_fuel)}</td>
+                  </>
+                )}
+                {showSheet && <td />}
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+
+      <div className="results-pagination">
+        <button onClick={() => goToPage(0)} disabled={currentPage === 0}>⏮</button>
+        <button onClick={() => goToPage(currentPage - 1)} disabled={currentPage === 0}>◀</button>
+        <span>Page {currentPage + 1} of {pageCount}</span>
+        <button onClick={() => goToPage(currentPage + 1)} disabled={currentPage >= pageCount - 1}>▶</button>
+        <button onClick={() => goToPage(pageCount - 1)} disabled={currentPage >= pageCount - 1}>⏭</button>
+        <select
+          value={pageSize}
+          onChange={(e) => {
+            setPageSize(Number(e.target.value));
+            goToPage(0);
+          }}
+        >
+          {PAGE_SIZES.map(size => (
+            <option key={size} value={size}>{size ? `${size} per page` : 'All rows'}</option>
+          ))}
+        </select>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,146 @@
+import { useState, useEffect, useCallback } from 'react';
+import { CACHE_STORES, getCacheEntries, clearCache, exportCaches, importCaches, daysToMs } from '../utils/cacheStore';
+import { countPlaceChoices, clearPlaceChoices } from '../utils/placeChoices';
+import { downloadFile } from '../utils/csv';
+
+const MAX_LISTED = 50;
+
+// Keys are "<provider>:<url>|<lookup>" - show the lookup, keep the endpoint in the tooltip
+const splitKey = (key) => {
+  const index = key.indexOf('|');
+  return index === -1 ? { scope: '', lookup: key } : { scope: key.slice(0, index), lookup: key.slice(index + 1) };
+};
+
+const describeValue = (value) => {
+  if (value && Number.isFinite(value.lat)) return `${value.lat.toFixed(4)}°, ${value.lon.toFixed(4)}°`;
+  if (value && Number.isFinite(value.distance)) return `${value.distance.toFixed(2)} km, ${(value.duration / 60).toFixed(1)} hrs`;
+  return JSON.stringify(value);
+};
+
+const describeAge = (createdAt) => {
+  const hours = (Date.now() - createdAt) / 3600000;
+  return hours < 24 ? `${Math.max(1, Math.round(hours))} h` : `${Math.round(hours / 24)} d`;
+};
+
+export default function CacheManager({ geocodeDays, roadDays }) {
+  const [entries, setEntries] = useState({ geocode: [], road: [] });
+  const [store, setStore] = useState('geocode');
+  const [filter, setFilter] = useState('');
+  const [message, setMessage] = useState(null);
+  const [placeChoices, setPlaceChoices] = useState(0);
+
+  const maxAge = { geocode: daysToMs(geocodeDays), road: daysToMs(roadDays) };
+
+  const refresh = useCallback(async () => {
+    const [geocode, road] = await Promise.all([getCacheEntries('geocode'), getCacheEntries('road')]);
+    setEntries({ geocode, road });
+    setPlaceChoices(await countPlaceChoices());
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const isExpired = (name, record) => Date.now() - record.createdAt > maxAge[name];
+
+  const handleClear = async (expiredOnly) => {
+    if (!expiredOnly && !window.confirm('Delete every cached place and route?')) return;
+    for (const name of Object.keys(CACHE_STORES)) {
+      await clearCache(name, expiredOnly ? maxAge[name] : null);
+    }
+    setMessage(expiredOnly ? 'Expired entries removed.' : 'Cache cleared.');
+    refresh();
+  };
+
+  // Picks from the bulk review of ambiguous places
+  const handleForgetChoices = async () => {
+    if (!window.confirm('Forget every place picked in the ambiguous-place review?')) return;
+    await clearPlaceChoices();
+    setMessage('Remembered places forgotten.');
+    refresh();
+  };
+
+  const handleExport = async () => {
+    downloadFile(await exportCaches(), `distance_cache_${Date.now()}.json`, 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = await importCaches(await file.text(), maxAge);
+      setMessage(`Imported ${imported.geocode} places and ${imported.road} routes.` +
+        (imported.expired > 0 ? ` Skipped ${imported.expired} expired.` : ''));
+      refresh();
+    } catch (err) {
+      console.error('Cache import failed:', err);
+      setMessage('That file is not a valid cache export.');
+    }
+  };
+
+  const query = filter.trim().toLowerCase();
+  const matches = entries[store].filter(record => !query || splitKey(record.key).lookup.toLowerCase().includes(query));
+
+  return (
+    <div className="cache-manager">
+      <div className="cache-summary">
+        {Object.entries(CACHE_STORES).map(([name, label]) => (
+          <span key={name}>
+            {label}: <strong>{entries[name].length}</strong>
+            {entries[name].some(record => isExpired(name, record)) &&
+              ` (${entries[name].filter(record => isExpired(name, record)).length} expired)`}
+          </span>
+        ))}
+        <span>Remembered places: <strong>{placeChoices}</strong></span>
+      </div>
+
+      <div className="cache-controls">
+        <select value={store} onChange={(e) => setStore(e.target.value)} className="settings-input">
+          {Object.entries(CACHE_STORES).map(([name, label]) => <option key={name} value={name}>{label}</option>)}
+        </select>
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="settings-input"
+          placeholder="Filter entries..."
+        />
+      </div>
+
+      <div className="cache-list">
+        {matches.length === 0 ? (
+          <p className="cache-empty">No cached entries.</p>
+        ) : (
+          <table>
+            <tbody>
+              {matches.slice(0, MAX_LISTED).map(record => {
+                const { scope, lookup } = splitKey(record.key);
+                return (
+                  <tr key={record.key} className={isExpired(store, record) ? 'cache-expired' : ''}>
+                    <td title={scope}>{lookup}</td>
+                    <td>{describeValue(record.value)}</td>
+                    <td>{describeAge(record.createdAt)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+        {matches.length > MAX_LISTED && <p className="cache-empty">…and {matches.length - MAX_LISTED} more</p>}
+      </div>
+
+      <div className="settings-actions">
+        <button onClick={handleExport} className="download-btn">⬇️ Export JSON</button>
+        <input type="file" accept=".json,application/json" onChange={handleImport} id="cache-import" style={{ display: 'none' }} />
+        <label htmlFor="cache-import" className="settings-secondary">⬆️ Import JSON</label>
+        <button onClick={() => handleClear(true)} className="settings-secondary">🧹 Clear expired</button>
+        <button onClick={() => handleClear(false)} className="settings-secondary">🗑️ Clear all</button>
+        {placeChoices > 0 && (
+          <button onClick={handleForgetChoices} className="settings-secondary">🧠 Forget remembered places</button>
+        )}
+      </div>
+      {message && <p className="cache-empty">{message}</p>}
+    </div>
+  );
+}
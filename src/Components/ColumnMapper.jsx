@@ -0,0 +1,157 @@
+import { useState } from 'react';
+import {
+  MAPPING_FIELDS,
+  MAPPING_ENDS,
+  applyMapping,
+  isMappingComplete,
+  loadMappingPresets,
+  saveMappingPreset,
+  deleteMappingPreset
+} from '../utils/columnMapping';
+
+const PREVIEW_ROWS = 5;
+
+// Mapping step between parsing and processing: assign file columns to origin/destination
+// fields, check the first rows, optionally keep the mapping as a named preset.
+export default function ColumnMapper({ fileName, headers, preview, initialMapping, initialPreset, onConfirm, onCancel }) {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [presets, setPresets] = useState(loadMappingPresets);
+  const [presetName, setPresetName] = useState(initialPreset || '');
+
+  const updateField = (end, field, column) => {
+    setMapping(prev => ({ ...prev, [end]: { ...prev[end], [field]: column } }));
+  };
+
+  const applyPreset = (name) => {
+    setPresetName(name);
+    if (presets[name]) setMapping(presets[name]);
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    setPresets(saveMappingPreset(name, mapping));
+  };
+
+  const handleDeletePreset = () => {
+    if (!presets[presetName]) return;
+    setPresets(deleteMappingPreset(presetName));
+    setPresetName('');
+  };
+
+  const sample = preview.slice(0, PREVIEW_ROWS);
+  const mappedSample = sample.map(row => applyMapping(row, mapping));
+  const roleOf = (header) => Object.entries(mapping).flatMap(([end, fields]) =>
+    Object.entries(fields).filter(([, column]) => column === header).map(([field]) => `${MAPPING_ENDS[end]} ${MAPPING_FIELDS[field].toLowerCase()}`)
+  ).join(', ');
+  const complete = isMappingComplete(mapping);
+
+  return (
+    <div className="column-mapper">
+      <h4>🧭 {fileName} - match the columns</h4>
+      <p className="column-mapper-hint">
+        Suggested from the header names. Each end needs a place name, city/state/country columns,
+        an airport code, a combined &quot;lat, lon&quot; column or separate latitude and longitude columns.
+      </p>
+
+      <div className="column-mapper-presets">
+        <select value={presets[presetName] ? presetName : ''} onChange={(e) => applyPreset(e.target.value)} className="settings-input">
+          <option value="">Saved presets…</option>
+          {Object.keys(presets).map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          className="settings-input"
+          placeholder="Preset name"
+        />
+        <button onClick={handleSavePreset} className="settings-secondary" disabled={!presetName.trim()}>
+          💾 Save preset
+        </button>
+        {presets[presetName] && (
+          <button onClick={handleDeletePreset} className="settings-secondary">🗑️ Delete</button>
+        )}
+      </div>
+
+      <div className="column-mapper-ends">
+        {Object.entries(MAPPING_ENDS).map(([end, label]) => (
+          <fieldset key={end} className="column-mapper-end">
+            <legend>{end === 'from' ? '🛫' : '🛬'} {label}</legend>
+            {Object.entries(MAPPING_FIELDS).map(([field, fieldLabel]) => (
+              <label key={field} className="column-mapper-field">
+                <span>{fieldLabel}</span>
+                <select
+                  value={mapping[end][field]}
+                  onChange={(e) => updateField(end, field, e.target.value)}
+                  className="settings-input"
+                >
+                  <option value="">—</option>
+                  {headers.map(header => <option key={header} value={header}>{header}</option>)}
+                </select>
+              </label>
+            ))}
+          </fieldset>
+        ))}
+      </div>
+
+      <div className="column-mapper-preview">
+        <h5>File preview</h5>
+        <div className="results-table matrix-table">
+          <table>
+            <thead>
+              <tr>
+                {headers.map(header => (
+                  <th key={header} className={roleOf(header) ? 'mapped' : ''} title={roleOf(header)}>{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sample.map((row, i) => (
+                <tr key={i}>
+                  {headers.map(header => <td key={header}>{row[header]}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <h5>Read as</h5>
+        <div className="results-table matrix-table">
+          <table>
+            <thead>
+              <tr>
+                <th>From</th>
+                <th>From Lat</th>
+                <th>From Lon</th>
+                <th>To</th>
+                <th>To Lat</th>
+                <th>To Lon</th>
+              </tr>
+            </thead>
+            <tbody>
+              {mappedSample.map((row, i) => (
+                <tr key={i}>
+                  <td>{row.from || row.iata_from || row.icao_from || '-'}</td>
+                  <td>{row.from_lat || '-'}</td>
+                  <td>{row.from_lon || '-'}</td>
+                  <td>{row.to || row.iata_to || row.icao_to || '-'}</td>
+                  <td>{row.to_lat || '-'}</td>
+                  <td>{row.to_lon || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="settings-actions">
+        <button onClick={() => onConfirm(mapping)} className="download-btn" disabled={!complete}>
+          ▶️ Process with this mapping
+        </button>
+        <button onClick={onCancel} className="settings-secondary">Cancel</button>
+        {!complete && <span className="place-review-error">Map at least one location column for both ends.</span>}
+      </div>
+    </div>
+  );
+}
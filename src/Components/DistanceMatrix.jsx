@@ -0,0 +1,292 @@
+import { useState, useRef } from 'react';
+import Papa from 'papaparse';
+import { isExcelFile, readWorkbook } from '../utils/spreadsheet';
+import { parsePlaceList, parseCoordinatePair, extractPlaceLists, ambiguousPlaces, buildAirMatrix, matrixExport } from '../utils/matrix';
+import { DISTANCE_MODELS } from '../utils/geodesy';
+import { downloadCsv } from '../utils/csv';
+import { convertKm, formatDistance, formatHours, unitLabel } from '../utils/units';
+import { TRAVEL_MODES, isRoutedMode } from '../utils/travelModes';
+
+// Grids hold km (air, road) or minutes (duration). Cells show the display unit and locale;
+// the CSV gets plain decimals in the same unit. mode is the routed travel mode of the matrix.
+const METRICS = {
+  air: {
+    label: (units) => `✈️ Air (${unitLabel(units)})`,
+    display: (km, units) => formatDistance(km, units, { withUnit: false }),
+    export: (km, units) => convertKm(km, units.distanceUnit).toFixed(units.precision),
+    file: (units) => `air_${unitLabel(units)}`
+  },
+  road: {
+    label: (units, mode) => `${TRAVEL_MODES[mode].icon} ${TRAVEL_MODES[mode].routeLabel} (${unitLabel(units)})`,
+    display: (km, units) => formatDistance(km, units, { withUnit: false }),
+    export: (km, units) => convertKm(km, units.distanceUnit).toFixed(units.precision),
+    file: (units, mode) => `${mode}_${unitLabel(units)}`
+  },
+  duration: {
+    label: (units, mode) => `⏱️ ${TRAVEL_MODES[mode].durationLabel} (hrs)`,
+    display: (min, units) => formatHours(min / 60, units),
+    export: (min) => (min / 60).toFixed(1),
+    file: (units, mode) => `${TRAVEL_MODES[mode].durationPrefix}_hours`
+  }
+};
+
+// resolvePlace is the bulk geocoder; names it can't pin down go through reviewPlaces (the bulk
+// PlaceReview step), which renders as placeReview while it waits
+export default function DistanceMatrix({ travelMode, distanceModel, units, resolvePlace, reviewPlaces, placeReview, fetchTable }) {
+  const [originsText, setOriginsText] = useState('Delhi\nMumbai\nBangalore');
+  const [destinationsText, setDestinationsText] = useState('Goa\nJaipur\nChennai\nKolkata');
+  const [matrix, setMatrix] = useState(null);
+  const [metric, setMetric] = useState('air');
+  const [processing, setProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const loadLists = ({ origins, destinations }) => {
+    if (origins.length === 0 || destinations.length === 0) {
+      setError('Could not find origin and destination columns in the file.');
+      return;
+    }
+    setOriginsText(origins.join('\n'));
+    setDestinationsText(destinations.join('\n'));
+    setMatrix(null);
+    setError(null);
+  };
+
+  const handleFileUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (isExcelFile(file)) {
+      try {
+        const workbook = await readWorkbook(file);
+        loadLists(extractPlaceLists(workbook.sheets[workbook.sheetNames[0]] || []));
+      } catch (err) {
+        console.error('Error reading workbook:', err);
+        setError('Error reading Excel file. Please check the format.');
+      }
+      return;
+    }
+
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (header) => header.trim().toLowerCase(),
+      complete: (results) => loadLists(extractPlaceLists(results.data)),
+      error: (err) => {
+        console.error('Error parsing CSV:', err);
+        setError('Error parsing CSV file. Please check the format.');
+      }
+    });
+  };
+
+  const handleCalculate = async () => {
+    const originNames = parsePlaceList(originsText);
+    const destinationNames = parsePlaceList(destinationsText);
+    if (originNames.length === 0 || destinationNames.length === 0) {
+      setError('Enter at least one origin and one destination.');
+      return;
+    }
+
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+    setProcessing(true);
+    setMatrix(null);
+    setError(null);
+
+    // A place listed on both sides is only geocoded once
+    const uniqueNames = [...new Set([...originNames, ...destinationNames])];
+    const resolved = {};
+    for (let i = 0; i < uniqueNames.length; i++) {
+      if (signal.aborted) break;
+      const name = uniqueNames[i];
+      setProgress({ phase: 'geocoding', current: i + 1, total: uniqueNames.length });
+      resolved[name] = parseCoordinatePair(name) || await resolvePlace(name, signal);
+    }
+
+    // Ambiguous names wait for the user before any distance uses them, as in bulk mode
+    const ambiguous = ambiguousPlaces(resolved);
+    if (ambiguous.length > 0 && !signal.aborted) {
+      setProgress({ phase: 'review', total: ambiguous.length });
+      const choices = await reviewPlaces(ambiguous, signal);
+      choices.forEach((coords, name) => { resolved[name] = coords; });
+    }
+
+    if (signal.aborted) {
+      setProcessing(false);
+      setProgress(null);
+      return;
+    }
+
+    const toPlace = (name) => resolved[name] ? { name, ...resolved[name] } : { name, error: 'Geocoding failed' };
+    const origins = originNames.map(toPlace);
+    const destinations = destinationNames.map(toPlace);
+    const result = {
+      origins,
+      destinations,
+      air: buildAirMatrix(origins, destinations, distanceModel),
+      road: null,
+      duration: null,
+      distanceModel,
+      mode: travelMode
+    };
+
+    if (isRoutedMode(travelMode)) {
+      const validOrigins = origins.filter(p => !p.error);
+      const validDestinations = destinations.filter(p => !p.error);
+      if (validOrigins.length > 0 && validDestinations.length > 0) {
+        setProgress({ phase: 'routing', current: validOrigins.length * validDestinations.length });
+        try {
+          const table = await fetchTable(validOrigins, validDestinations, signal);
+          // Spread the table over the full grid, leaving null where a place didn't geocode
+          const spread = (grid) => origins.map(o => destinations.map(d => {
+            const i = validOrigins.indexOf(o);
+            const j = validDestinations.indexOf(d);
+            return i === -1 || j === -1 ? null : grid[i][j];
+          }));
+          result.road = spread(table.distances);
+          result.duration = spread(table.durations);
+        } catch (err) {
+          if (err.name !== 'AbortError') {
+            console.error('Routed matrix error:', err);
+            setError(`Unable to fetch ${TRAVEL_MODES[travelMode].routeLabel.toLowerCase()} distances from the routing server. Showing air distances only.`);
+          }
+        }
+      }
+    }
+
+    setMatrix(result);
+    setMetric(result.road ? 'road' : 'air');
+    setProcessing(false);
+    setProgress(null);
+  };
+
+  const cancelProcessing = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const downloadMatrix = () => {
+    const { export: format, file } = METRICS[metric];
+    const { headers, rows } = matrixExport(matrix.origins, matrix.destinations, matrix[metric], value => format(value, units));
+    downloadCsv(headers, rows, `distance_matrix_${file(units, matrix.mode)}_${Date.now()}.csv`);
+  };
+
+  const failed = matrix ? [...matrix.origins, ...matrix.destinations].filter(p => p.error) : [];
+  const grid = matrix?.[metric];
+
+  return (
+    <div className="matrix-section">
+      <div className="matrix-inputs">
+        <label className="matrix-list">
+          <span>📍 Origins (one per line)</span>
+          <textarea
+            value={originsText}
+            onChange={(e) => { setOriginsText(e.target.value); setMatrix(null); }}
+            className="input-field matrix-textarea"
+            placeholder={'Delhi\nBOM\n12.9716, 77.5946'}
+            disabled={processing}
+          />
+          <small>{parsePlaceList(originsText).length} origins</small>
+        </label>
+        <label className="matrix-list">
+          <span>🎯 Destinations (one per line)</span>
+          <textarea
+            value={destinationsText}
+            onChange={(e) => { setDestinationsText(e.target.value); setMatrix(null); }}
+            className="input-field matrix-textarea"
+            placeholder={'Goa\nJAI\n22.5726, 88.3639'}
+            disabled={processing}
+          />
+          <small>{parsePlaceList(destinationsText).length} destinations</small>
+        </label>
+      </div>
+
+      <div className="file-upload-area">
+        <input
+          type="file"
+          accept=".csv,.xlsx,.xls"
+          onChange={handleFileUpload}
+          id="matrix-file-input"
+          style={{ display: 'none' }}
+          disabled={processing}
+        />
+        <label htmlFor="matrix-file-input" className={`upload-button ${processing ? 'disabled' : ''}`}>
+          📁 Load Lists from CSV or Excel
+        </label>
+        <p className="matrix-hint">Uses the <strong>origin</strong> and <strong>destination</strong> columns (or the first two columns)</p>
+      </div>
+
+      {!processing ? (
+        <button onClick={handleCalculate} className="calculate-btn">
+          🔢 Calculate {travelMode === 'air' ? 'Air' : TRAVEL_MODES[travelMode].routeLabel} Matrix
+        </button>
+      ) : (
+        <div className="calculating-road">
+          <div className="spinner-small"></div>
+          <p>
+            {progress?.phase === 'routing'
+              ? `Fetching ${progress.current} ${TRAVEL_MODES[travelMode].routeLabel.toLowerCase()} distances...`
+              : progress?.phase === 'review'
+              ? `🧐 Waiting for review - ${progress.total} ambiguous place${progress.total === 1 ? '' : 's'}`
+              : `Locating places (${progress?.current || 0}/${progress?.total || 0})...`}
+          </p>
+          <button onClick={cancelProcessing} className="settings-secondary">✖ Cancel</button>
+        </div>
+      )}
+
+      {placeReview}
+
+      {error && <div className="road-error"><p>⚠️ {error}</p></div>}
+
+      {matrix && (
+        <div className="bulk-results">
+          <div className="results-header">
+            <h3>🔢 Distance Matrix ({matrix.origins.length} × {matrix.destinations.length})</h3>
+            <div className="download-actions">
+              {matrix.road && (
+                <select value={metric} onChange={(e) => setMetric(e.target.value)} className="distance-model-select">
+                  {Object.entries(METRICS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label(units, matrix.mode)}</option>
+                  ))}
+                </select>
+              )}
+              <button onClick={downloadMatrix} className="download-btn">⬇️ Download CSV</button>
+            </div>
+          </div>
+          <div className="results-table matrix-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>From \ To</th>
+                  {matrix.destinations.map(d => (
+                    <th key={d.name} className={d.error ? 'matrix-error' : ''} title={d.error}>{d.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {matrix.origins.map((origin, i) => (
+                  <tr key={origin.name}>
+                    <th className={origin.error ? 'matrix-error' : ''} title={origin.error}>{origin.name}</th>
+                    {matrix.destinations.map((destination, j) => (
+                      <td key={destination.name}>
+                        {grid[i][j] === null ? '-' : METRICS[metric].display(grid[i][j], units)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="matrix-summary">
+            <span>{METRICS[metric].label(units, matrix.mode)}</span>
+            {metric === 'air' && <span>📐 {DISTANCE_MODELS[matrix.distanceModel].label}</span>}
+            {failed.length > 0 && (
+              <span className="matrix-error">⚠️ Could not locate: {failed.map(p => p.name).join(', ')}</span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,376 @@
+import { useState, useRef } from 'react';
+import {
+  buildItineraryLegs,
+  hasValidCoords,
+  itineraryExportRows,
+  itineraryHeaders
+} from '../utils/itinerary';
+import { DISTANCE_MODELS } from '../utils/geodesy';
+import { downloadCsv } from '../utils/csv';
+import { formatDistance, formatHours, unitLabel } from '../utils/units';
+import { TRAVEL_MODES, isRoutedMode } from '../utils/travelModes';
+import { parseCoordinateValue, describeFormat } from '../utils/coordinates';
+
+const stopLabel = (index) => String.fromCharCode(65 + (index % 26)) + (index >= 26 ? Math.floor(index / 26) : '');
+
+const INITIAL_STOPS = [
+  { id: 1, name: 'Delhi, India', lat: 28.6139, lon: 77.2090, input: 'search' },
+  { id: 2, name: 'Jaipur, India', lat: 26.9124, lon: 75.7873, input: 'search' },
+  { id: 3, name: 'Goa, India', lat: 15.2993, lon: 74.1240, input: 'search' }
+];
+
+export default function ItineraryPlanner({ travelMode, distanceModel, flightModel, units, searchPlaces, fetchRoute }) {
+  const [stops, setStops] = useState(INITIAL_STOPS);
+  const [queries, setQueries] = useState({});
+  const [suggestions, setSuggestions] = useState({});
+  const [loading, setLoading] = useState({});
+  // Raw text of custom lat/lon fields by stop id, kept until a place is picked from search
+  const [coordText, setCoordText] = useState({});
+  const [legs, setLegs] = useState(null);
+  // Travel mode the current legs were routed with, for their labels
+  const [legsMode, setLegsMode] = useState(travelMode);
+  const [calculating, setCalculating] = useState(false);
+  const [error, setError] = useState(null);
+  const nextIdRef = useRef(INITIAL_STOPS.length + 1);
+  const dragIndexRef = useRef(null);
+  const searchAbortRef = useRef({});
+  const routeAbortRef = useRef(null);
+  const [dragOverIndex, setDragOverIndex] = useState(null);
+  // Rows only become draggable while the handle is held, so text in the inputs stays selectable
+  const [dragEnabledId, setDragEnabledId] = useState(null);
+
+  // An edit also drops a route still being fetched for the old stops
+  const resetResults = () => {
+    routeAbortRef.current?.abort();
+    setCalculating(false);
+    setLegs(null);
+    setError(null);
+  };
+
+  const updateStop = (id, changes) => {
+    setStops(prev => prev.map(stop => stop.id === id ? { ...stop, ...changes } : stop));
+    resetResults();
+  };
+
+  const addStop = () => {
+    const id = nextIdRef.current++;
+    setStops(prev => [...prev, { id, name: '', lat: NaN, lon: NaN, input: 'search' }]);
+    resetResults();
+  };
+
+  const removeStop = (id) => {
+    setStops(prev => prev.filter(stop => stop.id !== id));
+    resetResults();
+  };
+
+  const handleSearch = async (id, query) => {
+    setQueries(prev => ({ ...prev, [id]: query }));
+    searchAbortRef.current[id]?.abort();
+    const controller = new AbortController();
+    searchAbortRef.current[id] = controller;
+    if (query.length < 2) {
+      setSuggestions(prev => ({ ...prev, [id]: [] }));
+      setLoading(prev => ({ ...prev, [id]: false }));
+      return;
+    }
+
+    setLoading(prev => ({ ...prev, [id]: true }));
+    const places = await searchPlaces(query, controller.signal);
+    if (controller.signal.aborted) return;
+    setSuggestions(prev => ({ ...prev, [id]: places }));
+    setLoading(prev => ({ ...prev, [id]: false }));
+  };
+
+  const selectPlace = (id, place) => {
+    updateStop(id, { name: place.display, lat: place.lat, lon: place.lon });
+    setQueries(prev => ({ ...prev, [id]: '' }));
+    setSuggestions(prev => ({ ...prev, [id]: [] }));
+    setCoordText(prev => ({ ...prev, [id]: {} }));
+  };
+
+  // lat/lon only change when their text parses, as in the single-route custom fields
+  const handleCustomInput = (id, field, value) => {
+    if (field === 'name') {
+      updateStop(id, { name: value });
+      return;
+    }
+    setCoordText(prev => ({ ...prev, [id]: { ...prev[id], [field]: value } }));
+    const parsed = parseCoordinateValue(value, field);
+    if (parsed.ok) updateStop(id, { [field]: parsed.value });
+    else resetResults();
+  };
+
+  // null when the field hasn't been typed into
+  const parseCustomField = (id, field) => {
+    const text = coordText[id]?.[field];
+    return text === undefined ? null : parseCoordinateValue(text, field);
+  };
+
+  // Invalid custom fields block the calculation rather than silently using the last good value
+  const invalidStops = stops.filter(stop => stop.input === 'custom' &&
+    ['lat', 'lon'].some(field => parseCustomField(stop.id, field)?.ok === false));
+
+  const coordinateHint = (id, field) => {
+    const parsed = parseCustomField(id, field);
+    if (!parsed) return null;
+    return parsed.ok
+      ? <span className="coordinate-hint">✓ {describeFormat(parsed.format)}</span>
+      : <span className="coordinate-hint invalid">⚠️ {parsed.error}</span>;
+  };
+
+  // HTML5 drag and drop reordering
+  const handleDrop = (index) => {
+    const from = dragIndexRef.current;
+    dragIndexRef.current = null;
+    setDragOverIndex(null);
+    if (from === null || from === index) return;
+    setStops(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(index, 0, moved);
+      return next;
+    });
+    resetResults();
+  };
+
+  const handleCalculate = async () => {
+    if (invalidStops.length > 0) return;
+    const invalid = stops.findIndex(stop => !hasValidCoords(stop));
+    if (stops.length < 2) {
+      setError('Add at least two stops.');
+      return;
+    }
+    if (invalid !== -1) {
+      setError(`Stop ${stopLabel(invalid)} has no location yet - search for a place or enter coordinates.`);
+      return;
+    }
+
+    const points = stops.map((stop, i) => ({ ...stop, name: stop.name || `Stop ${stopLabel(i)}` }));
+    setError(null);
+
+    setLegsMode(travelMode);
+    if (isRoutedMode(travelMode)) {
+      routeAbortRef.current?.abort();
+      const controller = new AbortController();
+      routeAbortRef.current = controller;
+      setCalculating(true);
+      setLegs(null);
+      let route;
+      try {
+        route = await fetchRoute(points, { signal: controller.signal });
+      } catch (err) {
+        // The routing profile can't avoid the selected roads
+        if (controller.signal.aborted) return;
+        setCalculating(false);
+        setLegs(buildItineraryLegs(points, distanceModel, flightModel));
+        setError(`${err.message}. Clear the avoid options or pick another routing profile in ⚙️ Settings. Showing air distances only.`);
+        return;
+      }
+      if (controller.signal.aborted) return;
+      setCalculating(false);
+      if (!route || route.legs.length !== points.length - 1) {
+        setLegs(buildItineraryLegs(points, distanceModel, flightModel));
+        setError(`Unable to calculate a ${TRAVEL_MODES[travelMode].routeLabel.toLowerCase()} route through every stop. Showing air distances only.`);
+        return;
+      }
+      setLegs(buildItineraryLegs(points, distanceModel, flightModel, route.legs));
+    } else {
+      setLegs(buildItineraryLegs(points, distanceModel, flightModel));
+    }
+  };
+
+  const downloadItinerary = () => {
+    // Legs that fell back to air distances have no routed columns
+    const exportMode = legs.some(leg => leg.roadKm !== undefined) ? legsMode : 'air';
+    downloadCsv(
+      itineraryHeaders(exportMode),
+      itineraryExportRows(legs, distanceModel, exportMode, units),
+      `itinerary_${legsMode}_${Date.now()}.csv`
+    );
+  };
+
+  const hasRoad = legs?.some(leg => leg.roadKm !== undefined);
+  const routed = TRAVEL_MODES[legsMode];
+  const last = legs?.[legs.length - 1];
+  const unit = unitLabel(units);
+  const cell = (km) => formatDistance(km, units, { withUnit: false });
+
+  return (
+    <div className="itinerary-section">
+      <div className="itinerary-stops">
+        {stops.map((stop, index) => (
+          <div
+            key={stop.id}
+            className={`itinerary-stop ${dragOverIndex === index ? 'drag-over' : ''}`}
+            draggable={dragEnabledId === stop.id}
+            onDragStart={() => { dragIndexRef.current = index; }}
+            onDragOver={(e) => { e.preventDefault(); setDragOverIndex(index); }}
+            onDragLeave={() => setDragOverIndex(null)}
+            onDrop={(e) => { e.preventDefault(); handleDrop(index); }}
+            onDragEnd={() => { setDragOverIndex(null); setDragEnabledId(null); }}
+          >
+            <span
+              className="drag-handle"
+              title="Drag to reorder"
+              onMouseDown={() => setDragEnabledId(stop.id)}
+              onMouseUp={() => setDragEnabledId(null)}
+            >
+              ⠿
+            </span>
+            <span className="stop-label">{stopLabel(index)}</span>
+
+            <div className="stop-body">
+              {stop.input === 'search' ? (
+                <div className="search-container">
+                  <input
+                    type="text"
+                    placeholder="Search for a city, address or airport code..."
+                    value={queries[stop.id] || ''}
+                    onChange={(e) => handleSearch(stop.id, e.target.value)}
+                    className="city-search"
+                  />
+                  {loading[stop.id] && <div className="searching">Searching...</div>}
+                  {!loading[stop.id] && suggestions[stop.id]?.length > 0 && (
+                    <div className="suggestions">
+                      {suggestions[stop.id].map((place, idx) => (
+                        <div key={idx} className="suggestion-item" onClick={() => selectPlace(stop.id, place)}>
+                          {place.display}
+                          {place.source === 'offline' && <span className="suggestion-badge">📦 offline</span>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="stop-custom">
+                  <input
+                    type="text"
+                    placeholder="Name"
+                    value={stop.name}
+                    onChange={(e) => handleCustomInput(stop.id, 'name', e.target.value)}
+                    className="input-field"
+                  />
+                  {['lat', 'lon'].map(field => (
+                    <div key={field} className="stop-field">
+                      <input
+                        type="text"
+                        placeholder={field === 'lat' ? 'Latitude (28.6139 or 28°36\'50"N)' : 'Longitude (77.2090 or 77°12\'32"E)'}
+                        value={coordText[stop.id]?.[field] ?? (Number.isFinite(stop[field]) ? stop[field] : '')}
+                        onChange={(e) => handleCustomInput(stop.id, field, e.target.value)}
+                        className="input-field"
+                      />
+                      {coordinateHint(stop.id, field)}
+                    </div>
+                  ))}
+                </div>
+              )}
+              <p className="stop-summary">
+                {hasValidCoords(stop)
+                  ? `${stop.name || 'Custom point'} (${stop.lat.toFixed(4)}°, ${stop.lon.toFixed(4)}°)`
+                  : 'No location selected'}
+              </p>
+            </div>
+
+            <div className="stop-actions">
+              <button
+                onClick={() => updateStop(stop.id, { input: stop.input === 'search' ? 'custom' : 'search' })}
+                className="stop-btn"
+                title={stop.input === 'search' ? 'Enter coordinates' : 'Search places'}
+              >
+                {stop.input === 'search' ? '📍' : '🔍'}
+              </button>
+              <button
+                onClick={() => removeStop(stop.id)}
+                className="stop-btn"
+                title="Remove stop"
+                disabled={stops.length <= 2}
+              >
+                ✖
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button onClick={addStop} className="add-stop-btn">➕ Add stop</button>
+
+      <button onClick={handleCalculate} className="calculate-btn" disabled={calculating || invalidStops.length > 0}>
+        {travelMode === 'air' ? '✈️ Calculate Itinerary' : `${TRAVEL_MODES[travelMode].icon} Calculate ${TRAVEL_MODES[travelMode].routeLabel} Itinerary`}
+      </button>
+      {invalidStops.length > 0 && (
+        <p className="coordinate-errors">
+          ⚠️ Fix the coordinates of stop {invalidStops.map(stop => stopLabel(stops.indexOf(stop))).join(', ')} before calculating.
+        </p>
+      )}
+
+      {calculating && (
+        <div className="calculating-road">
+          <div className="spinner-small"></div>
+          <p>Calculating {TRAVEL_MODES[travelMode].routeLabel.toLowerCase()} route through {stops.length} stops...</p>
+        </div>
+      )}
+
+      {error && <div className="road-error"><p>⚠️ {error}</p></div>}
+
+      {legs && legs.length > 0 && (
+        <div className="bulk-results">
+          <div className="results-header">
+            <h3>🧭 Itinerary ({legs.length} legs)</h3>
+            <button onClick={downloadItinerary} className="download-btn">⬇️ Download CSV</button>
+          </div>
+          <div className="results-table itinerary-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Leg</th>
+                  <th>From</th>
+                  <th>To</th>
+                  <th>Air ({unit})</th>
+                  <th>Flight (hrs)</th>
+                  <th>Total Air ({unit})</th>
+                  <th>Total Flight (hrs)</th>
+                  {hasRoad && (
+                    <>
+                      <th>{routed.routeLabel} ({unit})</th>
+                      <th>{routed.durationLabel} (hrs)</th>
+                      <th>Total {routed.routeLabel} ({unit})</th>
+                      <th>Total {routed.durationLabel} (hrs)</th>
+                    </>
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {legs.map(leg => (
+                  <tr key={leg.leg}>
+                    <td>{stopLabel(leg.leg - 1)} → {stopLabel(leg.leg)}</td>
+                    <td>{leg.from.name}</td>
+                    <td>{leg.to.name}</td>
+                    <td>{cell(leg.airKm)}</td>
+                    <td>{formatHours(leg.flightHours, units)}</td>
+                    <td>{cell(leg.cumulativeKm)}</td>
+                    <td>{formatHours(leg.cumulativeFlightHours, units)}</td>
+                    {hasRoad && (
+                      <>
+                        <td>{cell(leg.roadKm)}</td>
+                        <td>{formatHours(leg.driveMinutes / 60, units)}</td>
+                        <td>{cell(leg.cumulativeRoadKm)}</td>
+                        <td>{formatHours(leg.cumulativeDriveMinutes / 60, units)}</td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="itinerary-totals">
+            <span>✈️ Total air distance: <strong>{formatDistance(last.cumulativeKm, units)}</strong>, ~{formatHours(last.cumulativeFlightHours, units)} hrs flying ({formatHours(last.cumulativeBlockHours, units)} hrs block)</span>
+            {hasRoad && (
+              <span>{routed.icon} Total {routed.routeLabel.toLowerCase()} distance: <strong>{formatDistance(last.cumulativeRoadKm, units)}</strong>, ~{formatHours(last.cumulativeDriveMinutes / 60, units)} hrs</span>
+            )}
+            <span>📐 {DISTANCE_MODELS[distanceModel].label}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { parseCoordinatePair } from '../utils/matrix';
+
+// One decision per ambiguous location name: a geocoder candidate or typed "lat, lon".
+// items: [{ name, reason, candidates: [{ display, lat, lon, confidence? }] }]
+export default function PlaceReview({ items, onSubmit, onUseTopMatches }) {
+  const [picks, setPicks] = useState(() => Object.fromEntries(items.map(item => [item.name, { choice: 0, manual: '' }])));
+
+  const updatePick = (name, changes) => {
+    setPicks(prev => ({ ...prev, [name]: { ...prev[name], ...changes } }));
+  };
+
+  const resolvePick = (item) => {
+    const { choice, manual } = picks[item.name];
+    if (choice === 'manual') {
+      const coords = parseCoordinatePair(manual);
+      return coords && { ...coords, display: `${coords.lat}, ${coords.lon}`, source: 'manual' };
+    }
+    const { display, lat, lon } = item.candidates[choice];
+    return { lat, lon, display, source: 'candidate' };
+  };
+
+  const invalid = items.filter(item => !resolvePick(item));
+
+  const submit = () => {
+    onSubmit(new Map(items.map(item => [item.name, resolvePick(item)])));
+  };
+
+  const useTopMatches = () => {
+    onUseTopMatches(new Map(items.map(item => {
+      const { display, lat, lon } = item.candidates[0];
+      return [item.name, { lat, lon, display, source: 'candidate' }];
+    })));
+  };
+
+  return (
+    <div className="place-review">
+      <h3>🧐 Check {items.length} ambiguous place{items.length === 1 ? '' : 's'}</h3>
+      <p className="place-review-hint">
+        These names matched places far apart, or matched weakly. Pick the right one for each before
+        distances are calculated. Your picks are remembered for future runs.
+      </p>
+
+      <div className="place-review-list">
+        {items.map(item => {
+          const pick = picks[item.name];
+          return (
+            <fieldset key={item.name} className="place-review-item">
+              <legend>
+                <strong>{item.name}</strong>
+                <span className="place-review-reason">{item.reason}</span>
+              </legend>
+              {item.candidates.map((candidate, index) => (
+                <label key={index} className="place-review-option">
+                  <input
+                    type="radio"
+                    name={`review-${item.name}`}
+                    checked={pick.choice === index}
+                    onChange={() => updatePick(item.name, { choice: index })}
+                  />
+                  {candidate.display}
+                  <span className="place-review-coords">
+                    {candidate.lat.toFixed(4)}°, {candidate.lon.toFixed(4)}°
+                    {Number.isFinite(candidate.confidence) && ` · ${Math.round(candidate.confidence * 100)}%`}
+                  </span>
+                </label>
+              ))}
+              <label className="place-review-option">
+                <input
+                  type="radio"
+                  name={`review-${item.name}`}
+                  checked={pick.choice === 'manual'}
+                  onChange={() => updatePick(item.name, { choice: 'manual' })}
+                />
+                Coordinates:
+                <input
+                  type="text"
+                  value={pick.manual}
+                  onChange={(e) => updatePick(item.name, { choice: 'manual', manual: e.target.value })}
+                  className="place-review-manual"
+                  placeholder="lat, lon"
+                />
+              </label>
+            </fieldset>
+          );
+        })}
+      </div>
+
+      <div className="settings-actions">
+        <button onClick={submit} className="download-btn" disabled={invalid.length > 0}>
+          ✅ Use these places
+        </button>
+        <button onClick={useTopMatches} className="settings-secondary">
+          ⏭️ Use top matches (don't remember)
+        </button>
+        {invalid.length > 0 && (
+          <span className="place-review-error">
+            Enter valid coordinates for {invalid.map(item => item.name).join(', ')}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import { useState, useRef, useEffect } from 'react';
+import 'leaflet/dist/leaflet.css';
+import { loadLeaflet, loadWorldOutline, unwrapLongitudes } from '../utils/map';
+
+const ROUTE_COLOR = '#667eea';
+const ERROR_COLOR = '#dc2626';
+const ALTERNATIVE_STYLE = { color: '#a5b4fc', weight: 3, opacity: 0.8 };
+const OUTLINE_STYLE = { color: '#94a3b8', weight: 1, fillColor: '#e2e8f0', fillOpacity: 1 };
+
+// routes: [{ id, from: { name, lat, lon }, to, line: [[lat, lon], ...], label, error, alternative }]
+// Alternative routes are drawn lighter and without end markers; list them before the main route
+// so it stays on top.
+export default function RouteMap({ routes, tileUrl, attribution, offline, height = 400 }) {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const [ready, setReady] = useState(false);
+  const [useOutline, setUseOutline] = useState(false);
+  const [error, setError] = useState(null);
+
+  const showOutline = offline || !tileUrl || useOutline;
+
+  // Create the Leaflet map once; Leaflet itself is loaded on demand
+  useEffect(() => {
+    let cancelled = false;
+    loadLeaflet()
+      .then(L => {
+        if (cancelled) return;
+        const map = L.map(containerRef.current, { preferCanvas: true, worldCopyJump: true }).setView([20, 0], 2);
+        mapRef.current = { L, map, baseLayer: null, routeLayer: L.featureGroup().addTo(map) };
+        setReady(true);
+      })
+      .catch(err => {
+        console.error('Map failed to load:', err);
+        setError('The map could not be loaded.');
+      });
+
+    return () => {
+      cancelled = true;
+      mapRef.current?.map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  // Base layer: configured tiles, or the bundled outline offline / when tiles fail
+  useEffect(() => {
+    if (!ready) return;
+    const current = mapRef.current;
+    const { L, map } = current;
+    let cancelled = false;
+
+    if (current.baseLayer) {
+      map.removeLayer(current.baseLayer);
+      current.baseLayer = null;
+    }
+
+    if (!showOutline) {
+      const tiles = L.tileLayer(tileUrl, { attribution, maxZoom: 19 });
+      // One failed tile usually means no network - switch to the outline for the rest of the session
+      tiles.once('tileerror', () => setUseOutline(true));
+      current.baseLayer = tiles.addTo(map);
+    } else {
+      loadWorldOutline()
+        .then(outline => {
+          if (cancelled || mapRef.current !== current) return;
+          current.baseLayer = L.geoJSON(outline, { style: OUTLINE_STYLE, interactive: false }).addTo(map);
+          current.baseLayer.bringToBack();
+        })
+        .catch(err => console.error('World outline unavailable:', err));
+    }
+
+    return () => { cancelled = true; };
+  }, [ready, showOutline, tileUrl, attribution]);
+
+  // Routes: redraw and refit whenever the set changes
+  useEffect(() => {
+    if (!ready) return;
+    const { L, map, routeLayer } = mapRef.current;
+    routeLayer.clearLayers();
+
+    routes.forEach(route => {
+      const line = unwrapLongitudes(route.line);
+      if (route.alternative) {
+        L.polyline(line, ALTERNATIVE_STYLE).bindTooltip(route.label, { sticky: true }).addTo(routeLayer);
+        return;
+      }
+      const color = route.error ? ERROR_COLOR : ROUTE_COLOR;
+      L.polyline(line, { color, weight: route.error ? 2 : 3, opacity: 0.8, dashArray: route.error ? '6 6' : null })
+        .bindTooltip(route.label, { sticky: true })
+        .addTo(routeLayer);
+
+      const start = line[0];
+      const end = line[line.length - 1];
+      L.circleMarker(start, { radius: 6, color: '#fff', weight: 2, fillColor: '#16a34a', fillOpacity: 1 })
+        .bindTooltip(`From: ${route.from.name}`)
+        .addTo(routeLayer);
+      L.circleMarker(end, { radius: 6, color: '#fff', weight: 2, fillColor: route.error ? ERROR_COLOR : '#764ba2', fillOpacity: 1 })
+        .bindTooltip(`To: ${route.to.name}`)
+        .addTo(routeLayer);
+    });
+
+    const bounds = routeLayer.getBounds();
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [30, 30], maxZoom: 12 });
+  }, [ready, routes]);
+
+  return (
+    <div className="route-map-wrapper">
+      <div
+        ref={containerRef}
+        className={`route-map ${showOutline ? 'offline' : ''}`}
+        style={{ height }}
+      />
+      {error && <div className="road-error"><p>⚠️ {error}</p></div>}
+      {showOutline && !error && (
+        <p className="route-map-note">
+          📴 Offline basemap{useOutline && !offline && tileUrl ? ' (map tiles could not be loaded)' : ''}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,528 @@
+import { useState } from 'react';
+import { listGeocoders, listRouters } from '../providers';
+import CacheManager from './CacheManager';
+import { DISTANCE_UNITS, NUMBER_LOCALES, MAX_PRECISION, formatDistance } from '../utils/units';
+import { AIRCRAFT_PROFILES, flightModelFrom } from '../utils/flightTime';
+import { CABIN_CLASSES, VEHICLE_TYPES, DEFAULT_EMISSION_FACTORS } from '../utils/emissions';
+import { CURRENCIES, RATE_UNITS, costProfileFrom } from '../utils/tripCost';
+import { TRAVEL_MODES, ROUTED_MODES } from '../utils/travelModes';
+
+const FactorInput = ({ label, value, onChange, step = '0.001' }) => (
+  <label className="settings-field">
+    <span>{label}</span>
+    <input
+      type="number"
+      min="0"
+      step={step}
+      value={value}
+      onChange={(e) => onChange(Math.max(0, parseFloat(e.target.value) || 0))}
+      className="settings-input"
+    />
+  </label>
+);
+
+// The whole factor set is shown so users can check it against their own reporting standard
+const EmissionFields = ({ preferences, updatePreference }) => {
+  const factors = preferences.emissionFactors;
+  const updateFactors = (patch) => updatePreference('emissionFactors', { ...factors, ...patch });
+  const updateBand = (index, field, value) =>
+    updateFactors({ airBands: factors.airBands.map((band, i) => (i === index ? { ...band, [field]: value } : band)) });
+
+  return (
+    <div className="settings-section">
+      <h4>🌱 Emissions</h4>
+      <div className="settings-grid">
+        <label className="settings-field">
+          <span>Cabin class</span>
+          <select
+            value={preferences.cabinClass}
+            onChange={(e) => updatePreference('cabinClass', e.target.value)}
+            className="settings-input"
+          >
+            {Object.entries(CABIN_CLASSES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </label>
+        <label className="settings-field">
+          <span>Vehicle</span>
+          <select
+            value={preferences.vehicleType}
+            onChange={(e) => updatePreference('vehicleType', e.target.value)}
+            className="settings-input"
+          >
+            {Object.entries(VEHICLE_TYPES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+      <label className="settings-check">
+        <input
+          type="checkbox"
+          checked={preferences.radiativeForcing}
+          onChange={(e) => updatePreference('radiativeForcing', e.target.checked)}
+        />
+        Include radiative forcing (non-CO2 effects of flying) - multiplies air emissions by {factors.rfMultiplier}
+      </label>
+
+      <h5>Air - kg CO2e per passenger-km, economy</h5>
+      <div className="settings-grid settings-factors">
+        {factors.airBands.map((band, index) => (
+          <div key={band.id}>
+            <FactorInput label={band.label} value={band.kgPerKm} onChange={(value) => updateBand(index, 'kgPerKm', value)} />
+            {band.maxKm !== null && (
+              <FactorInput label="…up to (km)" value={band.maxKm} step="1" onChange={(value) => updateBand(index, 'maxKm', value)} />
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="settings-grid settings-factors">
+        {Object.entries(CABIN_CLASSES).map(([id, label]) => (
+          <FactorInput
+            key={id}
+            label={`${label} ×`}
+            value={factors.cabinMultipliers[id]}
+            step="0.1"
+            onChange={(value) => updateFactors({ cabinMultipliers: { ...factors.cabinMultipliers, [id]: value } })}
+          />
+        ))}
+        <FactorInput label="Distance uplift ×" value={factors.airUplift} step="0.01" onChange={(value) => updateFactors({ airUplift: value })} />
+        <FactorInput label="Radiative forcing ×" value={factors.rfMultiplier} step="0.1" onChange={(value) => updateFactors({ rfMultiplier: value })} />
+      </div>
+
+      <h5>Road - kg CO2e per vehicle-km</h5>
+      <div className="settings-grid settings-factors">
+        {Object.entries(VEHICLE_TYPES).map(([id, label]) => (
+          <FactorInput
+            key={id}
+            label={label}
+            value={factors.road[id]}
+            onChange={(value) => updateFactors({ road: { ...factors.road, [id]: value } })}
+          />
+        ))}
+      </div>
+      <p className="settings-note">Defaults are the UK DESNZ/DEFRA 2023 greenhouse gas conversion factors.</p>
+      <button onClick={() => updatePreference('emissionFactors', DEFAULT_EMISSION_FACTORS)} className="settings-secondary">
+        ↺ Restore default factors
+      </button>
+    </div>
+  );
+};
+
+// Named rate profiles; the one selected here is used for new calculations
+const CostFields = ({ preferences, updatePreference }) => {
+  const profiles = preferences.costProfiles;
+  const active = costProfileFrom(preferences);
+  const updateProfile = (field, value) =>
+    updatePreference('costProfiles', profiles.map(profile => (profile.id === active.id ? { ...profile, [field]: value } : profile)));
+
+  const addProfile = () => {
+    const profile = { ...active, id: `profile-${Date.now().toString(36)}`, name: `${active.name} (copy)` };
+    updatePreference('costProfiles', [...profiles, profile]);
+    updatePreference('costProfile', profile.id);
+  };
+
+  const deleteProfile = () => {
+    const remaining = profiles.filter(profile => profile.id !== active.id);
+    updatePreference('costProfiles', remaining);
+    updatePreference('costProfile', remaining[0].id);
+  };
+
+  return (
+    <div className="settings-section">
+      <h4>💶 Trip cost</h4>
+      <div className="settings-grid">
+        <label className="settings-field">
+          <span>Rate profile</span>
+          <select
+            value={active.id}
+            onChange={(e) => updatePreference('costProfile', e.target.value)}
+            className="settings-input"
+          >
+            {profiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+          </select>
+        </label>
+        <label className="settings-field">
+          <span>Profile name</span>
+          <input
+            type="text"
+            value={active.name}
+            onChange={(e) => updateProfile('name', e.target.value)}
+            className="settings-input"
+          />
+        </label>
+      </div>
+      <div className="settings-grid settings-factors">
+        <label className="settings-field">
+          <span>Currency</span>
+          <select value={active.currency} onChange={(e) => updateProfile('currency', e.target.value)} className="settings-input">
+            {CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+          </select>
+        </label>
+        <label className="settings-field">
+          <span>Mileage rate</span>
+          <select value={active.rateUnit} onChange={(e) => updateProfile('rateUnit', e.target.value)} className="settings-input">
+            {Object.entries(RATE_UNITS).map(([unit, { label }]) => <option key={unit} value={unit}>{label}</option>)}
+          </select>
+        </label>
+        <FactorInput
+          label={`${active.currency} ${RATE_UNITS[active.rateUnit].label}`}
+          value={active.mileageRate}
+          step="0.01"
+          onChange={(value) => updateProfile('mileageRate', value)}
+        />
+        <FactorInput label="Fuel use (L/100 km)" value={active.fuelConsumption} step="0.1" onChange={(value) => updateProfile('fuelConsumption', value)} />
+        <FactorInput label={`Fuel price (${active.currency}/L)`} value={active.fuelPrice} step="0.01" onChange={(value) => updateProfile('fuelPrice', value)} />
+        <FactorInput label={`Airfare base (${active.currency})`} value={active.airfareBase} step="1" onChange={(value) => updateProfile('airfareBase', value)} />
+        <FactorInput label={`Airfare per km (${active.currency})`} value={active.airfarePerKm} step="0.01" onChange={(value) => updateProfile('airfarePerKm', value)} />
+      </div>
+      <p className="settings-note">
+        Road trips get a mileage reimbursement and a fuel cost; flights get a rough airfare (base + per km), not a quote.
+      </p>
+      <div className="settings-actions">
+        <button onClick={addProfile} className="settings-secondary">➕ Copy as new profile</button>
+        <button onClick={deleteProfile} className="settings-secondary" disabled={profiles.length <= 1}>🗑️ Delete profile</button>
+      </div>
+    </div>
+  );
+};
+
+const ProviderFields = ({ title, options, value, onChange, showEmail, showTableLimit, showProfiles }) => {
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+  const updateMode = (field, mode, modeValue) => update(field, { ...value[field], [mode]: modeValue });
+
+  const changeProvider = (provider) => {
+    const option = options.find(o => o.id === provider);
+    // Switching provider resets the URL and request limits to that provider's public defaults
+    onChange({ ...value, provider, baseUrl: option?.defaultUrl || value.baseUrl, ...option?.limits });
+  };
+
+  return (
+    <div className="settings-section">
+      <h4>{title}</h4>
+      <label className="settings-field">
+        <span>Provider</span>
+        <select value={value.provider} onChange={(e) => changeProvider(e.target.value)} className="settings-input">
+          {options.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+        </select>
+      </label>
+      <label className="settings-field">
+        <span>Base URL</span>
+        <input
+          type="url"
+          value={value.baseUrl}
+          onChange={(e) => update('baseUrl', e.target.value)}
+          className="settings-input"
+          placeholder="https://your-server.example.com"
+        />
+      </label>
+      <label className="settings-field">
+        <span>API key</span>
+        <input
+          type="password"
+          value={value.apiKey}
+          onChange={(e) => update('apiKey', e.target.value)}
+          className="settings-input"
+          placeholder="Optional"
+        />
+      </label>
+      <label className="settings-field">
+        <span>API key header</span>
+        <input
+          type="text"
+          value={value.apiKeyHeader}
+          onChange={(e) => update('apiKeyHeader', e.target.value)}
+          className="settings-input"
+          placeholder={`Empty = send as ?${value.apiKeyParam || 'key'}=`}
+        />
+      </label>
+      {showEmail && (
+        <label className="settings-field">
+          <span>Contact email</span>
+          <input
+            type="email"
+            value={value.email}
+            onChange={(e) => update('email', e.target.value)}
+            className="settings-input"
+            placeholder="Sent as the email parameter"
+          />
+        </label>
+      )}
+      <label className="settings-field">
+        <span>User agent</span>
+        <input
+          type="text"
+          value={value.userAgent}
+          onChange={(e) => update('userAgent', e.target.value)}
+          className="settings-input"
+          placeholder="Optional"
+        />
+      </label>
+      <div className="settings-row">
+        <label className="settings-field">
+          <span>Requests per second</span>
+          <input
+            type="number"
+            min="0.1"
+            step="0.1"
+            value={value.rateLimit}
+            onChange={(e) => update('rateLimit', parseFloat(e.target.value) || '')}
+            className="settings-input"
+          />
+        </label>
+        <label className="settings-field">
+          <span>Max concurrent requests</span>
+          <input
+            type="number"
+            min="1"
+            value={value.maxConcurrent}
+            onChange={(e) => update('maxConcurrent', parseInt(e.target.value, 10) || '')}
+            className="settings-input"
+          />
+        </label>
+      </div>
+      {showTableLimit && (
+        <label className="settings-field">
+          <span>Max coordinates per matrix request</span>
+          <input
+            type="number"
+            min="2"
+            value={value.maxTableCoords}
+            onChange={(e) => update('maxTableCoords', parseInt(e.target.value, 10) || '')}
+            className="settings-input"
+          />
+        </label>
+      )}
+      {showProfiles && (
+        <>
+          <h5>Routing profile per travel mode</h5>
+          {ROUTED_MODES.map(mode => (
+            <div key={mode} className="settings-row">
+              <label className="settings-field">
+                <span>{TRAVEL_MODES[mode].icon} {TRAVEL_MODES[mode].label} profile</span>
+                <input
+                  type="text"
+                  value={value.profiles?.[mode] || ''}
+                  onChange={(e) => updateMode('profiles', mode, e.target.value)}
+                  className="settings-input"
+                  placeholder="Provider default"
+                />
+              </label>
+              <label className="settings-field">
+                <span>Server</span>
+                <input
+                  type="url"
+                  value={value.profileUrls?.[mode] || ''}
+                  onChange={(e) => updateMode('profileUrls', mode, e.target.value)}
+                  className="settings-input"
+                  placeholder="Same as base URL"
+                />
+              </label>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default function SettingsPanel({ providerSettings, preferences, onSave, onReset, onClose }) {
+  const [draft, setDraft] = useState(providerSettings);
+  const [draftPreferences, setDraftPreferences] = useState(preferences);
+
+  const updatePreference = (field, value) => setDraftPreferences(prev => ({ ...prev, [field]: value }));
+  const flightModel = flightModelFrom(draftPreferences);
+
+  return (
+    <div className="settings-panel">
+      <div className="settings-header">
+        <h3>⚙️ Settings</h3>
+        <button onClick={onClose} className="settings-close" aria-label="Close settings">✖</button>
+      </div>
+
+      <div className="settings-section">
+        <h4>📴 Offline</h4>
+        <label className="settings-check">
+          <input
+            type="checkbox"
+            checked={draftPreferences.offlineMode}
+            onChange={(e) => updatePreference('offlineMode', e.target.checked)}
+          />
+          Offline mode - resolve places only from the built-in city &amp; airport list
+        </label>
+      </div>
+
+      <div className="settings-section">
+        <h4>🛫 Airport codes</h4>
+        <label className="settings-check">
+          <input
+            type="checkbox"
+            checked={draftPreferences.bareAirportCodes}
+            onChange={(e) => updatePreference('bareAirportCodes', e.target.checked)}
+          />
+          Bulk from/to columns hold airport codes - read UPPERCASE values such as MAN as codes, even when a place has that name
+        </label>
+      </div>
+
+      <div className="settings-section">
+        <h4>📏 Units</h4>
+        <div className="settings-grid">
+          <label className="settings-field">
+            <span>Distance unit</span>
+            <select
+              value={draftPreferences.distanceUnit}
+              onChange={(e) => updatePreference('distanceUnit', e.target.value)}
+              className="settings-input"
+            >
+              {Object.entries(DISTANCE_UNITS).map(([unit, { label, short }]) => (
+                <option key={unit} value={unit}>{label} ({short})</option>
+              ))}
+            </select>
+          </label>
+          <label className="settings-field">
+            <span>Decimal places</span>
+            <input
+              type="number"
+              min="0"
+              max={MAX_PRECISION}
+              value={draftPreferences.precision}
+              onChange={(e) => updatePreference('precision', Math.min(MAX_PRECISION, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+              className="settings-input"
+            />
+          </label>
+          <label className="settings-field">
+            <span>Number format</span>
+            <select
+              value={draftPreferences.numberLocale}
+              onChange={(e) => updatePreference('numberLocale', e.target.value)}
+              className="settings-input"
+            >
+              {Object.entries(NUMBER_LOCALES).map(([locale, label]) => (
+                <option key={locale} value={locale}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <p className="settings-note">Example: 1234.5678 km is shown as {formatDistance(1234.5678, draftPreferences)}</p>
+      </div>
+
+      <div className="settings-section">
+        <h4>✈️ Flight time</h4>
+        <div className="settings-grid">
+          <label className="settings-field">
+            <span>Aircraft</span>
+            <select
+              value={draftPreferences.aircraftProfile}
+              onChange={(e) => updatePreference('aircraftProfile', e.target.value)}
+              className="settings-input"
+            >
+              {Object.entries(AIRCRAFT_PROFILES).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {draftPreferences.aircraftProfile === 'custom' && (
+            <label className="settings-field">
+              <span>Cruise speed (km/h)</span>
+              <input
+                type="number"
+                min="50"
+                value={draftPreferences.customCruiseKmh}
+                onChange={(e) => updatePreference('customCruiseKmh', parseInt(e.target.value, 10) || '')}
+                className="settings-input"
+              />
+            </label>
+          )}
+          <label className="settings-field">
+            <span>Routing allowance over the great circle (%)</span>
+            <input
+              type="number"
+              min="0"
+              max="50"
+              value={Math.round((draftPreferences.routingFactor - 1) * 100)}
+              onChange={(e) => updatePreference('routingFactor', 1 + Math.max(0, parseFloat(e.target.value) || 0) / 100)}
+              className="settings-input"
+            />
+          </label>
+        </div>
+        <p className="settings-note">
+          Cruise at {flightModel.cruiseKmh} km/h, plus {flightModel.climbDescentMinutes} min for climb and descent
+          (flight time) and {flightModel.taxiMinutes} min of taxiing (block time).
+        </p>
+      </div>
+
+      <EmissionFields preferences={draftPreferences} updatePreference={updatePreference} />
+      <CostFields preferences={draftPreferences} updatePreference={updatePreference} />
+
+      <div className="settings-section">
+        <h4>🗺️ Map</h4>
+        <label className="settings-field">
+          <span>Tile URL template</span>
+          <input
+            type="text"
+            value={draftPreferences.mapTileUrl}
+            onChange={(e) => updatePreference('mapTileUrl', e.target.value)}
+            className="settings-input"
+            placeholder="Empty = offline world outline"
+          />
+        </label>
+        <label className="settings-field">
+          <span>Attribution</span>
+          <input
+            type="text"
+            value={draftPreferences.mapAttribution}
+            onChange={(e) => updatePreference('mapAttribution', e.target.value)}
+            className="settings-input"
+          />
+        </label>
+      </div>
+
+      <div className="settings-grid">
+        <ProviderFields
+          title="🌍 Geocoding"
+          options={listGeocoders()}
+          value={draft.geocoder}
+          onChange={(geocoder) => setDraft(prev => ({ ...prev, geocoder }))}
+          showEmail
+        />
+        <ProviderFields
+          title="🚗 Routing"
+          options={listRouters()}
+          value={draft.router}
+          onChange={(router) => setDraft(prev => ({ ...prev, router }))}
+          showTableLimit
+          showProfiles
+        />
+      </div>
+
+      <div className="settings-section">
+        <h4>💾 Cache</h4>
+        <div className="settings-grid">
+          <label className="settings-field">
+            <span>Keep places for (days)</span>
+            <input
+              type="number"
+              min="0"
+              value={draftPreferences.geocodeCacheDays}
+              onChange={(e) => updatePreference('geocodeCacheDays', Math.max(0, parseInt(e.target.value, 10) || 0))}
+              className="settings-input"
+            />
+          </label>
+          <label className="settings-field">
+            <span>Keep routes for (days)</span>
+            <input
+              type="number"
+              min="0"
+              value={draftPreferences.roadCacheDays}
+              onChange={(e) => updatePreference('roadCacheDays', Math.max(0, parseInt(e.target.value, 10) || 0))}
+              className="settings-input"
+            />
+          </label>
+        </div>
+        <CacheManager geocodeDays={draftPreferences.geocodeCacheDays} roadDays={draftPreferences.roadCacheDays} />
+      </div>
+
+      <div className="settings-actions">
+        <button onClick={() => onSave(draft, draftPreferences)} className="download-btn">💾 Save</button>
+        <button onClick={onReset} className="settings-secondary">↺ Reset to defaults</button>
+      </div>
+    </div>
+  );
+}
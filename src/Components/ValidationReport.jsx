@@ -0,0 +1,72 @@
+import { downloadCsv } from '../utils/csv';
+
+// Long reports are cut short on screen; the CSV download always has every row
+const SHOWN_ISSUES = 200;
+
+// Pre-flight check of a bulk file: every row that would fail or skip its coordinates, and why.
+// report: { fileName, totalRows, issues: [{ sheet, row, from, to, problems }] } - row is 1-based
+export default function ValidationReport({ report, onSkipInvalid, onProcessAll, onCancel }) {
+  const { fileName, totalRows, issues } = report;
+  const showSheet = issues.some(issue => issue.sheet);
+  const validRows = totalRows - issues.length;
+
+  const downloadReport = () => {
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    downloadCsv(
+      ['sheet', 'row', 'from', 'to', 'problems'],
+      issues.map(issue => ({ ...issue, problems: issue.problems.join('; ') })),
+      `${baseName}_validation.csv`
+    );
+  };
+
+  return (
+    <div className="validation-report">
+      <h3>🩺 {issues.length} of {totalRows} row{totalRows === 1 ? '' : 's'} in {fileName} need attention</h3>
+      <p className="validation-report-hint">
+        Rows with missing or out-of-range coordinates would fail, or be geocoded by name instead.
+        Fix them in the file and upload it again, or carry on.
+      </p>
+
+      <div className="results-table validation-report-table">
+        <table>
+          <thead>
+            <tr>
+              {showSheet && <th>Sheet</th>}
+              <th>Row</th>
+              <th>From</th>
+              <th>To</th>
+              <th>Problems</th>
+            </tr>
+          </thead>
+          <tbody>
+            {issues.slice(0, SHOWN_ISSUES).map((issue, index) => (
+              <tr key={index}>
+                {showSheet && <td>{issue.sheet}</td>}
+                <td>{issue.row}</td>
+                <td>{issue.from || '-'}</td>
+                <td>{issue.to || '-'}</td>
+                <td>{issue.problems.join('; ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {issues.length > SHOWN_ISSUES && (
+        <p className="validation-report-hint">
+          Showing the first {SHOWN_ISSUES}. Download the report for all {issues.length}.
+        </p>
+      )}
+
+      <div className="settings-actions">
+        <button onClick={onSkipInvalid} className="download-btn" disabled={validRows === 0}>
+          ▶️ Process {validRows} valid row{validRows === 1 ? '' : 's'}
+        </button>
+        <button onClick={onProcessAll} className="settings-secondary">
+          Process all {totalRows} anyway
+        </button>
+        <button onClick={downloadReport} className="settings-secondary">📥 Download report</button>
+        <button onClick={onCancel} className="settings-secondary">Cancel</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,626 @@
+// Embedded offline gazetteer. Loaded lazily via import() so it never weighs on the first paint.
+//
+// countries: ISO 3166-1 alpha-2 code -> [name, ...aliases]
+// cities:    [name, countryCode, lat, lon, population (thousands, metro), altNames?, region?]
+// airports:  [iata, icao, name, city, countryCode, lat, lon]
+
+export const countries = {
+  AE: ['United Arab Emirates', 'UAE', 'Emirates'],
+  AF: ['Afghanistan'],
+  AM: ['Armenia'],
+  AO: ['Angola'],
+  AR: ['Argentina'],
+  AT: ['Austria', 'Osterreich'],
+  AU: ['Australia'],
+  AZ: ['Azerbaijan'],
+  BD: ['Bangladesh'],
+  BE: ['Belgium', 'Belgique', 'Belgie'],
+  BG: ['Bulgaria'],
+  BH: ['Bahrain'],
+  BO: ['Bolivia'],
+  BR: ['Brazil', 'Brasil'],
+  BT: ['Bhutan'],
+  BY: ['Belarus'],
+  CA: ['Canada'],
+  CD: ['Democratic Republic of the Congo', 'DR Congo', 'DRC', 'Congo-Kinshasa'],
+  CH: ['Switzerland', 'Schweiz', 'Suisse'],
+  CL: ['Chile'],
+  CN: ['China', 'PRC', "People's Republic of China"],
+  CO: ['Colombia'],
+  CR: ['Costa Rica'],
+  CU: ['Cuba'],
+  CZ: ['Czech Republic', 'Czechia'],
+  DE: ['Germany', 'Deutschland'],
+  DK: ['Denmark', 'Danmark'],
+  DO: ['Dominican Republic'],
+  DZ: ['Algeria'],
+  EC: ['Ecuador'],
+  EE: ['Estonia'],
+  EG: ['Egypt'],
+  ES: ['Spain', 'Espana'],
+  ET: ['Ethiopia'],
+  FI: ['Finland', 'Suomi'],
+  FJ: ['Fiji'],
+  FR: ['France'],
+  GB: ['United Kingdom', 'UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales'],
+  GE: ['Georgia'],
+  GH: ['Ghana'],
+  GR: ['Greece', 'Hellas'],
+  GT: ['Guatemala'],
+  HK: ['Hong Kong'],
+  HR: ['Croatia', 'Hrvatska'],
+  HU: ['Hungary', 'Magyarorszag'],
+  ID: ['Indonesia'],
+  IE: ['Ireland', 'Eire'],
+  IL: ['Israel'],
+  IN: ['India', 'Bharat'],
+  IQ: ['Iraq'],
+  IR: ['Iran'],
+  IS: ['Iceland'],
+  IT: ['Italy', 'Italia'],
+  JM: ['Jamaica'],
+  JO: ['Jordan'],
+  JP: ['Japan', 'Nippon'],
+  KE: ['Kenya'],
+  KH: ['Cambodia'],
+  KP: ['North Korea', 'DPRK'],
+  KR: ['South Korea', 'Korea', 'Republic of Korea'],
+  KW: ['Kuwait'],
+  KZ: ['Kazakhstan'],
+  LA: ['Laos'],
+  LB: ['Lebanon'],
+  LK: ['Sri Lanka'],
+  LT: ['Lithuania'],
+  LU: ['Luxembourg'],
+  LV: ['Latvia'],
+  MA: ['Morocco'],
+  MG: ['Madagascar'],
+  MM: ['Myanmar', 'Burma'],
+  MO: ['Macau', 'Macao'],
+  MU: ['Mauritius'],
+  MV: ['Maldives'],
+  MX: ['Mexico'],
+  MY: ['Malaysia'],
+  NG: ['Nigeria'],
+  NL: ['Netherlands', 'Holland', 'The Netherlands'],
+  NO: ['Norway', 'Norge'],
+  NP: ['Nepal'],
+  NZ: ['New Zealand', 'Aotearoa'],
+  OM: ['Oman'],
+  PA: ['Panama'],
+  PE: ['Peru'],
+  PG: ['Papua New Guinea', 'PNG'],
+  PH: ['Philippines'],
+  PK: ['Pakistan'],
+  PL: ['Poland', 'Polska'],
+  PR: ['Puerto Rico'],
+  PT: ['Portugal'],
+  PY: ['Paraguay'],
+  QA: ['Qatar'],
+  RO: ['Romania'],
+  RS: ['Serbia', 'Srbija'],
+  RU: ['Russia', 'Russian Federation'],
+  RW: ['Rwanda'],
+  SA: ['Saudi Arabia', 'KSA'],
+  SD: ['Sudan'],
+  SE: ['Sweden', 'Sverige'],
+  SG: ['Singapore'],
+  SI: ['Slovenia'],
+  SK: ['Slovakia'],
+  SN: ['Senegal'],
+  SY: ['Syria'],
+  TH: ['Thailand'],
+  TN: ['Tunisia'],
+  TR: ['Turkey', 'Turkiye'],
+  TW: ['Taiwan'],
+  TZ: ['Tanzania'],
+  UA: ['Ukraine'],
+  UG: ['Uganda'],
+  US: ['United States', 'USA', 'US', 'United States of America', 'America'],
+  UY: ['Uruguay'],
+  UZ: ['Uzbekistan'],
+  VE: ['Venezuela'],
+  VN: ['Vietnam', 'Viet Nam'],
+  ZA: ['South Africa'],
+  ZM: ['Zambia'],
+  ZW: ['Zimbabwe']
+};
+
+export const cities = [
+  // South Asia
+  ['Delhi', 'IN', 28.6139, 77.2090, 32900, ['New Delhi']],
+  ['Mumbai', 'IN', 19.0760, 72.8777, 21300, ['Bombay']],
+  ['Kolkata', 'IN', 22.5726, 88.3639, 15100, ['Calcutta']],
+  ['Bengaluru', 'IN', 12.9716, 77.5946, 13600, ['Bangalore']],
+  ['Chennai', 'IN', 13.0827, 80.2707, 11500, ['Madras']],
+  ['Hyderabad', 'IN', 17.3850, 78.4867, 10800, [], 'Telangana'],
+  ['Ahmedabad', 'IN', 23.0225, 72.5714, 8600],
+  ['Pune', 'IN', 18.5204, 73.8567, 7000, ['Poona']],
+  ['Surat', 'IN', 21.1702, 72.8311, 7800],
+  ['Jaipur', 'IN', 26.9124, 75.7873, 4100],
+  ['Lucknow', 'IN', 26.8467, 80.9462, 3900],
+  ['Kanpur', 'IN', 26.4499, 80.3319, 3200],
+  ['Nagpur', 'IN', 21.1458, 79.0882, 2900],
+  ['Indore', 'IN', 22.7196, 75.8577, 3200],
+  ['Bhopal', 'IN', 23.2599, 77.4126, 2500],
+  ['Patna', 'IN', 25.5941, 85.1376, 2500],
+  ['Vadodara', 'IN', 22.3072, 73.1812, 2200, ['Baroda']],
+  ['Ludhiana', 'IN', 30.9010, 75.8573, 1900],
+  ['Agra', 'IN', 27.1767, 78.0081, 1900],
+  ['Varanasi', 'IN', 25.3176, 82.9739, 1700, ['Benares', 'Banaras']],
+  ['Srinagar', 'IN', 34.0837, 74.7973, 1600],
+  ['Amritsar', 'IN', 31.6340, 74.8723, 1300],
+  ['Visakhapatnam', 'IN', 17.6868, 83.2185, 2300, ['Vizag']],
+  ['Coimbatore', 'IN', 11.0168, 76.9558, 2900],
+  ['Madurai', 'IN', 9.9252, 78.1198, 1700],
+  ['Kochi', 'IN', 9.9312, 76.2673, 2400, ['Cochin', 'Ernakulam']],
+  ['Thiruvananthapuram', 'IN', 8.5241, 76.9366, 1700, ['Trivandrum']],
+  ['Mangaluru', 'IN', 12.9141, 74.8560, 700, ['Mangalore']],
+  ['Goa', 'IN', 15.2993, 74.1240, 1500],
+  ['Panaji', 'IN', 15.4909, 73.8278, 120, ['Panjim']],
+  ['Chandigarh', 'IN', 30.7333, 76.7794, 1200],
+  ['Dehradun', 'IN', 30.3165, 78.0322, 900],
+  ['Gurugram', 'IN', 28.4595, 77.0266, 1500, ['Gurgaon']],
+  ['Noida', 'IN', 28.5355, 77.3910, 900],
+  ['Guwahati', 'IN', 26.1445, 91.7362, 1100],
+  ['Bhubaneswar', 'IN', 20.2961, 85.8245, 1100],
+  ['Ranchi', 'IN', 23.3441, 85.3096, 1300],
+  ['Raipur', 'IN', 21.2514, 81.6296, 1200],
+  ['Udaipur', 'IN', 24.5854, 73.7125, 600],
+  ['Jodhpur', 'IN', 26.2389, 73.0243, 1200],
+  ['Karachi', 'PK', 24.8607, 67.0011, 17200],
+  ['Lahore', 'PK', 31.5204, 74.3587, 13500],
+  ['Faisalabad', 'PK', 31.4504, 73.1350, 3600],
+  ['Rawalpindi', 'PK', 33.5651, 73.0169, 2300],
+  ['Islamabad', 'PK', 33.6844, 73.0479, 1200],
+  ['Peshawar', 'PK', 34.0151, 71.5249, 2300],
+  ['Hyderabad', 'PK', 25.3960, 68.3578, 1900, [], 'Sindh'],
+  ['Dhaka', 'BD', 23.8103, 90.4125, 23200, ['Dacca']],
+  ['Chittagong', 'BD', 22.3569, 91.7832, 5300, ['Chattogram']],
+  ['Kathmandu', 'NP', 27.7172, 85.3240, 1500],
+  ['Colombo', 'LK', 6.9271, 79.8612, 2300],
+  ['Thimphu', 'BT', 27.4728, 89.6390, 115],
+  ['Male', 'MV', 4.1755, 73.5093, 250],
+
+  // East Asia
+  ['Beijing', 'CN', 39.9042, 116.4074, 21800, ['Peking']],
+  ['Shanghai', 'CN', 31.2304, 121.4737, 29200],
+  ['Guangzhou', 'CN', 23.1291, 113.2644, 14000, ['Canton']],
+  ['Shenzhen', 'CN', 22.5431, 114.0579, 13000],
+  ['Chengdu', 'CN', 30.5728, 104.0668, 9500],
+  ['Chongqing', 'CN', 29.5630, 106.5516, 17300],
+  ['Wuhan', 'CN', 30.5928, 114.3055, 8600],
+  ["Xi'an", 'CN', 34.3416, 108.9398, 8800, ['Xian']],
+  ['Hangzhou', 'CN', 30.2741, 120.1551, 8200],
+  ['Nanjing', 'CN', 32.0603, 118.7969, 9400],
+  ['Tianjin', 'CN', 39.3434, 117.3616, 14000],
+  ['Kunming', 'CN', 25.0389, 102.7183, 5200],
+  ['Hong Kong', 'HK', 22.3193, 114.1694, 7500],
+  ['Macau', 'MO', 22.1987, 113.5439, 690, ['Macao']],
+  ['Taipei', 'TW', 25.0330, 121.5654, 7000],
+  ['Tokyo', 'JP', 35.6762, 139.6503, 37200],
+  ['Yokohama', 'JP', 35.4437, 139.6380, 3800],
+  ['Osaka', 'JP', 34.6937, 135.5023, 19000],
+  ['Kyoto', 'JP', 35.0116, 135.7681, 1500],
+  ['Nagoya', 'JP', 35.1815, 136.9066, 9500],
+  ['Sapporo', 'JP', 43.0618, 141.3545, 2700],
+  ['Fukuoka', 'JP', 33.5904, 130.4017, 5500],
+  ['Seoul', 'KR', 37.5665, 126.9780, 25500],
+  ['Busan', 'KR', 35.1796, 129.0756, 3400, ['Pusan']],
+  ['Pyongyang', 'KP', 39.0392, 125.7625, 3100],
+
+  // South-East Asia
+  ['Singapore', 'SG', 1.3521, 103.8198, 5900],
+  ['Kuala Lumpur', 'MY', 3.1390, 101.6869, 8400, ['KL']],
+  ['Bangkok', 'TH', 13.7563, 100.5018, 17000, ['Krung Thep']],
+  ['Phuket', 'TH', 7.8804, 98.3923, 420],
+  ['Chiang Mai', 'TH', 18.7883, 98.9853, 1200],
+  ['Jakarta', 'ID', -6.2088, 106.8456, 33400],
+  ['Surabaya', 'ID', -7.2575, 112.7521, 9900],
+  ['Denpasar', 'ID', -8.6705, 115.2126, 900, ['Bali']],
+  ['Manila', 'PH', 14.5995, 120.9842, 24000],
+  ['Cebu', 'PH', 10.3157, 123.8854, 3000, ['Cebu City']],
+  ['Ho Chi Minh City', 'VN', 10.8231, 106.6297, 9300, ['Saigon', 'HCMC']],
+  ['Hanoi', 'VN', 21.0278, 105.8342, 8400],
+  ['Da Nang', 'VN', 16.0544, 108.2022, 1200, ['Danang']],
+  ['Phnom Penh', 'KH', 11.5564, 104.9282, 2300],
+  ['Yangon', 'MM', 16.8409, 96.1735, 5600, ['Rangoon']],
+  ['Vientiane', 'LA', 17.9757, 102.6331, 1000],
+
+  // Middle East & Central Asia
+  ['Dubai', 'AE', 25.2048, 55.2708, 3600],
+  ['Abu Dhabi', 'AE', 24.4539, 54.3773, 1500],
+  ['Sharjah', 'AE', 25.3463, 55.4209, 1700],
+  ['Doha', 'QA', 25.2854, 51.5310, 2400],
+  ['Riyadh', 'SA', 24.7136, 46.6753, 7700],
+  ['Jeddah', 'SA', 21.4858, 39.1925, 4700, ['Jiddah']],
+  ['Mecca', 'SA', 21.3891, 39.8579, 2100, ['Makkah']],
+  ['Medina', 'SA', 24.5247, 39.5692, 1500, ['Madinah']],
+  ['Kuwait City', 'KW', 29.3759, 47.9774, 3300, ['Kuwait']],
+  ['Manama', 'BH', 26.2285, 50.5860, 650],
+  ['Muscat', 'OM', 23.5880, 58.3829, 1600],
+  ['Tehran', 'IR', 35.6892, 51.3890, 9500],
+  ['Baghdad', 'IQ', 33.3152, 44.3661, 7500],
+  ['Amman', 'JO', 31.9454, 35.9284, 2200],
+  ['Beirut', 'LB', 33.8938, 35.5018, 2400],
+  ['Damascus', 'SY', 33.5138, 36.2765, 2500],
+  ['Jerusalem', 'IL', 31.7683, 35.2137, 1000],
+  ['Tel Aviv', 'IL', 32.0853, 34.7818, 4300, ['Tel Aviv-Yafo']],
+  ['Istanbul', 'TR', 41.0082, 28.9784, 15800, ['Constantinople']],
+  ['Ankara', 'TR', 39.9334, 32.8597, 5300],
+  ['Antalya', 'TR', 36.8969, 30.7133, 2600],
+  ['Kabul', 'AF', 34.5553, 69.2075, 4600],
+  ['Tashkent', 'UZ', 41.2995, 69.2401, 2600],
+  ['Almaty', 'KZ', 43.2220, 76.8512, 2000],
+  ['Astana', 'KZ', 51.1694, 71.4491, 1300, ['Nur-Sultan']],
+  ['Baku', 'AZ', 40.4093, 49.8671, 2300],
+  ['Tbilisi', 'GE', 41.7151, 44.8271, 1200],
+  ['Yerevan', 'AM', 40.1792, 44.4991, 1100],
+
+  // Europe
+  ['London', 'GB', 51.5074, -0.1278, 9500],
+  ['Manchester', 'GB', 53.4808, -2.2426, 2800],
+  ['Birmingham', 'GB', 52.4862, -1.8904, 2600, [], 'England'],
+  ['Edinburgh', 'GB', 55.9533, -3.1883, 540],
+  ['Glasgow', 'GB', 55.8642, -4.2518, 1700],
+  ['Dublin', 'IE', 53.3498, -6.2603, 1400],
+  ['Paris', 'FR', 48.8566, 2.3522, 11100],
+  ['Marseille', 'FR', 43.2965, 5.3698, 1600, ['Marseilles']],
+  ['Lyon', 'FR', 45.7640, 4.8357, 1700, ['Lyons']],
+  ['Toulouse', 'FR', 43.6047, 1.4442, 1000],
+  ['Nice', 'FR', 43.7102, 7.2620, 950],
+  ['Berlin', 'DE', 52.5200, 13.4050, 3600],
+  ['Hamburg', 'DE', 53.5511, 9.9937, 1800],
+  ['Munich', 'DE', 48.1351, 11.5820, 1600, ['Munchen', 'Muenchen']],
+  ['Cologne', 'DE', 50.9375, 6.9603, 1100, ['Koln', 'Koeln']],
+  ['Frankfurt', 'DE', 50.1109, 8.6821, 770, ['Frankfurt am Main']],
+  ['Stuttgart', 'DE', 48.7758, 9.1829, 630],
+  ['Dusseldorf', 'DE', 51.2277, 6.7735, 620, ['Duesseldorf']],
+  ['Amsterdam', 'NL', 52.3676, 4.9041, 1200],
+  ['Rotterdam', 'NL', 51.9244, 4.4777, 1000],
+  ['Brussels', 'BE', 50.8503, 4.3517, 2100, ['Bruxelles', 'Brussel']],
+  ['Luxembourg', 'LU', 49.6116, 6.1319, 130, ['Luxembourg City']],
+  ['Zurich', 'CH', 47.3769, 8.5417, 1400, ['Zuerich']],
+  ['Geneva', 'CH', 46.2044, 6.1432, 600, ['Geneve', 'Genf']],
+  ['Bern', 'CH', 46.9480, 7.4474, 420, ['Berne']],
+  ['Vienna', 'AT', 48.2082, 16.3738, 1900, ['Wien']],
+  ['Prague', 'CZ', 50.0755, 14.4378, 1300, ['Praha']],
+  ['Budapest', 'HU', 47.4979, 19.0402, 1800],
+  ['Warsaw', 'PL', 52.2297, 21.0122, 1800, ['Warszawa']],
+  ['Krakow', 'PL', 50.0647, 19.9450, 780, ['Cracow']],
+  ['Copenhagen', 'DK', 55.6761, 12.5683, 1400, ['Kobenhavn']],
+  ['Stockholm', 'SE', 59.3293, 18.0686, 1700],
+  ['Oslo', 'NO', 59.9139, 10.7522, 1100],
+  ['Helsinki', 'FI', 60.1699, 24.9384, 1300],
+  ['Reykjavik', 'IS', 64.1466, -21.9426, 240],
+  ['Madrid', 'ES', 40.4168, -3.7038, 6700],
+  ['Barcelona', 'ES', 41.3851, 2.1734, 5600],
+  ['Valencia', 'ES', 39.4699, -0.3763, 830],
+  ['Seville', 'ES', 37.3891, -5.9845, 690, ['Sevilla']],
+  ['Malaga', 'ES', 36.7213, -4.4214, 580],
+  ['Palma', 'ES', 39.5696, 2.6502, 420, ['Palma de Mallorca']],
+  ['Lisbon', 'PT', 38.7223, -9.1393, 3000, ['Lisboa']],
+  ['Porto', 'PT', 41.1579, -8.6291, 1300, ['Oporto']],
+  ['Rome', 'IT', 41.9028, 12.4964, 4300, ['Roma']],
+  ['Milan', 'IT', 45.4642, 9.1900, 3100, ['Milano']],
+  ['Naples', 'IT', 40.8518, 14.2681, 2200, ['Napoli']],
+  ['Florence', 'IT', 43.7696, 11.2558, 710, ['Firenze']],
+  ['Venice', 'IT', 45.4408, 12.3155, 260, ['Venezia']],
+  ['Athens', 'GR', 37.9838, 23.7275, 3200, ['Athina']],
+  ['Thessaloniki', 'GR', 40.6401, 22.9444, 820],
+  ['Bucharest', 'RO', 44.4268, 26.1025, 1800, ['Bucuresti']],
+  ['Sofia', 'BG', 42.6977, 23.3219, 1300],
+  ['Belgrade', 'RS', 44.7866, 20.4489, 1400, ['Beograd']],
+  ['Zagreb', 'HR', 45.8150, 15.9819, 800],
+  ['Ljubljana', 'SI', 46.0569, 14.5058, 290],
+  ['Bratislava', 'SK', 48.1486, 17.1077, 480],
+  ['Kyiv', 'UA', 50.4501, 30.5234, 3000, ['Kiev']],
+  ['Minsk', 'BY', 53.9006, 27.5590, 2000],
+  ['Vilnius', 'LT', 54.6872, 25.2797, 580],
+  ['Riga', 'LV', 56.9496, 24.1052, 610],
+  ['Tallinn', 'EE', 59.4370, 24.7536, 450],
+  ['Moscow', 'RU', 55.7558, 37.6173, 12600, ['Moskva']],
+  ['Saint Petersburg', 'RU', 59.9311, 30.3609, 5400, ['St Petersburg', 'St. Petersburg', 'Leningrad']],
+  ['Novosibirsk', 'RU', 55.0084, 82.9357, 1600],
+  ['Yekaterinburg', 'RU', 56.8389, 60.6057, 1500, ['Ekaterinburg']],
+  ['Vladivostok', 'RU', 43.1198, 131.8869, 600],
+
+  // Africa
+  ['Cairo', 'EG', 30.0444, 31.2357, 22200],
+  ['Alexandria', 'EG', 31.2001, 29.9187, 5500],
+  ['Casablanca', 'MA', 33.5731, -7.5898, 3800],
+  ['Marrakesh', 'MA', 31.6295, -7.9811, 1000, ['Marrakech']],
+  ['Rabat', 'MA', 34.0209, -6.8416, 1900],
+  ['Tunis', 'TN', 36.8065, 10.1815, 2400],
+  ['Algiers', 'DZ', 36.7538, 3.0588, 2900, ['Alger']],
+  ['Lagos', 'NG', 6.5244, 3.3792, 15900],
+  ['Abuja', 'NG', 9.0765, 7.3986, 3800],
+  ['Accra', 'GH', 5.6037, -0.1870, 2600],
+  ['Dakar', 'SN', 14.7167, -17.4677, 3300],
+  ['Addis Ababa', 'ET', 8.9806, 38.7578, 5500],
+  ['Khartoum', 'SD', 15.5007, 32.5599, 6300],
+  ['Nairobi', 'KE', -1.2921, 36.8219, 5300],
+  ['Mombasa', 'KE', -4.0435, 39.6682, 1400],
+  ['Dar es Salaam', 'TZ', -6.7924, 39.2083, 7900],
+  ['Kampala', 'UG', 0.3476, 32.5825, 3900],
+  ['Kigali', 'RW', -1.9441, 30.0619, 1300],
+  ['Kinshasa', 'CD', -4.4419, 15.2663, 17000],
+  ['Luanda', 'AO', -8.8390, 13.2894, 9300],
+  ['Johannesburg', 'ZA', -26.2041, 28.0473, 6200, ['Joburg']],
+  ['Pretoria', 'ZA', -25.7479, 28.2293, 2800, ['Tshwane']],
+  ['Cape Town', 'ZA', -33.9249, 18.4241, 4900],
+  ['Durban', 'ZA', -29.8587, 31.0218, 3200],
+  ['Harare', 'ZW', -17.8252, 31.0335, 1600],
+  ['Lusaka', 'ZM', -15.3875, 28.3228, 3200],
+  ['Antananarivo', 'MG', -18.8792, 47.5079, 3800],
+  ['Port Louis', 'MU', -20.1609, 57.5012, 150],
+
+  // North America
+  ['New York', 'US', 40.7128, -74.0060, 18900, ['New York City', 'NYC'], 'New York'],
+  ['Los Angeles', 'US', 34.0522, -118.2437, 12500, ['LA'], 'California'],
+  ['Chicago', 'US', 41.8781, -87.6298, 8900, [], 'Illinois'],
+  ['Houston', 'US', 29.7604, -95.3698, 6700, [], 'Texas'],
+  ['Dallas', 'US', 32.7767, -96.7970, 6500, [], 'Texas'],
+  ['Phoenix', 'US', 33.4484, -112.0740, 4900, [], 'Arizona'],
+  ['Philadelphia', 'US', 39.9526, -75.1652, 5700, ['Philly'], 'Pennsylvania'],
+  ['San Antonio', 'US', 29.4241, -98.4936, 2600, [], 'Texas'],
+  ['San Diego', 'US', 32.7157, -117.1611, 3300, [], 'California'],
+  ['San Francisco', 'US', 37.7749, -122.4194, 3300, ['SF'], 'California'],
+  ['Seattle', 'US', 47.6062, -122.3321, 3500, [], 'Washington'],
+  ['Boston', 'US', 42.3601, -71.0589, 4300, [], 'Massachusetts'],
+  ['Washington', 'US', 38.9072, -77.0369, 5000, ['Washington DC', 'Washington D.C.', 'DC'], 'District of Columbia'],
+  ['Miami', 'US', 25.7617, -80.1918, 6100, [], 'Florida'],
+  ['Orlando', 'US', 28.5383, -81.3792, 2500, [], 'Florida'],
+  ['Atlanta', 'US', 33.7490, -84.3880, 5300, [], 'Georgia'],
+  ['Denver', 'US', 39.7392, -104.9903, 2700, [], 'Colorado'],
+  ['Las Vegas', 'US', 36.1699, -115.1398, 2200, [], 'Nevada'],
+  ['Detroit', 'US', 42.3314, -83.0458, 3600, [], 'Michigan'],
+  ['Minneapolis', 'US', 44.9778, -93.2650, 2900, [], 'Minnesota'],
+  ['Portland', 'US', 45.5152, -122.6784, 2200, [], 'Oregon'],
+  ['Austin', 'US', 30.2672, -97.7431, 2000, [], 'Texas'],
+  ['Nashville', 'US', 36.1627, -86.7816, 1700, [], 'Tennessee'],
+  ['Charlotte', 'US', 35.2271, -80.8431, 2000, [], 'North Carolina'],
+  ['New Orleans', 'US', 29.9511, -90.0715, 1000, [], 'Louisiana'],
+  ['Salt Lake City', 'US', 40.7608, -111.8910, 1200, [], 'Utah'],
+  ['Honolulu', 'US', 21.3099, -157.8581, 1000, [], 'Hawaii'],
+  ['Anchorage', 'US', 61.2181, -149.9003, 290, [], 'Alaska'],
+  ['Springfield', 'US', 39.7817, -89.6501, 210, [], 'Illinois'],
+  ['Springfield', 'US', 37.2090, -93.2923, 470, [], 'Missouri'],
+  ['Springfield', 'US', 42.1015, -72.5898, 700, [], 'Massachusetts'],
+  ['Toronto', 'CA', 43.6532, -79.3832, 6200, [], 'Ontario'],
+  ['Montreal', 'CA', 45.5017, -73.5673, 4300, [], 'Quebec'],
+  ['Vancouver', 'CA', 49.2827, -123.1207, 2600, [], 'British Columbia'],
+  ['Calgary', 'CA', 51.0447, -114.0719, 1500, [], 'Alberta'],
+  ['Edmonton', 'CA', 53.5461, -113.4938, 1400, [], 'Alberta'],
+  ['Ottawa', 'CA', 45.4215, -75.6972, 1400, [], 'Ontario'],
+  ['Mexico City', 'MX', 19.4326, -99.1332, 22000, ['Ciudad de Mexico', 'CDMX']],
+  ['Guadalajara', 'MX', 20.6597, -103.3496, 5300],
+  ['Monterrey', 'MX', 25.6866, -100.3161, 5300],
+  ['Cancun', 'MX', 21.1619, -86.8515, 900],
+  ['Havana', 'CU', 23.1136, -82.3666, 2100, ['La Habana']],
+  ['Guatemala City', 'GT', 14.6349, -90.5069, 3000],
+  ['San Jose', 'CR', 9.9281, -84.0907, 1400],
+  ['Panama City', 'PA', 8.9824, -79.5199, 1900],
+  ['Kingston', 'JM', 17.9712, -76.7936, 1200],
+  ['Santo Domingo', 'DO', 18.4861, -69.9312, 3500],
+  ['San Juan', 'PR', 18.4655, -66.1057, 2400],
+
+  // South America
+  ['Sao Paulo', 'BR', -23.5505, -46.6333, 22400],
+  ['Rio de Janeiro', 'BR', -22.9068, -43.1729, 13600, ['Rio']],
+  ['Brasilia', 'BR', -15.8267, -47.9218, 4800],
+  ['Salvador', 'BR', -12.9777, -38.5016, 3900],
+  ['Buenos Aires', 'AR', -34.6037, -58.3816, 15400],
+  ['Santiago', 'CL', -33.4489, -70.6693, 6900],
+  ['Lima', 'PE', -12.0464, -77.0428, 11000],
+  ['Bogota', 'CO', 4.7110, -74.0721, 11300],
+  ['Medellin', 'CO', 6.2442, -75.5812, 4100],
+  ['Quito', 'EC', -0.1807, -78.4678, 1900],
+  ['Caracas', 'VE', 10.4806, -66.9036, 2900],
+  ['Montevideo', 'UY', -34.9011, -56.1645, 1800],
+  ['La Paz', 'BO', -16.4897, -68.1193, 1900],
+  ['Asuncion', 'PY', -25.2637, -57.5759, 3500],
+
+  // Oceania
+  ['Sydney', 'AU', -33.8688, 151.2093, 5300, [], 'New South Wales'],
+  ['Melbourne', 'AU', -37.8136, 144.9631, 5200, [], 'Victoria'],
+  ['Brisbane', 'AU', -27.4698, 153.0251, 2600, [], 'Queensland'],
+  ['Perth', 'AU', -31.9505, 115.8605, 2200, [], 'Western Australia'],
+  ['Adelaide', 'AU', -34.9285, 138.6007, 1400, [], 'South Australia'],
+  ['Canberra', 'AU', -35.2809, 149.1300, 470, [], 'Australian Capital Territory'],
+  ['Auckland', 'NZ', -36.8485, 174.7633, 1700],
+  ['Wellington', 'NZ', -41.2865, 174.7762, 440],
+  ['Christchurch', 'NZ', -43.5321, 172.6362, 400],
+  ['Suva', 'FJ', -18.1416, 178.4419, 185],
+  ['Port Moresby', 'PG', -9.4438, 147.1803, 400]
+];
+
+export const airports = [
+  // India
+  ['DEL', 'VIDP', 'Indira Gandhi International Airport', 'Delhi', 'IN', 28.5562, 77.1000],
+  ['BOM', 'VABB', 'Chhatrapati Shivaji Maharaj International Airport', 'Mumbai', 'IN', 19.0896, 72.8656],
+  ['BLR', 'VOBL', 'Kempegowda International Airport', 'Bengaluru', 'IN', 13.1986, 77.7066],
+  ['MAA', 'VOMM', 'Chennai International Airport', 'Chennai', 'IN', 12.9941, 80.1709],
+  ['CCU', 'VECC', 'Netaji Subhas Chandra Bose International Airport', 'Kolkata', 'IN', 22.6547, 88.4467],
+  ['HYD', 'VOHS', 'Rajiv Gandhi International Airport', 'Hyderabad', 'IN', 17.2403, 78.4294],
+  ['GOI', 'VOGO', 'Dabolim Airport', 'Goa', 'IN', 15.3808, 73.8314],
+  ['GOX', 'VOGA', 'Manohar International Airport', 'Goa', 'IN', 15.7442, 73.8606],
+  ['AMD', 'VAAH', 'Sardar Vallabhbhai Patel International Airport', 'Ahmedabad', 'IN', 23.0772, 72.6347],
+  ['PNQ', 'VAPO', 'Pune Airport', 'Pune', 'IN', 18.5821, 73.9197],
+  ['COK', 'VOCI', 'Cochin International Airport', 'Kochi', 'IN', 10.1520, 76.4019],
+  ['TRV', 'VOTV', 'Trivandrum International Airport', 'Thiruvananthapuram', 'IN', 8.4821, 76.9201],
+  ['JAI', 'VIJP', 'Jaipur International Airport', 'Jaipur', 'IN', 26.8242, 75.8122],
+  ['LKO', 'VILK', 'Chaudhary Charan Singh International Airport', 'Lucknow', 'IN', 26.7606, 80.8893],
+  ['ATQ', 'VIAR', 'Sri Guru Ram Dass Jee International Airport', 'Amritsar', 'IN', 31.7096, 74.7973],
+  ['IXC', 'VICG', 'Chandigarh International Airport', 'Chandigarh', 'IN', 30.6735, 76.7885],
+  ['GAU', 'VEGT', 'Lokpriya Gopinath Bordoloi International Airport', 'Guwahati', 'IN', 26.1061, 91.5859],
+  ['PAT', 'VEPT', 'Jay Prakash Narayan Airport', 'Patna', 'IN', 25.5913, 85.0880],
+  ['NAG', 'VANP', 'Dr. Babasaheb Ambedkar International Airport', 'Nagpur', 'IN', 21.0922, 79.0472],
+  ['IXB', 'VEBD', 'Bagdogra Airport', 'Siliguri', 'IN', 26.6812, 88.3286],
+  ['SXR', 'VISR', 'Sheikh ul-Alam International Airport', 'Srinagar', 'IN', 33.9871, 74.7742],
+  ['VNS', 'VEBN', 'Lal Bahadur Shastri International Airport', 'Varanasi', 'IN', 25.4524, 82.8593],
+  ['BBI', 'VEBS', 'Biju Patnaik International Airport', 'Bhubaneswar', 'IN', 20.2444, 85.8178],
+  ['CJB', 'VOCB', 'Coimbatore International Airport', 'Coimbatore', 'IN', 11.0300, 77.0434],
+  ['VTZ', 'VOVZ', 'Visakhapatnam International Airport', 'Visakhapatnam', 'IN', 17.7212, 83.2245],
+  ['IDR', 'VAID', 'Devi Ahilya Bai Holkar Airport', 'Indore', 'IN', 22.7218, 75.8011],
+  ['IXE', 'VOML', 'Mangaluru International Airport', 'Mangaluru', 'IN', 12.9613, 74.8901],
+
+  // Rest of South Asia
+  ['KHI', 'OPKC', 'Jinnah International Airport', 'Karachi', 'PK', 24.9065, 67.1608],
+  ['LHE', 'OPLA', 'Allama Iqbal International Airport', 'Lahore', 'PK', 31.5216, 74.4036],
+  ['ISB', 'OPIS', 'Islamabad International Airport', 'Islamabad', 'PK', 33.5491, 72.8258],
+  ['DAC', 'VGHS', 'Hazrat Shahjalal International Airport', 'Dhaka', 'BD', 23.8433, 90.3978],
+  ['KTM', 'VNKT', 'Tribhuvan International Airport', 'Kathmandu', 'NP', 27.6966, 85.3591],
+  ['CMB', 'VCBI', 'Bandaranaike International Airport', 'Colombo', 'LK', 7.1808, 79.8841],
+  ['MLE', 'VRMM', 'Velana International Airport', 'Male', 'MV', 4.1918, 73.5291],
+
+  // Middle East
+  ['DXB', 'OMDB', 'Dubai International Airport', 'Dubai', 'AE', 25.2532, 55.3657],
+  ['DWC', 'OMDW', 'Al Maktoum International Airport', 'Dubai', 'AE', 24.8964, 55.1614],
+  ['AUH', 'OMAA', 'Zayed International Airport', 'Abu Dhabi', 'AE', 24.4330, 54.6511],
+  ['SHJ', 'OMSJ', 'Sharjah International Airport', 'Sharjah', 'AE', 25.3286, 55.5172],
+  ['DOH', 'OTHH', 'Hamad International Airport', 'Doha', 'QA', 25.2731, 51.6081],
+  ['RUH', 'OERK', 'King Khalid International Airport', 'Riyadh', 'SA', 24.9576, 46.6988],
+  ['JED', 'OEJN', 'King Abdulaziz International Airport', 'Jeddah', 'SA', 21.6796, 39.1565],
+  ['KWI', 'OKKK', 'Kuwait International Airport', 'Kuwait City', 'KW', 29.2266, 47.9689],
+  ['BAH', 'OBBI', 'Bahrain International Airport', 'Manama', 'BH', 26.2708, 50.6336],
+  ['MCT', 'OOMS', 'Muscat International Airport', 'Muscat', 'OM', 23.5933, 58.2844],
+  ['IKA', 'OIIE', 'Imam Khomeini International Airport', 'Tehran', 'IR', 35.4161, 51.1522],
+  ['TLV', 'LLBG', 'Ben Gurion Airport', 'Tel Aviv', 'IL', 32.0114, 34.8867],
+  ['AMM', 'OJAI', 'Queen Alia International Airport', 'Amman', 'JO', 31.7226, 35.9932],
+  ['IST', 'LTFM', 'Istanbul Airport', 'Istanbul', 'TR', 41.2753, 28.7519],
+  ['SAW', 'LTFJ', 'Sabiha Gokcen International Airport', 'Istanbul', 'TR', 40.8986, 29.3092],
+  ['ESB', 'LTAC', 'Esenboga International Airport', 'Ankara', 'TR', 40.1281, 32.9951],
+
+  // East & South-East Asia
+  ['SIN', 'WSSS', 'Singapore Changi Airport', 'Singapore', 'SG', 1.3644, 103.9915],
+  ['KUL', 'WMKK', 'Kuala Lumpur International Airport', 'Kuala Lumpur', 'MY', 2.7456, 101.7099],
+  ['BKK', 'VTBS', 'Suvarnabhumi Airport', 'Bangkok', 'TH', 13.6900, 100.7501],
+  ['DMK', 'VTBD', 'Don Mueang International Airport', 'Bangkok', 'TH', 13.9126, 100.6068],
+  ['HKT', 'VTSP', 'Phuket International Airport', 'Phuket', 'TH', 8.1132, 98.3169],
+  ['CGK', 'WIII', 'Soekarno-Hatta International Airport', 'Jakarta', 'ID', -6.1256, 106.6559],
+  ['DPS', 'WADD', 'Ngurah Rai International Airport', 'Denpasar', 'ID', -8.7482, 115.1672],
+  ['MNL', 'RPLL', 'Ninoy Aquino International Airport', 'Manila', 'PH', 14.5086, 121.0194],
+  ['SGN', 'VVTS', 'Tan Son Nhat International Airport', 'Ho Chi Minh City', 'VN', 10.8188, 106.6519],
+  ['HAN', 'VVNB', 'Noi Bai International Airport', 'Hanoi', 'VN', 21.2212, 105.8072],
+  ['HKG', 'VHHH', 'Hong Kong International Airport', 'Hong Kong', 'HK', 22.3080, 113.9185],
+  ['TPE', 'RCTP', 'Taiwan Taoyuan International Airport', 'Taipei', 'TW', 25.0797, 121.2342],
+  ['PEK', 'ZBAA', 'Beijing Capital International Airport', 'Beijing', 'CN', 40.0799, 116.6031],
+  ['PKX', 'ZBAD', 'Beijing Daxing International Airport', 'Beijing', 'CN', 39.5098, 116.4105],
+  ['PVG', 'ZSPD', 'Shanghai Pudong International Airport', 'Shanghai', 'CN', 31.1443, 121.8083],
+  ['SHA', 'ZSSS', 'Shanghai Hongqiao International Airport', 'Shanghai', 'CN', 31.1979, 121.3363],
+  ['CAN', 'ZGGG', 'Guangzhou Baiyun International Airport', 'Guangzhou', 'CN', 23.3924, 113.2988],
+  ['SZX', 'ZGSZ', "Shenzhen Bao'an International Airport", 'Shenzhen', 'CN', 22.6393, 113.8107],
+  ['CTU', 'ZUUU', 'Chengdu Shuangliu International Airport', 'Chengdu', 'CN', 30.5785, 103.9471],
+  ['NRT', 'RJAA', 'Narita International Airport', 'Tokyo', 'JP', 35.7720, 140.3929],
+  ['HND', 'RJTT', 'Haneda Airport', 'Tokyo', 'JP', 35.5494, 139.7798],
+  ['KIX', 'RJBB', 'Kansai International Airport', 'Osaka', 'JP', 34.4320, 135.2304],
+  ['ICN', 'RKSI', 'Incheon International Airport', 'Seoul', 'KR', 37.4602, 126.4407],
+  ['GMP', 'RKSS', 'Gimpo International Airport', 'Seoul', 'KR', 37.5583, 126.7906],
+
+  // Oceania
+  ['SYD', 'YSSY', 'Sydney Kingsford Smith Airport', 'Sydney', 'AU', -33.9399, 151.1753],
+  ['MEL', 'YMML', 'Melbourne Airport', 'Melbourne', 'AU', -37.6690, 144.8410],
+  ['BNE', 'YBBN', 'Brisbane Airport', 'Brisbane', 'AU', -27.3842, 153.1175],
+  ['PER', 'YPPH', 'Perth Airport', 'Perth', 'AU', -31.9385, 115.9672],
+  ['AKL', 'NZAA', 'Auckland Airport', 'Auckland', 'NZ', -37.0082, 174.7850],
+  ['CHC', 'NZCH', 'Christchurch International Airport', 'Christchurch', 'NZ', -43.4894, 172.5322],
+
+  // Europe
+  ['LHR', 'EGLL', 'Heathrow Airport', 'London', 'GB', 51.4700, -0.4543],
+  ['LGW', 'EGKK', 'Gatwick Airport', 'London', 'GB', 51.1537, -0.1821],
+  ['STN', 'EGSS', 'Stansted Airport', 'London', 'GB', 51.8860, 0.2389],
+  ['MAN', 'EGCC', 'Manchester Airport', 'Manchester', 'GB', 53.3537, -2.2750],
+  ['EDI', 'EGPH', 'Edinburgh Airport', 'Edinburgh', 'GB', 55.9500, -3.3725],
+  ['DUB', 'EIDW', 'Dublin Airport', 'Dublin', 'IE', 53.4264, -6.2499],
+  ['CDG', 'LFPG', 'Paris Charles de Gaulle Airport', 'Paris', 'FR', 49.0097, 2.5479],
+  ['ORY', 'LFPO', 'Paris Orly Airport', 'Paris', 'FR', 48.7262, 2.3652],
+  ['NCE', 'LFMN', "Nice Cote d'Azur Airport", 'Nice', 'FR', 43.6584, 7.2159],
+  ['AMS', 'EHAM', 'Amsterdam Airport Schiphol', 'Amsterdam', 'NL', 52.3105, 4.7683],
+  ['BRU', 'EBBR', 'Brussels Airport', 'Brussels', 'BE', 50.9010, 4.4856],
+  ['FRA', 'EDDF', 'Frankfurt Airport', 'Frankfurt', 'DE', 50.0379, 8.5622],
+  ['MUC', 'EDDM', 'Munich Airport', 'Munich', 'DE', 48.3537, 11.7750],
+  ['BER', 'EDDB', 'Berlin Brandenburg Airport', 'Berlin', 'DE', 52.3667, 13.5033],
+  ['HAM', 'EDDH', 'Hamburg Airport', 'Hamburg', 'DE', 53.6304, 9.9882],
+  ['DUS', 'EDDL', 'Dusseldorf Airport', 'Dusseldorf', 'DE', 51.2895, 6.7668],
+  ['ZRH', 'LSZH', 'Zurich Airport', 'Zurich', 'CH', 47.4582, 8.5555],
+  ['GVA', 'LSGG', 'Geneva Airport', 'Geneva', 'CH', 46.2381, 6.1090],
+  ['VIE', 'LOWW', 'Vienna International Airport', 'Vienna', 'AT', 48.1103, 16.5697],
+  ['PRG', 'LKPR', 'Vaclav Havel Airport Prague', 'Prague', 'CZ', 50.1008, 14.2600],
+  ['BUD', 'LHBP', 'Budapest Ferenc Liszt International Airport', 'Budapest', 'HU', 47.4369, 19.2556],
+  ['WAW', 'EPWA', 'Warsaw Chopin Airport', 'Warsaw', 'PL', 52.1657, 20.9671],
+  ['CPH', 'EKCH', 'Copenhagen Airport', 'Copenhagen', 'DK', 55.6180, 12.6508],
+  ['ARN', 'ESSA', 'Stockholm Arlanda Airport', 'Stockholm', 'SE', 59.6498, 17.9238],
+  ['OSL', 'ENGM', 'Oslo Gardermoen Airport', 'Oslo', 'NO', 60.1976, 11.1004],
+  ['HEL', 'EFHK', 'Helsinki Airport', 'Helsinki', 'FI', 60.3172, 24.9633],
+  ['KEF', 'BIKF', 'Keflavik International Airport', 'Reykjavik', 'IS', 63.9850, -22.6056],
+  ['MAD', 'LEMD', 'Adolfo Suarez Madrid-Barajas Airport', 'Madrid', 'ES', 40.4983, -3.5676],
+  ['BCN', 'LEBL', 'Barcelona-El Prat Airport', 'Barcelona', 'ES', 41.2974, 2.0833],
+  ['PMI', 'LEPA', 'Palma de Mallorca Airport', 'Palma', 'ES', 39.5517, 2.7388],
+  ['AGP', 'LEMG', 'Malaga Airport', 'Malaga', 'ES', 36.6749, -4.4991],
+  ['LIS', 'LPPT', 'Humberto Delgado Airport', 'Lisbon', 'PT', 38.7813, -9.1359],
+  ['OPO', 'LPPR', 'Francisco Sa Carneiro Airport', 'Porto', 'PT', 41.2481, -8.6814],
+  ['FCO', 'LIRF', 'Leonardo da Vinci-Fiumicino Airport', 'Rome', 'IT', 41.8003, 12.2389],
+  ['MXP', 'LIMC', 'Milan Malpensa Airport', 'Milan', 'IT', 45.6306, 8.7281],
+  ['LIN', 'LIML', 'Milan Linate Airport', 'Milan', 'IT', 45.4451, 9.2767],
+  ['VCE', 'LIPZ', 'Venice Marco Polo Airport', 'Venice', 'IT', 45.5053, 12.3519],
+  ['NAP', 'LIRN', 'Naples International Airport', 'Naples', 'IT', 40.8860, 14.2908],
+  ['ATH', 'LGAV', 'Athens International Airport', 'Athens', 'GR', 37.9364, 23.9445],
+  ['OTP', 'LROP', 'Henri Coanda International Airport', 'Bucharest', 'RO', 44.5711, 26.0850],
+  ['SOF', 'LBSF', 'Sofia Airport', 'Sofia', 'BG', 42.6967, 23.4114],
+  ['KBP', 'UKBB', 'Boryspil International Airport', 'Kyiv', 'UA', 50.3450, 30.8947],
+  ['SVO', 'UUEE', 'Sheremetyevo International Airport', 'Moscow', 'RU', 55.9726, 37.4146],
+  ['DME', 'UUDD', 'Domodedovo International Airport', 'Moscow', 'RU', 55.4088, 37.9063],
+  ['LED', 'ULLI', 'Pulkovo Airport', 'Saint Petersburg', 'RU', 59.8003, 30.2625],
+
+  // Africa
+  ['CAI', 'HECA', 'Cairo International Airport', 'Cairo', 'EG', 30.1219, 31.4056],
+  ['CMN', 'GMMN', 'Mohammed V International Airport', 'Casablanca', 'MA', 33.3675, -7.5898],
+  ['LOS', 'DNMM', 'Murtala Muhammed International Airport', 'Lagos', 'NG', 6.5774, 3.3212],
+  ['ACC', 'DGAA', 'Kotoka International Airport', 'Accra', 'GH', 5.6052, -0.1668],
+  ['ADD', 'HAAB', 'Addis Ababa Bole International Airport', 'Addis Ababa', 'ET', 8.9779, 38.7993],
+  ['NBO', 'HKJK', 'Jomo Kenyatta International Airport', 'Nairobi', 'KE', -1.3192, 36.9278],
+  ['JNB', 'FAOR', 'O. R. Tambo International Airport', 'Johannesburg', 'ZA', -26.1367, 28.2411],
+  ['CPT', 'FACT', 'Cape Town International Airport', 'Cape Town', 'ZA', -33.9715, 18.6021],
+
+  // North America
+  ['JFK', 'KJFK', 'John F. Kennedy International Airport', 'New York', 'US', 40.6413, -73.7781],
+  ['LGA', 'KLGA', 'LaGuardia Airport', 'New York', 'US', 40.7769, -73.8740],
+  ['EWR', 'KEWR', 'Newark Liberty International Airport', 'Newark', 'US', 40.6895, -74.1745],
+  ['LAX', 'KLAX', 'Los Angeles International Airport', 'Los Angeles', 'US', 33.9416, -118.4085],
+  ['SFO', 'KSFO', 'San Francisco International Airport', 'San Francisco', 'US', 37.6213, -122.3790],
+  ['ORD', 'KORD', "O'Hare International Airport", 'Chicago', 'US', 41.9742, -87.9073],
+  ['ATL', 'KATL', 'Hartsfield-Jackson Atlanta International Airport', 'Atlanta', 'US', 33.6407, -84.4277],
+  ['DFW', 'KDFW', 'Dallas/Fort Worth International Airport', 'Dallas', 'US', 32.8998, -97.0403],
+  ['IAH', 'KIAH', 'George Bush Intercontinental Airport', 'Houston', 'US', 29.9902, -95.3368],
+  ['DEN', 'KDEN', 'Denver International Airport', 'Denver', 'US', 39.8561, -104.6737],
+  ['SEA', 'KSEA', 'Seattle-Tacoma International Airport', 'Seattle', 'US', 47.4502, -122.3088],
+  ['MIA', 'KMIA', 'Miami International Airport', 'Miami', 'US', 25.7959, -80.2870],
+  ['MCO', 'KMCO', 'Orlando International Airport', 'Orlando', 'US', 28.4312, -81.3081],
+  ['BOS', 'KBOS', 'Boston Logan International Airport', 'Boston', 'US', 42.3656, -71.0096],
+  ['IAD', 'KIAD', 'Washington Dulles International Airport', 'Washington', 'US', 38.9531, -77.4565],
+  ['DCA', 'KDCA', 'Ronald Reagan Washington National Airport', 'Washington', 'US', 38.8512, -77.0402],
+  ['PHL', 'KPHL', 'Philadelphia International Airport', 'Philadelphia', 'US', 39.8744, -75.2424],
+  ['LAS', 'KLAS', 'Harry Reid International Airport', 'Las Vegas', 'US', 36.0840, -115.1537],
+  ['PHX', 'KPHX', 'Phoenix Sky Harbor International Airport', 'Phoenix', 'US', 33.4352, -112.0101],
+  ['MSP', 'KMSP', 'Minneapolis-Saint Paul International Airport', 'Minneapolis', 'US', 44.8848, -93.2223],
+  ['DTW', 'KDTW', 'Detroit Metropolitan Wayne County Airport', 'Detroit', 'US', 42.2162, -83.3554],
+  ['SLC', 'KSLC', 'Salt Lake City International Airport', 'Salt Lake City', 'US', 40.7899, -111.9791],
+  ['HNL', 'PHNL', 'Daniel K. Inouye International Airport', 'Honolulu', 'US', 21.3245, -157.9251],
+  ['ANC', 'PANC', 'Ted Stevens Anchorage International Airport', 'Anchorage', 'US', 61.1743, -149.9963],
+  ['YYZ', 'CYYZ', 'Toronto Pearson International Airport', 'Toronto', 'CA', 43.6777, -79.6248],
+  ['YUL', 'CYUL', 'Montreal-Trudeau International Airport', 'Montreal', 'CA', 45.4706, -73.7408],
+  ['YVR', 'CYVR', 'Vancouver International Airport', 'Vancouver', 'CA', 49.1967, -123.1815],
+  ['YYC', 'CYYC', 'Calgary International Airport', 'Calgary', 'CA', 51.1215, -114.0076],
+  ['MEX', 'MMMX', 'Mexico City International Airport', 'Mexico City', 'MX', 19.4361, -99.0719],
+  ['CUN', 'MMUN', 'Cancun International Airport', 'Cancun', 'MX', 21.0365, -86.8771],
+  ['PTY', 'MPTO', 'Tocumen International Airport', 'Panama City', 'PA', 9.0714, -79.3835],
+
+  // South America
+  ['GRU', 'SBGR', 'Sao Paulo/Guarulhos International Airport', 'Sao Paulo', 'BR', -23.4356, -46.4731],
+  ['GIG', 'SBGL', 'Rio de Janeiro/Galeao International Airport', 'Rio de Janeiro', 'BR', -22.8100, -43.2506],
+  ['EZE', 'SAEZ', 'Ministro Pistarini International Airport', 'Buenos Aires', 'AR', -34.8222, -58.5358],
+  ['SCL', 'SCEL', 'Arturo Merino Benitez International Airport', 'Santiago', 'CL', -33.3930, -70.7858],
+  ['LIM', 'SPJC', 'Jorge Chavez International Airport', 'Lima', 'PE', -12.0219, -77.1143],
+  ['BOG', 'SKBO', 'El Dorado International Airport', 'Bogota', 'CO', 4.7016, -74.1469]
+];
@@ -0,0 +1,49 @@
+import { joinUrl, providerFetch } from './request';
+
+// Every geocoder resolves search(query, { limit, signal }) to a list of
+// { name, display, country, state, lat, lon, confidence } places, best match first.
+// confidence (0-1) is optional; bulk mode uses it to spot ambiguous names.
+
+export const createNominatimGeocoder = (config) => ({
+  id: 'nominatim',
+  search: async (query, { limit = 6, signal } = {}) => {
+    const data = await providerFetch(config, joinUrl(config.baseUrl, 'search'), {
+      format: 'json',
+      limit,
+      q: query,
+      addressdetails: 1,
+      email: config.email
+    }, { signal });
+
+    return (data || []).map(place => ({
+      name: place.display_name.split(',')[0],
+      country: place.address?.country || '',
+      state: place.address?.state || place.address?.city || place.address?.suburb || '',
+      lat: parseFloat(place.lat),
+      lon: parseFloat(place.lon),
+      display: place.display_name,
+      confidence: place.importance
+    }));
+  }
+});
+
+export const createPhotonGeocoder = (config) => ({
+  id: 'photon',
+  search: async (query, { limit = 6, signal } = {}) => {
+    const data = await providerFetch(config, joinUrl(config.baseUrl, 'api/'), { q: query, limit }, { signal });
+
+    return (data?.features || []).map(feature => {
+      const props = feature.properties || {};
+      const [lon, lat] = feature.geometry.coordinates;
+      const parts = [props.name, props.city, props.state, props.country].filter(Boolean);
+      return {
+        name: props.name || parts[0] || query,
+        country: props.country || '',
+        state: props.state || props.city || '',
+        lat,
+        lon,
+        display: [...new Set(parts)].join(', ')
+      };
+    });
+  }
+});
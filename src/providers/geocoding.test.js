@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createNominatimGeocoder, createPhotonGeocoder } from './geocoding';
+
+// Answers every request with body; returns the list of requested URLs
+const stubFetch = (body) => {
+  const urls = [];
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    urls.push(String(url));
+    return { ok: true, status: 200, headers: { get: () => null }, json: async () => body };
+  }));
+  return urls;
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('createNominatimGeocoder', () => {
+  it('maps search results to places', async () => {
+    const urls = stubFetch([{
+      display_name: 'Paris, Île-de-France, France',
+      lat: '48.8588897',
+      lon: '2.3200410',
+      address: { city: 'Paris', state: 'Île-de-France', country: 'France' }
+    }]);
+    const geocoder = createNominatimGeocoder({ provider: 'nominatim', baseUrl: 'https://nominatim.test/', email: 'me@example.com', rateLimit: 100 });
+    const places = await geocoder.search('Paris', { limit: 1 });
+    expect(places).toEqual([{
+      name: 'Paris',
+      country: 'France',
+      state: 'Île-de-France',
+      lat: 48.8588897,
+      lon: 2.320041,
+      display: 'Paris, Île-de-France, France'
+    }]);
+    expect(urls).toEqual(['https://nominatim.test/search?format=json&limit=1&q=Paris&addressdetails=1&email=me%40example.com']);
+  });
+});
+
+describe('createPhotonGeocoder', () => {
+  it('maps GeoJSON features to places', async () => {
+    const urls = stubFetch({
+      features: [{
+        geometry: { coordinates: [2.3483915, 48.8534951] },
+        properties: { name: 'Paris', city: 'Paris', state: 'Ile-de-France', country: 'France' }
+      }]
+    });
+    const geocoder = createPhotonGeocoder({ provider: 'photon', baseUrl: 'https://photon.test', rateLimit: 100 });
+    const [place] = await geocoder.search('Paris');
+    expect(place).toMatchObject({
+      name: 'Paris',
+      country: 'France',
+      state: 'Ile-de-France',
+      lat: 48.8534951,
+      lon: 2.3483915,
+      display: 'Paris, Ile-de-France, France'
+    });
+    expect(urls).toEqual(['https://photon.test/api/?q=Paris&limit=6']);
+  });
+});
@@ -0,0 +1,103 @@
+import { createNominatimGeocoder, createPhotonGeocoder } from './geocoding';
+import { createOsrmRouter, DEFAULT_OSRM_PROFILES } from './routing';
+import { getScheduler } from './scheduler';
+
+export { resolveProfile } from './routing';
+
+const SETTINGS_KEY = 'distanceCalculator.providers';
+
+const env = import.meta.env;
+
+// Public servers allow about one request per second; self-hosted ones can raise these in settings
+const PUBLIC_LIMITS = { rateLimit: 1, maxConcurrent: 1 };
+
+// Registries: add a factory here (or via register*) to make a provider selectable in settings
+const geocoders = {
+  nominatim: { label: 'Nominatim', factory: createNominatimGeocoder, defaultUrl: 'https://nominatim.openstreetmap.org', limits: PUBLIC_LIMITS },
+  photon: { label: 'Photon', factory: createPhotonGeocoder, defaultUrl: 'https://photon.komoot.io', limits: PUBLIC_LIMITS }
+};
+
+const routers = {
+  osrm: { label: 'OSRM', factory: createOsrmRouter, defaultUrl: 'https://router.project-osrm.org', limits: PUBLIC_LIMITS }
+};
+
+export const registerGeocoder = (id, label, factory, defaultUrl = '', limits = PUBLIC_LIMITS) => {
+  geocoders[id] = { label, factory, defaultUrl, limits };
+};
+
+export const registerRouter = (id, label, factory, defaultUrl = '', limits = PUBLIC_LIMITS) => {
+  routers[id] = { label, factory, defaultUrl, limits };
+};
+
+export const listGeocoders = () => Object.entries(geocoders).map(([id, { label, defaultUrl, limits }]) => ({ id, label, defaultUrl, limits }));
+export const listRouters = () => Object.entries(routers).map(([id, { label, defaultUrl, limits }]) => ({ id, label, defaultUrl, limits }));
+
+// Build-time defaults come from VITE_* variables (see README), runtime overrides from localStorage
+const geocoderProvider = env.VITE_GEOCODER_PROVIDER || 'nominatim';
+const routerProvider = env.VITE_ROUTER_PROVIDER || 'osrm';
+
+export const DEFAULT_PROVIDER_SETTINGS = {
+  geocoder: {
+    provider: geocoderProvider,
+    baseUrl: env.VITE_GEOCODER_URL || geocoders[geocoderProvider]?.defaultUrl || '',
+    apiKey: env.VITE_GEOCODER_API_KEY || '',
+    apiKeyHeader: env.VITE_GEOCODER_API_KEY_HEADER || '',
+    apiKeyParam: env.VITE_GEOCODER_API_KEY_PARAM || 'key',
+    email: env.VITE_GEOCODER_EMAIL || '',
+    userAgent: env.VITE_GEOCODER_USER_AGENT || '',
+    rateLimit: Number(env.VITE_GEOCODER_RATE_LIMIT) || geocoders[geocoderProvider]?.limits.rateLimit || 1,
+    maxConcurrent: Number(env.VITE_GEOCODER_MAX_CONCURRENT) || geocoders[geocoderProvider]?.limits.maxConcurrent || 1
+  },
+  router: {
+    provider: routerProvider,
+    baseUrl: env.VITE_ROUTER_URL || routers[routerProvider]?.defaultUrl || '',
+    apiKey: env.VITE_ROUTER_API_KEY || '',
+    apiKeyHeader: env.VITE_ROUTER_API_KEY_HEADER || '',
+    apiKeyParam: env.VITE_ROUTER_API_KEY_PARAM || 'key',
+    userAgent: env.VITE_ROUTER_USER_AGENT || '',
+    maxTableCoords: Number(env.VITE_ROUTER_MAX_TABLE_COORDS) || 100,
+    // Routing profile per travel mode, and optional per-mode servers (empty = base URL)
+    profiles: DEFAULT_OSRM_PROFILES,
+    profileUrls: {
+      truck: env.VITE_ROUTER_TRUCK_URL || '',
+      cycling: env.VITE_ROUTER_CYCLING_URL || '',
+      walking: env.VITE_ROUTER_WALKING_URL || ''
+    },
+    rateLimit: Number(env.VITE_ROUTER_RATE_LIMIT) || routers[routerProvider]?.limits.rateLimit || 1,
+    maxConcurrent: Number(env.VITE_ROUTER_MAX_CONCURRENT) || routers[routerProvider]?.limits.maxConcurrent || 1
+  }
+};
+
+export const loadProviderSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return {
+      geocoder: { ...DEFAULT_PROVIDER_SETTINGS.geocoder, ...saved.geocoder },
+      router: { ...DEFAULT_PROVIDER_SETTINGS.router, ...saved.router }
+    };
+  } catch (err) {
+    console.warn('Ignoring invalid provider settings:', err);
+    return DEFAULT_PROVIDER_SETTINGS;
+  }
+};
+
+export const saveProviderSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const clearProviderSettings = () => {
+  localStorage.removeItem(SETTINGS_KEY);
+};
+
+export const createGeocoder = (config) => {
+  const entry = geocoders[config.provider] || geocoders.nominatim;
+  return entry.factory(config);
+};
+
+export const createRouter = (config) => {
+  const entry = routers[config.provider] || routers.osrm;
+  return entry.factory(config);
+};
+
+// Live request-queue state for an endpoint ({ queued, active, retrying, waitingUntil }); returns unsubscribe
+export const subscribeToProvider = (config, listener) => getScheduler(config).subscribe(listener);
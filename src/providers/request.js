@@ -0,0 +1,51 @@
+// Shared HTTP plumbing for every provider: base URL joining, API keys and contact details
+import { getScheduler } from './scheduler';
+
+export const joinUrl = (baseUrl, path) => `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+
+export const buildRequest = (config, url, params = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.set(key, value);
+  });
+
+  const headers = {};
+  if (config.apiKey) {
+    if (config.apiKeyHeader) {
+      headers[config.apiKeyHeader] = config.apiKey;
+    } else {
+      query.set(config.apiKeyParam || 'key', config.apiKey);
+    }
+  }
+  // Browsers may refuse to override User-Agent; self-hosted servers can still read it where allowed
+  if (config.userAgent) headers['User-Agent'] = config.userAgent;
+
+  const qs = query.toString();
+  return { url: qs ? `${url}${url.includes('?') ? '&' : '?'}${qs}` : url, headers };
+};
+
+// Retry-After is either delay-seconds or an HTTP date; returns ms, or undefined
+export const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+// Every provider request goes through its endpoint's scheduler (rate limit, retries, 429 handling)
+export const providerFetch = (config, url, params, { signal } = {}) => {
+  const request = buildRequest(config, url, params);
+  return getScheduler(config).schedule(async (attemptSignal) => {
+    const response = await fetch(request.url, { headers: request.headers, signal: attemptSignal });
+    if (!response.ok) {
+      const error = new Error(`${config.provider} request failed (${response.status})`);
+      error.status = response.status;
+      error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      // Some APIs explain a 4xx in the body (OSRM: { code, message })
+      error.body = await response.json().catch(() => null);
+      throw error;
+    }
+    return response.json();
+  }, { signal });
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { joinUrl, buildRequest, providerFetch } from './request';
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('joinUrl', () => {
+  it('joins with exactly one slash', () => {
+    expect(joinUrl('https://osrm.test/', '/route/v1')).toBe('https://osrm.test/route/v1');
+    expect(joinUrl('https://osrm.test', 'route/v1')).toBe('https://osrm.test/route/v1');
+  });
+});
+
+describe('buildRequest', () => {
+  it('drops empty parameters', () => {
+    const { url, headers } = buildRequest({}, 'https://geo.test/search', { q: 'Paris', email: '', limit: 5, extra: null });
+    expect(url).toBe('https://geo.test/search?q=Paris&limit=5');
+    expect(headers).toEqual({});
+  });
+
+  it('sends the API key as a query parameter by default', () => {
+    const { url } = buildRequest({ apiKey: 'secret', apiKeyParam: 'api_key' }, 'https://geo.test/search?format=json', { q: 'Paris' });
+    expect(url).toBe('https://geo.test/search?format=json&q=Paris&api_key=secret');
+  });
+
+  it('sends the API key and user agent as headers when configured', () => {
+    const { url, headers } = buildRequest({ apiKey: 'secret', apiKeyHeader: 'X-Api-Key', userAgent: 'calc/1.0' }, 'https://geo.test/search');
+    expect(url).toBe('https://geo.test/search');
+    expect(headers).toEqual({ 'X-Api-Key': 'secret', 'User-Agent': 'calc/1.0' });
+  });
+});
+
+describe('providerFetch', () => {
+  it('throws with the HTTP status on failure', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 404, headers: { get: () => null }, json: async () => ({}) })));
+    const config = { provider: 'nominatim', baseUrl: 'https://fail.test', rateLimit: 100 };
+    await expect(providerFetch(config, 'https://fail.test/search', {})).rejects.toMatchObject({
+      message: 'nominatim request failed (404)',
+      status: 404
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { joinUrl, providerFetch } from './request';
+
+// Every router resolves route(points, { signal }) to { distance (km), duration (min), legs },
+// or null when the service has no route between the points. HTTP failures throw.
+// legs has one { distance, duration } entry per consecutive pair of points.
+// Pass geometry: 'full' | 'simplified' to also get the road line as geometry: [[lat, lon], ...].
+// Pass mode: 'road' | 'truck' | 'cycling' | 'walking' (utils/travelModes) to pick the routing
+// profile; the default is 'road'.
+// Pass exclude: ['toll', 'motorway', 'ferry'] to avoid those roads. When the profile can't, the
+// call throws an error carrying the same list as error.constraints.
+// Pass alternatives: n (two points only) to also get up to n other routes as
+// alternatives: [{ distance, duration, geometry }]. Servers may find fewer, or none.
+//
+// Routers may also implement table(sources, destinations, { signal, mode, exclude }) resolving to
+// { distances, durations }: sources x destinations grids in km / min, null where unreachable.
+
+// The public OSRM demo server rejects table requests with more than 100 coordinates
+const DEFAULT_MAX_TABLE_COORDS = 100;
+
+// URL profile segment per travel mode; config.profiles overrides these
+export const DEFAULT_OSRM_PROFILES = { road: 'driving', truck: 'truck', cycling: 'cycling', walking: 'walking' };
+
+// The profile a mode's requests ask for. Route caches key on it too, so a blank profile field
+// in Settings must resolve to the same default here and there.
+export const resolveProfile = (config, mode) =>
+  config.profiles?.[mode] || DEFAULT_OSRM_PROFILES[mode] || DEFAULT_OSRM_PROFILES.road;
+
+// An OSRM server is built for a single profile, so config.profileUrls can send a mode to its
+// own server. That server gets its own scheduler, with the same limits.
+const profileEndpoint = (config, mode) => {
+  const baseUrl = config.profileUrls?.[mode] || config.baseUrl;
+  return {
+    config: baseUrl === config.baseUrl ? config : { ...config, baseUrl },
+    profile: resolveProfile(config, mode)
+  };
+};
+
+// OSRM answers 400 InvalidValue when the profile has no such exclude class, or can't combine them
+const constraintError = (err, exclude, profile) => {
+  if (err.status !== 400 || err.body?.code !== 'InvalidValue' || exclude.length === 0) return err;
+  const error = new Error(`Routing profile "${profile}" can't avoid ${exclude.join(', ')}`);
+  error.constraints = exclude;
+  return error;
+};
+
+const routeSummary = (route) => {
+  const result = {
+    distance: route.distance / 1000,
+    duration: route.duration / 60,
+    legs: (route.legs || []).map(leg => ({
+      distance: leg.distance / 1000,
+      duration: leg.duration / 60
+    }))
+  };
+  // GeoJSON is [lon, lat]; the rest of the app uses [lat, lon]
+  if (route.geometry?.coordinates) {
+    result.geometry = route.geometry.coordinates.map(([lon, lat]) => [lat, lon]);
+  }
+  return result;
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+export const createOsrmRouter = (config) => ({
+  id: 'osrm',
+  route: async (points, { signal, geometry, mode = 'road', exclude = [], alternatives = 0 } = {}) => {
+    const endpoint = profileEndpoint(config, mode);
+    const coords = points.map(p => `${p.lon},${p.lat}`).join(';');
+    const data = await providerFetch(
+      endpoint.config,
+      joinUrl(endpoint.config.baseUrl, `route/v1/${endpoint.profile}/${coords}`),
+      {
+        ...(geometry ? { overview: geometry, geometries: 'geojson' } : { overview: 'false' }),
+        exclude: exclude.join(','),
+        alternatives: alternatives > 0 ? alternatives : undefined
+      },
+      { signal }
+    ).catch(err => { throw constraintError(err, exclude, endpoint.profile); });
+
+    if (data.code === 'Ok' && data.routes && data.routes[0]) {
+      const [route, ...others] = data.routes.map(routeSummary);
+      if (alternatives > 0) route.alternatives = others.slice(0, alternatives);
+      return route;
+    }
+    return null;
+  },
+
+  table: async (sources, destinations, { signal, mode = 'road', exclude = [] } = {}) => {
+    const endpoint = profileEndpoint(config, mode);
+    const maxCoords = Number(config.maxTableCoords) || DEFAULT_MAX_TABLE_COORDS;
+    // Split both sides so every request stays within the server's coordinate limit
+    const destSize = Math.min(destinations.length, Math.max(1, Math.floor(maxCoords / 2)));
+    const sourceSize = Math.max(1, maxCoords - destSize);
+
+    const distances = sources.map(() => new Array(destinations.length).fill(null));
+    const durations = sources.map(() => new Array(destinations.length).fill(null));
+
+    let sourceOffset = 0;
+    for (const sourceChunk of chunk(sources, sourceSize)) {
+      let destOffset = 0;
+      for (const destChunk of chunk(destinations, destSize)) {
+        const points = [...sourceChunk, ...destChunk];
+        const coords = points.map(p => `${p.lon},${p.lat}`).join(';');
+        const data = await providerFetch(
+          endpoint.config,
+          joinUrl(endpoint.config.baseUrl, `table/v1/${endpoint.profile}/${coords}`),
+          {
+            sources: sourceChunk.map((_, i) => i).join(';'),
+            destinations: destChunk.map((_, i) => sourceChunk.length + i).join(';'),
+            annotations: 'distance,duration',
+            exclude: exclude.join(',')
+          },
+          { signal }
+        ).catch(err => { throw constraintError(err, exclude, endpoint.profile); });
+
+        if (data.code !== 'Ok') throw new Error(`OSRM table failed: ${data.code}`);
+
+        sourceChunk.forEach((_, i) => {
+          destChunk.forEach((__, j) => {
+            const meters = data.distances?.[i]?.[j];
+            const seconds = data.durations?.[i]?.[j];
+            distances[sourceOffset + i][destOffset + j] = meters === null || meters === undefined ? null : meters / 1000;
+            durations[sourceOffset + i][destOffset + j] = seconds === null || seconds === undefined ? null : seconds / 60;
+          });
+        });
+        destOffset += destChunk.length;
+      }
+      sourceOffset += sourceChunk.length;
+    }
+
+    return { distances, durations };
+  }
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createOsrmRouter, resolveProfile, DEFAULT_OSRM_PROFILES } from './routing';
+
+const config = (changes = {}) => ({ provider: 'osrm', baseUrl: 'https://osrm.test', rateLimit: 100, maxConcurrent: 1, ...changes });
+const points = [{ lat: 1, lon: 2 }, { lat: 3, lon: 4 }];
+
+const osrmRoute = (distance, duration) => ({
+  distance,
+  duration,
+  legs: [{ distance, duration }],
+  geometry: { coordinates: [[2, 1], [4, 3]] }
+});
+
+// Answers every request with body (or body(url)) and status; returns the list of requested URLs
+const stubFetch = (body, status = 200) => {
+  const urls = [];
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    urls.push(String(url));
+    const json = typeof body === 'function' ? body(new URL(url)) : body;
+    return { ok: status < 400, status, headers: { get: () => null }, json: async () => json };
+  }));
+  return urls;
+};
+
+// OSRM table answer for a request whose points are all at longitude 0: the distance from a
+// source at latitude a to a destination at latitude b is a * 100 + b km, and as many minutes
+const tableAnswer = (url) => {
+  const lats = url.pathname.split('/').pop().split(';').map(coords => Number(coords.split(',')[1]));
+  const sources = url.searchParams.get('sources').split(';').map(i => lats[i]);
+  const destinations = url.searchParams.get('destinations').split(';').map(i => lats[i]);
+  const grid = (scale) => sources.map(a => destinations.map(b => (a === 3 && b === 30 ? null : (a * 100 + b) * scale)));
+  return { code: 'Ok', distances: grid(1000), durations: grid(60) };
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('resolveProfile', () => {
+  it('uses the configured profile, then the mode default', () => {
+    expect(resolveProfile(config({ profiles: { cycling: 'bike' } }), 'cycling')).toBe('bike');
+    expect(resolveProfile(config({ profiles: { cycling: '' } }), 'cycling')).toBe('cycling');
+    expect(resolveProfile(config({ profiles: { road: '' } }), 'road')).toBe(DEFAULT_OSRM_PROFILES.road);
+    expect(resolveProfile(config(), 'unknown')).toBe('driving');
+  });
+});
+
+describe('createOsrmRouter', () => {
+  it('converts metres and seconds to km and minutes', async () => {
+    const urls = stubFetch({ code: 'Ok', routes: [osrmRoute(12000, 900)] });
+    const route = await createOsrmRouter(config()).route(points);
+    expect(route).toEqual({ distance: 12, duration: 15, legs: [{ distance: 12, duration: 15 }], geometry: [[1, 2], [3, 4]] });
+    expect(urls).toEqual(['https://osrm.test/route/v1/driving/2,1;4,3?overview=false']);
+  });
+
+  it('reports each leg of a multi-stop route', async () => {
+    stubFetch({
+      code: 'Ok',
+      routes: [{ distance: 30000, duration: 1800, legs: [{ distance: 10000, duration: 600 }, { distance: 20000, duration: 1200 }] }]
+    });
+    const route = await createOsrmRouter(config()).route([...points, { lat: 5, lon: 6 }]);
+    expect(route.legs).toEqual([{ distance: 10, duration: 10 }, { distance: 20, duration: 20 }]);
+  });
+
+  it('asks for GeoJSON geometry when a line is wanted', async () => {
+    const urls = stubFetch({ code: 'Ok', routes: [osrmRoute(1000, 60)] });
+    await createOsrmRouter(config()).route(points, { geometry: 'full' });
+    expect(urls).toEqual(['https://osrm.test/route/v1/driving/2,1;4,3?overview=full&geometries=geojson']);
+  });
+
+  it('asks the per-mode server for the mode\'s profile', async () => {
+    const urls = stubFetch({ code: 'Ok', routes: [osrmRoute(1000, 60)] });
+    const router = createOsrmRouter(config({ baseUrl: 'https://osrm-modes.test', profileUrls: { walking: 'https://foot.test/' } }));
+    await router.route(points, { mode: 'walking' });
+    await router.route(points, { mode: 'cycling' });
+    expect(urls[0]).toMatch(/^https:\/\/foot\.test\/route\/v1\/walking\//);
+    expect(urls[1]).toMatch(/^https:\/\/osrm-modes\.test\/route\/v1\/cycling\//);
+  });
+
+  it('uses a configured profile name', async () => {
+    const urls = stubFetch({ code: 'Ok', routes: [osrmRoute(1000, 60)] });
+    await createOsrmRouter(config({ baseUrl: 'https://osrm-hgv.test', profiles: { truck: 'hgv' } })).route(points, { mode: 'truck' });
+    expect(urls[0]).toMatch(/\/route\/v1\/hgv\//);
+  });
+
+  it('falls back to the default profile when the profile field is blank', async () => {
+    const urls = stubFetch({ code: 'Ok', routes: [osrmRoute(1000, 60)] });
+    const router = createOsrmRouter(config({ baseUrl: 'https://osrm-blank.test', profiles: { walking: '' } }));
+    await router.route(points, { mode: 'walking' });
+    expect(urls[0]).toMatch(/\/route\/v1\/walking\//);
+  });
+
+  it('returns null when there is no route', async () => {
+    stubFetch({ code: 'NoRoute', routes: [] });
+    expect(await createOsrmRouter(config({ baseUrl: 'https://osrm-none.test' })).route(points)).toBeNull();
+  });
+
+  it('sends the roads to avoid', async () => {
+    const urls = stubFetch({ code: 'Ok', routes: [osrmRoute(1000, 60)] });
+    await createOsrmRouter(config()).route(points, { exclude: ['toll', 'ferry'] });
+    expect(new URL(urls[0]).searchParams.get('exclude')).toBe('toll,ferry');
+  });
+
+  it('returns up to the requested number of alternatives', async () => {
+    const urls = stubFetch({ code: 'Ok', routes: [osrmRoute(1000, 60), osrmRoute(2000, 90), osrmRoute(3000, 120)] });
+    const route = await createOsrmRouter(config()).route(points, { alternatives: 1 });
+    expect(new URL(urls[0]).searchParams.get('alternatives')).toBe('1');
+    expect(route.distance).toBe(1);
+    expect(route.alternatives).toEqual([{ distance: 2, duration: 1.5, legs: [{ distance: 2, duration: 1.5 }], geometry: [[1, 2], [3, 4]] }]);
+  });
+
+  it('explains a profile that cannot avoid the requested roads', async () => {
+    stubFetch({ code: 'InvalidValue', message: 'Exclude flag combination is not supported.' }, 400);
+    const request = createOsrmRouter(config({ baseUrl: 'https://osrm-exclude.test' })).route(points, { mode: 'walking', exclude: ['motorway'] });
+    await expect(request).rejects.toMatchObject({
+      message: 'Routing profile "walking" can\'t avoid motorway',
+      constraints: ['motorway']
+    });
+  });
+
+  it('leaves other request errors alone', async () => {
+    stubFetch({ code: 'InvalidValue' }, 400);
+    const request = createOsrmRouter(config({ baseUrl: 'https://osrm-invalid.test' })).route(points);
+    await expect(request).rejects.toMatchObject({ status: 400 });
+    await expect(request).rejects.not.toHaveProperty('constraints');
+  });
+
+  it('splits a table into requests within the coordinate limit', async () => {
+    const urls = stubFetch(tableAnswer);
+    const sources = [1, 2, 3].map(lat => ({ lat, lon: 0 }));
+    const destinations = [10, 20, 30].map(lat => ({ lat, lon: 0 }));
+    const { distances, durations } = await createOsrmRouter(config({ maxTableCoords: 4 })).table(sources, destinations);
+    expect(urls).toHaveLength(4);
+    urls.forEach(url => expect(new URL(url).pathname.split('/').pop().split(';').length).toBeLessThanOrEqual(4));
+    expect(distances).toEqual([[110, 120, 130], [210, 220, 230], [310, 320, null]]);
+    expect(durations).toEqual(distances);
+  });
+
+  it('throws when a table request fails', async () => {
+    stubFetch({ code: 'NoTable' });
+    const request = createOsrmRouter(config()).table([{ lat: 1, lon: 0 }], [{ lat: 10, lon: 0 }]);
+    await expect(request).rejects.toThrow('OSRM table failed: NoTable');
+  });
+});
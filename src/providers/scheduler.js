@@ -0,0 +1,189 @@
+// Request scheduler: one per provider endpoint, shared by every request to it.
+// - token bucket: at most `rateLimit` requests per second (bursts of up to `burst`)
+// - at most `maxConcurrent` requests in flight
+// - 429 / 503 pause the whole endpoint for Retry-After (or a backoff when absent)
+// - network errors and 5xx retry with exponential backoff + jitter
+// Listeners get { queued, active, retrying, waitingUntil } whenever that changes.
+
+const DEFAULT_LIMITS = {
+  rateLimit: 1,
+  maxConcurrent: 1,
+  burst: 1,
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000
+};
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+// fetch() rejects with a TypeError when the network is down or the request is blocked
+const isRetryable = (err) => RETRYABLE_STATUS.has(err.status) || err.name === 'TypeError';
+
+const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  // "Equal jitter": never less than half the cap, so retries can't stampede
+  return cap / 2 + Math.random() * (cap / 2);
+};
+
+export const createScheduler = (options = {}) => {
+  let limits = { ...DEFAULT_LIMITS };
+  let tokens = 0;
+  let lastRefill = Date.now();
+  let active = 0;
+  let retrying = 0;
+  let pausedUntil = 0;
+  let timer = null;
+  const queue = [];
+  const listeners = new Set();
+
+  const getState = () => ({
+    queued: queue.length,
+    active,
+    retrying,
+    waitingUntil: pausedUntil > Date.now() ? pausedUntil : null
+  });
+
+  const notify = () => {
+    const state = getState();
+    listeners.forEach(listener => listener(state));
+  };
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(limits.burst, tokens + ((now - lastRefill) / 1000) * limits.rateLimit);
+    lastRefill = now;
+  };
+
+  const wakeIn = (ms) => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, Math.max(0, ms));
+  };
+
+  const pump = () => {
+    while (queue.length > 0 && active < limits.maxConcurrent) {
+      const now = Date.now();
+      if (pausedUntil > now) {
+        wakeIn(pausedUntil - now);
+        break;
+      }
+      refill();
+      if (tokens < 1) {
+        wakeIn(((1 - tokens) / limits.rateLimit) * 1000);
+        break;
+      }
+      tokens -= 1;
+      const job = queue.shift();
+      active++;
+      job.run().finally(() => {
+        active--;
+        pump();
+      });
+    }
+    notify();
+  };
+
+  const setLimits = (next = {}) => {
+    const merged = { ...limits };
+    Object.entries(next).forEach(([key, value]) => {
+      if (Number(value) > 0) merged[key] = Number(value);
+    });
+    merged.burst = Math.max(1, Math.min(merged.burst, Math.ceil(merged.rateLimit)));
+    limits = merged;
+    tokens = Math.min(tokens, limits.burst);
+  };
+
+  // task(signal) is called once per attempt; resolves with its value or rejects with the last error
+  const schedule = (task, { signal } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    let attempt = 0;
+    let retryTimer = null;
+
+    const finish = (fn, value) => {
+      signal?.removeEventListener('abort', onAbort);
+      fn(value);
+    };
+
+    const onAbort = () => {
+      const index = queue.indexOf(job);
+      if (index !== -1) queue.splice(index, 1);
+      if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        retrying--;
+      }
+      notify();
+      finish(reject, abortError());
+    };
+
+    const job = {
+      run: async () => {
+        if (signal?.aborted) return;
+        try {
+          finish(resolve, await task(signal));
+        } catch (err) {
+          if (signal?.aborted || err.name === 'AbortError') {
+            finish(reject, err);
+            return;
+          }
+          if (!isRetryable(err) || attempt >= limits.maxRetries) {
+            finish(reject, err);
+            return;
+          }
+
+          attempt++;
+          const delay = err.retryAfter ?? backoffDelay(attempt, limits);
+          if (err.status === 429 || err.status === 503) {
+            // The server is throttling this endpoint, not just this request: hold everything
+            pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+            console.warn(`Rate limited (${err.status}), pausing requests for ${Math.ceil(delay / 1000)}s`);
+          }
+          retrying++;
+          retryTimer = setTimeout(() => {
+            retryTimer = null;
+            retrying--;
+            queue.unshift(job);
+            pump();
+          }, delay);
+          notify();
+        }
+      }
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    queue.push(job);
+    pump();
+  });
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    listener(getState());
+    return () => listeners.delete(listener);
+  };
+
+  setLimits(options);
+  tokens = limits.burst;
+
+  return { schedule, subscribe, setLimits, getState };
+};
+
+// One scheduler per endpoint, so every component and every request type shares the same budget
+const schedulers = new Map();
+
+export const schedulerKey = (config) => `${config.provider}:${config.baseUrl}`;
+
+export const getScheduler = (config) => {
+  const key = schedulerKey(config);
+  if (!schedulers.has(key)) schedulers.set(key, createScheduler());
+  const scheduler = schedulers.get(key);
+  scheduler.setLimits({ rateLimit: config.rateLimit, maxConcurrent: config.maxConcurrent });
+  return scheduler;
+};
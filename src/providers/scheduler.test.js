@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createScheduler } from './scheduler';
+import { parseRetryAfter } from './request';
+
+const httpError = (status, retryAfter) => Object.assign(new Error(`failed (${status})`), { status, retryAfter });
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(0);
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('createScheduler', () => {
+  it('spaces requests to the rate limit', async () => {
+    const scheduler = createScheduler({ rateLimit: 2, maxConcurrent: 5 });
+    const startedAt = [];
+    const done = [1, 2, 3].map(() => scheduler.schedule(async () => startedAt.push(Date.now())));
+    await vi.runAllTimersAsync();
+    await Promise.all(done);
+    expect(startedAt).toEqual([0, 500, 1000]);
+  });
+
+  it('keeps at most maxConcurrent requests in flight', async () => {
+    const scheduler = createScheduler({ rateLimit: 100, maxConcurrent: 2 });
+    let inFlight = 0;
+    let peak = 0;
+    const task = async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      inFlight--;
+    };
+    const done = Array.from({ length: 5 }, () => scheduler.schedule(task));
+    await vi.runAllTimersAsync();
+    await Promise.all(done);
+    expect(peak).toBe(2);
+  });
+
+  it('pauses the endpoint for Retry-After on 429', async () => {
+    const scheduler = createScheduler({ rateLimit: 100, maxConcurrent: 1 });
+    const calls = [];
+    let throttled = false;
+    const first = scheduler.schedule(async () => {
+      calls.push(['first', Date.now()]);
+      if (!throttled) {
+        throttled = true;
+        throw httpError(429, 3000);
+      }
+      return 'ok';
+    });
+    const second = scheduler.schedule(async () => calls.push(['second', Date.now()]));
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(scheduler.getState().waitingUntil).toBe(3000);
+
+    await vi.runAllTimersAsync();
+    await expect(first).resolves.toBe('ok');
+    await second;
+    expect(calls.every(([, at], i) => i === 0 || at >= 3000)).toBe(true);
+    expect(calls.map(([name]) => name)).toEqual(['first', 'first', 'second']);
+  });
+
+  it('retries server errors with backoff, then gives up', async () => {
+    const scheduler = createScheduler({ rateLimit: 100, maxRetries: 2 });
+    const task = vi.fn(async () => { throw httpError(502); });
+    const result = scheduler.schedule(task);
+    const assertion = expect(result).rejects.toMatchObject({ status: 502 });
+    await vi.runAllTimersAsync();
+    await assertion;
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors', async () => {
+    const scheduler = createScheduler();
+    const task = vi.fn(async () => { throw httpError(400); });
+    const result = scheduler.schedule(task);
+    const assertion = expect(result).rejects.toMatchObject({ status: 400 });
+    await vi.runAllTimersAsync();
+    await assertion;
+    expect(task).toHaveBeenCalledOnce();
+  });
+
+  it('drops queued requests when they are aborted', async () => {
+    const scheduler = createScheduler({ rateLimit: 1 });
+    const controller = new AbortController();
+    const first = scheduler.schedule(async () => 'first');
+    const task = vi.fn(async () => 'second');
+    const second = scheduler.schedule(task, { signal: controller.signal });
+    const assertion = expect(second).rejects.toMatchObject({ name: 'AbortError' });
+
+    controller.abort();
+    await vi.runAllTimersAsync();
+    await assertion;
+    await expect(first).resolves.toBe('first');
+    expect(task).not.toHaveBeenCalled();
+    expect(scheduler.getState().queued).toBe(0);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads delay-seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+  });
+
+  it('reads an HTTP date', () => {
+    vi.setSystemTime(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'));
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT')).toBe(30000);
+  });
+
+  it('ignores missing or unreadable values', () => {
+    expect(parseRetryAfter(null)).toBeUndefined();
+    expect(parseRetryAfter('soon')).toBeUndefined();
+  });
+});
@@ -0,0 +1,54 @@
+// Decides whether a geocoded name needs a human to pick the right place.
+// Candidates are { display, lat, lon, confidence?, unmatched? }, best first. A name is ambiguous when
+// - the best match ignores part of the name (unmatched qualifiers, e.g. "texas" in "Paris, Texas"),
+// - the best match has low confidence, or
+// - another candidate is far from the best one and nearly as confident
+//   (Hyderabad IN/PK, the three Springfields). Paris, Texas does not make "Paris" ambiguous,
+//   because its confidence is far below that of Paris, France.
+// A bare airport code that also names a place somewhere else is ambiguous too (assessAirportCode).
+import { haversineDistance } from './geodesy';
+
+const FAR_APART_KM = 50;
+const CONTENDER_RATIO = 0.8;
+const LOW_CONFIDENCE = 0.35;
+
+const hasConfidence = (candidate) => Number.isFinite(candidate.confidence);
+
+export const assessCandidates = (candidates) => {
+  const [best, ...others] = candidates;
+  if (!best) return { ambiguous: false };
+
+  if (best.unmatched?.length > 0) {
+    return { ambiguous: true, reason: `"${best.unmatched.join(', ')}" not recognised - best guess is ${best.display}` };
+  }
+
+  if (hasConfidence(best) && best.confidence < LOW_CONFIDENCE) {
+    return { ambiguous: true, reason: 'Low-confidence match' };
+  }
+
+  const rival = others.find(candidate =>
+    haversineDistance(best.lat, best.lon, candidate.lat, candidate.lon) > FAR_APART_KM &&
+    (!hasConfidence(best) || !hasConfidence(candidate) || candidate.confidence >= best.confidence * CONTENDER_RATIO)
+  );
+  if (rival) {
+    const km = Math.round(haversineDistance(best.lat, best.lon, rival.lat, rival.lon));
+    return { ambiguous: true, reason: `Also matches ${rival.display} (${km} km away)` };
+  }
+  return { ambiguous: false };
+};
+
+// A bare UPPERCASE value that is a known airport code, in a column not marked as holding codes.
+// places are its place-name matches; any far from the airport ("MAN" is Manchester airport and
+// also Man in Côte d'Ivoire) send it to review with the airport as the first candidate.
+// Returns { candidates, ambiguous, reason? }.
+export const assessAirportCode = (code, airport, places) => {
+  const elsewhere = places.filter(place =>
+    haversineDistance(airport.lat, airport.lon, place.lat, place.lon) > FAR_APART_KM
+  );
+  if (elsewhere.length === 0) return { candidates: [airport], ambiguous: false };
+  return {
+    candidates: [airport, ...elsewhere],
+    ambiguous: true,
+    reason: `"${code}" is an airport code but also matches ${elsewhere[0].display}`
+  };
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { assessCandidates, assessAirportCode } from './ambiguity';
+import { loadGazetteer, searchGazetteer, lookupAirportCode } from './gazetteer';
+
+const candidatesFor = (places) => places.map(place => ({
+  display: place.display,
+  lat: place.lat,
+  lon: place.lon,
+  confidence: place.score,
+  unmatched: place.unmatched
+}));
+
+describe('assessCandidates', () => {
+  it('accepts a single candidate', () => {
+    expect(assessCandidates([{ display: 'Paris, France', lat: 48.8566, lon: 2.3522, confidence: 0.9 }])).toEqual({ ambiguous: false });
+  });
+
+  it('has nothing to flag without candidates', () => {
+    expect(assessCandidates([])).toEqual({ ambiguous: false });
+  });
+
+  it('flags a low-confidence best match', () => {
+    const result = assessCandidates([{ display: 'Somewhere', lat: 0, lon: 0, confidence: 0.2 }]);
+    expect(result).toEqual({ ambiguous: true, reason: 'Low-confidence match' });
+  });
+
+  it('ignores nearby candidates', () => {
+    const result = assessCandidates([
+      { display: 'Paris Charles de Gaulle', lat: 49.0097, lon: 2.5479, confidence: 0.9 },
+      { display: 'Paris Orly', lat: 48.7262, lon: 2.3652, confidence: 0.9 }
+    ]);
+    expect(result.ambiguous).toBe(false);
+  });
+
+  it('ignores a far-away candidate that is much less likely', () => {
+    const result = assessCandidates([
+      { display: 'Paris, France', lat: 48.8566, lon: 2.3522, confidence: 0.9 },
+      { display: 'Paris, Texas', lat: 33.6609, lon: -95.5555, confidence: 0.5 }
+    ]);
+    expect(result.ambiguous).toBe(false);
+  });
+
+  it('flags a far-away candidate without confidence scores', () => {
+    const result = assessCandidates([
+      { display: 'Springfield, Massachusetts', lat: 42.1015, lon: -72.5898 },
+      { display: 'Springfield, Illinois', lat: 39.7817, lon: -89.6501 }
+    ]);
+    expect(result.ambiguous).toBe(true);
+    expect(result.reason).toMatch(/^Also matches Springfield, Illinois \(\d+ km away\)$/);
+  });
+
+  it('flags a best match that ignores part of the name', () => {
+    const result = assessCandidates([{ display: 'Paris, France', lat: 48.8566, lon: 2.3522, confidence: 0.85, unmatched: ['texas'] }]);
+    expect(result).toEqual({ ambiguous: true, reason: '"texas" not recognised - best guess is Paris, France' });
+  });
+
+  it('sends an unconfirmed gazetteer qualifier to review instead of accepting it', async () => {
+    const places = searchGazetteer(await loadGazetteer(), 'Paris, Texas');
+    const result = assessCandidates(candidatesFor(places));
+    expect(result.ambiguous).toBe(true);
+    expect(result.reason).toContain('texas');
+  });
+
+  it('accepts a clear gazetteer match', async () => {
+    const places = searchGazetteer(await loadGazetteer(), 'Paris, France');
+    expect(assessCandidates(candidatesFor(places)).ambiguous).toBe(false);
+  });
+
+  it('flags far-apart gazetteer places of similar confidence', async () => {
+    const places = searchGazetteer(await loadGazetteer(), 'Hyderabad');
+    const result = assessCandidates(candidatesFor(places));
+    expect(result.ambiguous).toBe(true);
+    expect(result.reason).toMatch(/^Also matches/);
+  });
+});
+
+describe('assessAirportCode', () => {
+  const manchesterAirport = async () => candidatesFor([lookupAirportCode(await loadGazetteer(), 'MAN')])[0];
+
+  it('sends a code that is also a place elsewhere to review, airport first', async () => {
+    const airport = await manchesterAirport();
+    const man = { display: 'Man, Tonkpi, Côte d\'Ivoire', lat: 7.4125, lon: -7.5538, confidence: 0.6 };
+    const result = assessAirportCode('MAN', airport, [man]);
+    expect(result.ambiguous).toBe(true);
+    expect(result.candidates).toEqual([airport, man]);
+    expect(result.reason).toBe('"MAN" is an airport code but also matches Man, Tonkpi, Côte d\'Ivoire');
+  });
+
+  it('keeps the airport when the name only matches places near it', async () => {
+    const airport = await manchesterAirport();
+    const city = { display: 'Manchester, England, United Kingdom', lat: 53.4808, lon: -2.2426, confidence: 0.9 };
+    expect(assessAirportCode('MAN', airport, [city])).toEqual({ candidates: [airport], ambiguous: false });
+    expect(assessAirportCode('MAN', airport, [])).toEqual({ candidates: [airport], ambiguous: false });
+  });
+});
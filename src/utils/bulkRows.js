@@ -0,0 +1,147 @@
+// Bulk row helpers shared by the main thread and the parsing worker (workers/bulkWorker).
+// Nothing in here may touch the DOM, storage or React.
+import { calculateDistance, DISTANCE_MODELS } from './geodesy';
+import { parseCoordinates, parseCoordinateValue } from './coordinates';
+import { flightTimeColumns } from './flightTime';
+import { emissionColumns } from './emissions';
+import { tripCostColumns } from './tripCost';
+
+// Papa settings for bulk CSV input; workbook rows get the same treatment in utils/spreadsheet
+export const CSV_PARSE_OPTIONS = {
+  header: true,
+  skipEmptyLines: true,
+  dynamicTyping: false,
+  transformHeader: (header) => header.trim().toLowerCase(),
+  transform: (value) => value?.trim() || ''
+};
+
+const PLAIN_DECIMAL = /^-?\d+(?:\.\d+)?$/;
+// What String() gives for the numbers Excel cells hold, exponents included
+const NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i;
+const AXIS_LIMITS = { lat: 90, lon: 180 };
+
+// Cells may be strings (CSV) or numbers (Excel); a numeric 0 is a value, not a blank
+export const isBlank = (val) => val === null || val === undefined || String(val).trim() === '';
+
+// A usable coordinate: a whole number string, no trailing junk, and inside the axis range.
+// 0 passes - the equator and the prime meridian are real places.
+export const isNumericCoord = (val, axis = 'lon') => {
+  if (isBlank(val)) return false;
+  const text = String(val).trim();
+  return NUMBER.test(text) && Math.abs(Number(text)) <= AXIS_LIMITS[axis];
+};
+
+export const hasCoords = (row, end) => isNumericCoord(row[`${end}_lat`], 'lat') && isNumericCoord(row[`${end}_lon`], 'lon');
+
+// DMS / hemisphere lat-lon cells become decimals, and a from/to cell holding a whole position
+// (UTM, MGRS, Plus Code, "28.61N 77.21E") fills the lat/lon columns. Unreadable cells are left
+// alone for the usual checks to reject.
+const normalizeCoordinates = (row) => {
+  let normalized = row;
+  const set = (key, value) => {
+    if (normalized === row) normalized = { ...row };
+    normalized[key] = String(value);
+  };
+
+  ['from', 'to'].forEach(end => {
+    ['lat', 'lon'].forEach(axis => {
+      const value = String(row[`${end}_${axis}`] ?? '').trim();
+      if (!value || PLAIN_DECIMAL.test(value)) return;
+      const parsed = parseCoordinateValue(value, axis);
+      if (parsed.ok) set(`${end}_${axis}`, parsed.value);
+    });
+
+    if (isBlank(row[`${end}_lat`]) && isBlank(row[`${end}_lon`]) && !isBlank(row[end])) {
+      const parsed = parseCoordinates(row[end], { geohash: false });
+      if (parsed.ok) {
+        set(`${end}_lat`, parsed.lat);
+        set(`${end}_lon`, parsed.lon);
+      }
+    }
+  });
+  return normalized;
+};
+
+// Quick data cleaning shared by CSV and Excel input
+export const normalizeRows = (rows) => {
+  let jsonData = rows.map(row => {
+    const keys = Object.keys(row);
+    if (keys.length === 1) {
+      const value = row[keys[0]];
+      if (value && typeof value === 'string' && value.includes(',')) {
+        const cleanValue = value.replace(/"/g, '').trim();
+        const parts = cleanValue.split(',').map(p => p.trim());
+        if (parts.length === 2) {
+          return { from: parts[0], to: parts[1] };
+        } else if (parts.length === 4 && parts.every(p => isNumericCoord(p))) {
+          return {
+            from_lat: parts[0], from_lon: parts[1],
+            to_lat: parts[2], to_lon: parts[3],
+            from: 'Coordinates', to: 'Coordinates'
+          };
+        }
+      }
+    }
+    return row;
+  }).map(normalizeCoordinates);
+
+  // Filter invalid rows
+  return jsonData.filter(row =>
+    ['from', 'from_lat', 'to', 'to_lat', 'iata_from', 'iata_to', 'icao_from', 'icao_to'].some(key => !isBlank(row[key])) &&
+    Object.values(row).some(v => !isBlank(v))
+  );
+};
+
+const END_LABELS = { from: 'Origin', to: 'Destination' };
+const AXIS_LABELS = { lat: 'latitude', lon: 'longitude' };
+
+const hasPlace = (row, end) => [end, `iata_${end}`, `icao_${end}`].some(key => !isBlank(row[key]));
+
+// Reasons a normalised row would fail, or quietly fall back to geocoding its name instead of
+// using the coordinates it was given. Empty for a clean row.
+export const validateRow = (row) => {
+  const problems = [];
+  Object.entries(END_LABELS).forEach(([end, label]) => {
+    const cells = { lat: row[`${end}_lat`], lon: row[`${end}_lon`] };
+    if (isBlank(cells.lat) && isBlank(cells.lon)) {
+      if (!hasPlace(row, end)) problems.push(`${label}: no place, airport code or coordinates`);
+      return;
+    }
+    Object.entries(cells).forEach(([axis, value]) => {
+      if (isBlank(value)) {
+        problems.push(`${label} ${AXIS_LABELS[axis]} is missing`);
+      } else if (!isNumericCoord(value, axis)) {
+        const parsed = parseCoordinateValue(value, axis);
+        problems.push(`${label} ${AXIS_LABELS[axis]}: ${parsed.ok ? `"${value}" is not a number` : parsed.error}`);
+      }
+    });
+  });
+  return problems;
+};
+
+// Finished air-mode result for a row that already has coordinates on both ends.
+// Distances and times stay unrounded; utils/units formats them for display and export.
+// flightModel: see utils/flightTime, emissionSettings: utils/emissions, costProfile: utils/tripCost
+export const airResultRow = (row, distanceModel, flightModel, emissionSettings, costProfile) => {
+  const fromLat = parseFloat(row.from_lat);
+  const fromLon = parseFloat(row.from_lon);
+  const toLat = parseFloat(row.to_lat);
+  const toLon = parseFloat(row.to_lon);
+
+  const airDist = calculateDistance(fromLat, fromLon, toLat, toLon, distanceModel);
+
+  return {
+    ...row,
+    from: row.from || 'Coordinates',
+    to: row.to || 'Coordinates',
+    from_lat: fromLat.toFixed(4),
+    from_lon: fromLon.toFixed(4),
+    to_lat: toLat.toFixed(4),
+    to_lon: toLon.toFixed(4),
+    distance_km: airDist,
+    ...flightTimeColumns(airDist, flightModel),
+    ...emissionColumns(airDist, 'air', emissionSettings),
+    ...tripCostColumns(airDist, 'air', costProfile),
+    distance_model: DISTANCE_MODELS[distanceModel].short
+  };
+};
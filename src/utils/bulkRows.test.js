@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { isNumericCoord, hasCoords, normalizeRows, validateRow, airResultRow, CSV_PARSE_OPTIONS } from './bulkRows';
+import { haversineDistance } from './geodesy';
+import { flightModelFrom, estimateFlightTime } from './flightTime';
+import { emissionSettingsFrom } from './emissions';
+import { costProfileFrom } from './tripCost';
+
+describe('isNumericCoord', () => {
+  it.each([
+    ['0', 'lat', true],
+    [0, 'lon', true],
+    ['-33.8688', 'lat', true],
+    ['1.5e1', 'lon', true],
+    ['90.0001', 'lat', false],
+    ['180', 'lon', true],
+    ['12abc', 'lon', false],
+    ['', 'lat', false],
+    [null, 'lat', false]
+  ])('%s as %s is %s', (value, axis, expected) => {
+    expect(isNumericCoord(value, axis)).toBe(expected);
+  });
+});
+
+describe('hasCoords', () => {
+  it('needs both coordinates of the end', () => {
+    expect(hasCoords({ from_lat: '28.6', from_lon: '77.2' }, 'from')).toBe(true);
+    expect(hasCoords({ from_lat: '28.6', from_lon: '' }, 'from')).toBe(false);
+    expect(hasCoords({ from_lat: '28.6', from_lon: '77.2' }, 'to')).toBe(false);
+  });
+});
+
+describe('CSV_PARSE_OPTIONS', () => {
+  it('lowercases headers and trims values', () => {
+    expect(CSV_PARSE_OPTIONS.transformHeader('  From_Lat ')).toBe('from_lat');
+    expect(CSV_PARSE_OPTIONS.transform('  Delhi ')).toBe('Delhi');
+    expect(CSV_PARSE_OPTIONS.transform(undefined)).toBe('');
+  });
+});
+
+describe('normalizeRows', () => {
+  it('splits single-column "from,to" rows', () => {
+    expect(normalizeRows([{ route: 'Delhi,Mumbai' }])).toEqual([{ from: 'Delhi', to: 'Mumbai' }]);
+  });
+
+  it('splits single-column coordinate rows', () => {
+    expect(normalizeRows([{ route: '28.6,77.2,19.1,72.9' }])).toEqual([
+      { from_lat: '28.6', from_lon: '77.2', to_lat: '19.1', to_lon: '72.9', from: 'Coordinates', to: 'Coordinates' }
+    ]);
+  });
+
+  it('turns DMS cells into decimals', () => {
+    const [row] = normalizeRows([{ from: 'A', from_lat: '28°36\'N', from_lon: '77°12\'E', to: 'B' }]);
+    expect(Number(row.from_lat)).toBeCloseTo(28.6, 9);
+    expect(Number(row.from_lon)).toBeCloseTo(77.2, 9);
+    expect(hasCoords(row, 'from')).toBe(true);
+  });
+
+  it('fills lat/lon from a position in the place column', () => {
+    const [row] = normalizeRows([{ from: '31N 500000 0', to: 'B' }]);
+    expect(Number(row.from_lat)).toBeCloseTo(0, 6);
+    expect(Number(row.from_lon)).toBeCloseTo(3, 6);
+  });
+
+  it('does not read place names as geohashes', () => {
+    const [row] = normalizeRows([{ from: 'bern', to: 'dusk' }]);
+    expect(row.from_lat).toBeUndefined();
+  });
+
+  it('drops empty rows', () => {
+    expect(normalizeRows([{ from: '', to: '' }, { notes: 'x' }])).toEqual([]);
+  });
+});
+
+describe('validateRow', () => {
+  it('accepts places, codes and coordinates', () => {
+    expect(validateRow({ from: 'Delhi', iata_to: 'BOM' })).toEqual([]);
+    expect(validateRow({ from_lat: '0', from_lon: '0', to_lat: '-33.9', to_lon: '151.2' })).toEqual([]);
+  });
+
+  it('reports an end with nothing to locate it', () => {
+    expect(validateRow({ from: 'Delhi' })).toEqual(['Destination: no place, airport code or coordinates']);
+  });
+
+  it('reports half a coordinate pair', () => {
+    expect(validateRow({ from: 'A', from_lat: '28.6', to: 'B' })).toEqual(['Origin longitude is missing']);
+  });
+
+  it('reports out-of-range and unreadable coordinates', () => {
+    expect(validateRow({ from_lat: '120', from_lon: '500', to: 'B' })).toEqual([
+      'Origin latitude: Latitude 120 is outside -90 to 90',
+      'Origin longitude: Longitude 500 is outside -180 to 180'
+    ]);
+    expect(validateRow({ from: 'A', to_lat: '12abc', to_lon: '3' })).toEqual([
+      'Destination latitude: "12abc" is not a coordinate'
+    ]);
+  });
+});
+
+describe('airResultRow', () => {
+  const row = { id: '7', from_lat: '0', from_lon: '0', to_lat: '0', to_lon: '1' };
+  const km = haversineDistance(0, 0, 0, 1);
+  const flightModel = flightModelFrom({ aircraftProfile: 'narrowbody' });
+
+  it('keeps the distance unrounded and adds flight time, emissions and costs', () => {
+    const result = airResultRow(row, 'haversine', flightModel, emissionSettingsFrom({}), costProfileFrom({}));
+    expect(result).toMatchObject({ id: '7', from: 'Coordinates', to_lon: '1.0000', distance_model: 'haversine', aircraft: 'narrowbody' });
+    expect(result.distance_km).toBe(km);
+    expect(result.block_time_hours).toBe(estimateFlightTime(km, flightModel).blockHours);
+    expect(result.co2_kg).toBeCloseTo(km * 1.08 * 0.183, 9);
+    // €50 base + 111.19 km × €0.10
+    expect(result).toMatchObject({ cost_airfare: 61.12, cost_currency: 'EUR' });
+  });
+});
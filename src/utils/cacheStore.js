@@ -0,0 +1,138 @@
+// Geocode and road-route caches persisted in IndexedDB, with an in-memory layer in front.
+// Records are { key, value, createdAt }; expiry is decided at read time from the caller's
+// TTL, so changing the TTL in settings applies to entries that are already stored.
+// Falls back to memory only when IndexedDB is unavailable (private windows, old browsers).
+import { withStore } from './db';
+
+const EXPORT_VERSION = 1;
+
+export const CACHE_STORES = {
+  geocode: 'Geocoding',
+  road: 'Road routes'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const daysToMs = (days) => Number(days) > 0 ? Number(days) * DAY_MS : Infinity;
+
+const createCache = (name) => {
+  const memory = new Map();
+
+  const isFresh = (record, maxAgeMs) => Date.now() - record.createdAt <= maxAgeMs;
+
+  // Everything stored, newest first (memory-only entries included when there's no DB)
+  const entries = async () => {
+    const stored = await withStore(name, 'readonly', store => store.getAll()).catch(err => {
+      console.error(`Cache read failed (${name}):`, err);
+      return undefined;
+    });
+    const records = new Map((stored || []).map(record => [record.key, record]));
+    memory.forEach((record, key) => { if (!records.has(key)) records.set(key, record); });
+    return Array.from(records.values()).sort((a, b) => b.createdAt - a.createdAt);
+  };
+
+  return {
+    name,
+
+    get: async (key, maxAgeMs = Infinity) => {
+      let record = memory.get(key);
+      if (!record) {
+        try {
+          record = await withStore(name, 'readonly', store => store.get(key));
+        } catch (err) {
+          console.error(`Cache read failed (${name}):`, err);
+        }
+        if (record) memory.set(key, record);
+      }
+      return record && isFresh(record, maxAgeMs) ? record.value : undefined;
+    },
+
+    set: async (key, value) => {
+      const record = { key, value, createdAt: Date.now() };
+      memory.set(key, record);
+      try {
+        await withStore(name, 'readwrite', store => store.put(record));
+      } catch (err) {
+        console.error(`Cache write failed (${name}):`, err);
+      }
+    },
+
+    entries,
+
+    // Remove everything, or only entries older than maxAgeMs
+    clear: async (maxAgeMs = null) => {
+      if (maxAgeMs === null) {
+        memory.clear();
+        await withStore(name, 'readwrite', store => store.clear());
+        return;
+      }
+      const stale = (await entries()).filter(record => !isFresh(record, maxAgeMs));
+      stale.forEach(record => memory.delete(record.key));
+      await withStore(name, 'readwrite', store => { stale.forEach(record => store.delete(record.key)); });
+    },
+
+    putRecords: async (records) => {
+      records.forEach(record => memory.set(record.key, record));
+      await withStore(name, 'readwrite', store => { records.forEach(record => store.put(record)); });
+    }
+  };
+};
+
+export const caches = {
+  geocode: createCache('geocode'),
+  road: createCache('road')
+};
+
+export const getCacheEntries = (name) => caches[name].entries();
+
+export const clearCache = (name, maxAgeMs = null) => caches[name].clear(maxAgeMs);
+
+// Shareable JSON snapshot of every store
+export const exportCaches = async () => {
+  const stores = {};
+  for (const name of Object.keys(CACHE_STORES)) {
+    stores[name] = await getCacheEntries(name);
+  }
+  return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), stores });
+};
+
+const isRecord = (record) =>
+  Boolean(record) && typeof record.key === 'string' && record.value !== undefined && Number.isFinite(record.createdAt);
+
+// Merge a snapshot from exportCaches; on key clashes the newer record wins. The whole file is
+// rejected, and nothing written, if it or any record in it is malformed. Records older than the
+// store's TTL in maxAgeMs are skipped. Returns the number of records imported per store, plus
+// how many were skipped as expired.
+export const importCaches = async (json, maxAgeMs = {}) => {
+  const data = JSON.parse(json);
+  if (!data || data.version !== EXPORT_VERSION || !data.stores || typeof data.stores !== 'object') {
+    throw new Error('Not a cache export file');
+  }
+  const incoming = {};
+  for (const name of Object.keys(CACHE_STORES)) {
+    const records = data.stores[name] ?? [];
+    if (!Array.isArray(records) || !records.every(isRecord)) {
+      throw new Error('Not a cache export file');
+    }
+    incoming[name] = records;
+  }
+
+  const imported = { expired: 0 };
+  for (const name of Object.keys(CACHE_STORES)) {
+    const maxAge = maxAgeMs[name] ?? Infinity;
+    const fresh = incoming[name].filter(record => Date.now() - record.createdAt <= maxAge);
+    const existing = new Map((await getCacheEntries(name)).map(record => [record.key, record]));
+    const newer = fresh.filter(record => !existing.has(record.key) || existing.get(record.key).createdAt < record.createdAt);
+    await caches[name].putRecords(newer);
+    imported[name] = newer.length;
+    imported.expired += incoming[name].length - fresh.length;
+  }
+  return imported;
+};
+
+export const EMPTY_CACHE_STATS = { geocode: { hits: 0, misses: 0 }, road: { hits: 0, misses: 0 } };
+
+// Hit/miss counters shown while a job runs
+export const countCacheLookup = (stats, store, hit) => {
+  const field = hit ? 'hits' : 'misses';
+  return { ...stats, [store]: { ...stats[store], [field]: stats[store][field] + 1 } };
+};
@@ -0,0 +1,118 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  caches, clearCache, exportCaches, importCaches, getCacheEntries, daysToMs, EMPTY_CACHE_STATS, countCacheLookup
+} from './cacheStore';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-06-01T12:00:00Z').getTime();
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+  await clearCache('geocode');
+  await clearCache('road');
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('daysToMs', () => {
+  it('treats zero or blank as never expiring', () => {
+    expect(daysToMs(30)).toBe(30 * DAY_MS);
+    expect(daysToMs('0')).toBe(Infinity);
+    expect(daysToMs('')).toBe(Infinity);
+  });
+});
+
+describe('cache TTL', () => {
+  it('returns an entry until it is older than the TTL', async () => {
+    await caches.geocode.set('paris', { lat: 48.8566, lon: 2.3522 });
+    vi.setSystemTime(NOW + 7 * DAY_MS);
+    expect(await caches.geocode.get('paris', daysToMs(7))).toEqual({ lat: 48.8566, lon: 2.3522 });
+    vi.setSystemTime(NOW + 7 * DAY_MS + 1);
+    expect(await caches.geocode.get('paris', daysToMs(7))).toBeUndefined();
+    // A longer TTL in settings makes the stored entry usable again
+    expect(await caches.geocode.get('paris', daysToMs(30))).toEqual({ lat: 48.8566, lon: 2.3522 });
+  });
+
+  it('clears only the expired entries', async () => {
+    await caches.road.set('old', 12);
+    vi.setSystemTime(NOW + 10 * DAY_MS);
+    await caches.road.set('new', 34);
+    await clearCache('road', daysToMs(5));
+    expect((await getCacheEntries('road')).map(record => record.key)).toEqual(['new']);
+  });
+});
+
+describe('exportCaches / importCaches', () => {
+  it('round-trips every store', async () => {
+    await caches.geocode.set('paris', { lat: 48.8566, lon: 2.3522 });
+    await caches.road.set('a|b', { distance: 12.5, duration: 900 });
+    const json = await exportCaches();
+
+    await clearCache('geocode');
+    await clearCache('road');
+    expect(await importCaches(json)).toEqual({ geocode: 1, road: 1, expired: 0 });
+    expect(await caches.geocode.get('paris')).toEqual({ lat: 48.8566, lon: 2.3522 });
+    expect(await getCacheEntries('road')).toEqual([{ key: 'a|b', value: { distance: 12.5, duration: 900 }, createdAt: NOW }]);
+  });
+
+  it('keeps the newer record on a key clash', async () => {
+    const file = (createdAt, value) => JSON.stringify({ version: 1, stores: { geocode: [{ key: 'rome', value, createdAt }] } });
+    await caches.geocode.set('rome', 'current');
+    expect(await importCaches(file(NOW - DAY_MS, 'older'))).toEqual({ geocode: 0, road: 0, expired: 0 });
+    expect(await caches.geocode.get('rome')).toBe('current');
+    expect(await importCaches(file(NOW + 1, 'newer'))).toEqual({ geocode: 1, road: 0, expired: 0 });
+    expect(await caches.geocode.get('rome')).toBe('newer');
+  });
+
+  it('rejects files that are not cache exports', async () => {
+    await expect(importCaches('{"version":2,"stores":{}}')).rejects.toThrow('Not a cache export file');
+    await expect(importCaches('null')).rejects.toThrow('Not a cache export file');
+    await expect(importCaches('not json')).rejects.toThrow(SyntaxError);
+  });
+
+  it('writes nothing when any record is malformed', async () => {
+    const file = JSON.stringify({
+      version: 1,
+      stores: {
+        geocode: [{ key: 'paris', value: { lat: 48.8566, lon: 2.3522 }, createdAt: NOW }],
+        road: [{ key: 'a|b', value: { distance: 12.5 } }]
+      }
+    });
+    await expect(importCaches(file)).rejects.toThrow('Not a cache export file');
+    await expect(importCaches('{"version":1,"stores":{"geocode":{}}}')).rejects.toThrow('Not a cache export file');
+    expect(await getCacheEntries('geocode')).toEqual([]);
+    expect(await getCacheEntries('road')).toEqual([]);
+  });
+
+  it('skips records older than the TTL', async () => {
+    const file = JSON.stringify({
+      version: 1,
+      stores: {
+        geocode: [
+          { key: 'paris', value: 'fresh', createdAt: NOW - DAY_MS },
+          { key: 'rome', value: 'stale', createdAt: NOW - 31 * DAY_MS }
+        ],
+        road: [{ key: 'a|b', value: 'stale', createdAt: NOW - 8 * DAY_MS }]
+      }
+    });
+    expect(await importCaches(file, { geocode: daysToMs(30), road: daysToMs(7) })).toEqual({ geocode: 1, road: 0, expired: 2 });
+    expect((await getCacheEntries('geocode')).map(record => record.key)).toEqual(['paris']);
+    expect(await getCacheEntries('road')).toEqual([]);
+  });
+});
+
+describe('countCacheLookup', () => {
+  it('counts hits and misses per store', () => {
+    let stats = EMPTY_CACHE_STATS;
+    stats = countCacheLookup(stats, 'geocode', true);
+    stats = countCacheLookup(stats, 'geocode', true);
+    stats = countCacheLookup(stats, 'geocode', false);
+    stats = countCacheLookup(stats, 'road', false);
+    expect(stats).toEqual({ geocode: { hits: 2, misses: 1 }, road: { hits: 0, misses: 1 } });
+    expect(EMPTY_CACHE_STATS).toEqual({ geocode: { hits: 0, misses: 0 }, road: { hits: 0, misses: 0 } });
+  });
+});
@@ -0,0 +1,176 @@
+// Maps arbitrary bulk file headers ("Origin City", "Dest Latitude", "origin_coords") onto the
+// columns the pipeline understands: from/to, from_lat/from_lon, to_lat/to_lon, iata_/icao_.
+// A mapping is { from: fields, to: fields } where fields name the source column (or '') for:
+//   name     - place name or address, used as is
+//   city, state, country - joined into "city, state, country" when there is no name column
+//   lat, lon - separate coordinate columns
+//   coords   - one "lat, lon" column
+//   code     - IATA or ICAO airport code
+// Pure functions apart from the preset helpers at the bottom, so the parsing worker can use it.
+import { parseCoordinatePair } from './matrix';
+
+export const MAPPING_FIELDS = {
+  name: 'Place name / address',
+  city: 'City',
+  state: 'State / region',
+  country: 'Country',
+  lat: 'Latitude',
+  lon: 'Longitude',
+  coords: 'Combined "lat, lon"',
+  code: 'Airport code'
+};
+
+export const MAPPING_ENDS = { from: 'Origin', to: 'Destination' };
+
+const SIDE_WORDS = {
+  from: ['from', 'origin', 'orig', 'source', 'src', 'start', 'departure', 'depart', 'dep', 'pickup'],
+  to: ['to', 'destination', 'dest', 'dst', 'target', 'end', 'arrival', 'arr', 'dropoff']
+};
+
+const FIELD_WORDS = {
+  lat: ['lat', 'latitude'],
+  lon: ['lon', 'lng', 'long', 'longitude'],
+  coords: ['coords', 'coordinates', 'coord', 'latlon', 'latlng', 'position', 'point', 'geo'],
+  city: ['city', 'town'],
+  state: ['state', 'province', 'region', 'county'],
+  country: ['country'],
+  code: ['iata', 'icao', 'airport', 'code'],
+  name: ['name', 'place', 'address', 'location', 'addr']
+};
+
+// The headers the pipeline reads directly; a file using only these needs no mapping step
+const CANONICAL_HEADERS = new Set([
+  'from', 'to', 'from_lat', 'from_lon', 'to_lat', 'to_lon',
+  'iata_from', 'iata_to', 'icao_from', 'icao_to'
+]);
+
+export const emptyMapping = () => ({
+  from: Object.fromEntries(Object.keys(MAPPING_FIELDS).map(field => [field, ''])),
+  to: Object.fromEntries(Object.keys(MAPPING_FIELDS).map(field => [field, '']))
+});
+
+const findWord = (token, groups) => Object.keys(groups).find(key => groups[key].includes(token));
+
+// "origin city" -> { end: 'from', field: 'city' }; "destlon" -> { end: 'to', field: 'lon' }
+const classifyHeader = (header) => {
+  const tokens = header.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  let end = null;
+  let field = null;
+
+  tokens.forEach(token => {
+    const side = findWord(token, SIDE_WORDS);
+    if (side && !end) {
+      end = side;
+      return;
+    }
+    const match = findWord(token, FIELD_WORDS);
+    if (match && !field) {
+      field = match;
+      return;
+    }
+    // Run-together headers: "fromlat", "originlatitude", "destcity"
+    Object.entries(SIDE_WORDS).forEach(([sideKey, words]) => {
+      const prefix = words.find(word => token.startsWith(word) && findWord(token.slice(word.length), FIELD_WORDS));
+      if (prefix && !end && !field) {
+        end = sideKey;
+        field = findWord(token.slice(prefix.length), FIELD_WORDS);
+      }
+    });
+  });
+
+  if (!end) return null;
+  return { end, field: field || 'name' };
+};
+
+// Best guess from header names; the first matching column wins each field
+export const suggestMapping = (headers) => {
+  const mapping = emptyMapping();
+  headers.forEach(header => {
+    const match = classifyHeader(header);
+    if (match && !mapping[match.end][match.field]) mapping[match.end][match.field] = header;
+  });
+
+  Object.values(mapping).forEach(fields => {
+    // "Origin City" alone is the place name, not part of a longer query
+    if (!fields.name && fields.city && !fields.state && !fields.country) {
+      fields.name = fields.city;
+      fields.city = '';
+    }
+  });
+  return mapping;
+};
+
+const usedColumns = (mapping) => Object.values(mapping).flatMap(fields => Object.values(fields)).filter(Boolean);
+
+// Can this mapping locate both ends of a row?
+export const isMappingComplete = (mapping) => Object.values(mapping).every(fields =>
+  fields.name || fields.city || fields.coords || fields.code || (fields.lat && fields.lon)
+);
+
+// Plain from/to/from_lat... files (and the single-column "from,to" format) skip the wizard
+export const needsMapping = (headers, mapping) => {
+  if (headers.length <= 1) return false;
+  return !isMappingComplete(mapping) || usedColumns(mapping).some(header => !CANONICAL_HEADERS.has(header));
+};
+
+const airportCodeColumn = (code, end) => (String(code).trim().length === 4 ? `icao_${end}` : `iata_${end}`);
+
+// Source row -> row with the canonical columns filled in (other columns are kept)
+export const applyMapping = (row, mapping) => {
+  const mapped = { ...row };
+
+  Object.entries(mapping).forEach(([end, fields]) => {
+    const value = (column) => (column ? String(row[column] ?? '').trim() : '');
+
+    const name = value(fields.name) ||
+      [value(fields.city), value(fields.state), value(fields.country)].filter(Boolean).join(', ');
+    if (name) mapped[end] = name;
+
+    if (fields.coords) {
+      const coords = parseCoordinatePair(value(fields.coords));
+      if (coords) {
+        mapped[`${end}_lat`] = String(coords.lat);
+        mapped[`${end}_lon`] = String(coords.lon);
+      }
+    }
+    if (fields.lat && fields.lon) {
+      mapped[`${end}_lat`] = value(fields.lat);
+      mapped[`${end}_lon`] = value(fields.lon);
+    }
+    if (value(fields.code)) {
+      mapped[airportCodeColumn(value(fields.code), end)] = value(fields.code).toUpperCase();
+    }
+  });
+  return mapped;
+};
+
+// Named presets in localStorage: { [name]: mapping }
+const PRESETS_KEY = 'distanceCalculator.columnPresets';
+
+export const loadMappingPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY) || '{}');
+  } catch (err) {
+    console.warn('Ignoring invalid column presets:', err);
+    return {};
+  }
+};
+
+export const saveMappingPreset = (name, mapping) => {
+  const presets = { ...loadMappingPresets(), [name]: mapping };
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+};
+
+export const deleteMappingPreset = (name) => {
+  const presets = loadMappingPresets();
+  delete presets[name];
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+};
+
+// First preset whose columns all exist in this file
+export const findMatchingPreset = (presets, headers) => Object.keys(presets).find(name => {
+  const columns = usedColumns(presets[name]);
+  return columns.length > 0 && columns.every(column => headers.includes(column));
+}) || null;
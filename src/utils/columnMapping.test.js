@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { suggestMapping, needsMapping, applyMapping, isMappingComplete, findMatchingPreset, emptyMapping } from './columnMapping';
+
+describe('suggestMapping', () => {
+  it('recognises spaced and run-together headers', () => {
+    const mapping = suggestMapping(['Origin City', 'Dest Latitude', 'destlon', 'Notes']);
+    expect(mapping.from).toMatchObject({ name: 'Origin City', city: '' });
+    expect(mapping.to).toMatchObject({ lat: 'Dest Latitude', lon: 'destlon' });
+  });
+
+  it('keeps city, state and country apart when they come together', () => {
+    const mapping = suggestMapping(['from_city', 'from_state', 'from_country', 'to_coords']);
+    expect(mapping.from).toMatchObject({ name: '', city: 'from_city', state: 'from_state', country: 'from_country' });
+    expect(mapping.to.coords).toBe('to_coords');
+  });
+
+  it('maps airport code columns', () => {
+    const mapping = suggestMapping(['Departure IATA', 'Arrival IATA']);
+    expect(mapping.from.code).toBe('Departure IATA');
+    expect(mapping.to.code).toBe('Arrival IATA');
+  });
+
+  it('leaves unrelated headers unmapped', () => {
+    expect(suggestMapping(['Notes', 'Cost'])).toEqual(emptyMapping());
+  });
+});
+
+describe('needsMapping', () => {
+  it('skips files that already use the canonical headers', () => {
+    const headers = ['from', 'to', 'from_lat', 'from_lon', 'to_lat', 'to_lon'];
+    expect(needsMapping(headers, suggestMapping(headers))).toBe(false);
+  });
+
+  it('asks for a mapping when headers need translating', () => {
+    const headers = ['Origin', 'Destination'];
+    expect(needsMapping(headers, suggestMapping(headers))).toBe(true);
+  });
+
+  it('asks for a mapping when an end cannot be located', () => {
+    const headers = ['from', 'Notes'];
+    const mapping = suggestMapping(headers);
+    expect(isMappingComplete(mapping)).toBe(false);
+    expect(needsMapping(headers, mapping)).toBe(true);
+  });
+});
+
+describe('applyMapping', () => {
+  it('joins city, state and country into a place name', () => {
+    const mapping = suggestMapping(['from_city', 'from_state', 'from_country', 'to']);
+    const row = applyMapping({ from_city: 'Springfield', from_state: 'Missouri', from_country: 'USA', to: 'Chicago' }, mapping);
+    expect(row).toMatchObject({ from: 'Springfield, Missouri, USA', to: 'Chicago' });
+  });
+
+  it('splits a combined coordinate column', () => {
+    const row = applyMapping({ origin: 'A', dest_coords: '48.8566, 2.3522' }, suggestMapping(['origin', 'dest_coords']));
+    expect(row).toMatchObject({ from: 'A', to_lat: '48.8566', to_lon: '2.3522' });
+  });
+
+  it('routes 3- and 4-letter codes to IATA and ICAO columns', () => {
+    const mapping = suggestMapping(['origin code', 'destination code']);
+    expect(applyMapping({ 'origin code': 'jfk', 'destination code': 'EGLL' }, mapping))
+      .toMatchObject({ iata_from: 'JFK', icao_to: 'EGLL' });
+  });
+
+  it('keeps the source columns', () => {
+    const row = applyMapping({ Origin: 'A', Destination: 'B', Notes: 'x' }, suggestMapping(['Origin', 'Destination', 'Notes']));
+    expect(row).toMatchObject({ from: 'A', to: 'B', Notes: 'x' });
+  });
+});
+
+describe('findMatchingPreset', () => {
+  it('picks the first preset whose columns all exist', () => {
+    const presets = {
+      airline: suggestMapping(['Departure IATA', 'Arrival IATA']),
+      fleet: suggestMapping(['Origin', 'Destination'])
+    };
+    expect(findMatchingPreset(presets, ['Origin', 'Destination', 'Notes'])).toBe('fleet');
+    expect(findMatchingPreset(presets, ['Origin'])).toBeNull();
+  });
+});
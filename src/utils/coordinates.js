@@ -0,0 +1,325 @@
+// Coordinate parsing for typed and imported positions. Everything ends up as decimal WGS-84.
+//   decimal      28.6139, 77.2090
+//   hemisphere   28.61N 77.21E / N28.61 E77.21
+//   dms / ddm    28°36'50"N 77°12'32"E / 28 36.83 N, 77 12.53 E
+//   utm          43R 712345 3167890 (zone + latitude band, easting, northing)
+//   mgrs         43RGM1234567890
+//   pluscode     7JWVJ6Q6+XX (full Open Location Codes only)
+//   geohash      ttnfv2u
+// Parsers return { ok: true, ..., format } or { ok: false, error } with a readable reason.
+
+export const COORDINATE_FORMATS = {
+  decimal: 'Decimal degrees',
+  hemisphere: 'Decimal degrees with N/S/E/W',
+  dms: 'Degrees, minutes, seconds',
+  ddm: 'Degrees and decimal minutes',
+  utm: 'UTM',
+  mgrs: 'MGRS',
+  pluscode: 'Plus Code',
+  geohash: 'Geohash'
+};
+
+const fail = (error) => ({ ok: false, error });
+
+const DECIMAL = /^[+-]?\d+(?:\.\d+)?$/;
+
+// One angle: optional sign or hemisphere letter, degrees, optional minutes and seconds.
+// Unit marks are optional, so "28 36 50 N" works as well as 28°36′50″N. The seconds unit is
+// captured because a capital S there ("28 36 50 S") is the southern hemisphere, not seconds.
+const ANGLE = new RegExp(
+  '^([NSEW])?\\s*([+-])?\\s*(\\d+(?:\\.\\d+)?)\\s*(?:°|º|˚|d|deg)?\\s*' +
+  '(?:(\\d+(?:\\.\\d+)?)\\s*(?:\'|′|’|m|min)?\\s*' +
+  '(?:(\\d+(?:\\.\\d+)?)\\s*("|″|”|\'\'|sec|s)?)?)?\\s*([NSEW])?$',
+  'i'
+);
+
+const AXIS_LIMITS = { lat: 90, lon: 180 };
+const AXIS_HEMISPHERES = { lat: 'NS', lon: 'EW' };
+
+// Single latitude or longitude value; axis ('lat' | 'lon') checks range and hemisphere letter
+export const parseCoordinateValue = (text, axis = null) => {
+  const value = String(text ?? '').trim();
+  if (!value) return fail('Empty value');
+
+  const match = ANGLE.exec(value);
+  if (!match) return fail(`"${value}" is not a coordinate`);
+
+  const [, leadHemisphere, sign, degText, minText, secText, secUnit, trailLetter] = match;
+  const trailHemisphere = trailLetter || (secUnit === 'S' ? 'S' : undefined);
+  if (leadHemisphere && trailHemisphere) return fail('Hemisphere letter given twice');
+  const hemisphere = (leadHemisphere || trailHemisphere || '').toUpperCase();
+  if (hemisphere && sign) return fail('Use either a sign or a hemisphere letter, not both');
+  if (hemisphere && axis && !AXIS_HEMISPHERES[axis].includes(hemisphere)) {
+    return fail(`${hemisphere} is not a ${axis === 'lat' ? 'latitude (N/S)' : 'longitude (E/W)'} hemisphere`);
+  }
+
+  const degrees = parseFloat(degText);
+  const minutes = minText !== undefined ? parseFloat(minText) : 0;
+  const seconds = secText !== undefined ? parseFloat(secText) : 0;
+  if (minText !== undefined && degText.includes('.')) return fail('Decimal degrees cannot be followed by minutes');
+  if (secText !== undefined && minText.includes('.')) return fail('Decimal minutes cannot be followed by seconds');
+  if (minutes >= 60) return fail(`${minutes} minutes is not below 60`);
+  if (seconds >= 60) return fail(`${seconds} seconds is not below 60`);
+
+  let result = degrees + minutes / 60 + seconds / 3600;
+  if (sign === '-' || hemisphere === 'S' || hemisphere === 'W') result = -result;
+
+  const limit = axis ? AXIS_LIMITS[axis] : 180;
+  if (Math.abs(result) > limit) {
+    return fail(`${axis === 'lat' ? 'Latitude' : axis === 'lon' ? 'Longitude' : 'Value'} ${value} is outside -${limit} to ${limit}`);
+  }
+
+  const format = secText !== undefined ? 'dms'
+    : minText !== undefined ? 'ddm'
+    : hemisphere ? 'hemisphere'
+    : 'decimal';
+  return { ok: true, value: result, format, hemisphere };
+};
+
+// --- UTM / MGRS (WGS-84, inverse transverse Mercator) ---
+
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const UTM_K0 = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_FALSE_NORTHING_SOUTH = 10000000;
+
+// Latitude bands C..X (no I or O); N and above are northern
+const BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+const utmToLatLon = (zone, southern, easting, northing) => {
+  const e2 = WGS84_F * (2 - WGS84_F);
+  const ep2 = e2 / (1 - e2);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+  const x = easting - UTM_FALSE_EASTING;
+  const y = southern ? northing - UTM_FALSE_NORTHING_SOUTH : northing;
+
+  const mu = y / UTM_K0 / (WGS84_A * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256));
+  const phi1 = mu +
+    (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+    (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+    (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+    (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+  const sinPhi = Math.sin(phi1);
+  const cosPhi = Math.cos(phi1);
+  const tanPhi = Math.tan(phi1);
+  const n1 = WGS84_A / Math.sqrt(1 - e2 * sinPhi ** 2);
+  const t1 = tanPhi ** 2;
+  const c1 = ep2 * cosPhi ** 2;
+  const r1 = WGS84_A * (1 - e2) / (1 - e2 * sinPhi ** 2) ** 1.5;
+  const d = x / (n1 * UTM_K0);
+
+  const lat = phi1 - (n1 * tanPhi / r1) * (
+    d ** 2 / 2 -
+    (5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * ep2) * d ** 4 / 24 +
+    (61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * ep2 - 3 * c1 ** 2) * d ** 6 / 720
+  );
+  const lon = (
+    d -
+    (1 + 2 * t1 + c1) * d ** 3 / 6 +
+    (5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * ep2 + 24 * t1 ** 2) * d ** 5 / 120
+  ) / cosPhi;
+
+  const centralMeridian = (zone - 1) * 6 - 180 + 3;
+  return {
+    lat: lat * 180 / Math.PI,
+    lon: ((centralMeridian + lon * 180 / Math.PI + 540) % 360) - 180
+  };
+};
+
+const UTM = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*m?\s*E?\s*[,\s]\s*(\d+(?:\.\d+)?)\s*m?\s*N?$/i;
+
+const parseUtm = (text) => {
+  const match = UTM.exec(text);
+  if (!match) return null;
+  const zone = Number(match[1]);
+  const band = match[2].toUpperCase();
+  const easting = parseFloat(match[3]);
+  const northing = parseFloat(match[4]);
+  if (zone < 1 || zone > 60) return fail(`UTM zone ${zone} is not between 1 and 60`);
+  if (easting < 100000 || easting > 900000) return fail('UTM easting must be between 100000 and 900000 m');
+  if (northing < 0 || northing > UTM_FALSE_NORTHING_SOUTH) return fail('UTM northing must be between 0 and 10000000 m');
+  return { ok: true, ...utmToLatLon(zone, band < 'N', easting, northing), format: 'utm' };
+};
+
+// 100 km square letters: columns cycle every 3 zones, rows start at F in even zones
+const MGRS_COLUMN_SETS = ['STUVWXYZ', 'ABCDEFGH', 'JKLMNPQR'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+// Smallest northing (m) in each latitude band, to pick the right 2000 km row cycle
+const BAND_MIN_NORTHING = {
+  C: 1100000, D: 2000000, E: 2800000, F: 3700000, G: 4600000, H: 5500000, J: 6400000, K: 7300000,
+  L: 8200000, M: 9100000, N: 0, P: 800000, Q: 1700000, R: 2600000, S: 3500000, T: 4400000,
+  U: 5300000, V: 6200000, W: 7000000, X: 7900000
+};
+
+const MGRS = /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/i;
+
+const parseMgrs = (text) => {
+  const match = MGRS.exec(text);
+  if (!match) return null;
+  const zone = Number(match[1]);
+  const band = match[2].toUpperCase();
+  const column = match[3].toUpperCase();
+  const row = match[4].toUpperCase();
+  const digits = match[5] + match[6];
+  if (zone < 1 || zone > 60) return fail(`MGRS zone ${zone} is not between 1 and 60`);
+  if (digits.length % 2 !== 0 || digits.length > 10) return fail('MGRS needs an even number of digits (up to 10)');
+
+  const columnIndex = MGRS_COLUMN_SETS[zone % 3].indexOf(column);
+  if (columnIndex === -1) return fail(`Column letter ${column} is not used in zone ${zone}`);
+  const rowIndex = (MGRS_ROW_LETTERS.indexOf(row) - (zone % 2 === 0 ? 5 : 0) + 20) % 20;
+
+  const precision = digits.length / 2;
+  const scale = 10 ** (5 - precision);
+  // Point to the middle of the square the reference names, not its corner
+  const half = precision < 5 ? scale / 2 : 0;
+  const easting = (columnIndex + 1) * 100000 + (precision ? Number(digits.slice(0, precision)) * scale : 0) + half;
+  let northing = rowIndex * 100000 + (precision ? Number(digits.slice(precision)) * scale : 0) + half;
+  while (northing < BAND_MIN_NORTHING[band]) northing += 2000000;
+
+  return { ok: true, ...utmToLatLon(zone, band < 'N', easting, northing), format: 'mgrs' };
+};
+
+// --- Open Location Code (Plus Code) ---
+
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+const OLC_SEPARATOR_POSITION = 8;
+
+const parsePlusCode = (text) => {
+  if (!text.includes('+')) return null;
+  const code = text.toUpperCase();
+  if (!/^[23456789CFGHJMPQRVWX0]*\+[23456789CFGHJMPQRVWX]*$/.test(code)) {
+    return /^\S+\+\S*\s+\S/.test(code)
+      ? fail('Short Plus Codes with a locality need a reference location; use the full code')
+      : null;
+  }
+  const separator = code.indexOf('+');
+  if (separator < OLC_SEPARATOR_POSITION) {
+    return fail('Short Plus Code - add the area prefix (e.g. 7JWV) to make it a full code');
+  }
+  if (separator > OLC_SEPARATOR_POSITION) return fail('Plus Code has too many characters before the +');
+
+  const digits = code.replace('+', '').replace(/0+$/, '');
+  if (digits.includes('0') || digits.length < 2 || digits.length % 2 !== 0 && digits.length < 10) {
+    return fail('Malformed Plus Code');
+  }
+
+  let lat = -90;
+  let lon = -180;
+  let latSize = 0;
+  let lonSize = 0;
+  for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+    const resolution = OLC_PAIR_RESOLUTIONS[i / 2];
+    lat += OLC_ALPHABET.indexOf(digits[i]) * resolution;
+    lon += OLC_ALPHABET.indexOf(digits[i + 1]) * resolution;
+    latSize = lonSize = resolution;
+  }
+  // Beyond 10 digits each character splits the cell into a 4 x 5 grid
+  for (let i = 10; i < digits.length; i++) {
+    latSize /= 4;
+    lonSize /= 5;
+    const index = OLC_ALPHABET.indexOf(digits[i]);
+    lat += Math.floor(index / 5) * latSize;
+    lon += (index % 5) * lonSize;
+  }
+
+  lat += latSize / 2;
+  lon += lonSize / 2;
+  if (lat > 90 || lon > 180) return fail('Plus Code is outside the valid range');
+  return { ok: true, lat, lon, format: 'pluscode' };
+};
+
+// --- Geohash ---
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEOHASH = /^[0-9b-hjkmnp-z]{4,12}$/i;
+
+const parseGeohash = (text) => {
+  // All-digit strings are far more likely to be something else
+  if (!GEOHASH.test(text) || /^\d+$/.test(text)) return null;
+  const lat = [-90, 90];
+  const lon = [-180, 180];
+  let even = true;
+  for (const char of text.toLowerCase()) {
+    const bits = GEOHASH_ALPHABET.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = even ? lon : lat;
+      const mid = (range[0] + range[1]) / 2;
+      if ((bits >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      even = !even;
+    }
+  }
+  return { ok: true, lat: (lat[0] + lat[1]) / 2, lon: (lon[0] + lon[1]) / 2, format: 'geohash' };
+};
+
+// --- Latitude/longitude pairs ---
+
+// Strongest format of the two halves wins the label ("28°36'N, 77.2E" is DMS-ish)
+const FORMAT_RANK = ['decimal', 'hemisphere', 'ddm', 'dms'];
+
+const combine = (latResult, lonResult) => ({
+  ok: true,
+  lat: latResult.value,
+  lon: lonResult.value,
+  format: FORMAT_RANK[Math.max(FORMAT_RANK.indexOf(latResult.format), FORMAT_RANK.indexOf(lonResult.format))]
+});
+
+// Candidate [first, second] splits of a pair, most explicit first
+const splitPair = (text) => {
+  const splits = [];
+  const delimited = text.split(/\s*[,;/]\s*/);
+  if (delimited.length === 2) splits.push(delimited);
+  // Hemisphere letter after (28.6N 77.2E) or before (N28.6 E77.2) each half
+  const trailing = /^(.*?[NSEW])\s+(.+)$/i.exec(text);
+  if (trailing) splits.push([trailing[1], trailing[2]]);
+  const leading = /^([NSEW].*?)\s+([NSEW].*)$/i.exec(text);
+  if (leading) splits.push([leading[1], leading[2]]);
+  // Plain whitespace: two numbers, or two DMS groups of equal size
+  const parts = text.split(/\s+/);
+  if (parts.length % 2 === 0) {
+    splits.push([parts.slice(0, parts.length / 2).join(' '), parts.slice(parts.length / 2).join(' ')]);
+  }
+  return splits;
+};
+
+const parsePair = (text) => {
+  let firstError = null;
+  for (const [first, second] of splitPair(text)) {
+    const a = parseCoordinateValue(first);
+    const b = parseCoordinateValue(second);
+    if (!a.ok || !b.ok) {
+      firstError = firstError || (a.ok ? b.error : a.error);
+      continue;
+    }
+    // "77.2E 28.6N" - longitude first
+    const swapped = 'EW'.includes(a.hemisphere) && a.hemisphere !== '' && 'NS'.includes(b.hemisphere) && b.hemisphere !== '';
+    const [latText, lonText] = swapped ? [second, first] : [first, second];
+    const lat = parseCoordinateValue(latText, 'lat');
+    const lon = parseCoordinateValue(lonText, 'lon');
+    if (lat.ok && lon.ok) return combine(lat, lon);
+    firstError = lat.ok ? lon.error : lat.error;
+  }
+  return firstError ? fail(firstError) : null;
+};
+
+// Full position in any supported format. geohash: false for free-text columns, where short
+// words ("bern", "dusk") would otherwise decode as geohashes.
+export const parseCoordinates = (text, { geohash = true } = {}) => {
+  const value = String(text ?? '').trim().replace(/\s+/g, ' ');
+  if (!value) return fail('Empty value');
+
+  const parsers = [parsePlusCode, parseMgrs, parseUtm, parsePair];
+  if (geohash) parsers.push(parseGeohash);
+
+  for (const parse of parsers) {
+    const result = parse(value);
+    if (result) return result;
+  }
+  return fail('Not a recognised coordinate format');
+};
+
+export const describeFormat = (format) => COORDINATE_FORMATS[format] || format;
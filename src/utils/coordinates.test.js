@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { parseCoordinates, parseCoordinateValue } from './coordinates';
+
+// Positions within ~1 m (utm, mgrs) or to the decoded cell centre (pluscode, geohash)
+const expectPosition = (result, lat, lon, format, digits = 5) => {
+  expect(result).toMatchObject({ ok: true, format });
+  expect(result.lat).toBeCloseTo(lat, digits);
+  expect(result.lon).toBeCloseTo(lon, digits);
+};
+
+describe('parseCoordinateValue', () => {
+  it.each([
+    ['28.6139', 'lat', 28.6139, 'decimal'],
+    ['-77.209', 'lon', -77.209, 'decimal'],
+    ['28.61N', 'lat', 28.61, 'hemisphere'],
+    ['W77.2', 'lon', -77.2, 'hemisphere'],
+    ['28°36\'50"N', 'lat', 28 + 36 / 60 + 50 / 3600, 'dms'],
+    ['28 36 50 S', 'lat', -(28 + 36 / 60 + 50 / 3600), 'dms'],
+    ['28d 36m 50s', 'lat', 28 + 36 / 60 + 50 / 3600, 'dms'],
+    ['77°12.53′E', 'lon', 77 + 12.53 / 60, 'ddm']
+  ])('reads %s', (text, axis, value, format) => {
+    const result = parseCoordinateValue(text, axis);
+    expect(result).toMatchObject({ ok: true, format });
+    expect(result.value).toBeCloseTo(value, 9);
+  });
+
+  it.each([
+    ['91', 'lat', 'outside -90 to 90'],
+    ['-180.5', 'lon', 'outside -180 to 180'],
+    ['28N', 'lon', 'not a longitude'],
+    ['-28N', 'lat', 'either a sign or a hemisphere'],
+    ['N28S', 'lat', 'given twice'],
+    ['28 60 00 N', 'lat', '60 minutes'],
+    ['28.5 30', 'lat', 'Decimal degrees cannot be followed by minutes'],
+    ['abc', 'lat', 'not a coordinate'],
+    ['', 'lat', 'Empty']
+  ])('rejects %s', (text, axis, error) => {
+    const result = parseCoordinateValue(text, axis);
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain(error);
+  });
+});
+
+describe('parseCoordinates', () => {
+  it('reads decimal pairs with any delimiter', () => {
+    expectPosition(parseCoordinates('28.6139, 77.2090'), 28.6139, 77.209, 'decimal', 9);
+    expectPosition(parseCoordinates('28.6139; 77.2090'), 28.6139, 77.209, 'decimal', 9);
+    expectPosition(parseCoordinates('28.6139 77.2090'), 28.6139, 77.209, 'decimal', 9);
+  });
+
+  it('reads hemisphere pairs in either order', () => {
+    expectPosition(parseCoordinates('28.61N 77.21E'), 28.61, 77.21, 'hemisphere', 9);
+    expectPosition(parseCoordinates('N28.61 W77.21'), 28.61, -77.21, 'hemisphere', 9);
+    expectPosition(parseCoordinates('77.21E 28.61S'), -28.61, 77.21, 'hemisphere', 9);
+  });
+
+  it('reads DMS pairs', () => {
+    expectPosition(parseCoordinates('28°36\'50"N 77°12\'32"E'), 28.613889, 77.208889, 'dms');
+    expectPosition(parseCoordinates('40 26 46 N 79 58 56 W'), 40.446111, -79.982222, 'dms');
+    expectPosition(parseCoordinates('33 52 04 S 151 12 36 E'), -33.867778, 151.21, 'dms');
+  });
+
+  it('rejects a latitude out of range', () => {
+    expect(parseCoordinates('95, 10')).toMatchObject({ ok: false });
+  });
+
+  it('reads UTM on the equator at a central meridian', () => {
+    expectPosition(parseCoordinates('31N 500000 0'), 0, 3, 'utm', 9);
+    expectPosition(parseCoordinates('31M 500000 10000000'), 0, 3, 'utm', 9);
+  });
+
+  it('reads UTM for the CN Tower', () => {
+    expectPosition(parseCoordinates('17T 630084 4833438'), 43.6426, -79.3871, 'utm', 3);
+  });
+
+  it('rejects UTM outside its ranges', () => {
+    expect(parseCoordinates('61N 500000 0').error).toContain('zone 61');
+    expect(parseCoordinates('31N 950000 0').error).toContain('easting');
+  });
+
+  it('reads MGRS', () => {
+    expectPosition(parseCoordinates('31NAA6602100000'), 0, 0, 'mgrs', 4);
+    expectPosition(parseCoordinates('17T PJ 30084 33438'), 43.6426, -79.3871, 'mgrs', 3);
+  });
+
+  it('points a coarse MGRS reference at the middle of its square', () => {
+    const coarse = parseCoordinates('31NAA60');
+    const corner = parseCoordinates('31NAA6000000000');
+    expect(coarse.lat).toBeGreaterThan(corner.lat);
+    expect(coarse.lon).toBeGreaterThan(corner.lon);
+  });
+
+  it('rejects MGRS with an odd number of digits', () => {
+    expect(parseCoordinates('31NAA660210000').error).toContain('even number of digits');
+  });
+
+  it('decodes full Plus Codes to the centre of their cell', () => {
+    expectPosition(parseCoordinates('7FG49Q00+'), 20.375, 2.775, 'pluscode', 9);
+    expectPosition(parseCoordinates('8FVC2222+22'), 47.0000625, 8.0000625, 'pluscode', 9);
+    expectPosition(parseCoordinates('8fvc2222+222'), 47.000015625, 8.0000125, 'pluscode', 9);
+  });
+
+  it('asks for the full form of short Plus Codes', () => {
+    expect(parseCoordinates('9G8F+6X').error).toContain('Short Plus Code');
+    expect(parseCoordinates('9G8F+6X Zurich').error).toContain('reference location');
+  });
+
+  it('decodes geohashes', () => {
+    expectPosition(parseCoordinates('ezs42'), 42.60498046875, -5.60302734375, 'geohash', 9);
+    expectPosition(parseCoordinates('u4pruydqqvj'), 57.64911, 10.40744, 'geohash', 4);
+  });
+
+  it('leaves words alone when geohashes are off', () => {
+    expect(parseCoordinates('bern', { geohash: false }).ok).toBe(false);
+    expect(parseCoordinates('bern').format).toBe('geohash');
+  });
+
+  it('rejects everything else', () => {
+    expect(parseCoordinates('New Delhi, India')).toMatchObject({ ok: false });
+    expect(parseCoordinates('')).toMatchObject({ ok: false, error: 'Empty value' });
+  });
+});
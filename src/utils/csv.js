@@ -0,0 +1,29 @@
+// CSV building/downloading shared by every export in the app
+
+const escapeCsvValue = (value) => {
+  const text = value === undefined || value === null || value === '' ? '-' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (headers, rows) => [
+  headers.map(escapeCsvValue).join(','),
+  ...rows.map(row => headers.map(header => escapeCsvValue(row[header])).join(','))
+].join('\n');
+
+export const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const downloadCsv = (headers, rows, fileName) => {
+  downloadFile(toCsv(headers, rows), fileName, 'text/csv;charset=utf-8;');
+};
@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { toCsv } from './csv';
+
+describe('toCsv', () => {
+  it('writes a header row and one line per row', () => {
+    expect(toCsv(['from', 'to', 'distance_km'], [{ from: 'Delhi', to: 'Jaipur', distance_km: 236.9 }])).toBe('from,to,distance_km\nDelhi,Jaipur,236.9');
+  });
+
+  it('quotes commas, quotes and newlines', () => {
+    expect(toCsv(['name'], [{ name: 'Paris, France' }, { name: 'The "Big" Apple' }, { name: 'two\nlines' }]))
+      .toBe('name\n"Paris, France"\n"The ""Big"" Apple"\n"two\nlines"');
+  });
+
+  it('writes a dash for missing values but keeps zero', () => {
+    expect(toCsv(['a', 'b', 'c', 'd'], [{ a: '', b: null, d: 0 }])).toBe('a,b,c,d\n-,-,-,0');
+  });
+});
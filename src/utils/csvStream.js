@@ -0,0 +1,41 @@
+// Main-thread side of workers/bulkWorker: streams a CSV file through the worker.
+import Papa from 'papaparse';
+import { CSV_PARSE_OPTIONS } from './bulkRows';
+
+// First rows only, for the column mapping step - cheap even for huge files
+export const previewCsv = (file, rows) => new Promise((resolve, reject) => {
+  Papa.parse(file, {
+    ...CSV_PARSE_OPTIONS,
+    preview: rows,
+    complete: (result) => resolve(result.data),
+    error: reject
+  });
+});
+
+// onChunk({ rows, results, issues, progress }) fires for every parsed chunk; resolves with the
+// row count. Aborting the signal terminates the worker and rejects with an AbortError.
+export const streamCsv = (file, { travelMode, distanceModel, flightModel, emissionSettings, costProfile, mapping = null, signal, onChunk }) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('../workers/bulkWorker.js', import.meta.url), { type: 'module' });
+
+  const finish = (fn, value) => {
+    worker.terminate();
+    signal?.removeEventListener('abort', onAbort);
+    fn(value);
+  };
+
+  const onAbort = () => finish(reject, new DOMException('The operation was aborted.', 'AbortError'));
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'chunk') onChunk(data);
+    else if (data.type === 'done') finish(resolve, data.totalRows);
+    else if (data.type === 'error') finish(reject, new Error(data.message));
+  };
+  worker.onerror = (event) => finish(reject, new Error(event.message || 'CSV worker failed'));
+
+  if (signal?.aborted) {
+    onAbort();
+    return;
+  }
+  signal?.addEventListener('abort', onAbort, { once: true });
+  worker.postMessage({ file, travelMode, distanceModel, flightModel, emissionSettings, costProfile, mapping });
+});
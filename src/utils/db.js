@@ -0,0 +1,57 @@
+// Shared IndexedDB connection: the geocode/road caches (utils/cacheStore), bulk job
+// checkpoints (utils/jobStore) and reviewed places (utils/placeChoices) live in one
+// database. Resolves to null when IndexedDB is unavailable (private windows, old
+// browsers) so callers can fall back to memory.
+
+const DB_NAME = 'distanceCalculator';
+const DB_VERSION = 3;
+
+// store name -> index definitions; bump DB_VERSION when adding a store
+const STORES = {
+  geocode: [],
+  road: [],
+  jobs: [],
+  jobRows: [['jobId', 'jobId']],
+  placeChoices: []
+};
+
+let dbPromise = null;
+
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, indexes]) => {
+          if (db.objectStoreNames.contains(name)) return;
+          const store = db.createObjectStore(name, { keyPath: 'key' });
+          indexes.forEach(([indexName, keyPath]) => store.createIndex(indexName, keyPath));
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      console.warn('Persistent storage disabled, using memory only:', err);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+// Run fn(store) in a transaction; resolves with the request result (or undefined without a DB)
+export const withStore = async (name, mode, fn) => {
+  const db = await openDb();
+  if (!db) return undefined;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const request = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
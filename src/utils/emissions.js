@@ -0,0 +1,78 @@
+// CO2 estimates per trip (⚙️ Settings → Emissions). Defaults follow the UK government
+// (DESNZ/DEFRA 2023) conversion factors; every number can be changed in Settings.
+//   air:  great-circle km × uplift × band factor × cabin multiplier (× RF multiplier) - per passenger
+//   road: routed km × vehicle factor - per vehicle (trucks always use the truck factor)
+//   cycling and walking: zero
+// All factors are kg CO2e per km.
+
+export const CABIN_CLASSES = {
+  economy: 'Economy',
+  premium: 'Premium economy',
+  business: 'Business',
+  first: 'First'
+};
+
+export const VEHICLE_TYPES = {
+  petrol: 'Petrol car',
+  diesel: 'Diesel car',
+  ev: 'Electric car',
+  truck: 'Truck (HGV)'
+};
+
+export const DEFAULT_EMISSION_FACTORS = {
+  // Economy seat, per passenger-km. A band applies below its maxKm; the last has no limit.
+  airBands: [
+    { id: 'short', label: 'Short haul', maxKm: 500, kgPerKm: 0.183 },
+    { id: 'medium', label: 'Medium haul', maxKm: 3700, kgPerKm: 0.098 },
+    { id: 'long', label: 'Long haul', maxKm: null, kgPerKm: 0.079 }
+  ],
+  // Premium seats take more cabin space, so they carry more of the flight's emissions
+  cabinMultipliers: { economy: 1, premium: 1.6, business: 2.9, first: 4 },
+  // Flights are longer than the great circle (holding, airways); DEFRA uses +8%
+  airUplift: 1.08,
+  // Non-CO2 warming at altitude (contrails, NOx), applied when radiative forcing is on
+  rfMultiplier: 1.9,
+  // Per vehicle-km, average load
+  road: { petrol: 0.164, diesel: 0.168, ev: 0.047, truck: 0.9 }
+};
+
+// Plain object for the parsing worker and job checkpoints:
+// { cabinClass, vehicle, radiativeForcing, factors }
+export const emissionSettingsFrom = (preferences) => ({
+  cabinClass: CABIN_CLASSES[preferences.cabinClass] ? preferences.cabinClass : 'economy',
+  vehicle: VEHICLE_TYPES[preferences.vehicleType] ? preferences.vehicleType : 'petrol',
+  radiativeForcing: Boolean(preferences.radiativeForcing),
+  factors: preferences.emissionFactors || DEFAULT_EMISSION_FACTORS
+});
+
+const airBand = (km, factors) =>
+  factors.airBands.find(band => band.maxKm === null || km < band.maxKm) || factors.airBands[factors.airBands.length - 1];
+
+// { co2Kg, basis } - basis says which factors were used, for result cards and exports
+export const airEmissions = (km, settings) => {
+  const { factors, cabinClass, radiativeForcing } = settings;
+  const band = airBand(km, factors);
+  const rf = radiativeForcing ? factors.rfMultiplier : 1;
+  return {
+    co2Kg: km * factors.airUplift * band.kgPerKm * factors.cabinMultipliers[cabinClass] * rf,
+    basis: `${band.label.toLowerCase()}, ${CABIN_CLASSES[cabinClass].toLowerCase()}${radiativeForcing ? ', with RF' : ''}`
+  };
+};
+
+export const roadEmissions = (km, settings) => ({
+  co2Kg: km * settings.factors.road[settings.vehicle],
+  basis: VEHICLE_TYPES[settings.vehicle].toLowerCase()
+});
+
+// Any travel mode (utils/travelModes)
+export const tripEmissions = (km, travelMode, settings) => {
+  if (travelMode === 'air') return airEmissions(km, settings);
+  if (travelMode === 'cycling' || travelMode === 'walking') return { co2Kg: 0, basis: travelMode };
+  return roadEmissions(km, travelMode === 'truck' ? { ...settings, vehicle: 'truck' } : settings);
+};
+
+// Result/export columns for a finished row
+export const emissionColumns = (km, travelMode, settings) => {
+  const { co2Kg, basis } = tripEmissions(km, travelMode, settings);
+  return { co2_kg: co2Kg, co2_basis: basis };
+};
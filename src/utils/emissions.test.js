@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { emissionSettingsFrom, airEmissions, roadEmissions, tripEmissions, emissionColumns, DEFAULT_EMISSION_FACTORS } from './emissions';
+
+const settings = (preferences = {}) => emissionSettingsFrom(preferences);
+
+describe('emissionSettingsFrom', () => {
+  it('defaults to economy, a petrol car, no RF and the DEFRA factors', () => {
+    expect(settings()).toEqual({ cabinClass: 'economy', vehicle: 'petrol', radiativeForcing: false, factors: DEFAULT_EMISSION_FACTORS });
+    expect(settings({ cabinClass: 'suite', vehicleType: 'rocket' })).toMatchObject({ cabinClass: 'economy', vehicle: 'petrol' });
+  });
+});
+
+describe('airEmissions', () => {
+  // A band applies below its maxKm, so each limit already belongs to the next band
+  it.each([
+    [499.9, 'short haul', 0.183],
+    [500, 'medium haul', 0.098],
+    [3699.9, 'medium haul', 0.098],
+    [3700, 'long haul', 0.079],
+    [12000, 'long haul', 0.079]
+  ])('puts %s km in the %s band', (km, band, kgPerKm) => {
+    const { co2Kg, basis } = airEmissions(km, settings());
+    expect(basis).toBe(`${band}, economy`);
+    expect(co2Kg).toBeCloseTo(km * 1.08 * kgPerKm, 9);
+  });
+
+  it.each([
+    ['economy', 1],
+    ['premium', 1.6],
+    ['business', 2.9],
+    ['first', 4]
+  ])('scales a %s seat by %s', (cabinClass, multiplier) => {
+    const { co2Kg, basis } = airEmissions(1000, settings({ cabinClass }));
+    expect(co2Kg).toBeCloseTo(1000 * 1.08 * 0.098 * multiplier, 9);
+    expect(basis).toMatch(/^medium haul, /);
+  });
+
+  it('multiplies by 1.9 with radiative forcing on', () => {
+    const off = airEmissions(1000, settings());
+    const on = airEmissions(1000, settings({ radiativeForcing: true }));
+    expect(off.co2Kg).toBeCloseTo(105.84, 9);
+    expect(on.co2Kg).toBeCloseTo(105.84 * 1.9, 9);
+    expect(on.basis).toBe('medium haul, economy, with RF');
+  });
+
+  it('uses edited factors', () => {
+    const factors = { ...DEFAULT_EMISSION_FACTORS, airUplift: 1, airBands: [{ id: 'all', label: 'Any', maxKm: null, kgPerKm: 0.1 }] };
+    expect(airEmissions(100, settings({ emissionFactors: factors })).co2Kg).toBeCloseTo(10, 9);
+  });
+});
+
+describe('roadEmissions', () => {
+  it.each([
+    ['petrol', 16.4],
+    ['diesel', 16.8],
+    ['ev', 4.7],
+    ['truck', 90]
+  ])('uses the %s factor per vehicle-km', (vehicleType, co2Kg) => {
+    expect(roadEmissions(100, settings({ vehicleType })).co2Kg).toBeCloseTo(co2Kg, 9);
+  });
+});
+
+describe('tripEmissions', () => {
+  it('always uses the truck factor for truck routes', () => {
+    expect(tripEmissions(100, 'truck', settings({ vehicleType: 'ev' }))).toEqual({ co2Kg: expect.closeTo(90, 9), basis: 'truck (hgv)' });
+  });
+
+  it('uses the chosen vehicle for car routes', () => {
+    expect(tripEmissions(100, 'road', settings({ vehicleType: 'ev' })).co2Kg).toBeCloseTo(4.7, 9);
+  });
+
+  it.each(['cycling', 'walking'])('gives zero for %s', (travelMode) => {
+    expect(tripEmissions(100, travelMode, settings({ vehicleType: 'diesel' }))).toEqual({ co2Kg: 0, basis: travelMode });
+  });
+});
+
+describe('emissionColumns', () => {
+  it('picks the factors by travel mode', () => {
+    expect(emissionColumns(100, 'air', settings()).co2_basis).toBe('short haul, economy');
+    expect(emissionColumns(100, 'road', settings({ vehicleType: 'diesel' }))).toEqual({ co2_kg: expect.closeTo(16.8, 9), co2_basis: 'diesel car' });
+    expect(emissionColumns(5, 'walking', settings())).toEqual({ co2_kg: 0, co2_basis: 'walking' });
+  });
+});
@@ -0,0 +1,45 @@
+// Flight time estimates for air distances (⚙️ Settings → Flight time).
+//   flight (airborne) time = great-circle km × routing factor / cruise speed + climb/descent allowance
+//   block time             = flight time + taxi out and in
+// The allowances are per aircraft profile and are what make short hops realistic: Delhi-Jaipur
+// is about 35 minutes in the air and an hour gate to gate, not the 18 minutes 240 km / 800 km/h gives.
+
+export const AIRCRAFT_PROFILES = {
+  turboprop: { label: 'Turboprop (ATR 72, Dash 8)', cruiseKmh: 510, climbDescentMinutes: 12, taxiMinutes: 15 },
+  narrowbody: { label: 'Narrow-body jet (A320, 737)', cruiseKmh: 830, climbDescentMinutes: 18, taxiMinutes: 25 },
+  widebody: { label: 'Wide-body jet (787, A350)', cruiseKmh: 905, climbDescentMinutes: 22, taxiMinutes: 35 },
+  // Narrow-body allowances with the cruise speed from preferences.customCruiseKmh
+  custom: { label: 'Custom cruise speed', cruiseKmh: null, climbDescentMinutes: 18, taxiMinutes: 25 }
+};
+
+// Airways, departure and arrival procedures add a few percent over the great circle
+export const DEFAULT_ROUTING_FACTOR = 1.05;
+
+// Plain object so it can go to the parsing worker and into job checkpoints:
+// { aircraft, cruiseKmh, climbDescentMinutes, taxiMinutes, routingFactor }
+export const flightModelFrom = (preferences) => {
+  const aircraft = AIRCRAFT_PROFILES[preferences.aircraftProfile] ? preferences.aircraftProfile : 'narrowbody';
+  const { cruiseKmh, climbDescentMinutes, taxiMinutes } = AIRCRAFT_PROFILES[aircraft];
+  return {
+    aircraft,
+    cruiseKmh: aircraft === 'custom' ? Math.max(1, Number(preferences.customCruiseKmh) || 800) : cruiseKmh,
+    climbDescentMinutes,
+    taxiMinutes,
+    routingFactor: Math.max(1, Number(preferences.routingFactor) || DEFAULT_ROUTING_FACTOR)
+  };
+};
+
+// { flightHours, blockHours } for a great-circle distance in km
+export const estimateFlightTime = (km, model) => {
+  const flightHours = (km * model.routingFactor) / model.cruiseKmh + model.climbDescentMinutes / 60;
+  return { flightHours, blockHours: flightHours + model.taxiMinutes / 60 };
+};
+
+export const describeFlightModel = (model) =>
+  model.aircraft === 'custom' ? `${AIRCRAFT_PROFILES.custom.label} (${model.cruiseKmh} km/h)` : AIRCRAFT_PROFILES[model.aircraft].label;
+
+// Result/export columns shared by the single route, bulk rows and itineraries
+export const flightTimeColumns = (km, model) => {
+  const { flightHours, blockHours } = estimateFlightTime(km, model);
+  return { flight_time_hours: flightHours, block_time_hours: blockHours, aircraft: model.aircraft };
+};
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { flightModelFrom, estimateFlightTime, describeFlightModel, flightTimeColumns, DEFAULT_ROUTING_FACTOR } from './flightTime';
+
+// Delhi (DEL) to Jaipur (JAI) is about 240 km on the great circle
+const DEL_JAI_KM = 240;
+
+describe('flightModelFrom', () => {
+  it('defaults to a narrow-body jet and the default routing factor', () => {
+    expect(flightModelFrom({})).toEqual({
+      aircraft: 'narrowbody', cruiseKmh: 830, climbDescentMinutes: 18, taxiMinutes: 25, routingFactor: DEFAULT_ROUTING_FACTOR
+    });
+    expect(flightModelFrom({ aircraftProfile: 'concorde' }).aircraft).toBe('narrowbody');
+  });
+
+  it('takes the custom cruise speed, falling back to 800 km/h', () => {
+    expect(flightModelFrom({ aircraftProfile: 'custom', customCruiseKmh: '600' })).toMatchObject({ cruiseKmh: 600, climbDescentMinutes: 18, taxiMinutes: 25 });
+    expect(flightModelFrom({ aircraftProfile: 'custom', customCruiseKmh: '' }).cruiseKmh).toBe(800);
+  });
+
+  it('never routes shorter than the great circle', () => {
+    expect(flightModelFrom({ routingFactor: '0.5' }).routingFactor).toBe(1);
+    expect(flightModelFrom({ routingFactor: '1.1' }).routingFactor).toBe(1.1);
+  });
+});
+
+describe('estimateFlightTime', () => {
+  // km × 1.05 / cruise + climb/60, then + taxi/60 for block time
+  it.each([
+    ['turboprop', 240 * 1.05 / 510 + 12 / 60, 240 * 1.05 / 510 + 27 / 60],
+    ['narrowbody', 240 * 1.05 / 830 + 18 / 60, 240 * 1.05 / 830 + 43 / 60],
+    ['widebody', 240 * 1.05 / 905 + 22 / 60, 240 * 1.05 / 905 + 57 / 60]
+  ])('times Delhi-Jaipur on a %s', (aircraftProfile, flightHours, blockHours) => {
+    const time = estimateFlightTime(DEL_JAI_KM, flightModelFrom({ aircraftProfile }));
+    expect(time.flightHours).toBeCloseTo(flightHours, 9);
+    expect(time.blockHours).toBeCloseTo(blockHours, 9);
+  });
+
+  it('makes a short hop about 35 minutes airborne and an hour gate to gate', () => {
+    const { flightHours, blockHours } = estimateFlightTime(DEL_JAI_KM, flightModelFrom({}));
+    expect(flightHours * 60).toBeCloseTo(36.2, 1);
+    expect(blockHours * 60).toBeCloseTo(61.2, 1);
+  });
+
+  it('uses the custom cruise speed', () => {
+    const { flightHours, blockHours } = estimateFlightTime(1000, flightModelFrom({ aircraftProfile: 'custom', customCruiseKmh: 700, routingFactor: 1 }));
+    expect(flightHours).toBeCloseTo(1000 / 700 + 0.3, 9);
+    expect(blockHours).toBeCloseTo(1000 / 700 + 0.3 + 25 / 60, 9);
+  });
+});
+
+describe('describeFlightModel', () => {
+  it('names the profile, with the speed for a custom one', () => {
+    expect(describeFlightModel(flightModelFrom({ aircraftProfile: 'widebody' }))).toBe('Wide-body jet (787, A350)');
+    expect(describeFlightModel(flightModelFrom({ aircraftProfile: 'custom', customCruiseKmh: 650 }))).toBe('Custom cruise speed (650 km/h)');
+  });
+});
+
+describe('flightTimeColumns', () => {
+  it('carries both times and the aircraft', () => {
+    const model = flightModelFrom({ aircraftProfile: 'turboprop', routingFactor: 1 });
+    const columns = flightTimeColumns(510, model);
+    expect(columns.aircraft).toBe('turboprop');
+    expect(columns.flight_time_hours).toBeCloseTo(1.2, 9);
+    expect(columns.block_time_hours).toBeCloseTo(1.45, 9);
+  });
+});
@@ -0,0 +1,189 @@
+// Offline lookup over the embedded gazetteer (src/data/gazetteer.js).
+// Results use the same { name, display, country, state, lat, lon } shape as network geocoders.
+
+// Below this score a fuzzy match is not worth showing at all
+const MIN_SCORE = 0.7;
+// Airports rank just under a city with the same name unless asked for by code
+const AIRPORT_PENALTY = 0.05;
+const UNKNOWN_QUALIFIER_PENALTY = 0.15;
+
+let gazetteerPromise = null;
+
+export const normalizeName = (value) =>
+  String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+// 1 = exact, ~0.9 = prefix (search-as-you-type), otherwise edit-distance similarity
+const similarity = (query, name) => {
+  if (query === name) return 1;
+  if (name.startsWith(query) && query.length >= 3) {
+    return 0.8 + 0.15 * (query.length / name.length);
+  }
+  const distance = levenshtein(query, name);
+  return 1 - distance / Math.max(query.length, name.length);
+};
+
+const buildIndex = ({ countries, cities, airports }) => {
+  const countryLookup = new Map();
+  Object.entries(countries).forEach(([code, names]) => {
+    countryLookup.set(code.toLowerCase(), code);
+    names.forEach(name => countryLookup.set(normalizeName(name), code));
+  });
+
+  const entries = [];
+
+  cities.forEach(([name, countryCode, lat, lon, population, altNames = [], region = '']) => {
+    const country = countries[countryCode]?.[0] || countryCode;
+    entries.push({
+      type: 'city',
+      name,
+      names: [name, ...altNames].map(normalizeName),
+      countryCode,
+      country,
+      region,
+      regionKey: normalizeName(region),
+      lat,
+      lon,
+      population,
+      display: [name, region, country].filter(Boolean).join(', ')
+    });
+  });
+
+  const airportsByCode = new Map();
+  airports.forEach(([iata, icao, name, city, countryCode, lat, lon]) => {
+    const country = countries[countryCode]?.[0] || countryCode;
+    const entry = {
+      type: 'airport',
+      name,
+      names: [name, `${city} airport`].map(normalizeName),
+      countryCode,
+      country,
+      region: city,
+      regionKey: normalizeName(city),
+      lat,
+      lon,
+      population: 0,
+      iata,
+      icao,
+      display: `${name} (${iata}/${icao}), ${city}, ${country}`
+    };
+    entries.push(entry);
+    airportsByCode.set(iata, entry);
+    airportsByCode.set(icao, entry);
+  });
+
+  return { entries, countryLookup, airportsByCode };
+};
+
+export const loadGazetteer = () => {
+  if (!gazetteerPromise) {
+    gazetteerPromise = import('../data/gazetteer').then(buildIndex).catch(err => {
+      gazetteerPromise = null;
+      throw err;
+    });
+  }
+  return gazetteerPromise;
+};
+
+const toPlace = (entry, score, unmatched = []) => ({
+  name: entry.name,
+  display: entry.display,
+  country: entry.country,
+  state: entry.region,
+  lat: entry.lat,
+  lon: entry.lon,
+  type: entry.type,
+  iata: entry.iata,
+  icao: entry.icao,
+  source: 'offline',
+  score,
+  // Qualifiers that matched neither the country nor the region ("texas" for "Paris, Texas")
+  ...(unmatched.length > 0 ? { unmatched } : {})
+});
+
+// "Hyderabad, Pakistan" -> place "hyderabad", countries ['PK']; other qualifiers (states, cities) boost matches
+const parseQuery = (index, query) => {
+  const parts = String(query || '').split(',').map(normalizeName).filter(Boolean);
+  const [place = '', ...qualifiers] = parts;
+  const countryCodes = [];
+  const regions = [];
+  qualifiers.forEach(q => {
+    const code = index.countryLookup.get(q);
+    if (code) countryCodes.push(code);
+    else regions.push(q);
+  });
+  return { place, countryCodes, regions };
+};
+
+export const searchGazetteer = (index, query, { limit = 5 } = {}) => {
+  const { place, countryCodes, regions } = parseQuery(index, query);
+  if (place.length < 2) return [];
+
+  const matches = [];
+  index.entries.forEach(entry => {
+    if (countryCodes.length > 0 && !countryCodes.includes(entry.countryCode)) return;
+
+    let score = Math.max(...entry.names.map(name => similarity(place, name)));
+    if (score < MIN_SCORE) return;
+
+    if (entry.type === 'airport') score -= AIRPORT_PENALTY;
+    const unmatched = [];
+    regions.forEach(r => {
+      if (entry.regionKey && (entry.regionKey === r || entry.regionKey.startsWith(r))) {
+        score = Math.min(1, score + 0.05);
+      } else if (!entry.names.includes(r)) {
+        // "Paris, Texas": a qualifier we can't confirm makes the match too risky to trust blindly
+        score -= UNKNOWN_QUALIFIER_PENALTY;
+        unmatched.push(r);
+      }
+    });
+    matches.push({ entry, score, unmatched });
+  });
+
+  // Same-quality matches (e.g. the three Springfields) fall back to the biggest place
+  matches.sort((a, b) => {
+    const diff = Math.round(b.score * 100) - Math.round(a.score * 100);
+    return diff !== 0 ? diff : b.entry.population - a.entry.population;
+  });
+
+  return matches.slice(0, limit).map(({ entry, score, unmatched }) => toPlace(entry, score, unmatched));
+};
+
+// Best single match, or null when nothing is confident enough
+export const lookupGazetteer = (index, query, { minScore = 0.9 } = {}) => {
+  const [best] = searchGazetteer(index, query, { limit: 1 });
+  return best && best.score >= minScore ? best : null;
+};
+
+// 3-letter IATA or 4-letter ICAO shape; bulk files only treat UPPERCASE values as codes
+export const isAirportCode = (value, { caseSensitive = true } = {}) => {
+  const code = String(value || '').trim();
+  return (caseSensitive ? /^[A-Z]{3,4}$/ : /^[A-Za-z]{3,4}$/).test(code);
+};
+
+export const lookupAirportCode = (index, code) => {
+  const entry = index.airportsByCode.get(String(code || '').trim().toUpperCase());
+  return entry ? toPlace(entry, 1) : null;
+};
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { loadGazetteer, searchGazetteer, lookupGazetteer, normalizeName, lookupAirportCode, isAirportCode } from './gazetteer';
+
+describe('normalizeName', () => {
+  it('folds accents, case and punctuation', () => {
+    expect(normalizeName('  São Paulo ')).toBe('sao paulo');
+    expect(normalizeName('Washington, D.C.')).toBe('washington d c');
+  });
+});
+
+describe('searchGazetteer', () => {
+  it('matches a city exactly', async () => {
+    const [best] = searchGazetteer(await loadGazetteer(), 'Paris');
+    expect(best).toMatchObject({ name: 'Paris', country: 'France', source: 'offline', score: 1 });
+    expect(best.unmatched).toBeUndefined();
+  });
+
+  it('restricts the search to a named country', async () => {
+    const places = searchGazetteer(await loadGazetteer(), 'Hyderabad, Pakistan');
+    expect(places.length).toBeGreaterThan(0);
+    expect(places.every(place => place.country === 'Pakistan')).toBe(true);
+  });
+
+  it('prefers the city in the named region', async () => {
+    const [best] = searchGazetteer(await loadGazetteer(), 'Springfield, Missouri');
+    expect(best).toMatchObject({ state: 'Missouri', lat: 37.2090, lon: -93.2923 });
+  });
+
+  it('ranks the biggest of equal matches first', async () => {
+    const [best] = searchGazetteer(await loadGazetteer(), 'Springfield');
+    expect(best.state).toBe('Massachusetts');
+  });
+
+  it('flags qualifiers it cannot confirm', async () => {
+    const [best] = searchGazetteer(await loadGazetteer(), 'Paris, Texas');
+    expect(best.country).toBe('France');
+    expect(best.score).toBeCloseTo(0.85);
+    expect(best.unmatched).toEqual(['texas']);
+  });
+
+  it('leaves confirmed qualifiers out of unmatched', async () => {
+    const [best] = searchGazetteer(await loadGazetteer(), 'Springfield, Missouri, USA');
+    expect(best.unmatched).toBeUndefined();
+  });
+
+  it('tolerates small typos', async () => {
+    const [best] = searchGazetteer(await loadGazetteer(), 'Pariss');
+    expect(best.name).toBe('Paris');
+    expect(best.score).toBeLessThan(1);
+  });
+
+  it('ignores queries shorter than two letters', async () => {
+    expect(searchGazetteer(await loadGazetteer(), 'P')).toEqual([]);
+  });
+});
+
+describe('lookupGazetteer', () => {
+  it('returns the best match above the threshold', async () => {
+    expect(lookupGazetteer(await loadGazetteer(), 'Tokyo')).toMatchObject({ name: 'Tokyo', country: 'Japan' });
+  });
+
+  it('returns null below the threshold', async () => {
+    const gazetteer = await loadGazetteer();
+    expect(lookupGazetteer(gazetteer, 'Pariss')).toBeNull();
+    expect(lookupGazetteer(gazetteer, 'Qwertyuiop')).toBeNull();
+  });
+});
+
+describe('airport codes', () => {
+  it('looks up IATA and ICAO codes', async () => {
+    const gazetteer = await loadGazetteer();
+    expect(lookupAirportCode(gazetteer, 'CDG')).toMatchObject({ iata: 'CDG', icao: 'LFPG', type: 'airport', score: 1 });
+    expect(lookupAirportCode(gazetteer, 'lfpo')).toMatchObject({ iata: 'ORY' });
+    expect(lookupAirportCode(gazetteer, 'ZZZ')).toBeNull();
+  });
+
+  it('only treats uppercase values as codes by default', () => {
+    expect(isAirportCode('CDG')).toBe(true);
+    expect(isAirportCode('KJFK')).toBe(true);
+    expect(isAirportCode('cdg')).toBe(false);
+    expect(isAirportCode('cdg', { caseSensitive: false })).toBe(true);
+    expect(isAirportCode('Paris')).toBe(false);
+  });
+});
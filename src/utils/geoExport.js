@@ -0,0 +1,151 @@
+// GeoJSON, KML and GPX export of calculated routes for GIS tools (QGIS, Google Earth, GPS units).
+// Every exporter takes routes shaped { name, line: [[lat, lon], ...], properties }.
+import { routeLine } from './map';
+import { downloadFile } from './csv';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Drop empty/placeholder values so GIS attribute tables aren't full of '-'
+const cleanProperties = (properties) => Object.fromEntries(
+  Object.entries(properties).filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== '-')
+);
+
+// RFC 7946 wants lines crossing the antimeridian split in two, otherwise GIS tools
+// draw them straight across the whole map. KML and GPX get the same parts.
+const splitAtAntimeridian = (line) => {
+  const parts = [[]];
+  line.forEach(([lat, lon], i) => {
+    if (i > 0) {
+      const [prevLat, prevLon] = line[i - 1];
+      if (Math.abs(lon - prevLon) > 180) {
+        const edge = prevLon > 0 ? 180 : -180;
+        const shiftedLon = lon + (prevLon > 0 ? 360 : -360);
+        const crossingLat = prevLat + (lat - prevLat) * (edge - prevLon) / (shiftedLon - prevLon);
+        parts[parts.length - 1].push([crossingLat, edge]);
+        parts.push([[crossingLat, -edge]]);
+      }
+    }
+    parts[parts.length - 1].push([lat, lon]);
+  });
+  return parts;
+};
+
+const toPosition = ([lat, lon]) => [Number(lon.toFixed(6)), Number(lat.toFixed(6))];
+
+const lineGeometry = (line) => {
+  const parts = splitAtAntimeridian(line);
+  return parts.length === 1
+    ? { type: 'LineString', coordinates: parts[0].map(toPosition) }
+    : { type: 'MultiLineString', coordinates: parts.map(part => part.map(toPosition)) };
+};
+
+// Export values are formatted strings; GeoJSON consumers expect real numbers
+const typedValue = (value) => (typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? Number(value) : value);
+
+export const toGeoJson = (routes) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: routes.map(route => ({
+    type: 'Feature',
+    properties: {
+      name: route.name,
+      ...Object.fromEntries(Object.entries(cleanProperties(route.properties)).map(([key, value]) => [key, typedValue(value)]))
+    },
+    geometry: lineGeometry(route.line)
+  }))
+}, null, 2);
+
+const kmlLineString = (part) => [
+  '<LineString><tessellate>1</tessellate><coordinates>',
+  part.map(([lat, lon]) => `${lon.toFixed(6)},${lat.toFixed(6)}`).join(' '),
+  '</coordinates></LineString>'
+].join('\n');
+
+const kmlGeometry = (line) => {
+  const parts = splitAtAntimeridian(line);
+  return parts.length === 1
+    ? kmlLineString(parts[0])
+    : ['<MultiGeometry>', ...parts.map(kmlLineString), '</MultiGeometry>'].join('\n');
+};
+
+export const toKml = (routes, documentName = 'Routes') => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<kml xmlns="http://www.opengis.net/kml/2.2">',
+  '<Document>',
+  `<name>${escapeXml(documentName)}</name>`,
+  '<Style id="route"><LineStyle><color>ffea7e66</color><width>3</width></LineStyle></Style>',
+  '<Style id="error"><LineStyle><color>ff2626dc</color><width>2</width></LineStyle></Style>',
+  ...routes.map(route => {
+    const properties = cleanProperties(route.properties);
+    return [
+      '<Placemark>',
+      `<name>${escapeXml(route.name)}</name>`,
+      `<styleUrl>#${properties.error ? 'error' : 'route'}</styleUrl>`,
+      '<ExtendedData>',
+      ...Object.entries(properties).map(([key, value]) =>
+        `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`
+      ),
+      '</ExtendedData>',
+      kmlGeometry(route.line),
+      '</Placemark>'
+    ].join('\n');
+  }),
+  '</Document>',
+  '</kml>'
+].join('\n');
+
+// GPX has no attribute table, so the properties go into the track description
+export const toGpx = (routes, creator = 'Distance Calculator') => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<gpx version="1.1" creator="${escapeXml(creator)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+  ...routes.map(route => {
+    const description = Object.entries(cleanProperties(route.properties))
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('; ');
+    return [
+      '<trk>',
+      `<name>${escapeXml(route.name)}</name>`,
+      `<desc>${escapeXml(description)}</desc>`,
+      ...splitAtAntimeridian(route.line).flatMap(part => [
+        '<trkseg>',
+        ...part.map(([lat, lon]) => `<trkpt lat="${lat.toFixed(6)}" lon="${lon.toFixed(6)}"></trkpt>`),
+        '</trkseg>'
+      ]),
+      '</trk>'
+    ].join('\n');
+  }),
+  '</gpx>'
+].join('\n');
+
+export const GEO_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', type: 'application/geo+json', build: toGeoJson },
+  kml: { label: 'KML', extension: 'kml', type: 'application/vnd.google-earth.kml+xml', build: toKml },
+  gpx: { label: 'GPX', extension: 'gpx', type: 'application/gpx+xml', build: toGpx }
+};
+
+export const downloadRoutes = (routes, format, fileName) => {
+  const { extension, type, build } = GEO_FORMATS[format];
+  downloadFile(build(routes), `${fileName}.${extension}`, type);
+};
+
+// Bulk result row -> export route, with the CSV export columns as properties.
+// Rows without coordinates on both ends can't be drawn and are skipped (null).
+export const bulkRowToRoute = (row, headers, extra = {}) => {
+  const [fromLat, fromLon, toLat, toLon] = ['from_lat', 'from_lon', 'to_lat', 'to_lon'].map(key => parseFloat(row[key]));
+  if (![fromLat, fromLon, toLat, toLon].every(Number.isFinite)) return null;
+
+  const properties = {};
+  headers.forEach(header => { properties[header] = row[header]; });
+  Object.assign(properties, extra);
+  if (row.error) properties.error = row.error;
+
+  return {
+    name: `${row.from} → ${row.to}`,
+    line: routeLine({ lat: fromLat, lon: fromLon }, { lat: toLat, lon: toLon }, row.geometry),
+    properties
+  };
+};
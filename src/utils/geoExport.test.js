@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { toGeoJson, toKml, toGpx, bulkRowToRoute } from './geoExport';
+
+const route = (line, properties = {}) => ({ name: 'A → B', line, properties });
+
+describe('toGeoJson', () => {
+  it('writes [lon, lat] positions and typed properties', () => {
+    const [feature] = JSON.parse(toGeoJson([route([[10, 20], [11, 21]], { distance_km: '157.2', from: 'A', error: '-' })])).features;
+    expect(feature.geometry).toEqual({ type: 'LineString', coordinates: [[20, 10], [21, 11]] });
+    expect(feature.properties).toEqual({ name: 'A → B', distance_km: 157.2, from: 'A' });
+  });
+
+  it('splits a line crossing the antimeridian', () => {
+    const [feature] = JSON.parse(toGeoJson([route([[0, 170], [10, -170]])])).features;
+    expect(feature.geometry).toEqual({
+      type: 'MultiLineString',
+      coordinates: [
+        [[170, 0], [180, 5]],
+        [[-180, 5], [-170, 10]]
+      ]
+    });
+  });
+});
+
+describe('toKml', () => {
+  it('escapes names and values', () => {
+    const kml = toKml([{ name: 'Tom & Jerry <1>', line: [[0, 0], [1, 1]], properties: { note: '"quoted"' } }]);
+    expect(kml).toContain('<name>Tom &amp; Jerry &lt;1&gt;</name>');
+    expect(kml).toContain('<value>&quot;quoted&quot;</value>');
+    expect(kml).toContain('0.000000,0.000000 1.000000,1.000000');
+  });
+
+  it('writes one LineString, or a MultiGeometry for a line crossing the antimeridian', () => {
+    expect(toKml([route([[0, 0], [1, 1]])])).not.toContain('<MultiGeometry>');
+    const kml = toKml([route([[0, 170], [10, -170]])]);
+    expect(kml).toContain([
+      '<MultiGeometry>',
+      '<LineString><tessellate>1</tessellate><coordinates>',
+      '170.000000,0.000000 180.000000,5.000000',
+      '</coordinates></LineString>',
+      '<LineString><tessellate>1</tessellate><coordinates>',
+      '-180.000000,5.000000 -170.000000,10.000000',
+      '</coordinates></LineString>',
+      '</MultiGeometry>'
+    ].join('\n'));
+  });
+
+  it('styles failed routes as errors', () => {
+    expect(toKml([route([[0, 0], [1, 1]], { error: 'Geocoding failed' })])).toContain('<styleUrl>#error</styleUrl>');
+  });
+});
+
+describe('toGpx', () => {
+  it('puts the properties into the track description', () => {
+    const gpx = toGpx([route([[0, 0], [1, 1]], { distance_km: 157.2, from: 'A' })]);
+    expect(gpx).toContain('<desc>distance_km: 157.2; from: A</desc>');
+    expect(gpx).toContain('<trkpt lat="1.000000" lon="1.000000"></trkpt>');
+    expect(gpx.match(/<trkseg>/g)).toHaveLength(1);
+  });
+
+  it('writes a track segment per side of the antimeridian', () => {
+    const gpx = toGpx([route([[0, 170], [10, -170]])]);
+    expect(gpx).toContain([
+      '<trkseg>',
+      '<trkpt lat="0.000000" lon="170.000000"></trkpt>',
+      '<trkpt lat="5.000000" lon="180.000000"></trkpt>',
+      '</trkseg>',
+      '<trkseg>',
+      '<trkpt lat="5.000000" lon="-180.000000"></trkpt>',
+      '<trkpt lat="10.000000" lon="-170.000000"></trkpt>',
+      '</trkseg>'
+    ].join('\n'));
+  });
+});
+
+describe('bulkRowToRoute', () => {
+  it('copies the export columns and the error', () => {
+    const result = bulkRowToRoute(
+      { from: 'A', to: 'B', from_lat: '0', from_lon: '0', to_lat: '0', to_lon: '1', distance_km: 111, extra: 'x', error: 'oops' },
+      ['from', 'to', 'distance_km'],
+      { travel_mode: 'air' }
+    );
+    expect(result.name).toBe('A → B');
+    expect(result.properties).toEqual({ from: 'A', to: 'B', distance_km: 111, travel_mode: 'air', error: 'oops' });
+    expect(result.line[0]).toEqual([0, 0]);
+  });
+
+  it('skips rows without coordinates', () => {
+    expect(bulkRowToRoute({ from_lat: '-', from_lon: '0', to_lat: '0', to_lon: '1' }, [])).toBeNull();
+  });
+});
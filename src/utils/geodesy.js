@@ -0,0 +1,112 @@
+// Distance models. Haversine is the fast spherical default; Vincenty solves the
+// inverse problem on the WGS-84 ellipsoid (sub-millimetre accuracy).
+
+const EARTH_RADIUS_KM = 6371;
+
+// WGS-84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export const DISTANCE_MODELS = {
+  haversine: { label: 'Haversine (spherical, fast)', short: 'haversine' },
+  vincenty: { label: 'WGS-84 ellipsoid (Vincenty)', short: 'wgs84-vincenty' }
+};
+
+export const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+// Vincenty inverse formula. Returns km, or null if it fails to converge
+// (only happens for nearly antipodal points).
+export const vincentyDistance = (lat1, lon1, lat2, lon2) => {
+  const L = toRad(lon2 - lon1);
+  const U1 = Math.atan((1 - WGS84_F) * Math.tan(toRad(lat1)));
+  const U2 = Math.atan((1 - WGS84_F) * Math.tan(toRad(lat2)));
+  const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+
+  for (let i = 0; i < 200; i++) {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt(
+      (cosU2 * sinLambda) ** 2 +
+      (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2
+    );
+    if (sinSigma === 0) return 0; // coincident points
+
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    // Both points on the equator: cosSqAlpha = 0
+    cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha : 0;
+
+    const C = (WGS84_F / 16) * cosSqAlpha * (4 + WGS84_F * (4 - 3 * cosSqAlpha));
+    const lambdaPrev = lambda;
+    lambda = L + (1 - C) * WGS84_F * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+    if (Math.abs(lambda - lambdaPrev) < 1e-12) {
+      const uSq = (cosSqAlpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B)) / (WGS84_B * WGS84_B);
+      const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+      const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+      const deltaSigma = B * sinSigma * (cos2SigmaM + (B / 4) * (
+        cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+        (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+      ));
+      return (WGS84_B * A * (sigma - deltaSigma)) / 1000;
+    }
+  }
+  return null;
+};
+
+export const calculateDistance = (lat1, lon1, lat2, lon2, model = 'haversine') => {
+  if (model === 'vincenty') {
+    const dist = vincentyDistance(lat1, lon1, lat2, lon2);
+    if (dist !== null) return dist;
+    // Nearly antipodal: Vincenty doesn't converge, the sphere is the best we have
+    console.warn('Vincenty did not converge, falling back to haversine');
+  }
+  return haversineDistance(lat1, lon1, lat2, lon2);
+};
+
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// Points along the great circle from 1 to 2 (inclusive), as [lat, lon] pairs.
+// Used to draw and export air routes - a straight line on a map is not the flown path.
+export const greatCirclePoints = (lat1, lon1, lat2, lon2, segments = 64) => {
+  const phi1 = toRad(lat1), lambda1 = toRad(lon1);
+  const phi2 = toRad(lat2), lambda2 = toRad(lon2);
+  const delta = 2 * Math.asin(Math.sqrt(
+    Math.sin((phi2 - phi1) / 2) ** 2 +
+    Math.cos(phi1) * Math.cos(phi2) * Math.sin((lambda2 - lambda1) / 2) ** 2
+  ));
+  if (delta === 0) return [[lat1, lon1], [lat2, lon2]];
+
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const f = i / segments;
+    const a = Math.sin((1 - f) * delta) / Math.sin(delta);
+    const b = Math.sin(f * delta) / Math.sin(delta);
+    const x = a * Math.cos(phi1) * Math.cos(lambda1) + b * Math.cos(phi2) * Math.cos(lambda2);
+    const y = a * Math.cos(phi1) * Math.sin(lambda1) + b * Math.cos(phi2) * Math.sin(lambda2);
+    const z = a * Math.sin(phi1) + b * Math.sin(phi2);
+    points.push([toDeg(Math.atan2(z, Math.sqrt(x * x + y * y))), toDeg(Math.atan2(y, x))]);
+  }
+  return points;
+};
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from 'vitest';
+import { haversineDistance, vincentyDistance, calculateDistance, greatCirclePoints } from './geodesy';
+
+// Degrees, minutes, seconds to decimal degrees
+const dms = (deg, min, sec) => Math.sign(deg) * (Math.abs(deg) + min / 60 + sec / 3600);
+
+describe('haversineDistance', () => {
+  it('measures a quarter of the equator on the 6371 km sphere', () => {
+    expect(haversineDistance(0, 0, 0, 90)).toBeCloseTo((Math.PI * 6371) / 2, 6);
+  });
+
+  it('measures London to Paris', () => {
+    expect(haversineDistance(51.5074, -0.1278, 48.8566, 2.3522)).toBeCloseTo(343.56, 1);
+  });
+});
+
+describe('vincentyDistance', () => {
+  it('reproduces Vincenty\'s Flinders Peak to Buninyong example', () => {
+    const km = vincentyDistance(dms(-37, 57, 3.7203), dms(144, 25, 29.5244), dms(-37, 39, 10.1561), dms(143, 55, 35.3839));
+    expect(km * 1000).toBeCloseTo(54972.271, 2);
+  });
+
+  it('measures one degree of longitude on the equator', () => {
+    expect(vincentyDistance(0, 0, 0, 1) * 1000).toBeCloseTo(111319.491, 2);
+  });
+
+  it('measures the meridian from pole to pole', () => {
+    expect(vincentyDistance(90, 0, -90, 0)).toBeCloseTo(20003.931, 2);
+  });
+
+  it('returns 0 for the same point', () => {
+    expect(vincentyDistance(12.3, 45.6, 12.3, 45.6)).toBe(0);
+  });
+
+  it('gives up on nearly antipodal points', () => {
+    expect(vincentyDistance(0, 0, 0.5, 179.7)).toBeNull();
+  });
+});
+
+describe('calculateDistance', () => {
+  it('uses haversine by default', () => {
+    expect(calculateDistance(0, 0, 0, 1)).toBe(haversineDistance(0, 0, 0, 1));
+  });
+
+  it('falls back to haversine when Vincenty does not converge', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(calculateDistance(0, 0, 0.5, 179.7, 'vincenty')).toBe(haversineDistance(0, 0, 0.5, 179.7));
+    expect(warn).toHaveBeenCalledOnce();
+    warn.mockRestore();
+  });
+});
+
+describe('greatCirclePoints', () => {
+  it('runs from start to end through the midpoint', () => {
+    const points = greatCirclePoints(0, 0, 0, 90, 2);
+    expect(points).toHaveLength(3);
+    expect(points[0][0]).toBeCloseTo(0, 9);
+    expect(points[0][1]).toBeCloseTo(0, 9);
+    expect(points[1][0]).toBeCloseTo(0, 9);
+    expect(points[1][1]).toBeCloseTo(45, 9);
+    expect(points[2][1]).toBeCloseTo(90, 9);
+  });
+
+  it('curves towards the pole between two northern points', () => {
+    const points = greatCirclePoints(51.47, -0.45, 40.64, -73.78, 64);
+    const highest = Math.max(...points.map(([lat]) => lat));
+    expect(highest).toBeGreaterThan(51.47);
+  });
+
+  it('returns the two ends for a zero-length route', () => {
+    expect(greatCirclePoints(10, 20, 10, 20)).toEqual([[10, 20], [10, 20]]);
+  });
+});
@@ -0,0 +1,111 @@
+import { calculateDistance, DISTANCE_MODELS } from './geodesy';
+import { convertKm, unitLabel } from './units';
+import { estimateFlightTime } from './flightTime';
+import { isRoutedMode, durationKeys } from './travelModes';
+
+export const hasValidCoords = (point) => Number.isFinite(point.lat) && Number.isFinite(point.lon);
+
+// waypoints: [{ name, lat, lon }], flightModel: utils/flightTime (every leg is its own flight),
+// roadLegs: router legs ({ distance, duration }) or null for air only
+export const buildItineraryLegs = (waypoints, model, flightModel, roadLegs = null) => {
+  let cumulativeKm = 0;
+  let cumulativeFlightHours = 0;
+  let cumulativeBlockHours = 0;
+  let cumulativeRoadKm = 0;
+  let cumulativeDriveMinutes = 0;
+
+  return waypoints.slice(1).map((to, i) => {
+    const from = waypoints[i];
+    const airKm = calculateDistance(from.lat, from.lon, to.lat, to.lon, model);
+    const { flightHours, blockHours } = estimateFlightTime(airKm, flightModel);
+    cumulativeKm += airKm;
+    cumulativeFlightHours += flightHours;
+    cumulativeBlockHours += blockHours;
+
+    const leg = {
+      leg: i + 1,
+      from,
+      to,
+      airKm,
+      flightHours,
+      blockHours,
+      cumulativeKm,
+      cumulativeFlightHours,
+      cumulativeBlockHours
+    };
+
+    const road = roadLegs?.[i];
+    if (road) {
+      cumulativeRoadKm += road.distance;
+      cumulativeDriveMinutes += road.duration;
+      leg.roadKm = road.distance;
+      leg.driveMinutes = road.duration;
+      leg.cumulativeRoadKm = cumulativeRoadKm;
+      leg.cumulativeDriveMinutes = cumulativeDriveMinutes;
+    }
+
+    return leg;
+  });
+};
+
+// Routed duration columns in the mode's own names, as bulk exports use them:
+// [hoursKey, minutesKey, cumulativeHoursKey], e.g. ride_time_hours, ride_time_minutes, cumulative_ride_hours
+const routedDurationKeys = (mode) => {
+  const [hoursKey, minutesKey] = durationKeys(mode);
+  return [hoursKey, minutesKey, `cumulative_${hoursKey.replace('_time_', '_')}`];
+};
+
+// Flat rows for CSV export, like the bulk results: raw km and hours, plus leg distances in the
+// display unit (units from utils/units). mode: the travel mode the legs were routed with, or
+// 'air' to leave the routed columns out.
+export const itineraryExportRows = (legs, model, mode, units) => legs.map(leg => {
+  const inUnit = (km) => convertKm(km, units.distanceUnit).toFixed(units.precision);
+  const row = {
+    leg: leg.leg,
+    from: leg.from.name,
+    to: leg.to.name,
+    from_lat: leg.from.lat.toFixed(4),
+    from_lon: leg.from.lon.toFixed(4),
+    to_lat: leg.to.lat.toFixed(4),
+    to_lon: leg.to.lon.toFixed(4),
+    distance_km: leg.airKm,
+    flight_time_hours: leg.flightHours,
+    block_time_hours: leg.blockHours,
+    cumulative_km: leg.cumulativeKm,
+    cumulative_flight_hours: leg.cumulativeFlightHours,
+    cumulative_block_hours: leg.cumulativeBlockHours,
+    distance_model: DISTANCE_MODELS[model].short,
+    distance: inUnit(leg.airKm),
+    cumulative_distance: inUnit(leg.cumulativeKm),
+    distance_unit: unitLabel(units)
+  };
+
+  if (isRoutedMode(mode) && leg.roadKm !== undefined) {
+    const [hoursKey, minutesKey, cumulativeHoursKey] = routedDurationKeys(mode);
+    row.road_distance_km = leg.roadKm;
+    row[hoursKey] = leg.driveMinutes / 60;
+    row[minutesKey] = leg.driveMinutes;
+    row.cumulative_road_km = leg.cumulativeRoadKm;
+    row[cumulativeHoursKey] = leg.cumulativeDriveMinutes / 60;
+    row.road_distance = inUnit(leg.roadKm);
+    row.cumulative_road_distance = inUnit(leg.cumulativeRoadKm);
+  }
+
+  return row;
+});
+
+export const ITINERARY_AIR_HEADERS = [
+  'leg', 'from', 'to', 'from_lat', 'from_lon', 'to_lat', 'to_lon',
+  'distance_km', 'flight_time_hours', 'block_time_hours', 'cumulative_km', 'cumulative_flight_hours', 'cumulative_block_hours', 'distance_model',
+  'distance', 'cumulative_distance', 'distance_unit'
+];
+
+export const itineraryHeaders = (mode) => {
+  if (!isRoutedMode(mode)) return ITINERARY_AIR_HEADERS;
+  const [hoursKey, minutesKey, cumulativeHoursKey] = routedDurationKeys(mode);
+  return [
+    ...ITINERARY_AIR_HEADERS,
+    'road_distance_km', hoursKey, minutesKey, 'cumulative_road_km', cumulativeHoursKey,
+    'road_distance', 'cumulative_road_distance'
+  ];
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { buildItineraryLegs, itineraryExportRows, hasValidCoords, itineraryHeaders, ITINERARY_AIR_HEADERS } from './itinerary';
+import { flightModelFrom, estimateFlightTime } from './flightTime';
+import { haversineDistance } from './geodesy';
+
+const flightModel = flightModelFrom({ aircraftProfile: 'narrowbody' });
+const units = { distanceUnit: 'km', precision: 1, numberLocale: 'en-US' };
+const stops = [
+  { name: 'A', lat: 0, lon: 0 },
+  { name: 'B', lat: 0, lon: 1 },
+  { name: 'C', lat: 1, lon: 1 }
+];
+const roadLegs = [{ distance: 120, duration: 90 }, { distance: 130, duration: 120 }];
+const legsFor = (routed = null) => buildItineraryLegs(stops, 'haversine', flightModel, routed);
+
+describe('hasValidCoords', () => {
+  it('needs both coordinates as numbers', () => {
+    expect(hasValidCoords({ lat: 0, lon: 0 })).toBe(true);
+    expect(hasValidCoords({ lat: 51.5, lon: NaN })).toBe(false);
+    expect(hasValidCoords({ lat: null, lon: 2 })).toBe(false);
+  });
+});
+
+describe('buildItineraryLegs', () => {
+  it('adds up air distances leg by leg', () => {
+    const legs = legsFor();
+    expect(legs).toHaveLength(2);
+    expect(legs.map(leg => [leg.leg, leg.from.name, leg.to.name])).toEqual([[1, 'A', 'B'], [2, 'B', 'C']]);
+    expect(legs[0].airKm).toBeCloseTo(haversineDistance(0, 0, 0, 1), 9);
+    expect(legs[1].cumulativeKm).toBeCloseTo(legs[0].airKm + legs[1].airKm, 9);
+    expect(legs[1].roadKm).toBeUndefined();
+  });
+
+  it('treats every leg as its own flight', () => {
+    const legs = legsFor();
+    const first = estimateFlightTime(legs[0].airKm, flightModel);
+    const second = estimateFlightTime(legs[1].airKm, flightModel);
+    expect(legs[0]).toMatchObject({ flightHours: first.flightHours, blockHours: first.blockHours });
+    expect(legs[1].cumulativeFlightHours).toBeCloseTo(first.flightHours + second.flightHours, 9);
+    expect(legs[1].cumulativeBlockHours).toBeCloseTo(first.blockHours + second.blockHours, 9);
+  });
+
+  it('adds up routed legs when there are some', () => {
+    const legs = legsFor(roadLegs);
+    expect(legs[1]).toMatchObject({ roadKm: 130, driveMinutes: 120, cumulativeRoadKm: 250, cumulativeDriveMinutes: 210 });
+  });
+});
+
+describe('itinerary export', () => {
+  const legs = legsFor(roadLegs);
+
+  it('keeps raw km and adds the distance in the chosen unit', () => {
+    const [row] = itineraryExportRows(legs, 'haversine', 'air', { ...units, distanceUnit: 'mi', precision: 2 });
+    expect(row.distance_km).toBeCloseTo(111.19, 2);
+    expect(row).toMatchObject({ distance: '69.09', cumulative_distance: '69.09', distance_unit: 'mi', distance_model: 'haversine' });
+    expect(Object.keys(row).sort()).toEqual([...ITINERARY_AIR_HEADERS].sort());
+  });
+
+  it('leaves out routed columns for air', () => {
+    expect(itineraryHeaders('air')).toBe(ITINERARY_AIR_HEADERS);
+    expect(itineraryExportRows(legs, 'haversine', 'air', units)[0].road_distance_km).toBeUndefined();
+  });
+
+  it('names duration columns after the travel mode', () => {
+    expect(itineraryHeaders('road')).toEqual(expect.arrayContaining(['drive_time_hours', 'drive_time_minutes', 'cumulative_drive_hours']));
+    expect(itineraryHeaders('cycling')).toEqual(expect.arrayContaining(['ride_time_hours', 'ride_time_minutes', 'cumulative_ride_hours']));
+    expect(itineraryHeaders('walking')).not.toContain('drive_time_hours');
+
+    const [, row] = itineraryExportRows(legs, 'haversine', 'walking', units);
+    expect(row).toMatchObject({ road_distance_km: 130, walk_time_hours: 2, walk_time_minutes: 120, cumulative_walk_hours: 3.5 });
+    expect(row.drive_time_hours).toBeUndefined();
+  });
+
+  it('writes every header for routed rows', () => {
+    const [row] = itineraryExportRows(legs, 'haversine', 'cycling', units);
+    expect(Object.keys(row).sort()).toEqual([...itineraryHeaders('cycling')].sort());
+  });
+});
@@ -0,0 +1,136 @@
+// Bulk job checkpoints in IndexedDB, so a cancelled or interrupted run can pick up where it stopped.
+// jobs:    { key: id, fileName, travelMode, distanceModel, flightModel, emissionSettings, costProfile,
+//          avoid, sheets: [{ name, rows }], status, totalRows, ... }
+// jobRows: { key: `${id}:${sheetIndex}:${rowIndex}`, jobId, sheetIndex, rowIndex, value } - one per finished row
+import { withStore } from './db';
+
+const FLUSH_EVERY_ROWS = 25;
+const FLUSH_INTERVAL_MS = 2000;
+
+export const createJob = async ({ fileName, travelMode, distanceModel, flightModel, emissionSettings, costProfile, avoid = [], sheets }) => {
+  const now = Date.now();
+  const job = {
+    key: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    fileName,
+    travelMode,
+    distanceModel,
+    flightModel,
+    emissionSettings,
+    costProfile,
+    avoid,
+    sheets,
+    totalRows: sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0),
+    completedRows: 0,
+    status: 'running',
+    createdAt: now,
+    updatedAt: now
+  };
+  try {
+    await withStore('jobs', 'readwrite', store => store.put(job));
+  } catch (err) {
+    console.error('Could not save job checkpoint:', err);
+  }
+  return job;
+};
+
+export const updateJob = async (job, changes) => {
+  const updated = { ...job, ...changes, updatedAt: Date.now() };
+  try {
+    await withStore('jobs', 'readwrite', store => store.put(updated));
+  } catch (err) {
+    console.error('Could not update job checkpoint:', err);
+  }
+  return updated;
+};
+
+// Jobs that never reached 'done' - including ones still marked 'running' after a reload
+export const listResumableJobs = async () => {
+  try {
+    const jobs = await withStore('jobs', 'readonly', store => store.getAll());
+    return (jobs || []).filter(job => job.status !== 'done').sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (err) {
+    console.error('Could not read job checkpoints:', err);
+    return [];
+  }
+};
+
+// Map of `${sheetIndex}:${rowIndex}` -> finished result row
+export const loadJobRows = async (jobId) => {
+  const records = await withStore('jobRows', 'readonly', store => store.index('jobId').getAll(jobId));
+  return new Map((records || []).map(record => [`${record.sheetIndex}:${record.rowIndex}`, record.value]));
+};
+
+// Rows of a sheet still to run on resume, with their index in the sheet;
+// finished: Map from loadJobRows
+export const pendingJobRows = (sheet, sheetIndex, finished) => sheet.rows
+  .map((row, rowIndex) => ({ row, rowIndex }))
+  .filter(({ rowIndex }) => !finished.has(`${sheetIndex}:${rowIndex}`));
+
+export const deleteJob = async (jobId) => {
+  try {
+    await withStore('jobRows', 'readwrite', store => {
+      const request = store.index('jobId').openKeyCursor(IDBKeyRange.only(jobId));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          store.delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+    });
+    await withStore('jobs', 'readwrite', store => store.delete(jobId));
+  } catch (err) {
+    console.error('Could not delete job checkpoint:', err);
+  }
+};
+
+// One-shot save outside the checkpoint writer: rows that finished before the job existed
+// (air rows computed while the file was still streaming in) or rows fixed by a retry.
+// rows: Map of `${sheetIndex}:${rowIndex}` -> result row
+export const saveJobRows = async (job, rows, completedRows = rows.size) => {
+  try {
+    await withStore('jobRows', 'readwrite', store => {
+      rows.forEach((value, key) => {
+        const [sheetIndex, rowIndex] = key.split(':').map(Number);
+        store.put({ key: `${job.key}:${key}`, jobId: job.key, sheetIndex, rowIndex, value });
+      });
+    });
+    return await updateJob(job, { completedRows });
+  } catch (err) {
+    console.error('Could not save job rows:', err);
+    return job;
+  }
+};
+
+// Buffers finished rows and writes them in batches, keeping the job's progress count in step.
+// flush() before reporting a job as stopped.
+export const createCheckpointWriter = (job, completedRows = 0) => {
+  let pending = [];
+  let timer = null;
+  let completed = completedRows;
+  let writing = Promise.resolve();
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (pending.length === 0) return writing;
+    const batch = pending;
+    pending = [];
+    writing = writing
+      .then(async () => {
+        await withStore('jobRows', 'readwrite', store => { batch.forEach(record => store.put(record)); });
+        completed += batch.length;
+        await withStore('jobs', 'readwrite', store => store.put({ ...job, status: 'running', completedRows: completed, updatedAt: Date.now() }));
+      })
+      .catch(err => console.error('Could not write checkpoint:', err));
+    return writing;
+  };
+
+  const add = (sheetIndex, rowIndex, value) => {
+    pending.push({ key: `${job.key}:${sheetIndex}:${rowIndex}`, jobId: job.key, sheetIndex, rowIndex, value });
+    if (pending.length >= FLUSH_EVERY_ROWS) flush();
+    else if (!timer) timer = setTimeout(flush, FLUSH_INTERVAL_MS);
+  };
+
+  return { add, flush };
+};
@@ -0,0 +1,90 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  createJob, updateJob, deleteJob, listResumableJobs, loadJobRows, pendingJobRows, createCheckpointWriter
+} from './jobStore';
+
+const sheets = [
+  { name: 'Europe', rows: [{ from: 'Paris', to: 'Berlin' }, { from: 'Rome', to: 'Madrid' }, { from: 'Oslo', to: 'Vienna' }] },
+  { name: 'Asia', rows: [{ from: 'Delhi', to: 'Jaipur' }, { from: 'Tokyo', to: 'Osaka' }] }
+];
+
+const result = (from, to, distance_km) => ({ from, to, distance_km });
+
+beforeEach(async () => {
+  for (const job of await listResumableJobs()) await deleteJob(job.key);
+});
+
+describe('job checkpoints', () => {
+  it('picks a job up after a reload with the rows that were checkpointed', async () => {
+    const job = await createJob({ fileName: 'trips.xlsx', travelMode: 'air', distanceModel: 'vincenty', sheets });
+    expect(job).toMatchObject({ totalRows: 5, completedRows: 0, status: 'running' });
+
+    const checkpoint = createCheckpointWriter(job);
+    checkpoint.add(0, 0, result('Paris', 'Berlin', 878.4));
+    checkpoint.add(0, 2, result('Oslo', 'Vienna', 1377.8));
+    checkpoint.add(1, 0, result('Delhi', 'Jaipur', 236.9));
+    await checkpoint.flush();
+
+    // A reload starts with fresh modules and a new database connection
+    vi.resetModules();
+    const reloaded = await import('./jobStore');
+    const [stored] = await reloaded.listResumableJobs();
+    expect(stored).toMatchObject({ key: job.key, fileName: 'trips.xlsx', status: 'running', completedRows: 3, sheets });
+
+    const finished = await reloaded.loadJobRows(job.key);
+    expect([...finished.keys()].sort()).toEqual(['0:0', '0:2', '1:0']);
+    expect(finished.get('1:0')).toEqual(result('Delhi', 'Jaipur', 236.9));
+  });
+
+  it('resumes after a reload with only the rows that are missing', async () => {
+    const job = await createJob({ fileName: 'trips.xlsx', travelMode: 'air', distanceModel: 'vincenty', sheets });
+    const checkpoint = createCheckpointWriter(job);
+    checkpoint.add(0, 1, result('Rome', 'Madrid', 1365.2));
+    checkpoint.add(1, 0, result('Delhi', 'Jaipur', 236.9));
+    checkpoint.add(1, 1, result('Tokyo', 'Osaka', 396.5));
+    await checkpoint.flush();
+
+    vi.resetModules();
+    const reloaded = await import('./jobStore');
+    const [stored] = await reloaded.listResumableJobs();
+    const finished = await reloaded.loadJobRows(stored.key);
+    expect(reloaded.pendingJobRows(stored.sheets[0], 0, finished)).toEqual([
+      { row: { from: 'Paris', to: 'Berlin' }, rowIndex: 0 },
+      { row: { from: 'Oslo', to: 'Vienna' }, rowIndex: 2 }
+    ]);
+    expect(reloaded.pendingJobRows(stored.sheets[1], 1, finished)).toEqual([]);
+
+    // Finishing the missing rows completes the job without repeating the others
+    const resumed = reloaded.createCheckpointWriter(stored, finished.size);
+    resumed.add(0, 0, result('Paris', 'Berlin', 878.4));
+    resumed.add(0, 2, result('Oslo', 'Vienna', 1377.8));
+    await resumed.flush();
+    const all = await reloaded.loadJobRows(stored.key);
+    expect(sheets.every((sheet, sheetIndex) => pendingJobRows(sheet, sheetIndex, all).length === 0)).toBe(true);
+    expect((await reloaded.listResumableJobs())[0].completedRows).toBe(5);
+  });
+
+  it('keeps the finished rows of a cancelled job until it is discarded', async () => {
+    const job = await createJob({ fileName: 'trips.csv', travelMode: 'road', distanceModel: 'haversine', sheets: [sheets[0]] });
+    const checkpoint = createCheckpointWriter(job);
+    checkpoint.add(0, 0, result('Paris', 'Berlin', 1054.2));
+    checkpoint.add(0, 1, result('Rome', 'Madrid', 1951.6));
+    await checkpoint.flush();
+    await updateJob(job, { status: 'cancelled', completedRows: 2 });
+
+    expect(await listResumableJobs()).toEqual([expect.objectContaining({ key: job.key, status: 'cancelled', completedRows: 2 })]);
+    expect([...(await loadJobRows(job.key)).values()]).toEqual([result('Paris', 'Berlin', 1054.2), result('Rome', 'Madrid', 1951.6)]);
+
+    await deleteJob(job.key);
+    expect(await listResumableJobs()).toEqual([]);
+    expect((await loadJobRows(job.key)).size).toBe(0);
+  });
+
+  it('leaves finished jobs off the resume list', async () => {
+    const job = await createJob({ fileName: 'done.csv', travelMode: 'air', distanceModel: 'vincenty', sheets: [sheets[1]] });
+    await updateJob(job, { status: 'done', completedRows: 2 });
+    expect(await listResumableJobs()).toEqual([]);
+    await deleteJob(job.key);
+  });
+});
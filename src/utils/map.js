@@ -0,0 +1,72 @@
+import { greatCirclePoints } from './geodesy';
+import { formatDistance } from './units';
+
+// Leaflet and the world outline are only fetched the first time a map is shown
+let leafletPromise = null;
+let outlinePromise = null;
+
+export const loadLeaflet = () => {
+  if (!leafletPromise) {
+    leafletPromise = import('leaflet').then(module => module.default || module).catch(err => {
+      leafletPromise = null;
+      throw err;
+    });
+  }
+  return leafletPromise;
+};
+
+// Bundled Natural Earth 1:110m land polygons - the offline basemap
+export const loadWorldOutline = () => {
+  if (!outlinePromise) {
+    outlinePromise = Promise.all([import('topojson-client'), import('world-atlas/land-110m.json')])
+      .then(([{ feature }, module]) => {
+        const topology = module.default || module;
+        return feature(topology, topology.objects.land);
+      })
+      .catch(err => {
+        outlinePromise = null;
+        throw err;
+      });
+  }
+  return outlinePromise;
+};
+
+// Keep consecutive longitudes within 180° of each other so lines crossing the
+// antimeridian continue off the edge instead of streaking across the whole map
+export const unwrapLongitudes = (points) => {
+  const result = [];
+  let offset = 0;
+  points.forEach(([lat, lon], i) => {
+    if (i > 0) {
+      const prev = points[i - 1][1];
+      if (lon - prev > 180) offset -= 360;
+      else if (prev - lon > 180) offset += 360;
+    }
+    result.push([lat, lon + offset]);
+  });
+  return result;
+};
+
+// Road geometry when the router returned one, otherwise the great-circle arc
+export const routeLine = (from, to, geometry = null, segments = 64) => (
+  geometry && geometry.length > 1 ? geometry : greatCirclePoints(from.lat, from.lon, to.lat, to.lon, segments)
+);
+
+// Map route for a bulk result row, or null when either end has no coordinates.
+// units (utils/units) format the distance in the label.
+export const bulkRowRoute = (row, index, units) => {
+  const [fromLat, fromLon, toLat, toLon] = ['from_lat', 'from_lon', 'to_lat', 'to_lon'].map(key => parseFloat(row[key]));
+  if (![fromLat, fromLon, toLat, toLon].every(Number.isFinite)) return null;
+
+  const from = { name: row.from, lat: fromLat, lon: fromLon };
+  const to = { name: row.to, lat: toLat, lon: toLon };
+  return {
+    id: index,
+    from,
+    to,
+    // Bulk maps can hold thousands of rows, so arcs get fewer segments than the single route
+    line: routeLine(from, to, row.geometry, 24),
+    label: row.error ? `${row.from} → ${row.to}: ${row.error}` : `${row.from} → ${row.to}: ${formatDistance(row.distance_km, units)}`,
+    error: row.error || null
+  };
+};
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { unwrapLongitudes, routeLine, bulkRowRoute } from './map';
+
+const units = { distanceUnit: 'km', precision: 1, numberLocale: 'en-US' };
+
+describe('unwrapLongitudes', () => {
+  it('continues eastwards across the antimeridian', () => {
+    expect(unwrapLongitudes([[0, 170], [0, 179], [0, -179], [0, -170]]))
+      .toEqual([[0, 170], [0, 179], [0, 181], [0, 190]]);
+  });
+
+  it('continues westwards across the antimeridian', () => {
+    expect(unwrapLongitudes([[0, -175], [0, 175]])).toEqual([[0, -175], [0, -185]]);
+  });
+
+  it('leaves ordinary lines alone', () => {
+    const line = [[51.5, -0.1], [48.9, 2.4]];
+    expect(unwrapLongitudes(line)).toEqual(line);
+  });
+});
+
+describe('routeLine', () => {
+  const from = { lat: 0, lon: 0 };
+  const to = { lat: 0, lon: 90 };
+
+  it('uses the road geometry when there is one', () => {
+    const geometry = [[0, 0], [1, 45], [0, 90]];
+    expect(routeLine(from, to, geometry)).toBe(geometry);
+  });
+
+  it('falls back to the great-circle arc', () => {
+    const line = routeLine(from, to, null, 4);
+    expect(line).toHaveLength(5);
+    expect(line[2][1]).toBeCloseTo(45, 9);
+  });
+});
+
+describe('bulkRowRoute', () => {
+  it('labels a finished row with its distance', () => {
+    const route = bulkRowRoute(
+      { from: 'A', to: 'B', from_lat: '0.0000', from_lon: '0.0000', to_lat: '0.0000', to_lon: '1.0000', distance_km: 111.2 },
+      7,
+      units
+    );
+    expect(route).toMatchObject({ id: 7, from: { name: 'A', lat: 0, lon: 0 }, to: { name: 'B', lat: 0, lon: 1 }, error: null });
+    expect(route.label).toBe('A → B: 111.2 km');
+  });
+
+  it('labels the distance in the chosen unit', () => {
+    const route = bulkRowRoute(
+      { from: 'A', to: 'B', from_lat: '0', from_lon: '0', to_lat: '0', to_lon: '1', distance_km: 100 },
+      0,
+      { ...units, distanceUnit: 'mi' }
+    );
+    expect(route.label).toBe('A → B: 62.1 mi');
+  });
+
+  it('labels a failed row with its error', () => {
+    const route = bulkRowRoute({ from: 'A', to: 'B', from_lat: '0', from_lon: '0', to_lat: '1', to_lon: '1', error: 'Road route not available' }, 0, units);
+    expect(route.error).toBe('Road route not available');
+    expect(route.label).toBe('A → B: Road route not available');
+  });
+
+  it('skips rows without coordinates', () => {
+    expect(bulkRowRoute({ from: 'A', to: 'B', from_lat: '-', from_lon: '-', to_lat: '1', to_lon: '1' }, 0, units)).toBeNull();
+  });
+});
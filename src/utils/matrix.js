@@ -0,0 +1,50 @@
+import { calculateDistance } from './geodesy';
+import { parseCoordinates } from './coordinates';
+
+// One place per line; blank lines and repeats are dropped (a repeated row/column adds nothing)
+export const parsePlaceList = (text) => [...new Set(
+  text.split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+)];
+
+// Coordinate lines (any format utils/coordinates reads, bar geohash) skip geocoding entirely
+export const parseCoordinatePair = (text) => {
+  const parsed = parseCoordinates(text, { geohash: false });
+  return parsed.ok ? { lat: parsed.lat, lon: parsed.lon } : null;
+};
+
+// Pull origin/destination lists out of uploaded rows (lowercased headers, like the bulk upload)
+const ORIGIN_COLUMNS = ['origin', 'origins', 'from'];
+const DESTINATION_COLUMNS = ['destination', 'destinations', 'to'];
+
+export const extractPlaceLists = (rows) => {
+  const headers = Object.keys(rows[0] || {});
+  const originKey = ORIGIN_COLUMNS.find(h => headers.includes(h)) || headers[0];
+  const destinationKey = DESTINATION_COLUMNS.find(h => headers.includes(h)) || headers[1];
+  const column = (key) => key ? [...new Set(rows.map(row => (row[key] || '').trim()).filter(Boolean))] : [];
+  return { origins: column(originKey), destinations: column(destinationKey) };
+};
+
+// Geocoded names (resolved: name -> result of the bulk geocoder) that matched several places or
+// matched weakly, as PlaceReview items: [{ name, reason, candidates }]
+export const ambiguousPlaces = (resolved) => Object.entries(resolved)
+  .filter(([, place]) => place?.ambiguous)
+  .map(([name, { reason, candidates }]) => ({ name, reason, candidates }));
+
+// places: [{ name, lat, lon } | { name, error }]; unresolved places give null cells
+export const buildAirMatrix = (origins, destinations, model) => origins.map(from => destinations.map(to => (
+  from.error || to.error ? null : calculateDistance(from.lat, from.lon, to.lat, to.lon, model)
+)));
+
+// Origins as rows, destinations as columns; values already formatted for the chosen metric
+export const matrixExport = (origins, destinations, grid, format) => {
+  const headers = ['origin', ...destinations.map(d => d.name)];
+  const rows = origins.map((origin, i) => {
+    const row = { origin: origin.name };
+    destinations.forEach((destination, j) => {
+      const value = grid[i][j];
+      row[destination.name] = value === null || value === undefined ? '' : format(value);
+    });
+    return row;
+  });
+  return { headers, rows };
+};
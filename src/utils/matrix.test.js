@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { parsePlaceList, parseCoordinatePair, extractPlaceLists, ambiguousPlaces, buildAirMatrix, matrixExport } from './matrix';
+import { haversineDistance } from './geodesy';
+import { toCsv } from './csv';
+
+describe('parsePlaceList', () => {
+  it('drops blank lines and repeats', () => {
+    expect(parsePlaceList('Delhi\n\n  Mumbai \r\nDelhi\n')).toEqual(['Delhi', 'Mumbai']);
+  });
+});
+
+describe('parseCoordinatePair', () => {
+  it('reads "lat, lon" lines', () => {
+    expect(parseCoordinatePair('28.6139, 77.2090')).toEqual({ lat: 28.6139, lon: 77.209 });
+    expect(parseCoordinatePair('-33.8688 151.2093')).toEqual({ lat: -33.8688, lon: 151.2093 });
+  });
+
+  it('leaves place names and out-of-range pairs to the geocoder', () => {
+    expect(parseCoordinatePair('Delhi')).toBeNull();
+    expect(parseCoordinatePair('95, 10')).toBeNull();
+  });
+});
+
+describe('extractPlaceLists', () => {
+  it('reads the origin and destination columns', () => {
+    const rows = [
+      { id: '1', origin: 'Delhi', destination: 'Goa' },
+      { id: '2', origin: 'Mumbai', destination: 'Goa' },
+      { id: '3', origin: ' Delhi ', destination: '' }
+    ];
+    expect(extractPlaceLists(rows)).toEqual({ origins: ['Delhi', 'Mumbai'], destinations: ['Goa'] });
+  });
+
+  it('falls back to the first two columns', () => {
+    expect(extractPlaceLists([{ a: 'Delhi', b: 'Goa' }])).toEqual({ origins: ['Delhi'], destinations: ['Goa'] });
+  });
+});
+
+describe('ambiguousPlaces', () => {
+  it('lists the names that need review with their candidates', () => {
+    const candidates = [
+      { display: 'Hyderabad, Telangana, India', lat: 17.385, lon: 78.4867, confidence: 0.9 },
+      { display: 'Hyderabad, Sindh, Pakistan', lat: 25.396, lon: 68.3578, confidence: 0.85 }
+    ];
+    const resolved = {
+      Delhi: { lat: 28.6139, lon: 77.209 },
+      Hyderabad: { lat: 17.385, lon: 78.4867, ambiguous: true, reason: 'Also matches Hyderabad, Sindh, Pakistan (1100 km away)', candidates },
+      Atlantis: null
+    };
+    expect(ambiguousPlaces(resolved)).toEqual([
+      { name: 'Hyderabad', reason: 'Also matches Hyderabad, Sindh, Pakistan (1100 km away)', candidates }
+    ]);
+    expect(ambiguousPlaces({ Delhi: resolved.Delhi })).toEqual([]);
+  });
+});
+
+describe('buildAirMatrix', () => {
+  it('has one row per origin and one column per destination', () => {
+    const origins = [{ name: 'A', lat: 0, lon: 0 }, { name: 'B', error: 'Location not found' }];
+    const destinations = [{ name: 'C', lat: 0, lon: 1 }, { name: 'D', lat: 1, lon: 0 }];
+    const grid = buildAirMatrix(origins, destinations, 'haversine');
+    expect(grid).toHaveLength(2);
+    expect(grid[0][0]).toBeCloseTo(haversineDistance(0, 0, 0, 1), 9);
+    expect(grid[0][1]).toBeCloseTo(haversineDistance(0, 0, 1, 0), 9);
+    expect(grid[1]).toEqual([null, null]);
+  });
+});
+
+describe('matrixExport', () => {
+  it('writes origins as rows and destinations as columns', () => {
+    const origins = [{ name: 'Delhi' }, { name: 'Mumbai' }];
+    const destinations = [{ name: 'Goa' }, { name: 'Jaipur' }];
+    const { headers, rows } = matrixExport(origins, destinations, [[1500.456, 236.9], [null, 1149]], (km) => km.toFixed(1));
+    expect(toCsv(headers, rows)).toBe('origin,Goa,Jaipur\nDelhi,1500.5,236.9\nMumbai,-,1149.0');
+  });
+});
@@ -0,0 +1,47 @@
+// Places settled by hand in the bulk review step. A remembered choice beats the caches,
+// the gazetteer and the geocoder on every later run, until it is forgotten.
+// Records: { key: normalised name, name, value: { lat, lon, display, source }, createdAt }
+import { withStore } from './db';
+import { normalizeName } from './gazetteer';
+
+const memory = new Map();
+
+export const getPlaceChoice = async (name) => {
+  const key = normalizeName(name);
+  if (!key) return null;
+  let record = memory.get(key);
+  if (!record) {
+    try {
+      record = await withStore('placeChoices', 'readonly', store => store.get(key));
+    } catch (err) {
+      console.error('Could not read place choices:', err);
+    }
+    if (record) memory.set(key, record);
+  }
+  return record ? record.value : null;
+};
+
+// choices: Map of name -> { lat, lon, display, source: 'candidate' | 'manual' }
+export const savePlaceChoices = async (choices) => {
+  const records = Array.from(choices, ([name, value]) => ({ key: normalizeName(name), name, value, createdAt: Date.now() }));
+  records.forEach(record => memory.set(record.key, record));
+  try {
+    await withStore('placeChoices', 'readwrite', store => { records.forEach(record => store.put(record)); });
+  } catch (err) {
+    console.error('Could not save place choices:', err);
+  }
+};
+
+export const countPlaceChoices = async () => {
+  try {
+    return (await withStore('placeChoices', 'readonly', store => store.count())) ?? memory.size;
+  } catch (err) {
+    console.error('Could not read place choices:', err);
+    return memory.size;
+  }
+};
+
+export const clearPlaceChoices = async () => {
+  memory.clear();
+  await withStore('placeChoices', 'readwrite', store => store.clear());
+};
@@ -0,0 +1,33 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getPlaceChoice, savePlaceChoices, countPlaceChoices, clearPlaceChoices } from './placeChoices';
+import { withStore } from './db';
+
+const hyderabad = { lat: 17.385, lon: 78.4867, display: 'Hyderabad, Telangana, India', source: 'candidate' };
+
+beforeEach(async () => {
+  await clearPlaceChoices();
+});
+
+describe('place choices', () => {
+  it('remembers a pick under its normalised name', async () => {
+    await savePlaceChoices(new Map([['Hyderabad', hyderabad]]));
+    expect(await getPlaceChoice('  HYDERABAD ')).toEqual(hyderabad);
+    expect(await withStore('placeChoices', 'readonly', store => store.get('hyderabad'))).toMatchObject({ name: 'Hyderabad', value: hyderabad });
+  });
+
+  it('counts and forgets picks', async () => {
+    await savePlaceChoices(new Map([
+      ['Hyderabad', hyderabad],
+      ['Springfield', { lat: 39.7817, lon: -89.6501, display: 'Springfield', source: 'manual' }]
+    ]));
+    expect(await countPlaceChoices()).toBe(2);
+    await clearPlaceChoices();
+    expect(await countPlaceChoices()).toBe(0);
+    expect(await getPlaceChoice('Hyderabad')).toBeNull();
+  });
+
+  it('has no choice for a blank name', async () => {
+    expect(await getPlaceChoice('  ')).toBeNull();
+  });
+});
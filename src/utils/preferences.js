@@ -0,0 +1,53 @@
+// App-wide user preferences persisted in localStorage (provider endpoints live in src/providers)
+
+import { DEFAULT_EMISSION_FACTORS } from './emissions';
+import { DEFAULT_COST_PROFILES } from './tripCost';
+
+const PREFERENCES_KEY = 'distanceCalculator.preferences';
+
+const env = import.meta.env;
+
+export const DEFAULT_PREFERENCES = {
+  // Only use the embedded gazetteer - no geocoding requests at all
+  offlineMode: false,
+  // Read bare UPPERCASE from/to values ("DEL", "VABB") in bulk files as airport codes without asking.
+  // Off: a code that is also a place name goes to place review.
+  bareAirportCodes: false,
+  // 'haversine' (spherical) or 'vincenty' (WGS-84 ellipsoid), see utils/geodesy
+  distanceModel: 'haversine',
+  // Raster tile template for the route map; empty = bundled offline world outline
+  mapTileUrl: env.VITE_MAP_TILE_URL ?? 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  mapAttribution: env.VITE_MAP_ATTRIBUTION ?? '&copy; OpenStreetMap contributors',
+  // Cache lifetimes in days (0 = never expire), see utils/cacheStore
+  geocodeCacheDays: 30,
+  roadCacheDays: 7,
+  // Display and export units, see utils/units. numberLocale '' = browser default
+  distanceUnit: 'km',
+  precision: 2,
+  numberLocale: '',
+  // Flight time estimates, see utils/flightTime. routingFactor 1.05 = 5% over the great circle
+  aircraftProfile: 'narrowbody',
+  customCruiseKmh: 800,
+  routingFactor: 1.05,
+  // CO2 estimates, see utils/emissions. emissionFactors is the editable factor set
+  cabinClass: 'economy',
+  vehicleType: 'petrol',
+  radiativeForcing: false,
+  emissionFactors: DEFAULT_EMISSION_FACTORS,
+  // Trip cost rate profiles, see utils/tripCost. costProfile is the id of the active one
+  costProfiles: DEFAULT_COST_PROFILES,
+  costProfile: 'standard'
+};
+
+export const loadPreferences = () => {
+  try {
+    return { ...DEFAULT_PREFERENCES, ...JSON.parse(localStorage.getItem(PREFERENCES_KEY) || '{}') };
+  } catch (err) {
+    console.warn('Ignoring invalid preferences:', err);
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+export const savePreferences = (preferences) => {
+  localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+};
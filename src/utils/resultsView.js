@@ -0,0 +1,101 @@
+// Sorting and filtering for the bulk results table. Exports can use the same view,
+// so a download matches what is on screen.
+import { toKm } from './units';
+import { DURATION_COLUMNS } from './travelModes';
+import { DISTANCE_MODELS } from './geodesy';
+
+export const DEFAULT_RESULTS_VIEW = {
+  query: '',
+  errorsOnly: false,
+  // Distance range in the display unit (utils/units)
+  minDistance: '',
+  maxDistance: '',
+  sortKey: null,
+  sortDir: 'asc'
+};
+
+// Columns the totals row adds up
+export const TOTAL_COLUMNS = [
+  'distance_km', 'flight_time_hours', 'block_time_hours', ...DURATION_COLUMNS, 'co2_kg',
+  'cost_airfare', 'cost_reimbursement', 'cost_fuel'
+];
+
+const NUMERIC_COLUMNS = new Set(['from_lat', 'from_lon', 'to_lat', 'to_lon', ...TOTAL_COLUMNS]);
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// '-', 'N/A' and blanks are not numbers
+const toNumber = (value) => {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+const toText = (value) => (value === undefined || value === null || value === '' || value === '-' ? null : String(value));
+
+export const isFilteredView = (view) =>
+  view.query.trim() !== '' || view.errorsOnly || toNumber(view.minDistance) !== null || toNumber(view.maxDistance) !== null;
+
+// Text matches from/to names (and airport names); the distance range drops rows without a distance
+export const filterResults = (results, view, units) => {
+  if (!isFilteredView(view)) return results;
+
+  const needle = view.query.trim().toLowerCase();
+  const min = toKm(view.minDistance, units);
+  const max = toKm(view.maxDistance, units);
+
+  return results.filter(row => {
+    if (view.errorsOnly && !row.error) return false;
+    if (needle && ![row.from, row.to, row.from_airport, row.to_airport]
+      .some(value => value && String(value).toLowerCase().includes(needle))) return false;
+    if (min !== null || max !== null) {
+      const km = toNumber(row.distance_km);
+      if (km === null) return false;
+      if (min !== null && km < min) return false;
+      if (max !== null && km > max) return false;
+    }
+    return true;
+  });
+};
+
+// Numbers sort numerically, text naturally ("Row 2" before "Row 10"); missing values always go last
+export const sortResults = (results, { sortKey, sortDir }) => {
+  if (!sortKey) return results;
+
+  const direction = sortDir === 'desc' ? -1 : 1;
+  const numeric = NUMERIC_COLUMNS.has(sortKey);
+  const valueOf = numeric ? (row) => toNumber(row[sortKey]) : (row) => toText(row[sortKey]);
+
+  return results
+    .map(row => ({ row, value: valueOf(row) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        return a.value === null ? (b.value === null ? 0 : 1) : -1;
+      }
+      return direction * (numeric ? a.value - b.value : collator.compare(a.value, b.value));
+    })
+    .map(({ row }) => row);
+};
+
+// Sums for the totals row; failed rows ('-', 'N/A') add nothing
+export const columnTotals = (results) => Object.fromEntries(TOTAL_COLUMNS.map(key => [
+  key,
+  results.reduce((sum, row) => sum + (toNumber(row[key]) ?? 0), 0)
+]));
+
+export const applyResultsView = (results, view, units) => sortResults(filterResults(results, view, units), view);
+
+// Click cycles a column: ascending -> descending -> input order
+export const toggleSort = (view, key) => {
+  if (view.sortKey !== key) return { ...view, sortKey: key, sortDir: 'asc' };
+  if (view.sortDir === 'asc') return { ...view, sortDir: 'desc' };
+  return { ...view, sortKey: null, sortDir: 'asc' };
+};
+
+// Air rows record the distance model they were calculated with (distance_model, the model's
+// short name). Changing the model keeps finished results; this returns the id of the model they
+// used when it is no longer the current one, or null.
+export const outdatedDistanceModel = (results, distanceModel) => {
+  const used = results.find(row => row.distance_model)?.distance_model;
+  if (!used || used === DISTANCE_MODELS[distanceModel]?.short) return null;
+  return Object.keys(DISTANCE_MODELS).find(id => DISTANCE_MODELS[id].short === used) || null;
+};
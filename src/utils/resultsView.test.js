@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RESULTS_VIEW, filterResults, sortResults, toggleSort, applyResultsView, isFilteredView, columnTotals, outdatedDistanceModel } from './resultsView';
+import { airResultRow } from './bulkRows';
+import { flightModelFrom } from './flightTime';
+import { emissionSettingsFrom } from './emissions';
+import { costProfileFrom } from './tripCost';
+
+const km = { distanceUnit: 'km', precision: 2, numberLocale: 'en-US' };
+const miles = { ...km, distanceUnit: 'mi' };
+
+const rows = [
+  { from: 'Row 10', to: 'Paris', distance_km: 300 },
+  { from: 'Row 2', to: 'Berlin', distance_km: 50, from_airport: 'Tegel' },
+  { from: 'Row 1', to: 'Madrid', distance_km: '-', error: 'Geocoding failed' },
+  { from: 'Row 3', to: 'Rome', distance_km: 1200 }
+];
+
+const view = (changes) => ({ ...DEFAULT_RESULTS_VIEW, ...changes });
+
+describe('filterResults', () => {
+  it('returns the same array when nothing is filtered', () => {
+    expect(isFilteredView(DEFAULT_RESULTS_VIEW)).toBe(false);
+    expect(filterResults(rows, DEFAULT_RESULTS_VIEW, km)).toBe(rows);
+  });
+
+  it('matches names and airport names case-insensitively', () => {
+    expect(filterResults(rows, view({ query: 'PAR' }), km).map(r => r.to)).toEqual(['Paris']);
+    expect(filterResults(rows, view({ query: 'tegel' }), km).map(r => r.to)).toEqual(['Berlin']);
+  });
+
+  it('keeps only errors', () => {
+    expect(filterResults(rows, view({ errorsOnly: true }), km).map(r => r.to)).toEqual(['Madrid']);
+  });
+
+  it('filters by a distance range and drops rows without a distance', () => {
+    expect(filterResults(rows, view({ minDistance: '100', maxDistance: '1000' }), km).map(r => r.to)).toEqual(['Paris']);
+  });
+
+  it('reads the range in the display unit', () => {
+    // 100 mi is about 161 km
+    expect(filterResults(rows, view({ maxDistance: '100' }), miles).map(r => r.to)).toEqual(['Berlin']);
+  });
+});
+
+describe('sortResults', () => {
+  it('sorts numbers numerically with missing values last', () => {
+    const sorted = sortResults(rows, { sortKey: 'distance_km', sortDir: 'asc' });
+    expect(sorted.map(r => r.to)).toEqual(['Berlin', 'Paris', 'Rome', 'Madrid']);
+    const reversed = sortResults(rows, { sortKey: 'distance_km', sortDir: 'desc' });
+    expect(reversed.map(r => r.to)).toEqual(['Rome', 'Paris', 'Berlin', 'Madrid']);
+  });
+
+  it('sorts text naturally', () => {
+    expect(sortResults(rows, { sortKey: 'from', sortDir: 'asc' }).map(r => r.from))
+      .toEqual(['Row 1', 'Row 2', 'Row 3', 'Row 10']);
+  });
+
+  it('keeps input order without a sort key', () => {
+    expect(sortResults(rows, DEFAULT_RESULTS_VIEW)).toBe(rows);
+  });
+});
+
+describe('toggleSort', () => {
+  it('cycles ascending, descending, unsorted', () => {
+    const asc = toggleSort(DEFAULT_RESULTS_VIEW, 'to');
+    expect(asc).toMatchObject({ sortKey: 'to', sortDir: 'asc' });
+    const desc = toggleSort(asc, 'to');
+    expect(desc).toMatchObject({ sortKey: 'to', sortDir: 'desc' });
+    expect(toggleSort(desc, 'to')).toMatchObject({ sortKey: null, sortDir: 'asc' });
+    expect(toggleSort(desc, 'from')).toMatchObject({ sortKey: 'from', sortDir: 'asc' });
+  });
+});
+
+describe('applyResultsView', () => {
+  it('filters, then sorts', () => {
+    const result = applyResultsView(rows, view({ minDistance: '10', sortKey: 'distance_km', sortDir: 'desc' }), km);
+    expect(result.map(r => r.to)).toEqual(['Rome', 'Paris', 'Berlin']);
+  });
+});
+
+describe('columnTotals', () => {
+  it('adds up distances, times, emissions and costs, skipping failed rows', () => {
+    const totals = columnTotals([
+      { distance_km: 100, flight_time_hours: 0.5, co2_kg: 15.2, cost_reimbursement: '45.00', cost_airfare: 'N/A' },
+      { distance_km: 250.5, drive_time_hours: 3, drive_time_minutes: 180, cost_reimbursement: '112.73', cost_fuel: '20.04' },
+      { distance_km: '-', error: 'Geocoding failed' }
+    ]);
+    expect(totals).toMatchObject({
+      distance_km: 350.5,
+      flight_time_hours: 0.5,
+      drive_time_hours: 3,
+      drive_time_minutes: 180,
+      co2_kg: 15.2,
+      cost_airfare: 0,
+      cost_fuel: 20.04
+    });
+    expect(totals.cost_reimbursement).toBeCloseTo(157.73, 9);
+  });
+
+  it('adds up the duration columns of every travel mode', () => {
+    const totals = columnTotals([{ ride_time_hours: 1.5, walk_time_minutes: 40 }, { ride_time_hours: 2, walk_time_minutes: 20 }]);
+    expect(totals).toMatchObject({ ride_time_hours: 3.5, walk_time_minutes: 60 });
+  });
+});
+
+describe('outdatedDistanceModel', () => {
+  const haversineRows = [
+    { from: 'Delhi', to: 'Mumbai', from_lat: '28.6139', from_lon: '77.209', to_lat: '19.076', to_lon: '72.8777' },
+    { from: 'Paris', to: 'Rome', from_lat: '48.8566', from_lon: '2.3522', to_lat: '41.9028', to_lon: '12.4964' }
+  ].map(row => airResultRow(row, 'haversine', flightModelFrom({}), emissionSettingsFrom({}), costProfileFrom({})));
+
+  it('keeps results from before a model change and names the model they used', () => {
+    // What the table shows after the model is switched in single mode
+    expect(applyResultsView(haversineRows, DEFAULT_RESULTS_VIEW, km)).toBe(haversineRows);
+    expect(outdatedDistanceModel(haversineRows, 'vincenty')).toBe('haversine');
+    expect(haversineRows.map(row => row.distance_model)).toEqual(['haversine', 'haversine']);
+  });
+
+  it('has nothing to report for the current model or rows without one', () => {
+    expect(outdatedDistanceModel(haversineRows, 'haversine')).toBeNull();
+    expect(outdatedDistanceModel(rows, 'vincenty')).toBeNull();
+    expect(outdatedDistanceModel([], 'vincenty')).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+// xlsx is large - only pull it in when a workbook is actually used
+const loadXLSX = () => import('xlsx');
+
+// Excel limits sheet names to 31 chars and forbids a few characters
+const MAX_SHEET_NAME = 31;
+
+export const isExcelFile = (file) => /\.(xlsx|xls)$/i.test(file?.name || '');
+
+// Mirror Papa's transformHeader/transform so workbook rows look exactly like CSV rows
+const normalizeSheetRow = (row) => {
+  const normalized = {};
+  Object.entries(row).forEach(([key, value]) => {
+    normalized[key.trim().toLowerCase()] = value === null || value === undefined ? '' : String(value).trim();
+  });
+  return normalized;
+};
+
+export const readWorkbook = async (file) => {
+  const XLSX = await loadXLSX();
+  const buffer = await file.arrayBuffer();
+  const workbook = XLSX.read(buffer, { type: 'array' });
+
+  const sheets = {};
+  workbook.SheetNames.forEach(name => {
+    // raw: true keeps full coordinate precision instead of the cell's display format
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: '', raw: true });
+    sheets[name] = rows.map(normalizeSheetRow);
+  });
+
+  return { fileName: file.name, sheetNames: workbook.SheetNames, sheets };
+};
+
+const safeSheetName = (name, used) => {
+  const base = (name || 'Results').replace(/[\\/?*[\]:]/g, '_').slice(0, MAX_SHEET_NAME) || 'Results';
+  let candidate = base;
+  let n = 2;
+  while (used.has(candidate)) {
+    const suffix = ` (${n++})`;
+    candidate = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+  }
+  used.add(candidate);
+  return candidate;
+};
+
+// sheets: [{ name, rows }] - one output sheet per entry
+export const downloadWorkbook = async (sheets, headers, fileName) => {
+  const XLSX = await loadXLSX();
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+
+  sheets.forEach(({ name, rows }) => {
+    const data = rows.map(row => {
+      const out = {};
+      headers.forEach(header => {
+        const value = row[header];
+        if (value === undefined || value === null || value === '') {
+          out[header] = '-';
+        } else if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+          // Store "123.45" as a real number so Excel can sum/sort it
+          out[header] = Number(value);
+        } else {
+          out[header] = value;
+        }
+      });
+      return out;
+    });
+    const worksheet = XLSX.utils.json_to_sheet(data, { header: headers });
+    XLSX.utils.book_append_sheet(workbook, worksheet, safeSheetName(name, used));
+  });
+
+  XLSX.writeFile(workbook, fileName);
+};
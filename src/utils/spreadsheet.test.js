@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as XLSX from 'xlsx';
+import { isExcelFile, readWorkbook, downloadWorkbook } from './spreadsheet';
+
+// Capture the workbook instead of writing it to disk
+vi.mock('xlsx', async (importOriginal) => ({ ...(await importOriginal()), writeFile: vi.fn() }));
+
+// A File-like object holding a workbook with one sheet per entry of sheets ({ name: rows })
+const workbookFile = (name, sheets) => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName);
+  });
+  const data = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+  return { name, arrayBuffer: async () => data };
+};
+
+const sheetRows = (workbook, name) => XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: '' });
+
+beforeEach(() => {
+  XLSX.writeFile.mockClear();
+});
+
+describe('isExcelFile', () => {
+  it('recognises workbooks by extension', () => {
+    expect(isExcelFile({ name: 'routes.xlsx' })).toBe(true);
+    expect(isExcelFile({ name: 'ROUTES.XLS' })).toBe(true);
+    expect(isExcelFile({ name: 'routes.csv' })).toBe(false);
+    expect(isExcelFile(null)).toBe(false);
+  });
+});
+
+describe('readWorkbook', () => {
+  it('reads every sheet with CSV-style headers and values', async () => {
+    const file = workbookFile('routes.xlsx', {
+      India: [[' From ', 'TO', 'From_Lat'], ['Delhi ', 'Mumbai', 28.613912345], ['Pune', null, '']],
+      Europe: [['from', 'to'], ['Paris', 'Berlin']]
+    });
+    const { fileName, sheetNames, sheets } = await readWorkbook(file);
+    expect(fileName).toBe('routes.xlsx');
+    expect(sheetNames).toEqual(['India', 'Europe']);
+    expect(sheets.India).toEqual([
+      { from: 'Delhi', to: 'Mumbai', from_lat: '28.613912345' },
+      { from: 'Pune', to: '', from_lat: '' }
+    ]);
+    expect(sheets.Europe).toEqual([{ from: 'Paris', to: 'Berlin' }]);
+  });
+});
+
+describe('downloadWorkbook', () => {
+  it('writes one sheet per entry with numbers stored as numbers', async () => {
+    await downloadWorkbook(
+      [{ name: 'India', rows: [{ from: 'Delhi', to: 'Mumbai', distance_km: '1148.12', note: '' }] }],
+      ['from', 'to', 'distance_km', 'note'],
+      'results.xlsx'
+    );
+    const [workbook, fileName] = XLSX.writeFile.mock.calls[0];
+    expect(fileName).toBe('results.xlsx');
+    expect(workbook.SheetNames).toEqual(['India']);
+    expect(sheetRows(workbook, 'India')).toEqual([{ from: 'Delhi', to: 'Mumbai', distance_km: 1148.12, note: '-' }]);
+  });
+
+  it('makes sheet names valid and unique', async () => {
+    const long = 'Quarterly routes for the northern region';
+    await downloadWorkbook(
+      [{ name: 'a/b:c', rows: [] }, { name: long, rows: [] }, { name: long, rows: [] }, { name: '', rows: [] }],
+      ['from'],
+      'results.xlsx'
+    );
+    const [workbook] = XLSX.writeFile.mock.calls[0];
+    expect(workbook.SheetNames).toEqual(['a_b_c', long.slice(0, 31), `${long.slice(0, 27)} (2)`, 'Results']);
+  });
+});
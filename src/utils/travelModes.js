@@ -0,0 +1,88 @@
+// Travel modes for single and bulk mode. Air is the great circle; every other mode is routed,
+// using the routing profile configured for it (⚙️ Settings → Routing). Result rows keep the
+// route duration in mode-specific columns, e.g. ride_time_hours / ride_time_minutes for cycling.
+// Motor modes (avoidable) can avoid tolls, motorways or ferries when the routing profile supports it.
+
+export const TRAVEL_MODES = {
+  air: { label: 'Air', icon: '✈️' },
+  road: {
+    label: 'Car',
+    icon: '🚗',
+    routeLabel: 'Road',
+    durationLabel: 'Drive Time',
+    durationPrefix: 'drive_time',
+    avoidable: true,
+    info: 'Road distance shows actual driving route via roads',
+    rowError: 'Road route not available',
+    routeError: 'Unable to calculate road distance. The locations may be too far apart, not connected by road, or separated by water.'
+  },
+  truck: {
+    label: 'Truck',
+    icon: '🚚',
+    routeLabel: 'Truck',
+    durationLabel: 'Drive Time',
+    durationPrefix: 'drive_time',
+    avoidable: true,
+    info: 'Truck distance follows roads open to heavy vehicles, using the truck profile of the routing server',
+    rowError: 'Truck route not available',
+    routeError: 'Unable to calculate a truck route. The roads may be closed to heavy vehicles, or the routing server may have no truck profile.'
+  },
+  cycling: {
+    label: 'Bike',
+    icon: '🚴',
+    routeLabel: 'Cycling',
+    durationLabel: 'Ride Time',
+    durationPrefix: 'ride_time',
+    info: 'Cycling distance follows roads and paths open to bicycles',
+    rowError: 'Cycling route not available',
+    routeError: 'Unable to calculate a cycling route. The places may not be connected by roads or paths open to bicycles.'
+  },
+  walking: {
+    label: 'Foot',
+    icon: '🚶',
+    routeLabel: 'Walking',
+    durationLabel: 'Walking Time',
+    durationPrefix: 'walk_time',
+    info: 'Walking distance follows footpaths and walkable roads',
+    rowError: 'Walking route not available',
+    routeError: 'Unable to calculate a walking route. The places may not be connected by walkable roads or paths.'
+  }
+};
+
+export const ROUTED_MODES = ['road', 'truck', 'cycling', 'walking'];
+
+export const isRoutedMode = (mode) => ROUTED_MODES.includes(mode);
+
+// [hoursKey, minutesKey] of a routed mode's duration columns
+export const durationKeys = (mode) => {
+  const prefix = (TRAVEL_MODES[mode] || TRAVEL_MODES.road).durationPrefix;
+  return [`${prefix}_hours`, `${prefix}_minutes`];
+};
+
+// Every duration column any routed mode can produce
+export const DURATION_COLUMNS = [...new Set(ROUTED_MODES.flatMap(durationKeys))];
+
+export const describeMode = (mode) => `${TRAVEL_MODES[mode].icon} ${TRAVEL_MODES[mode].label}`;
+
+// OSRM exclude classes, in the order they are sent and recorded
+export const ROUTE_CONSTRAINTS = {
+  toll: 'tolls',
+  motorway: 'motorways',
+  ferry: 'ferries'
+};
+
+// The constraints that apply to a mode; cycling and walking ignore them
+export const routeExcludes = (mode, avoid) =>
+  (TRAVEL_MODES[mode]?.avoidable ? Object.keys(ROUTE_CONSTRAINTS).filter(key => avoid.includes(key)) : []);
+
+// route_constraints export value, e.g. 'avoid tolls, ferries'
+export const describeConstraints = (excludes) =>
+  (excludes.length ? `avoid ${excludes.map(key => ROUTE_CONSTRAINTS[key]).join(', ')}` : 'none');
+
+// Road cache key for a route through points under a routing profile. Two-point routes without
+// options keep the keys they had before multi-stop routes and constraints were cached.
+export const routeCacheKey = (profile, points, { geometry = 'none', exclude = [], alternatives = 0 } = {}) => {
+  const stops = points.map(({ lat, lon }) => `${lat.toFixed(4)},${lon.toFixed(4)}`).join('-');
+  const options = `${exclude.length ? `|avoid:${exclude.join(',')}` : ''}${alternatives ? `|alt:${alternatives}` : ''}`;
+  return `${profile}|${stops}|${geometry}${options}`;
+};
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { routeExcludes, describeConstraints, routeCacheKey } from './travelModes';
+
+const delhi = { lat: 28.61394, lon: 77.20902 };
+const jaipur = { lat: 26.91243, lon: 75.78727 };
+const agra = { lat: 27.17667, lon: 78.00807 };
+
+describe('routeExcludes', () => {
+  it('keeps the avoid options motor modes can honour, in a fixed order', () => {
+    expect(routeExcludes('road', ['ferry', 'toll'])).toEqual(['toll', 'ferry']);
+    expect(routeExcludes('walking', ['ferry', 'toll'])).toEqual([]);
+    expect(describeConstraints(['toll', 'ferry'])).toBe('avoid tolls, ferries');
+    expect(describeConstraints([])).toBe('none');
+  });
+});
+
+describe('routeCacheKey', () => {
+  it('keeps the key format of two-point routes', () => {
+    expect(routeCacheKey('driving', [delhi, jaipur], { geometry: 'simplified' }))
+      .toBe('driving|28.6139,77.2090-26.9124,75.7873|simplified');
+  });
+
+  it('keys multi-stop routes on every stop in order', () => {
+    expect(routeCacheKey('driving', [delhi, agra, jaipur])).toBe('driving|28.6139,77.2090-27.1767,78.0081-26.9124,75.7873|none');
+    expect(routeCacheKey('driving', [delhi, jaipur, agra])).not.toBe(routeCacheKey('driving', [delhi, agra, jaipur]));
+  });
+
+  it('adds the avoid options and alternatives', () => {
+    expect(routeCacheKey('hgv', [delhi, jaipur], { geometry: 'full', exclude: ['toll', 'ferry'], alternatives: 2 }))
+      .toBe('hgv|28.6139,77.2090-26.9124,75.7873|full|avoid:toll,ferry|alt:2');
+  });
+});
@@ -0,0 +1,93 @@
+// Trip costs for travel claims (⚙️ Settings → Trip cost). Rates live in named profiles, each
+// in one currency:
+//   road: reimbursement = distance × mileage rate (per km or per mile)
+//         fuel          = km × consumption (L/100 km) / 100 × price per litre
+//   air:  airfare       = base fare + km × per-km fare - a rough heuristic, not a quote
+// Cycling and walking cost nothing. Amounts are rounded to the currency's minor unit (cents, or
+// whole yen) when calculated.
+
+export const CURRENCIES = ['EUR', 'USD', 'GBP', 'INR', 'CHF', 'CAD', 'AUD', 'JPY'];
+
+export const RATE_UNITS = {
+  km: { label: 'per km', perKm: 1 },
+  mi: { label: 'per mile', perKm: 1 / 1.609344 }
+};
+
+export const DEFAULT_COST_PROFILES = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    currency: 'EUR',
+    rateUnit: 'km',
+    mileageRate: 0.3,
+    fuelConsumption: 7,
+    fuelPrice: 1.8,
+    airfareBase: 50,
+    airfarePerKm: 0.1
+  },
+  {
+    id: 'irs',
+    name: 'US IRS mileage',
+    currency: 'USD',
+    rateUnit: 'mi',
+    mileageRate: 0.67,
+    fuelConsumption: 9,
+    fuelPrice: 0.95,
+    airfareBase: 60,
+    airfarePerKm: 0.09
+  }
+];
+
+export const COST_EXPORT_HEADERS = {
+  air: ['cost_airfare', 'cost_currency'],
+  road: ['cost_reimbursement', 'cost_fuel', 'cost_currency']
+};
+
+// The active profile as a plain object, for the parsing worker and job checkpoints
+export const costProfileFrom = (preferences) => {
+  const profiles = preferences.costProfiles?.length ? preferences.costProfiles : DEFAULT_COST_PROFILES;
+  return profiles.find(profile => profile.id === preferences.costProfile) || profiles[0];
+};
+
+const minorUnits = new Map();
+export const roundMoney = (amount, currency) => {
+  if (!minorUnits.has(currency)) {
+    minorUnits.set(currency, new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits);
+  }
+  const factor = 10 ** minorUnits.get(currency);
+  return Math.round(amount * factor) / factor;
+};
+
+// { reimbursement, fuel } for a road trip of km
+export const roadCost = (km, profile) => {
+  const perKm = profile.mileageRate * RATE_UNITS[profile.rateUnit].perKm;
+  return {
+    reimbursement: roundMoney(km * perKm, profile.currency),
+    fuel: roundMoney((km * profile.fuelConsumption / 100) * profile.fuelPrice, profile.currency)
+  };
+};
+
+export const airfare = (km, profile) => roundMoney(profile.airfareBase + km * profile.airfarePerKm, profile.currency);
+
+// Result/export columns for a finished row
+export const tripCostColumns = (km, travelMode, profile) => {
+  if (travelMode === 'air') {
+    return { cost_airfare: airfare(km, profile), cost_currency: profile.currency };
+  }
+  const { reimbursement, fuel } = travelMode === 'cycling' || travelMode === 'walking'
+    ? { reimbursement: 0, fuel: 0 }
+    : roadCost(km, profile);
+  return { cost_reimbursement: reimbursement, cost_fuel: fuel, cost_currency: profile.currency };
+};
+
+const currencyFormatters = new Map();
+
+// Locale-formatted amount with its currency symbol; placeholders come back untouched
+export const formatMoney = (amount, currency, units) => {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) return amount ?? '-';
+  const key = `${units.numberLocale}|${currency}`;
+  if (!currencyFormatters.has(key)) {
+    currencyFormatters.set(key, new Intl.NumberFormat(units.numberLocale || undefined, { style: 'currency', currency }));
+  }
+  return currencyFormatters.get(key).format(amount);
+};
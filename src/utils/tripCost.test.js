@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { costProfileFrom, roadCost, airfare, roundMoney, tripCostColumns, formatMoney, DEFAULT_COST_PROFILES } from './tripCost';
+import { columnTotals } from './resultsView';
+
+const standard = costProfileFrom({});
+const irs = costProfileFrom({ costProfile: 'irs' });
+const yen = { ...standard, id: 'jp', currency: 'JPY', mileageRate: 15, fuelPrice: 170, airfareBase: 8000, airfarePerKm: 12 };
+
+describe('costProfileFrom', () => {
+  it('picks the active profile, falling back to the first', () => {
+    expect(standard).toBe(DEFAULT_COST_PROFILES[0]);
+    expect(irs.currency).toBe('USD');
+    expect(costProfileFrom({ costProfile: 'gone' })).toBe(DEFAULT_COST_PROFILES[0]);
+    expect(costProfileFrom({ costProfiles: [yen], costProfile: 'irs' })).toBe(yen);
+  });
+});
+
+describe('roadCost', () => {
+  it('applies a per-km rate to km', () => {
+    // 100 km × €0.30; 100 km × 7 L/100 km × €1.80
+    expect(roadCost(100, standard)).toEqual({ reimbursement: 30, fuel: 12.6 });
+  });
+
+  it('applies a per-mile rate to miles but fuel to km', () => {
+    // 100 mi × $0.67; 160.9344 km × 9 L/100 km × $0.95 = 13.7599
+    expect(roadCost(160.9344, irs)).toEqual({ reimbursement: 67, fuel: 13.76 });
+  });
+
+  it('rounds to whole yen', () => {
+    // 12.34 km × ¥15 = 185.1; 12.34 km × 7 / 100 × ¥170 = 146.846
+    expect(roadCost(12.34, yen)).toEqual({ reimbursement: 185, fuel: 147 });
+  });
+});
+
+describe('airfare', () => {
+  it('is the base fare plus the per-km fare', () => {
+    expect(airfare(1000, standard)).toBe(150);
+    expect(airfare(2500, irs)).toBe(285);
+    expect(airfare(0, standard)).toBe(50);
+    expect(airfare(123.456, yen)).toBe(9481);
+  });
+});
+
+describe('roundMoney', () => {
+  it('rounds to the minor unit of the currency', () => {
+    expect(roundMoney(12.3456, 'EUR')).toBe(12.35);
+    expect(roundMoney(12.3456, 'JPY')).toBe(12);
+  });
+});
+
+describe('tripCostColumns', () => {
+  it('gives air rows an airfare and road rows reimbursement and fuel', () => {
+    expect(tripCostColumns(1000, 'air', standard)).toEqual({ cost_airfare: 150, cost_currency: 'EUR' });
+    expect(tripCostColumns(100, 'road', standard)).toEqual({ cost_reimbursement: 30, cost_fuel: 12.6, cost_currency: 'EUR' });
+  });
+
+  it.each(['cycling', 'walking'])('costs nothing for %s', (travelMode) => {
+    expect(tripCostColumns(100, travelMode, standard)).toEqual({ cost_reimbursement: 0, cost_fuel: 0, cost_currency: 'EUR' });
+  });
+});
+
+describe('bulk totals', () => {
+  it('adds up the cost columns of every row', () => {
+    const rows = [
+      { distance_km: 100, ...tripCostColumns(100, 'road', standard) },
+      { distance_km: 250, ...tripCostColumns(250, 'road', standard) },
+      { distance_km: '-', error: 'Road route not available' }
+    ];
+    expect(columnTotals(rows)).toMatchObject({ distance_km: 350, cost_reimbursement: 105, cost_fuel: 44.1, cost_airfare: 0 });
+  });
+});
+
+describe('formatMoney', () => {
+  it('formats with the currency symbol in the chosen locale', () => {
+    expect(formatMoney(1234.5, 'EUR', { numberLocale: 'en-US' })).toBe('€1,234.50');
+    expect(formatMoney(1234.5, 'EUR', { numberLocale: 'de-DE' })).toBe('1.234,50\u00a0€');
+    expect(formatMoney(1234, 'JPY', { numberLocale: 'en-US' })).toBe('¥1,234');
+  });
+
+  it('passes placeholders through', () => {
+    expect(formatMoney('N/A', 'EUR', { numberLocale: 'en-US' })).toBe('N/A');
+    expect(formatMoney(undefined, 'EUR', { numberLocale: 'en-US' })).toBe('-');
+  });
+});
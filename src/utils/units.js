@@ -0,0 +1,86 @@
+// Output units and number formatting (⚙️ Settings → Units). Distances are calculated and kept
+// in km everywhere; converting and rounding only happen for display and for the unit columns
+// that exports carry next to the raw values.
+// units: { distanceUnit, precision, numberLocale } - the matching fields of utils/preferences
+
+export const DISTANCE_UNITS = {
+  km: { label: 'Kilometres', short: 'km', perKm: 1 },
+  mi: { label: 'Statute miles', short: 'mi', perKm: 1 / 1.609344 },
+  nmi: { label: 'Nautical miles', short: 'nmi', perKm: 1 / 1.852 },
+  m: { label: 'Metres', short: 'm', perKm: 1000 }
+};
+
+// '' follows the browser's language
+export const NUMBER_LOCALES = {
+  '': 'Browser default',
+  'en-US': 'English (US) - 1,234.56',
+  'en-GB': 'English (UK) - 1,234.56',
+  'en-IN': 'English (India) - 1,23,456.78',
+  'de-DE': 'German - 1.234,56',
+  'fr-FR': 'French - 1 234,56',
+  'es-ES': 'Spanish - 1234,56',
+  'ja-JP': 'Japanese - 1,234.56'
+};
+
+export const MAX_PRECISION = 6;
+
+// Times are always shown to a tenth of an hour, whatever the distance precision
+const HOURS_PRECISION = 1;
+
+const toNumber = (value) => {
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+const unitOf = (units) => DISTANCE_UNITS[units.distanceUnit] || DISTANCE_UNITS.km;
+
+const formatters = new Map();
+const numberFormat = (locale, digits) => {
+  const key = `${locale}|${digits}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale || undefined, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }));
+  }
+  return formatters.get(key);
+};
+
+export const convertKm = (km, unit) => km * (DISTANCE_UNITS[unit] || DISTANCE_UNITS.km).perKm;
+
+export const unitLabel = (units) => unitOf(units).short;
+
+// Locale-formatted number; placeholders such as '-' and 'N/A' come back untouched
+export const formatNumber = (value, units, digits = units.precision) => {
+  const num = toNumber(value);
+  if (num === null) return value === undefined || value === null || value === '' ? '-' : value;
+  return numberFormat(units.numberLocale, digits).format(num);
+};
+
+// km -> "1,234.57 mi" in the chosen unit; withUnit: false for table cells under a labelled header
+export const formatDistance = (km, units, { withUnit = true } = {}) => {
+  const num = toNumber(km);
+  if (num === null) return formatNumber(km, units);
+  const text = formatNumber(convertKm(num, units.distanceUnit), units);
+  return withUnit ? `${text} ${unitLabel(units)}` : text;
+};
+
+export const formatHours = (hours, units) => formatNumber(hours, units, HOURS_PRECISION);
+
+// A distance the user typed (filters) back to km
+export const toKm = (value, units) => {
+  const num = toNumber(value);
+  return num === null ? null : num / unitOf(units).perKm;
+};
+
+// Export columns in the chosen unit. Plain '.' decimals at the chosen precision, not the display
+// locale, so spreadsheets still read them as numbers. Raw km stays in its own column.
+export const UNIT_EXPORT_HEADERS = ['distance', 'distance_unit'];
+
+export const unitColumns = (km, units) => {
+  const num = toNumber(km);
+  return {
+    distance: num === null ? km : convertKm(num, units.distanceUnit).toFixed(units.precision),
+    distance_unit: unitLabel(units)
+  };
+};
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { convertKm, unitLabel, formatNumber, formatDistance, formatHours, toKm, unitColumns, UNIT_EXPORT_HEADERS } from './units';
+import { toCsv } from './csv';
+
+const units = (overrides = {}) => ({ distanceUnit: 'km', precision: 2, numberLocale: 'en-US', ...overrides });
+
+describe('convertKm', () => {
+  it.each([
+    ['km', 1000, 1000],
+    ['mi', 1609.344, 1000],
+    ['nmi', 1852, 1000],
+    ['m', 1.5, 1500]
+  ])('converts to %s', (unit, km, expected) => {
+    expect(convertKm(km, unit)).toBeCloseTo(expected, 9);
+  });
+
+  it('falls back to km for an unknown unit', () => {
+    expect(convertKm(42, 'furlong')).toBe(42);
+  });
+});
+
+describe('toKm', () => {
+  it('reads a value typed in the chosen unit back as km', () => {
+    expect(toKm('100', units({ distanceUnit: 'mi' }))).toBeCloseTo(160.9344, 9);
+    expect(toKm(100, units({ distanceUnit: 'nmi' }))).toBeCloseTo(185.2, 9);
+    expect(toKm('2500', units({ distanceUnit: 'm' }))).toBe(2.5);
+    expect(toKm('', units())).toBeNull();
+  });
+});
+
+describe('formatNumber', () => {
+  it('rounds to the chosen precision', () => {
+    expect(formatNumber(1234.5678, units({ precision: 0 }))).toBe('1,235');
+    expect(formatNumber(1234.5678, units({ precision: 1 }))).toBe('1,234.6');
+    expect(formatNumber('1234.5678', units({ precision: 3 }))).toBe('1,234.568');
+    expect(formatNumber(2, units({ precision: 2 }))).toBe('2.00');
+  });
+
+  it.each([
+    ['en-US', '1,234,567.89'],
+    ['en-IN', '12,34,567.89'],
+    ['de-DE', '1.234.567,89'],
+    ['fr-FR', '1\u202f234\u202f567,89']
+  ])('groups and separates decimals for %s', (numberLocale, expected) => {
+    expect(formatNumber(1234567.891, units({ numberLocale }))).toBe(expected);
+  });
+
+  it('passes placeholders through', () => {
+    expect(formatNumber('N/A', units())).toBe('N/A');
+    expect(formatNumber('', units())).toBe('-');
+    expect(formatNumber(undefined, units())).toBe('-');
+  });
+});
+
+describe('formatDistance', () => {
+  it('converts and labels the distance', () => {
+    expect(formatDistance(1000, units({ distanceUnit: 'mi' }))).toBe('621.37 mi');
+    expect(formatDistance(1000, units({ distanceUnit: 'nmi', precision: 1 }))).toBe('540.0 nmi');
+    expect(formatDistance(1.2345, units({ distanceUnit: 'm', precision: 0 }))).toBe('1,235 m');
+    expect(formatDistance(1234.5, units({ numberLocale: 'de-DE' }))).toBe('1.234,50 km');
+  });
+
+  it('leaves the unit off for labelled table cells', () => {
+    expect(formatDistance(1000, units({ distanceUnit: 'mi' }), { withUnit: false })).toBe('621.37');
+    expect(unitLabel(units({ distanceUnit: 'mi' }))).toBe('mi');
+  });
+});
+
+describe('formatHours', () => {
+  it('always shows a tenth of an hour', () => {
+    expect(formatHours(1.26, units({ precision: 4 }))).toBe('1.3');
+    expect(formatHours(12.04, units({ precision: 0, numberLocale: 'de-DE' }))).toBe('12,0');
+  });
+});
+
+describe('unitColumns', () => {
+  it('writes plain decimals in the chosen unit whatever the display locale', () => {
+    expect(unitColumns('1000', units({ distanceUnit: 'mi', numberLocale: 'de-DE' }))).toEqual({ distance: '621.37', distance_unit: 'mi' });
+    expect(unitColumns(1000, units({ distanceUnit: 'nmi', precision: 3 }))).toEqual({ distance: '539.957', distance_unit: 'nmi' });
+  });
+
+  it('keeps placeholders', () => {
+    expect(unitColumns('N/A', units({ distanceUnit: 'mi' }))).toEqual({ distance: 'N/A', distance_unit: 'mi' });
+  });
+
+  it('sits next to the raw km in exports', () => {
+    const row = { from: 'Delhi', to: 'Mumbai', distance_km: '1147.61' };
+    const headers = ['from', 'to', 'distance_km', ...UNIT_EXPORT_HEADERS];
+    expect(toCsv(headers, [{ ...row, ...unitColumns(row.distance_km, units({ distanceUnit: 'mi', precision: 1 })) }]))
+      .toBe('from,to,distance_km,distance,distance_unit\nDelhi,Mumbai,1147.61,713.1,mi');
+  });
+});
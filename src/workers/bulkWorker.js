@@ -0,0 +1,42 @@
+// Parses a CSV upload off the main thread and streams normalised rows back chunk by chunk.
+// In air mode, rows that already carry coordinates are finished here as well, so the
+// main thread is only left with geocoding and routing. Every row is validated on the way
+// through, for the pre-flight report.
+//
+// in:  { file, travelMode, distanceModel, flightModel, emissionSettings, costProfile, mapping } -
+//      flightModel from utils/flightTime, emissionSettings from utils/emissions, costProfile from
+//      utils/tripCost, mapping from utils/columnMapping or null
+// out: { type: 'chunk', rows, results: [[rowIndex, resultRow]], issues: [[rowIndex, problems]], progress }
+//      { type: 'done', totalRows } | { type: 'error', message }
+import Papa from 'papaparse';
+import { CSV_PARSE_OPTIONS, normalizeRows, hasCoords, airResultRow, validateRow } from '../utils/bulkRows';
+import { applyMapping } from '../utils/columnMapping';
+
+const CHUNK_SIZE = 512 * 1024;
+
+self.onmessage = ({ data: { file, travelMode, distanceModel, flightModel, emissionSettings, costProfile, mapping } }) => {
+  let totalRows = 0;
+
+  Papa.parse(file, {
+    ...CSV_PARSE_OPTIONS,
+    chunkSize: CHUNK_SIZE,
+    chunk: ({ data, meta }) => {
+      const rows = normalizeRows(mapping ? data.map(row => applyMapping(row, mapping)) : data);
+      const results = [];
+      const issues = [];
+      rows.forEach((row, i) => {
+        const problems = validateRow(row);
+        if (problems.length > 0) issues.push([totalRows + i, problems]);
+        if (travelMode === 'air' && hasCoords(row, 'from') && hasCoords(row, 'to')) {
+          results.push([totalRows + i, airResultRow(row, distanceModel, flightModel, emissionSettings, costProfile)]);
+        }
+      });
+      totalRows += rows.length;
+      // cursor counts characters, not bytes - close enough for a progress bar
+      const progress = file.size ? Math.min(1, meta.cursor / file.size) : 1;
+      self.postMessage({ type: 'chunk', rows, results, issues, progress });
+    },
+    complete: () => self.postMessage({ type: 'done', totalRows }),
+    error: (err) => self.postMessage({ type: 'error', message: err.message })
+  });
+};